@@ -22,8 +22,8 @@
  */
 
 
-import {SortValue} from './constants';
-import {MDCDataTableRowSelectionChangedEventDetail, ProgressIndicatorStyles, SortActionEventDetail} from './types';
+import {PaginationAction, SortValue} from './constants';
+import {CellEditedEventDetail, ColumnReorderedEventDetail, ColumnResizedEventDetail, GroupExpansionChangedEventDetail, MDCDataTableRowSelectionChangedEventDetail, PaginationChangedEventDetail, ProgressIndicatorStyles, RowExpansionChangedEventDetail, SortActionEventDetail} from './types';
 
 /**
  * Defines the shape of the adapter expected by the foundation.
@@ -234,7 +234,363 @@ export interface MDCDataTableAdapter {
    *   - `SortValue.ASCENDING`: 'Sorted in ascending order'
    *   - `SortValue.DESCENDING`: 'Sorted in descending order'
    *   - `SortValue.NONE`: '' (Empty string)
+   *
+   * Sort priority is appended to the label when multiple columns are sorted,
+   * e.g., 'Sorted in ascending order, sort priority 2'.
+   *
+   * @param priority One based sort priority of column, `null` if it is the
+   *     only sorted column or not sorted.
    */
   setSortStatusLabelByHeaderCellIndex(
-      columnIndex: number, sortValue: SortValue): void;
+      columnIndex: number, sortValue: SortValue,
+      priority?: number|null): void;
+
+  /**
+   * Renders sort priority indicator in header cell, removes it when `priority`
+   * is `null`. Skips if header cell is not sortable.
+   *
+   * @param priority One based sort priority of column.
+   */
+  setSortPriorityByHeaderCellIndex(columnIndex: number, priority: number|null):
+      void;
+
+  /**
+   * Returns value of cell used for client side sorting. Uses `data-sort-value`
+   * attribute of cell if present, otherwise the trimmed text content of cell.
+   *
+   * @param rowIndex Index of row element excluding header row element.
+   * @param columnIndex Index of cell within row, same as its header cell index.
+   * @return Sort value of cell.
+   */
+  getCellSortValueAtIndex(rowIndex: number, columnIndex: number): string;
+
+  /**
+   * @param rowIndex Index of row element excluding header row element.
+   * @param columnIndex Index of cell within row, same as its header cell index.
+   * @return True if cell at given index is a numeric cell.
+   */
+  isNumericCellAtIndex(rowIndex: number, columnIndex: number): boolean;
+
+  /**
+   * Reorders row elements in the table body. Row checkbox instances must be
+   * reordered along with their rows to keep selection state consistent.
+   *
+   * @param rowIndexes Row indexes in new order, i.e., row element at index
+   *     `rowIndexes[i]` is moved to index `i`.
+   */
+  reorderRows(rowIndexes: number[]): void;
+
+  /**
+   * Sets text of pagination total label. For example, `1–10 of 240`.
+   *
+   * @param firstRowNumber One based number of first row of current page.
+   * @param lastRowNumber One based number of last row of current page.
+   * @param totalRowCount Total row count across all pages.
+   */
+  setPaginationTotalLabel(
+      firstRowNumber: number, lastRowNumber: number,
+      totalRowCount: number): void;
+
+  /**
+   * Enables or disables pagination button that triggers given action.
+   *
+   * @param action Navigation action of pagination button.
+   * @param disabled True to disable the pagination button.
+   */
+  setPaginationButtonDisabled(action: PaginationAction, disabled: boolean):
+      void;
+
+  /**
+   * Sets selected value of rows per page select.
+   *
+   * @param pageSize Rows per page to select.
+   */
+  setRowsPerPageSelectValue(pageSize: number): void;
+
+  /**
+   * Notifies when page index or page size is changed by user.
+   *
+   * @param data Event detail data for pagination changed event.
+   */
+  notifyPaginationChanged(data: PaginationChangedEventDetail): void;
+
+  /**
+   * @return Total row count of virtual scroll data source.
+   */
+  getVirtualRowCount(): number;
+
+  /**
+   * @param rowIndex Index of row in virtual scroll data source.
+   * @return Row id of row at given index in virtual scroll data source.
+   */
+  getVirtualRowIdAtIndex(rowIndex: number): string;
+
+  /**
+   * @return Vertical scroll position of table container element.
+   */
+  getTableContainerScrollTop(): number;
+
+  /**
+   * Renders rows of virtual scroll data source in given range. Row elements
+   * that are out of the range are recycled to render rows entering the range.
+   * Row checkbox instances must be kept in sync with rendered row elements.
+   *
+   * @param startIndex Index of first row to render in data source.
+   * @param endIndex Index after last row to render in data source.
+   * @param forceUpdate True to re-render content of rows that are already
+   *     rendered, i.e., when data source is changed.
+   */
+  renderVirtualRows(startIndex: number, endIndex: number, forceUpdate: boolean):
+      void;
+
+  /**
+   * Sets heights of spacer elements rendered before and after the rendered
+   * rows, which keep the scroll height of table equal to the height of all
+   * rows in data source.
+   *
+   * @param topHeight Height of spacer before rendered rows in pixels.
+   * @param bottomHeight Height of spacer after rendered rows in pixels.
+   */
+  setVirtualSpacerHeights(topHeight: number, bottomHeight: number): void;
+
+  /**
+   * @return True if data table is in RTL context.
+   */
+  isRTL(): boolean;
+
+  /**
+   * Makes cell at given index the only cell in tab sequence, i.e., sets
+   * `tabindex="0"` on the cell or its focusable child element such as row
+   * checkbox and `tabindex="-1"` on the previously focusable cell.
+   *
+   * @param rowIndex Index of row element, `-1` for header row.
+   * @param columnIndex Index of cell within row.
+   */
+  setFocusableCellAtIndex(rowIndex: number, columnIndex: number): void;
+
+  /**
+   * Focuses cell at given index or its focusable child element.
+   *
+   * @param rowIndex Index of row element, `-1` for header row.
+   * @param columnIndex Index of cell within row.
+   */
+  focusCellAtIndex(rowIndex: number, columnIndex: number): void;
+
+  /**
+   * @param rowIndex Index of row element, `-1` for header row.
+   * @param columnIndex Index of cell within row.
+   * @return True if cell at given index contains row checkbox, or header row
+   *     checkbox when `rowIndex` is `-1`.
+   */
+  isCheckboxCellAtIndex(rowIndex: number, columnIndex: number): boolean;
+
+  /**
+   * @param columnIndex Index of header cell.
+   * @return Rendered width of header cell in pixels.
+   */
+  getHeaderCellWidth(columnIndex: number): number;
+
+  /**
+   * Sets width of column by setting width of its header cell, and updates
+   * `aria-valuenow` of its column resize handle.
+   *
+   * @param columnIndex Index of header cell.
+   * @param width Width of column in pixels.
+   */
+  setColumnWidth(columnIndex: number, width: number): void;
+
+  /**
+   * Pins header cell and the cells of each row at given column index to the
+   * start edge of table container, RTL aware. Unpins the cells when `offset`
+   * is `null`.
+   *
+   * @param columnIndex Index of header cell.
+   * @param offset Offset from the start edge in pixels.
+   */
+  setColumnStickyOffset(columnIndex: number, offset: number|null): void;
+
+  /**
+   * Moves header cell and the cells of each row at given column index to the
+   * target column index.
+   *
+   * @param fromIndex Current index of column.
+   * @param toIndex Index of column after move.
+   */
+  moveColumn(fromIndex: number, toIndex: number): void;
+
+  /**
+   * Notifies when column is resized by user.
+   *
+   * @param data Event detail data for column resized event.
+   */
+  notifyColumnResized(data: ColumnResizedEventDetail): void;
+
+  /**
+   * Notifies when column is moved by user.
+   *
+   * @param data Event detail data for column reordered event.
+   */
+  notifyColumnReordered(data: ColumnReorderedEventDetail): void;
+
+  /**
+   * @param rowIndex Index of row element excluding header row element.
+   * @return True if detail row of row at given index is expanded.
+   */
+  isRowExpandedAtIndex(rowIndex: number): boolean;
+
+  /**
+   * Expands or collapses detail row of row at given index, i.e., sets expanded
+   * modifier class on row element and `aria-expanded` on its expand button.
+   *
+   * @param rowIndex Index of row element excluding header row element.
+   * @param expanded True to show the detail row.
+   */
+  setRowExpandedAtIndex(rowIndex: number, expanded: boolean): void;
+
+  /**
+   * Notifies when detail row is expanded or collapsed by user.
+   *
+   * @param data Event detail data for row expansion changed event.
+   */
+  notifyRowExpansionChanged(data: RowExpansionChangedEventDetail): void;
+
+  /**
+   * @return Group ids of group header rows based on `data-group-id` attribute.
+   */
+  getGroupIds(): string[];
+
+  /**
+   * @param rowIndex Index of row element excluding header row element.
+   * @return Group id of row based on `data-group-id` attribute on row element,
+   *     `null` if row does not belong to a group.
+   */
+  getGroupIdAtRowIndex(rowIndex: number): string|null;
+
+  /**
+   * @return True if group of given id is expanded, i.e., its rows are shown.
+   */
+  isGroupExpanded(groupId: string): boolean;
+
+  /**
+   * Sets collapsed modifier class on group header row and `aria-expanded` on
+   * its toggle button. Rows of the group are collapsed by foundation.
+   *
+   * @param groupId Group id set on group header row using `data-group-id`.
+   * @param expanded True if group is expanded.
+   */
+  setGroupExpanded(groupId: string, expanded: boolean): void;
+
+  /**
+   * Sets aggregated count of rows rendered in group header row.
+   *
+   * @param groupId Group id set on group header row using `data-group-id`.
+   * @param rowCount Count of rows in the group.
+   */
+  setGroupRowCount(groupId: string, rowCount: number): void;
+
+  /**
+   * Notifies when group is expanded or collapsed by user.
+   *
+   * @param data Event detail data for group expansion changed event.
+   */
+  notifyGroupExpansionChanged(data: GroupExpansionChangedEventDetail): void;
+
+  /**
+   * Initializes checkboxes of group header rows. Destroys previous group
+   * checkbox instances if any.
+   * @return Can return Promise only if registering checkbox is asynchronous.
+   */
+  registerGroupCheckboxes(): Promise<void>|void;
+
+  /**
+   * @return True if checkbox of group header row is checked.
+   */
+  isGroupCheckboxChecked(groupId: string): boolean;
+
+  /**
+   * Sets checkbox of group header row checked or unchecked. Skips if group
+   * header row has no checkbox.
+   */
+  setGroupCheckboxChecked(groupId: string, checked: boolean): void;
+
+  /**
+   * Sets checkbox of group header row to indeterminate. Skips if group header
+   * row has no checkbox.
+   */
+  setGroupCheckboxIndeterminate(groupId: string, indeterminate: boolean): void;
+
+  /**
+   * @param rowIndex Index of row element excluding header row element.
+   * @param columnIndex Index of cell within row.
+   * @return True if a cell editor is registered for column of given cell.
+   */
+  isCellEditableAtIndex(rowIndex: number, columnIndex: number): boolean;
+
+  /**
+   * @return Value of cell based on `data-value` attribute of cell, falls back
+   *     to text content of cell.
+   */
+  getCellValueAtIndex(rowIndex: number, columnIndex: number): string;
+
+  /**
+   * Renders committed value in cell.
+   */
+  setCellValueAtIndex(rowIndex: number, columnIndex: number, value: string):
+      void;
+
+  /**
+   * Renders cell editor of column in place of cell content, sets its value and
+   * focuses it.
+   */
+  openCellEditorAtIndex(rowIndex: number, columnIndex: number, value: string):
+      void;
+
+  /**
+   * Removes open cell editor from cell and restores cell content.
+   */
+  closeCellEditor(): void;
+
+  /**
+   * @return Current value of open cell editor.
+   */
+  getCellEditorValue(): string;
+
+  /**
+   * Sets validity state of open cell editor.
+   */
+  setCellEditorValid(valid: boolean): void;
+
+  /**
+   * Notifies when edited cell value is committed.
+   *
+   * @param data Event detail data for cell edited event.
+   */
+  notifyCellEdited(data: CellEditedEventDetail): void;
+
+  /**
+   * @param rowIndex Index of row element, `-1` for header row.
+   * @param columnIndex Index of cell within row.
+   * @return Trimmed text content of cell. Text of header cell label
+   *     (`.mdc-data-table__header-cell-label`) for sortable header cells.
+   */
+  getCellTextAtIndex(rowIndex: number, columnIndex: number): string;
+
+  /**
+   * Renders row of virtual scroll data source if it is not rendered, to read
+   * its cell text.
+   *
+   * @param rowIndex Index of row in virtual scroll data source.
+   * @return Trimmed text content of each cell of row, in current column order.
+   */
+  getVirtualRowCellTexts(rowIndex: number): string[];
+
+  /**
+   * @return True if user has selected text within the page.
+   */
+  hasTextSelection(): boolean;
+
+  /**
+   * Writes given text to system clipboard.
+   */
+  copyToClipboard(text: string): void;
 }
@@ -24,13 +24,34 @@
 import {MDCComponent} from '@material/base/component';
 import {SpecificEventListener} from '@material/base/types';
 import {MDCCheckbox, MDCCheckboxFactory} from '@material/checkbox/component';
-import {closest} from '@material/dom/ponyfill';
+import {KEY, normalizeKey} from '@material/dom/keyboard';
+import {closest, matches} from '@material/dom/ponyfill';
 import {MDCLinearProgress} from '@material/linear-progress/component';
+import {MDCSelect} from '@material/select/component';
+import {cssClasses as selectCssClasses, strings as selectStrings} from '@material/select/constants';
+import {MDCTextField} from '@material/textfield/component';
 
 import {MDCDataTableAdapter} from './adapter';
-import {cssClasses, dataAttributes, events, messages, selectors, SortValue} from './constants';
+import {attributes, cssClasses, dataAttributes, events, messages, PaginationAction, selectors, SortValue} from './constants';
 import {MDCDataTableFoundation} from './foundation';
-import {MDCDataTableRowSelectionChangedEventDetail} from './types';
+import {CellEditValidator, ColumnSortState, ExportRowsOptions, MDCDataTableDataSource, MDCDataTableRowSelectionChangedEventDetail, SortComparator} from './types';
+
+// Accessing `window` without a `typeof` check will throw on Node environments.
+const HAS_WINDOW = typeof window !== 'undefined';
+
+// Pointer events are used to resize columns if supported, so that columns can
+// be resized using touch. Falls back to mouse events otherwise.
+const COLUMN_RESIZE_EVENTS = HAS_WINDOW && Boolean(window.PointerEvent) ?
+    {start: 'pointerdown', move: 'pointermove', end: 'pointerup'} :
+    {start: 'mousedown', move: 'mousemove', end: 'mouseup'};
+
+interface CellEditor {
+  element: HTMLElement;
+  // Element containing the cell editor when it is not open.
+  parent: Node;
+  select?: MDCSelect;
+  textField?: MDCTextField;
+}
 
 /**
  * Implementation of `MDCDataTableFoundation`
@@ -42,6 +63,7 @@ export class MDCDataTable extends MDCComponent<MDCDataTableFoundation> {
 
   private headerRowCheckbox!: MDCCheckbox;
   private rowCheckboxList!: MDCCheckbox[];
+  private groupCheckboxes?: {[groupId: string]: MDCCheckbox};
   private checkboxFactory!: MDCCheckboxFactory;
   private linearProgress!: MDCLinearProgress;
   private headerRow!: HTMLElement;
@@ -50,6 +72,37 @@ export class MDCDataTable extends MDCComponent<MDCDataTableFoundation> {
   private handleRowCheckboxChange!: SpecificEventListener<'change'>;
   private headerRowClickListener!:
       SpecificEventListener<'click'>;  // Assigned in `initialSyncWithDOM()`
+  private pagination!: HTMLElement|null;
+  private rowsPerPageSelect?: MDCSelect;
+  private handleRowsPerPageChange?: EventListener;
+  private paginationClickListener?: SpecificEventListener<'click'>;
+  private dataSource?: MDCDataTableDataSource;
+  private tableContainer?: HTMLElement;
+  private virtualTopSpacer?: HTMLElement;
+  private virtualBottomSpacer?: HTMLElement;
+  private tableContainerScrollListener?: SpecificEventListener<'scroll'>;
+  // Index of each column in the order of cells created by data source, in
+  // current column order. Assigned once columns are reordered.
+  private virtualColumnOrder?: number[];
+  private contentClickListener!: SpecificEventListener<'click'>;
+  private keydownListener!: SpecificEventListener<'keydown'>;
+  private focusinListener!: SpecificEventListener<'focusin'>;
+  private isGrid!: boolean;
+  private isRangeSelection?: boolean;
+  private focusableCell?: HTMLElement;
+  private columnResizeStartListener!: EventListener;
+  private columnResizeMoveListener!: EventListener;
+  private columnResizeEndListener!: EventListener;
+  private headerRowDragListener!: EventListener;
+  private isHeaderRowClickSuppressed?: boolean;
+  private cellEditors!: {[columnId: string]: CellEditor};
+  private openCellEditor?: CellEditor;
+  private editingCell?: Element;
+  // Content of cell being edited, restored when cell editor is closed.
+  private editingCellContent?: DocumentFragment;
+  private contentDoubleClickListener!: SpecificEventListener<'dblclick'>;
+  private focusoutListener!: SpecificEventListener<'focusout'>;
+  private cellEditorChangeListener!: EventListener;
 
   initialize(checkboxFactory: MDCCheckboxFactory = (el: Element) => new MDCCheckbox(el)) {
     this.checkboxFactory = checkboxFactory;
@@ -69,14 +122,92 @@ export class MDCDataTable extends MDCComponent<MDCDataTableFoundation> {
     };
     this.headerRow.addEventListener('click', this.headerRowClickListener);
 
+    this.columnResizeStartListener = (event) => {
+      this.handleColumnResizeStart(event as MouseEvent);
+    };
+    this.columnResizeMoveListener = (event) => {
+      this.foundation.handleColumnResizeMove((event as MouseEvent).clientX);
+    };
+    this.columnResizeEndListener = () => {
+      this.handleColumnResizeEnd();
+    };
+    this.headerRow.addEventListener(
+        COLUMN_RESIZE_EVENTS.start, this.columnResizeStartListener);
+
+    this.headerRowDragListener = (event) => {
+      this.handleHeaderRowDragEvent(event);
+    };
+    for (const eventType of ['dragstart', 'dragover', 'drop', 'dragend']) {
+      this.headerRow.addEventListener(eventType, this.headerRowDragListener);
+    }
 
     this.content =
         this.root.querySelector(`.${cssClasses.CONTENT}`) as HTMLElement;
     this.handleRowCheckboxChange = (event) => {
-      this.foundation.handleRowCheckboxChange(event);
+      if (this.isWithinOpenCellEditor(event.target as Element)) {
+        return;
+      }
+
+      const groupHeaderRow =
+          closest(event.target as Element, selectors.GROUP_HEADER_ROW);
+      if (groupHeaderRow) {
+        this.foundation.handleGroupCheckboxChange(
+            groupHeaderRow.getAttribute(dataAttributes.GROUP_ID) || '');
+      } else {
+        this.foundation.handleRowCheckboxChange(
+            event, !!this.isRangeSelection);
+      }
+      this.isRangeSelection = false;
     };
     this.content.addEventListener('change', this.handleRowCheckboxChange);
 
+    this.contentClickListener = (event) => {
+      this.handleContentClick(event);
+    };
+    this.content.addEventListener('click', this.contentClickListener);
+
+    this.keydownListener = (event) => {
+      this.handleKeydown(event);
+    };
+    this.listen('keydown', this.keydownListener);
+
+    this.focusinListener = (event) => {
+      this.handleFocusin(event);
+    };
+    this.listen('focusin', this.focusinListener);
+
+    this.contentDoubleClickListener = (event) => {
+      this.handleContentDoubleClick(event);
+    };
+    this.content.addEventListener(
+        'dblclick', this.contentDoubleClickListener);
+
+    this.focusoutListener = (event) => {
+      this.handleFocusout(event);
+    };
+    this.listen('focusout', this.focusoutListener);
+
+    this.cellEditorChangeListener = () => {
+      this.foundation.handleCellEditorChange();
+    };
+    this.initCellEditors();
+
+    const table = this.root.querySelector(selectors.TABLE);
+    this.isGrid = !!table && table.getAttribute(attributes.ROLE) === 'grid';
+    this.foundation.setUseGridNavigation(this.isGrid);
+
+    this.pagination =
+        this.root.querySelector<HTMLElement>(selectors.PAGINATION);
+    if (this.pagination) {
+      this.initPagination(this.pagination);
+    }
+
+    const stickyColumnCount =
+        this.root.getAttribute(dataAttributes.STICKY_COLUMN_COUNT);
+    if (stickyColumnCount) {
+      this.foundation.setStickyColumnCount(Number(stickyColumnCount));
+    }
+
     this.layout();
   }
 
@@ -84,6 +215,10 @@ export class MDCDataTable extends MDCComponent<MDCDataTableFoundation> {
    * Re-initializes header row checkbox and row checkboxes when selectable rows are added or removed from table.
    */
   layout() {
+    if (this.isGrid) {
+      this.removeCellsFromTabSequence();
+    }
+
     this.foundation.layout();
   }
 
@@ -116,6 +251,196 @@ export class MDCDataTable extends MDCComponent<MDCDataTableFoundation> {
     this.foundation.setSelectedRowIds(rowIds);
   }
 
+  /**
+   * Enables or disables client side sorting. When enabled, clicking on a
+   * sortable header cell reorders the rows by that column.
+   */
+  set useClientSort(useClientSort: boolean) {
+    this.foundation.setUseClientSort(useClientSort);
+  }
+
+  /**
+   * Registers comparator used by client side sorting for given column.
+   * @param columnId Column id set on header cell using `data-column-id`.
+   * @param comparator Compares two cell values in ascending order.
+   */
+  registerSortComparator(columnId: string, comparator: SortComparator) {
+    this.foundation.registerSortComparator(columnId, comparator);
+  }
+
+  /**
+   * @return Sorted columns in order of sort priority. Use this to persist sort
+   *     state on `events.SORTED` event, e.g., in URL.
+   */
+  getSortState(): ColumnSortState[] {
+    return this.foundation.getSortState();
+  }
+
+  /**
+   * Sorts by given columns in order of sort priority, i.e., to restore sort
+   * state from URL. Reorders rows when client side sorting is enabled.
+   * @param sortState Sorted columns in order of sort priority.
+   */
+  setSortState(sortState: ColumnSortState[]) {
+    this.foundation.setSortState(sortState);
+  }
+
+  /**
+   * Enables or disables client side pagination. When enabled, only the rows of
+   * current page are shown. Otherwise, consumer should render rows of current
+   * page on `events.PAGINATION_CHANGED` event.
+   */
+  set useClientPagination(useClientPagination: boolean) {
+    this.foundation.setUseClientPagination(useClientPagination);
+  }
+
+  /**
+   * @return Zero based index of current page.
+   */
+  getPageIndex(): number {
+    return this.foundation.getPageIndex();
+  }
+
+  /**
+   * Navigates to given page.
+   * @param pageIndex Zero based index of page.
+   */
+  setPageIndex(pageIndex: number) {
+    this.foundation.setPageIndex(pageIndex);
+  }
+
+  /**
+   * @return Number of rows per page.
+   */
+  getPageSize(): number {
+    return this.foundation.getPageSize();
+  }
+
+  /**
+   * Sets number of rows per page.
+   * @param pageSize Number of rows per page.
+   */
+  setPageSize(pageSize: number) {
+    this.foundation.setPageSize(pageSize);
+  }
+
+  /**
+   * Sets total row count across all pages when paginating on server side.
+   * @param totalRowCount Total row count across all pages.
+   */
+  setTotalRowCount(totalRowCount: number) {
+    this.foundation.setTotalRowCount(totalRowCount);
+  }
+
+  /**
+   * Enables virtual scroll. Renders only the rows of given data source that are
+   * visible in table container and recycles row elements on scroll. Table
+   * container should have a fixed height. Call `layout()` when data source is
+   * changed.
+   *
+   * @param dataSource Data source providing the rows of data table.
+   * @param rowHeight Fixed height of each row in pixels.
+   */
+  setVirtualDataSource(dataSource: MDCDataTableDataSource, rowHeight: number) {
+    this.dataSource = dataSource;
+    if (!this.tableContainer) {
+      this.initVirtualScroll();
+    }
+
+    this.foundation.enableVirtualScroll(rowHeight);
+  }
+
+  /**
+   * @return Column ids of header cells in current order, `null` for header
+   *     cells without `data-column-id`. Use this to persist column order on
+   *     `events.COLUMN_REORDERED` event.
+   */
+  getColumnOrder(): Array<string|null> {
+    return this.foundation.getColumnOrder();
+  }
+
+  /**
+   * Reorders columns by column ids. Columns not in given column ids, such as
+   * row checkbox column, keep their positions.
+   * @param columnIds Column ids set on header cells using `data-column-id`.
+   */
+  setColumnOrder(columnIds: string[]) {
+    this.foundation.setColumnOrder(columnIds);
+  }
+
+  /**
+   * Sets width of column, clamped to its minimum width.
+   * @param columnId Column id set on header cell using `data-column-id`.
+   * @param width Width of column in pixels.
+   */
+  setColumnWidth(columnId: string, width: number) {
+    this.foundation.setColumnWidth(columnId, width);
+  }
+
+  /**
+   * @return Number of columns pinned to the start edge of table container,
+   *     excluding row checkbox column.
+   */
+  getStickyColumnCount(): number {
+    return this.foundation.getStickyColumnCount();
+  }
+
+  /**
+   * Pins first columns, and row checkbox column if any, to the start edge of
+   * table container on horizontal scroll. Set to `0` to unpin columns.
+   */
+  setStickyColumnCount(count: number) {
+    this.foundation.setStickyColumnCount(count);
+  }
+
+  /**
+   * @return True if detail row of row with given row id is expanded.
+   */
+  isRowExpanded(rowId: string): boolean {
+    return this.foundation.isRowExpanded(rowId);
+  }
+
+  /**
+   * Expands or collapses detail row of row with given row id.
+   * @param rowId Row id set on row using `data-row-id`.
+   * @param expanded True to show the detail row.
+   */
+  setRowExpanded(rowId: string, expanded: boolean) {
+    this.foundation.setRowExpanded(rowId, expanded);
+  }
+
+  /**
+   * @return True if rows of group with given group id are shown.
+   */
+  isGroupExpanded(groupId: string): boolean {
+    return this.foundation.isGroupExpanded(groupId);
+  }
+
+  /**
+   * Expands or collapses rows of group with given group id.
+   * @param groupId Group id set on group header row using `data-group-id`.
+   * @param expanded True to show rows of the group.
+   */
+  setGroupExpanded(groupId: string, expanded: boolean) {
+    this.foundation.setGroupExpanded(groupId, expanded);
+  }
+
+  /**
+   * Sets validator called before edited cell value is committed. Return false
+   * from validator to reject the edit.
+   */
+  setCellEditValidator(validator: CellEditValidator|null) {
+    this.foundation.setCellEditValidator(validator);
+  }
+
+  /**
+   * Serializes header cell labels and cell text of rows as CSV or TSV, e.g.,
+   * to download current rows as a file. Row checkbox column is excluded.
+   */
+  exportRows(options?: ExportRowsOptions): string {
+    return this.foundation.exportRows(options);
+  }
+
   /**
    * Shows progress indicator when data table is in loading state.
    */
@@ -140,9 +465,54 @@ export class MDCDataTable extends MDCComponent<MDCDataTableFoundation> {
     if (this.headerRowClickListener) {
       this.headerRow.removeEventListener('click', this.headerRowClickListener);
     }
+    if (this.columnResizeStartListener) {
+      this.headerRow.removeEventListener(
+          COLUMN_RESIZE_EVENTS.start, this.columnResizeStartListener);
+      this.deregisterColumnResizeListeners();
+    }
+    if (this.headerRowDragListener) {
+      for (const eventType of ['dragstart', 'dragover', 'drop', 'dragend']) {
+        this.headerRow.removeEventListener(
+            eventType, this.headerRowDragListener);
+      }
+    }
     if (this.handleRowCheckboxChange) {
       this.content.removeEventListener('change', this.handleRowCheckboxChange);
     }
+    if (this.contentClickListener) {
+      this.content.removeEventListener('click', this.contentClickListener);
+    }
+    if (this.keydownListener) {
+      this.unlisten('keydown', this.keydownListener);
+    }
+    if (this.focusinListener) {
+      this.unlisten('focusin', this.focusinListener);
+    }
+    if (this.contentDoubleClickListener) {
+      this.content.removeEventListener(
+          'dblclick', this.contentDoubleClickListener);
+    }
+    if (this.focusoutListener) {
+      this.unlisten('focusout', this.focusoutListener);
+    }
+    if (this.cellEditors) {
+      this.destroyCellEditors();
+    }
+    if (this.tableContainerScrollListener && this.tableContainer) {
+      this.tableContainer.removeEventListener(
+          'scroll', this.tableContainerScrollListener);
+    }
+    if (this.paginationClickListener && this.pagination) {
+      this.pagination.removeEventListener(
+          'click', this.paginationClickListener);
+    }
+    if (this.rowsPerPageSelect) {
+      if (this.handleRowsPerPageChange) {
+        this.rowsPerPageSelect.unlisten(
+            selectStrings.CHANGE_EVENT, this.handleRowsPerPageChange);
+      }
+      this.rowsPerPageSelect.destroy();
+    }
 
     if (this.headerRowCheckbox) {
       this.headerRowCheckbox.destroy();
@@ -152,6 +522,7 @@ export class MDCDataTable extends MDCComponent<MDCDataTableFoundation> {
         checkbox.destroy();
       }
     }
+    this.destroyGroupCheckboxes();
   }
 
   getDefaultFoundation() {
@@ -231,15 +602,18 @@ export class MDCDataTable extends MDCComponent<MDCDataTableFoundation> {
       isCheckboxAtRowIndexChecked: (rowIndex: number) =>
           this.rowCheckboxList[rowIndex].checked,
       isHeaderRowCheckboxChecked: () => this.headerRowCheckbox.checked,
-      isRowsSelectable: () =>
-          !!this.root.querySelector(selectors.ROW_CHECKBOX) ||
-          !!this.root.querySelector(selectors.HEADER_ROW_CHECKBOX),
+      isRowsSelectable: () => this.isRowsSelectable(),
       notifyRowSelectionChanged:
           (data: MDCDataTableRowSelectionChangedEventDetail) => {
+            // Row index is the index in data source when virtual scroll is
+            // enabled, row element is `undefined` if the row is not rendered.
+            const row = this.dataSource ?
+                this.getVirtualRowElement(data.rowIndex) :
+                this.getRowByIndex(data.rowIndex);
             this.emit(
                 events.ROW_SELECTION_CHANGED, {
-                  row: this.getRowByIndex(data.rowIndex),
-                  rowId: this.getRowIdByIndex(data.rowIndex),
+                  row,
+                  rowId: data.rowId,
                   rowIndex: data.rowIndex,
                   selected: data.selected,
                 },
@@ -292,29 +666,928 @@ export class MDCDataTable extends MDCComponent<MDCDataTableFoundation> {
         this.rowCheckboxList[rowIndex].checked = checked;
       },
       setSortStatusLabelByHeaderCellIndex: (
-          columnIndex: number, sortValue: SortValue) => {
+          columnIndex: number, sortValue: SortValue,
+          priority: number|null = null) => {
         const headerCell = this.getHeaderCells()[columnIndex];
         const sortStatusLabel =
             headerCell.querySelector<HTMLElement>(selectors.SORT_STATUS_LABEL);
 
         if (!sortStatusLabel) return;
 
-        sortStatusLabel.textContent =
-            this.getSortStatusMessageBySortValue(sortValue);
+        const message = this.getSortStatusMessageBySortValue(sortValue);
+        sortStatusLabel.textContent = message && priority !== null ?
+            `${message}, ${messages.SORT_PRIORITY} ${priority}` :
+            message;
+      },
+      setSortPriorityByHeaderCellIndex: (
+          columnIndex: number, priority: number|null) => {
+        const headerCell = this.getHeaderCells()[columnIndex];
+        if (!headerCell.classList.contains(cssClasses.HEADER_CELL_WITH_SORT)) {
+          return;
+        }
+
+        let indicator = headerCell.querySelector(selectors.SORT_PRIORITY);
+        if (priority === null) {
+          if (indicator) {
+            indicator.parentElement!.removeChild(indicator);
+          }
+          return;
+        }
+
+        if (!indicator) {
+          // Priority is announced by sort status label.
+          indicator = document.createElement('span');
+          indicator.classList.add(cssClasses.SORT_PRIORITY);
+          indicator.setAttribute('aria-hidden', 'true');
+          const sortButton =
+              headerCell.querySelector(selectors.SORT_ICON_BUTTON);
+          if (sortButton) {
+            sortButton.parentElement!.insertBefore(
+                indicator, sortButton.nextSibling);
+          } else {
+            headerCell.appendChild(indicator);
+          }
+        }
+        indicator.textContent = String(priority);
+      },
+      getCellSortValueAtIndex: (rowIndex: number, columnIndex: number) => {
+        const cell = this.getCellByIndex(rowIndex, columnIndex);
+        const sortValue = cell.getAttribute(dataAttributes.SORT_VALUE);
+        return sortValue !== null ? sortValue : (cell.textContent || '').trim();
+      },
+      isNumericCellAtIndex: (rowIndex: number, columnIndex: number) =>
+          this.getCellByIndex(rowIndex, columnIndex)
+              .classList.contains(cssClasses.CELL_NUMERIC),
+      setPaginationTotalLabel: (
+          firstRowNumber: number, lastRowNumber: number,
+          totalRowCount: number) => {
+        const totalLabel = this.pagination &&
+            this.pagination.querySelector<HTMLElement>(
+                selectors.PAGINATION_TOTAL);
+
+        if (!totalLabel) return;
+
+        totalLabel.textContent =
+            `${firstRowNumber}\u2013${lastRowNumber} of ${totalRowCount}`;
+      },
+      setPaginationButtonDisabled:
+          (action: PaginationAction, disabled: boolean) => {
+            const button = this.getPaginationButtonByAction(action);
+
+            if (!button) return;
+
+            button.disabled = disabled;
+          },
+      setRowsPerPageSelectValue: (pageSize: number) => {
+        if (this.rowsPerPageSelect) {
+          this.rowsPerPageSelect.value = String(pageSize);
+        }
+      },
+      getVirtualRowCount: () =>
+          this.dataSource ? this.dataSource.getRowCount() : 0,
+      getVirtualRowIdAtIndex: (rowIndex: number) =>
+          this.dataSource ? this.dataSource.getRowId(rowIndex) : '',
+      getTableContainerScrollTop: () =>
+          this.tableContainer ? this.tableContainer.scrollTop : 0,
+      renderVirtualRows:
+          (startIndex: number, endIndex: number, forceUpdate: boolean) => {
+            this.renderVirtualRows(startIndex, endIndex, forceUpdate);
+          },
+      setVirtualSpacerHeights: (topHeight: number, bottomHeight: number) => {
+        if (!this.virtualTopSpacer || !this.virtualBottomSpacer) return;
+
+        this.virtualTopSpacer.style.setProperty('height', `${topHeight}px`);
+        this.virtualBottomSpacer.style.setProperty(
+            'height', `${bottomHeight}px`);
+      },
+      notifyPaginationChanged: (data) => {
+        this.emit(events.PAGINATION_CHANGED, data, /** shouldBubble */ true);
+      },
+      reorderRows: (rowIndexes: number[]) => {
+        const rows = this.getRows();
+        // Detail rows are moved along with their rows.
+        const detailRows = rows.map((row) => {
+          const nextRow = row.nextElementSibling;
+          return nextRow && nextRow.classList.contains(cssClasses.DETAIL_ROW) ?
+              nextRow :
+              null;
+        });
+        for (const rowIndex of rowIndexes) {
+          const refChild = this.virtualBottomSpacer || null;
+          this.content.insertBefore(rows[rowIndex], refChild);
+
+          const detailRow = detailRows[rowIndex];
+          if (detailRow) {
+            this.content.insertBefore(detailRow, refChild);
+          }
+        }
+
+        if (this.rowCheckboxList) {
+          const rowCheckboxList = this.rowCheckboxList;
+          this.rowCheckboxList =
+              rowIndexes.map((rowIndex) => rowCheckboxList[rowIndex]);
+        }
+      },
+      isRTL: () => this.isRTL(),
+      setFocusableCellAtIndex: (rowIndex: number, columnIndex: number) => {
+        const cell = this.getCellByIndex(rowIndex, columnIndex);
+        if (!cell) return;
+
+        if (this.focusableCell) {
+          this.focusableCell.setAttribute(attributes.TABINDEX, '-1');
+        }
+        this.focusableCell = this.getCellFocusTarget(cell);
+        this.focusableCell.setAttribute(attributes.TABINDEX, '0');
+      },
+      focusCellAtIndex: (rowIndex: number, columnIndex: number) => {
+        const cell = this.getCellByIndex(rowIndex, columnIndex);
+        if (!cell) return;
+
+        this.getCellFocusTarget(cell).focus();
+      },
+      isCheckboxCellAtIndex: (rowIndex: number, columnIndex: number) =>
+          !!this.getCellByIndex(rowIndex, columnIndex)
+                .querySelector(
+                    rowIndex === -1 ? selectors.HEADER_ROW_CHECKBOX :
+                                      selectors.ROW_CHECKBOX),
+      getHeaderCellWidth: (columnIndex: number) =>
+          this.getHeaderCells()[columnIndex].getBoundingClientRect().width,
+      setColumnWidth: (columnIndex: number, width: number) => {
+        const headerCell = this.getHeaderCells()[columnIndex] as HTMLElement;
+        headerCell.style.setProperty('width', `${width}px`);
+
+        const resizeHandle =
+            headerCell.querySelector(selectors.COLUMN_RESIZE_HANDLE);
+        if (resizeHandle) {
+          resizeHandle.setAttribute(attributes.ARIA_VALUENOW, String(width));
+        }
+      },
+      setColumnStickyOffset: (columnIndex: number, offset: number|null) => {
+        const startEdge = this.isRTL() ? 'right' : 'left';
+        const rows = [this.headerRow, ...this.getRows()] as
+            HTMLTableRowElement[];
+        for (const row of rows) {
+          const cell = row.cells[columnIndex];
+          if (!cell) continue;
+
+          const className = row === this.headerRow ?
+              cssClasses.HEADER_CELL_STICKY :
+              cssClasses.CELL_STICKY;
+          cell.style.removeProperty('left');
+          cell.style.removeProperty('right');
+          if (offset === null) {
+            cell.classList.remove(className);
+          } else {
+            cell.classList.add(className);
+            cell.style.setProperty(startEdge, `${offset}px`);
+          }
+        }
+      },
+      moveColumn: (fromIndex: number, toIndex: number) => {
+        const rows = [this.headerRow, ...this.getRows()] as
+            HTMLTableRowElement[];
+        for (const row of rows) {
+          const cell = row.cells[fromIndex];
+          const targetCell = row.cells[toIndex];
+          if (!cell || !targetCell) continue;
+
+          row.insertBefore(
+              cell,
+              fromIndex < toIndex ? targetCell.nextSibling : targetCell);
+        }
+        this.moveVirtualColumn(fromIndex, toIndex);
+      },
+      notifyColumnResized: (data) => {
+        this.emit(events.COLUMN_RESIZED, data, /** shouldBubble */ true);
+      },
+      notifyColumnReordered: (data) => {
+        this.emit(events.COLUMN_REORDERED, data, /** shouldBubble */ true);
+      },
+      isRowExpandedAtIndex: (rowIndex: number) =>
+          this.getRows()[rowIndex].classList.contains(cssClasses.ROW_EXPANDED),
+      setRowExpandedAtIndex: (rowIndex: number, expanded: boolean) => {
+        const row = this.getRows()[rowIndex];
+        if (expanded) {
+          row.classList.add(cssClasses.ROW_EXPANDED);
+        } else {
+          row.classList.remove(cssClasses.ROW_EXPANDED);
+        }
+
+        const expandButton = row.querySelector(selectors.ROW_EXPAND_BUTTON);
+        if (expandButton) {
+          expandButton.setAttribute(attributes.ARIA_EXPANDED, String(expanded));
+        }
+      },
+      notifyRowExpansionChanged: (data) => {
+        this.emit(
+            events.ROW_EXPANSION_CHANGED, {
+              row: this.getRowByIndex(data.rowIndex),
+              rowId: data.rowId,
+              rowIndex: data.rowIndex,
+              expanded: data.expanded,
+            },
+            /** shouldBubble */ true);
+      },
+      getGroupIds: () => this.getGroupHeaderRows().map(
+          (row) => row.getAttribute(dataAttributes.GROUP_ID) || ''),
+      getGroupIdAtRowIndex: (rowIndex: number) =>
+          this.getRows()[rowIndex].getAttribute(dataAttributes.GROUP_ID),
+      isGroupExpanded: (groupId: string) => {
+        const groupHeaderRow = this.getGroupHeaderRow(groupId);
+        return !!groupHeaderRow &&
+            !groupHeaderRow.classList.contains(
+                cssClasses.GROUP_HEADER_ROW_COLLAPSED);
+      },
+      setGroupExpanded: (groupId: string, expanded: boolean) => {
+        const groupHeaderRow = this.getGroupHeaderRow(groupId);
+        if (!groupHeaderRow) return;
+
+        if (expanded) {
+          groupHeaderRow.classList.remove(
+              cssClasses.GROUP_HEADER_ROW_COLLAPSED);
+        } else {
+          groupHeaderRow.classList.add(cssClasses.GROUP_HEADER_ROW_COLLAPSED);
+        }
+
+        const toggle = groupHeaderRow.querySelector(selectors.GROUP_TOGGLE);
+        if (toggle) {
+          toggle.setAttribute(attributes.ARIA_EXPANDED, String(expanded));
+        }
+      },
+      setGroupRowCount: (groupId: string, rowCount: number) => {
+        const groupHeaderRow = this.getGroupHeaderRow(groupId);
+        const countLabel = groupHeaderRow &&
+            groupHeaderRow.querySelector<HTMLElement>(selectors.GROUP_COUNT);
+
+        if (!countLabel) return;
+
+        countLabel.textContent = String(rowCount);
+      },
+      notifyGroupExpansionChanged: (data) => {
+        this.emit(
+            events.GROUP_EXPANSION_CHANGED, data, /** shouldBubble */ true);
+      },
+      registerGroupCheckboxes: () => {
+        this.destroyGroupCheckboxes();
+
+        const groupCheckboxes: {[groupId: string]: MDCCheckbox} = {};
+        for (const groupHeaderRow of this.getGroupHeaderRows()) {
+          const checkboxEl = groupHeaderRow.querySelector(
+              selectors.GROUP_CHECKBOX);
+          if (checkboxEl) {
+            const groupId =
+                groupHeaderRow.getAttribute(dataAttributes.GROUP_ID) || '';
+            groupCheckboxes[groupId] = this.checkboxFactory(checkboxEl);
+          }
+        }
+        this.groupCheckboxes = groupCheckboxes;
+      },
+      isGroupCheckboxChecked: (groupId: string) => {
+        const checkbox = this.getGroupCheckbox(groupId);
+        return !!checkbox && checkbox.checked;
+      },
+      setGroupCheckboxChecked: (groupId: string, checked: boolean) => {
+        const checkbox = this.getGroupCheckbox(groupId);
+        if (checkbox) {
+          checkbox.checked = checked;
+        }
+      },
+      setGroupCheckboxIndeterminate:
+          (groupId: string, indeterminate: boolean) => {
+            const checkbox = this.getGroupCheckbox(groupId);
+            if (checkbox) {
+              checkbox.indeterminate = indeterminate;
+            }
+          },
+      isCellEditableAtIndex: (rowIndex: number, columnIndex: number) =>
+          rowIndex >= 0 && rowIndex < this.getRows().length &&
+          !!this.getCellEditor(columnIndex),
+      getCellValueAtIndex: (rowIndex: number, columnIndex: number) => {
+        const cell = this.getCellByIndex(rowIndex, columnIndex);
+        const value = cell.getAttribute(dataAttributes.VALUE);
+        return value !== null ? value : (cell.textContent || '').trim();
+      },
+      setCellValueAtIndex:
+          (rowIndex: number, columnIndex: number, value: string) => {
+            const cell = this.getCellByIndex(rowIndex, columnIndex);
+            const cellEditor = this.getCellEditor(columnIndex);
+            // Select cell editor renders text of selected option.
+            const selectedText = cellEditor && cellEditor.select &&
+                cellEditor.element.querySelector(
+                    selectStrings.SELECTED_TEXT_SELECTOR);
+
+            if (selectedText || cell.hasAttribute(dataAttributes.VALUE)) {
+              cell.setAttribute(dataAttributes.VALUE, value);
+            }
+            cell.textContent =
+                selectedText ? selectedText.textContent || '' : value;
+          },
+      openCellEditorAtIndex:
+          (rowIndex: number, columnIndex: number, value: string) => {
+            const cellEditor = this.getCellEditor(columnIndex);
+            if (!cellEditor) return;
+
+            const cell = this.getCellByIndex(rowIndex, columnIndex);
+            const cellContent = document.createDocumentFragment();
+            while (cell.firstChild) {
+              cellContent.appendChild(cell.firstChild);
+            }
+            this.editingCellContent = cellContent;
+            this.editingCell = cell;
+            this.openCellEditor = cellEditor;
+            cell.classList.add(cssClasses.CELL_EDITING);
+            cell.appendChild(cellEditor.element);
+
+            if (cellEditor.select) {
+              cellEditor.select.layout();
+              cellEditor.select.value = value;
+              const anchor = cellEditor.element.querySelector<HTMLElement>(
+                  selectStrings.SELECT_ANCHOR_SELECTOR);
+              if (anchor) {
+                anchor.focus();
+              }
+            } else if (cellEditor.textField) {
+              cellEditor.textField.layout();
+              cellEditor.textField.value = value;
+              cellEditor.textField.focus();
+            }
+          },
+      closeCellEditor: () => {
+        const cellEditor = this.openCellEditor;
+        const cell = this.editingCell;
+        if (!cellEditor || !cell) return;
+
+        this.openCellEditor = undefined;
+        this.editingCell = undefined;
+        cellEditor.parent.appendChild(cellEditor.element);
+        cell.classList.remove(cssClasses.CELL_EDITING);
+        if (this.editingCellContent) {
+          cell.appendChild(this.editingCellContent);
+          this.editingCellContent = undefined;
+        }
+      },
+      getCellEditorValue: () => {
+        const cellEditor = this.openCellEditor;
+        if (!cellEditor) return '';
+
+        return cellEditor.select ?
+            cellEditor.select.value :
+            cellEditor.textField ? cellEditor.textField.value : '';
+      },
+      setCellEditorValid: (valid: boolean) => {
+        const cellEditor = this.openCellEditor;
+        if (!cellEditor) return;
+
+        if (cellEditor.select) {
+          cellEditor.select.valid = valid;
+        } else if (cellEditor.textField) {
+          cellEditor.textField.valid = valid;
+        }
+      },
+      notifyCellEdited: (data) => {
+        this.emit(events.CELL_EDITED, data, /** shouldBubble */ true);
+      },
+      getCellTextAtIndex: (rowIndex: number, columnIndex: number) => {
+        const cell = this.getCellByIndex(rowIndex, columnIndex);
+        // Header cell label excludes sort button and sort status label.
+        const label = rowIndex === -1 ?
+            cell.querySelector(selectors.HEADER_CELL_LABEL) :
+            null;
+        return ((label || cell).textContent || '').trim();
+      },
+      getVirtualRowCellTexts: (rowIndex: number) => {
+        const dataSource = this.dataSource;
+        if (!dataSource) {
+          return [];
+        }
+
+        let row = this.getRows().filter(
+            (renderedRow) => this.getVirtualRowIndex(renderedRow) ===
+                rowIndex)[0];
+        if (!row) {
+          row = dataSource.createRow();
+          dataSource.updateRow(row, rowIndex);
+          this.reorderVirtualRowCells(row, /** toColumnOrder */ true);
+        }
+        return [].slice.call((row as HTMLTableRowElement).cells)
+            .map((cell: Element) => (cell.textContent || '').trim());
+      },
+      hasTextSelection: () => {
+        const selection = window.getSelection();
+        return !!selection && !selection.isCollapsed;
+      },
+      copyToClipboard: (text: string) => {
+        if (navigator.clipboard) {
+          navigator.clipboard.writeText(text).catch(() => {
+            this.copyToClipboardUsingTextarea(text);
+          });
+        } else {
+          this.copyToClipboardUsingTextarea(text);
+        }
       },
     };
     return new MDCDataTableFoundation(adapter);
   }
 
+  /**
+   * Copies text using a temporary textarea for browsers without Clipboard API.
+   */
+  private copyToClipboardUsingTextarea(text: string) {
+    const activeElement = document.activeElement as HTMLElement|null;
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    document.execCommand('copy');
+    document.body.removeChild(textarea);
+
+    if (activeElement) {
+      activeElement.focus();
+    }
+  }
+
+  private isRTL(): boolean {
+    return window.getComputedStyle(this.root).getPropertyValue('direction') ===
+        'rtl';
+  }
+
   private getRowByIndex(index: number): Element {
     return this.getRows()[index];
   }
 
-  private getRowIdByIndex(index: number): string|null {
-    return this.getRowByIndex(index).getAttribute(dataAttributes.ROW_ID);
+  private getGroupHeaderRows(): Element[] {
+    return [].slice.call(
+        this.content.querySelectorAll(selectors.GROUP_HEADER_ROW));
+  }
+
+  private getGroupHeaderRow(groupId: string): Element|undefined {
+    return this.getGroupHeaderRows().filter(
+        (row) => row.getAttribute(dataAttributes.GROUP_ID) === groupId)[0];
+  }
+
+  private getGroupCheckbox(groupId: string): MDCCheckbox|undefined {
+    return this.groupCheckboxes && this.groupCheckboxes[groupId];
+  }
+
+  private destroyGroupCheckboxes() {
+    if (!this.groupCheckboxes) return;
+
+    for (const groupId of Object.keys(this.groupCheckboxes)) {
+      this.groupCheckboxes[groupId].destroy();
+    }
+    this.groupCheckboxes = undefined;
+  }
+
+  /**
+   * Instantiates cell editors rendered in data table root element. Cell editor
+   * is a text field or select element with `mdc-data-table__cell-editor` class
+   * name and `data-column-id` attribute of the column it edits.
+   */
+  private initCellEditors() {
+    this.cellEditors = {};
+    const elements = [].slice.call(
+        this.root.querySelectorAll(selectors.CELL_EDITOR)) as HTMLElement[];
+    for (const element of elements) {
+      const columnId = element.getAttribute(dataAttributes.COLUMN_ID);
+      if (!columnId || !element.parentNode) {
+        continue;
+      }
+
+      const cellEditor: CellEditor = {element, parent: element.parentNode};
+      if (element.classList.contains(selectCssClasses.ROOT)) {
+        cellEditor.select = new MDCSelect(element);
+        cellEditor.select.listen(
+            selectStrings.CHANGE_EVENT, this.cellEditorChangeListener);
+      } else {
+        cellEditor.textField = new MDCTextField(element);
+      }
+      this.cellEditors[columnId] = cellEditor;
+    }
+  }
+
+  private destroyCellEditors() {
+    for (const columnId of Object.keys(this.cellEditors)) {
+      const {select, textField} = this.cellEditors[columnId];
+      if (select) {
+        select.unlisten(
+            selectStrings.CHANGE_EVENT, this.cellEditorChangeListener);
+        select.destroy();
+      }
+      if (textField) {
+        textField.destroy();
+      }
+    }
+  }
+
+  private getCellEditor(columnIndex: number): CellEditor|undefined {
+    const headerCell = this.getHeaderCells()[columnIndex];
+    const columnId =
+        headerCell && headerCell.getAttribute(dataAttributes.COLUMN_ID);
+    return columnId ? this.cellEditors[columnId] : undefined;
+  }
+
+  private isWithinOpenCellEditor(el: Element|null): boolean {
+    return !!el && !!this.openCellEditor &&
+        this.openCellEditor.element.contains(el);
+  }
+
+  private handleContentDoubleClick(event: MouseEvent) {
+    const target = event.target as Element;
+    const cell = closest(target, 'td') as HTMLTableCellElement | null;
+    if (!cell || this.isWithinOpenCellEditor(target)) {
+      return;
+    }
+
+    const rowIndex = this.getRows().indexOf(cell.parentElement as Element);
+    if (rowIndex !== -1) {
+      this.foundation.handleCellDoubleClick(rowIndex, cell.cellIndex);
+    }
+  }
+
+  private handleFocusout(event: FocusEvent) {
+    if (this.isWithinOpenCellEditor(event.target as Element) &&
+        !this.isWithinOpenCellEditor(event.relatedTarget as Element | null)) {
+      this.foundation.handleCellEditorBlur();
+    }
+  }
+
+  private handleContentClick(event: MouseEvent) {
+    // Click event is dispatched before change event of row checkbox.
+    this.isRangeSelection = event.shiftKey;
+
+    const target = event.target as Element;
+    const expandButton = closest(target, selectors.ROW_EXPAND_BUTTON);
+    if (expandButton) {
+      const rowIndex = this.getRows().indexOf(
+          closest(expandButton, selectors.ROW) as Element);
+      if (rowIndex !== -1) {
+        this.foundation.handleRowExpandToggle(rowIndex);
+      }
+      return;
+    }
+
+    const groupToggle = closest(target, selectors.GROUP_TOGGLE);
+    const groupHeaderRow =
+        groupToggle && closest(groupToggle, selectors.GROUP_HEADER_ROW);
+    if (groupHeaderRow) {
+      this.foundation.handleGroupToggle(
+          groupHeaderRow.getAttribute(dataAttributes.GROUP_ID) || '');
+    }
+  }
+
+  /**
+   * @return Rendered row element of row at given index in virtual scroll data
+   *     source.
+   */
+  private getVirtualRowElement(rowIndex: number): Element|undefined {
+    for (const row of this.getRows()) {
+      if (this.getVirtualRowIndex(row) === rowIndex) {
+        return row;
+      }
+    }
+
+    return undefined;
+  }
+
+  private isRowsSelectable(): boolean {
+    return !!this.root.querySelector(selectors.ROW_CHECKBOX) ||
+        !!this.root.querySelector(selectors.HEADER_ROW_CHECKBOX);
+  }
+
+  private initVirtualScroll() {
+    const tableContainer =
+        this.root.querySelector<HTMLElement>(selectors.TABLE_CONTAINER);
+    if (!tableContainer) {
+      throw new Error('MDCDataTable: Table container element not found.');
+    }
+
+    this.tableContainer = tableContainer;
+    this.virtualTopSpacer = this.createVirtualSpacer();
+    this.virtualBottomSpacer = this.createVirtualSpacer();
+    this.content.insertBefore(this.virtualTopSpacer, this.content.firstChild);
+    this.content.appendChild(this.virtualBottomSpacer);
+
+    this.tableContainerScrollListener = () => {
+      this.foundation.handleTableContainerScroll();
+    };
+    tableContainer.addEventListener(
+        'scroll', this.tableContainerScrollListener);
+  }
+
+  private createVirtualSpacer(): HTMLElement {
+    const spacer = document.createElement('tr');
+    spacer.classList.add(cssClasses.VIRTUAL_SPACER);
+    spacer.setAttribute('aria-hidden', 'true');
+    const cell = document.createElement('td');
+    cell.colSpan = this.getHeaderCells().length || 1;
+    spacer.appendChild(cell);
+    return spacer;
+  }
+
+  /**
+   * @return Index of rendered row in virtual scroll data source, `-1` if row
+   *     is not rendered from data source.
+   */
+  private getVirtualRowIndex(row: Element): number {
+    const ariaRowIndex = row.getAttribute(attributes.ARIA_ROWINDEX);
+    // Header row is the first row of table, `aria-rowindex` is one based.
+    return ariaRowIndex ? Number(ariaRowIndex) - 2 : -1;
+  }
+
+  /**
+   * Renders rows of data source in given range. Row elements already rendering
+   * a row in the range are kept as is, remaining row elements are recycled.
+   */
+  private renderVirtualRows(
+      startIndex: number, endIndex: number, forceUpdate: boolean) {
+    const dataSource = this.dataSource;
+    if (!dataSource) {
+      return;
+    }
+
+    const prevRows = this.getRows();
+    const rowByIndex: {[rowIndex: number]: Element} = {};
+    const recycledRows: Element[] = [];
+    for (const row of prevRows) {
+      const rowIndex = this.getVirtualRowIndex(row);
+      if (rowIndex >= startIndex && rowIndex < endIndex &&
+          !rowByIndex[rowIndex]) {
+        rowByIndex[rowIndex] = row;
+      } else {
+        recycledRows.push(row);
+      }
+    }
+
+    const rows: Element[] = [];
+    for (let rowIndex = startIndex; rowIndex < endIndex; rowIndex++) {
+      let row = rowByIndex[rowIndex];
+      if (!row || forceUpdate) {
+        const recycledRow = row || recycledRows.pop();
+        row = recycledRow || dataSource.createRow();
+        // Data source updates cells in the order it created them.
+        if (recycledRow) {
+          this.reorderVirtualRowCells(row, /** toColumnOrder */ false);
+        }
+        dataSource.updateRow(row, rowIndex);
+        this.reorderVirtualRowCells(row, /** toColumnOrder */ true);
+        row.setAttribute(dataAttributes.ROW_ID, dataSource.getRowId(rowIndex));
+        row.setAttribute(attributes.ARIA_ROWINDEX, String(rowIndex + 2));
+      }
+
+      this.content.insertBefore(row, this.virtualBottomSpacer || null);
+      rows.push(row);
+    }
+
+    for (const row of recycledRows) {
+      this.content.removeChild(row);
+    }
+
+    const table = this.root.querySelector(selectors.TABLE);
+    if (table) {
+      table.setAttribute(
+          attributes.ARIA_ROWCOUNT, String(dataSource.getRowCount() + 1));
+    }
+
+    this.syncRowCheckboxes(prevRows, rows);
+    if (this.isGrid) {
+      this.removeCellsFromTabSequence();
+    }
+  }
+
+  /**
+   * Tracks column order so that rows rendered from data source after columns
+   * are reordered have their cells in the same order as header cells.
+   */
+  private moveVirtualColumn(fromIndex: number, toIndex: number) {
+    if (!this.virtualColumnOrder) {
+      this.virtualColumnOrder = [];
+      for (let index = 0; index < this.getHeaderCells().length; index++) {
+        this.virtualColumnOrder.push(index);
+      }
+    }
+
+    const order = this.virtualColumnOrder;
+    order.splice(toIndex, 0, order.splice(fromIndex, 1)[0]);
+  }
+
+  /**
+   * Reorders cells of row rendered from data source from the order they were
+   * created in to current column order, or back.
+   */
+  private reorderVirtualRowCells(row: Element, toColumnOrder: boolean) {
+    const order = this.virtualColumnOrder;
+    const cells = [].slice.call((row as HTMLTableRowElement).cells) as Element[];
+    if (!order || cells.length !== order.length) {
+      return;
+    }
+
+    const reorderedCells: Element[] = [];
+    order.forEach((createdIndex, columnIndex) => {
+      if (toColumnOrder) {
+        reorderedCells[columnIndex] = cells[createdIndex];
+      } else {
+        reorderedCells[createdIndex] = cells[columnIndex];
+      }
+    });
+    for (const cell of reorderedCells) {
+      row.appendChild(cell);
+    }
+  }
+
+  /**
+   * Reuses checkbox instances of row elements that are still rendered,
+   * instantiates checkboxes of new row elements and destroys checkboxes of
+   * removed row elements.
+   */
+  private syncRowCheckboxes(prevRows: Element[], rows: Element[]) {
+    if (!this.isRowsSelectable()) {
+      return;
+    }
+
+    const prevCheckboxList = this.rowCheckboxList || [];
+    this.rowCheckboxList = rows.map((row) => {
+      const prevIndex = prevRows.indexOf(row);
+      if (prevIndex !== -1 && prevCheckboxList[prevIndex]) {
+        return prevCheckboxList[prevIndex];
+      }
+
+      return this.checkboxFactory(
+          row.querySelector(selectors.ROW_CHECKBOX) as HTMLElement);
+    });
+
+    prevCheckboxList.forEach((checkbox, index) => {
+      if (rows.indexOf(prevRows[index]) === -1) {
+        checkbox.destroy();
+      }
+    });
+  }
+
+  /**
+   * @param rowIndex Index of row element, `-1` for header row.
+   */
+  private getCellByIndex(rowIndex: number, columnIndex: number): Element {
+    const row = rowIndex === -1 ? this.headerRow : this.getRowByIndex(rowIndex);
+    return (row as HTMLTableRowElement).cells[columnIndex];
+  }
+
+  /**
+   * @return Focusable child element of cell such as row checkbox or sort
+   *     button, otherwise the cell itself.
+   */
+  private getCellFocusTarget(cell: Element): HTMLElement {
+    return cell.querySelector<HTMLElement>(selectors.CELL_FOCUSABLE_CHILD) ||
+        cell as HTMLElement;
+  }
+
+  /**
+   * Removes all cells from tab sequence, the focusable cell is set by
+   * foundation when grid navigation is enabled.
+   */
+  private removeCellsFromTabSequence() {
+    const rows = [this.headerRow, ...this.getRows()] as HTMLTableRowElement[];
+    for (const row of rows) {
+      for (const cell of [].slice.call(row.cells) as Element[]) {
+        this.getCellFocusTarget(cell).setAttribute(attributes.TABINDEX, '-1');
+      }
+    }
+    this.focusableCell = undefined;
+  }
+
+  private handleKeydown(event: KeyboardEvent) {
+    const target = event.target as Element;
+    if (this.isWithinOpenCellEditor(target)) {
+      // Select cell editor handles Enter key to open its menu and commits on
+      // change.
+      const cellEditor = this.openCellEditor;
+      const isSelectEnterKey = !!cellEditor && !!cellEditor.select &&
+          normalizeKey(event) === KEY.ENTER;
+      if (!isSelectEnterKey) {
+        this.foundation.handleCellEditorKeydown(event);
+      }
+      return;
+    }
+
+    const isWithinTable =
+        this.headerRow.contains(target) || this.content.contains(target);
+
+    // Keys are handled natively by text inputs within cells.
+    if (!isWithinTable || matches(target, selectors.TEXT_INPUT)) {
+      return;
+    }
+
+    if (matches(target, selectors.COLUMN_RESIZE_HANDLE)) {
+      this.foundation.handleColumnResizeKeydown(
+          event, this.getColumnIndexByChildElement(target));
+      return;
+    }
+
+    if (matches(target, 'td')) {
+      const rowIndex = this.getRows().indexOf(target.parentElement as Element);
+      if (rowIndex !== -1) {
+        this.foundation.handleCellKeydown(
+            event, rowIndex, (target as HTMLTableCellElement).cellIndex);
+      }
+      if (event.defaultPrevented) {
+        return;
+      }
+    }
+
+    this.foundation.handleKeydown(event);
+  }
+
+  private handleFocusin(event: FocusEvent) {
+    const cell = closest(event.target as Element, 'th, td') as
+        HTMLTableCellElement | null;
+    if (!cell) {
+      return;
+    }
+
+    const row = cell.parentElement as Element;
+    const rowIndex = row === this.headerRow ? -1 : this.getRows().indexOf(row);
+    if (rowIndex === -1 && row !== this.headerRow) {
+      return;
+    }
+
+    this.foundation.handleCellFocus(rowIndex, cell.cellIndex);
+  }
+
+  private initPagination(pagination: HTMLElement) {
+    const selectEl = pagination.querySelector<HTMLElement>(
+        selectors.PAGINATION_ROWS_PER_PAGE_SELECT);
+    if (selectEl) {
+      const rowsPerPageSelect = new MDCSelect(selectEl);
+      this.rowsPerPageSelect = rowsPerPageSelect;
+      this.handleRowsPerPageChange = () => {
+        this.foundation.handleRowsPerPageChange(
+            Number(rowsPerPageSelect.value));
+      };
+      rowsPerPageSelect.listen(
+          selectStrings.CHANGE_EVENT, this.handleRowsPerPageChange);
+      this.foundation.setPageSize(Number(rowsPerPageSelect.value));
+    }
+
+    this.paginationClickListener = (event) => {
+      this.handlePaginationClick(event);
+    };
+    pagination.addEventListener('click', this.paginationClickListener);
+  }
+
+  private handlePaginationClick(event: Event): void {
+    const button =
+        closest(event.target as Element, selectors.PAGINATION_BUTTON) as
+        HTMLButtonElement;
+
+    if (!button || button.disabled) {
+      return;
+    }
+
+    const action = this.getPaginationActionByButton(button);
+    if (action) {
+      this.foundation.handlePaginationAction(action);
+    }
+  }
+
+  private getPaginationActionByButton(button: Element): PaginationAction|null {
+    if (button.hasAttribute(dataAttributes.FIRST_PAGE)) {
+      return PaginationAction.FIRST_PAGE;
+    } else if (button.hasAttribute(dataAttributes.PREV_PAGE)) {
+      return PaginationAction.PREV_PAGE;
+    } else if (button.hasAttribute(dataAttributes.NEXT_PAGE)) {
+      return PaginationAction.NEXT_PAGE;
+    } else if (button.hasAttribute(dataAttributes.LAST_PAGE)) {
+      return PaginationAction.LAST_PAGE;
+    }
+
+    return null;
+  }
+
+  private getPaginationButtonByAction(action: PaginationAction):
+      HTMLButtonElement|null {
+    if (!this.pagination) {
+      return null;
+    }
+
+    const buttons = [].slice.call(this.pagination.querySelectorAll(
+                        selectors.PAGINATION_BUTTON)) as HTMLButtonElement[];
+    for (const button of buttons) {
+      if (this.getPaginationActionByButton(button) === action) {
+        return button;
+      }
+    }
+
+    return null;
   }
 
   private handleHeaderRowClick(event: Event): void {
+    // Click is dispatched on header cell when column resize ends within it.
+    if (this.isHeaderRowClickSuppressed ||
+        closest(event.target as Element, selectors.COLUMN_RESIZE_HANDLE)) {
+      return;
+    }
+
     const headerCell =
         closest(event.target as Element, selectors.HEADER_CELL_WITH_SORT) as
         HTMLElement;
@@ -329,7 +1602,99 @@ export class MDCDataTable extends MDCComponent<MDCDataTableFoundation> {
       return;
     }
 
-    this.foundation.handleSortAction({columnId, columnIndex, headerCell});
+    this.foundation.handleSortAction({
+      columnId,
+      columnIndex,
+      headerCell,
+      isMultiSort: (event as MouseEvent).shiftKey,
+    });
+  }
+
+  /**
+   * @return Index of header cell containing given element, `-1` if not found.
+   */
+  private getColumnIndexByChildElement(el: Element): number {
+    const headerCell = closest(el, selectors.HEADER_CELL);
+    return headerCell ? this.getHeaderCells().indexOf(headerCell) : -1;
+  }
+
+  private handleColumnResizeStart(event: MouseEvent) {
+    const resizeHandle =
+        closest(event.target as Element, selectors.COLUMN_RESIZE_HANDLE);
+    if (!resizeHandle || event.button !== 0) {
+      return;
+    }
+
+    const columnIndex = this.getColumnIndexByChildElement(resizeHandle);
+    if (columnIndex === -1) {
+      return;
+    }
+
+    // Prevents text selection and dragging of header cell.
+    event.preventDefault();
+    this.foundation.handleColumnResizeStart(columnIndex, event.clientX);
+    document.body.addEventListener(
+        COLUMN_RESIZE_EVENTS.move, this.columnResizeMoveListener);
+    document.body.addEventListener(
+        COLUMN_RESIZE_EVENTS.end, this.columnResizeEndListener);
+  }
+
+  private handleColumnResizeEnd() {
+    this.deregisterColumnResizeListeners();
+    this.foundation.handleColumnResizeEnd();
+
+    // Click event follows pointer up event in the same task.
+    this.isHeaderRowClickSuppressed = true;
+    setTimeout(() => {
+      this.isHeaderRowClickSuppressed = false;
+    });
+  }
+
+  private deregisterColumnResizeListeners() {
+    document.body.removeEventListener(
+        COLUMN_RESIZE_EVENTS.move, this.columnResizeMoveListener);
+    document.body.removeEventListener(
+        COLUMN_RESIZE_EVENTS.end, this.columnResizeEndListener);
+  }
+
+  /**
+   * Handles drag events of header cells with `draggable="true"` attribute.
+   * Header cells can be dropped only on other draggable header cells.
+   */
+  private handleHeaderRowDragEvent(event: Event) {
+    if (event.type === 'dragend') {
+      this.foundation.handleColumnDragEnd();
+      return;
+    }
+
+    const headerCell = closest(event.target as Element, selectors.HEADER_CELL);
+    if (!headerCell ||
+        headerCell.getAttribute(attributes.DRAGGABLE) !== 'true') {
+      return;
+    }
+
+    const columnIndex = this.getHeaderCells().indexOf(headerCell);
+    const {dataTransfer} = event as DragEvent;
+    switch (event.type) {
+      case 'dragstart':
+        if (dataTransfer) {
+          dataTransfer.effectAllowed = 'move';
+          // Firefox requires drag data to start dragging.
+          dataTransfer.setData(
+              'text/plain',
+              headerCell.getAttribute(dataAttributes.COLUMN_ID) || '');
+        }
+        this.foundation.handleColumnDragStart(columnIndex);
+        break;
+      case 'dragover':
+        this.foundation.handleColumnDragOver(event, columnIndex);
+        break;
+      case 'drop':
+        this.foundation.handleColumnDrop(event, columnIndex);
+        break;
+      default:
+        break;
+    }
   }
 
   private getSortStatusMessageBySortValue(sortValue: SortValue): string {
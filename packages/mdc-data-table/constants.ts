@@ -26,39 +26,71 @@
  */
 export const cssClasses = {
   CELL: 'mdc-data-table__cell',
+  CELL_EDITING: 'mdc-data-table__cell--editing',
+  CELL_EDITOR: 'mdc-data-table__cell-editor',
   CELL_NUMERIC: 'mdc-data-table__cell--numeric',
+  CELL_STICKY: 'mdc-data-table__cell--sticky',
+  COLUMN_RESIZE_HANDLE: 'mdc-data-table__column-resize-handle',
+  COLUMN_RESIZING: 'mdc-data-table--column-resizing',
   CONTENT: 'mdc-data-table__content',
+  DETAIL_ROW: 'mdc-data-table__detail-row',
+  GROUP_CHECKBOX: 'mdc-data-table__group-checkbox',
+  GROUP_COUNT: 'mdc-data-table__group-count',
+  GROUP_HEADER_ROW: 'mdc-data-table__group-header-row',
+  GROUP_HEADER_ROW_COLLAPSED: 'mdc-data-table__group-header-row--collapsed',
+  GROUP_TOGGLE: 'mdc-data-table__group-toggle',
   HEADER_CELL: 'mdc-data-table__header-cell',
+  HEADER_CELL_DRAGGING: 'mdc-data-table__header-cell--dragging',
+  HEADER_CELL_DROP_TARGET: 'mdc-data-table__header-cell--drop-target',
   HEADER_CELL_LABEL: 'mdc-data-table__header-cell-label',
+  HEADER_CELL_RESIZABLE: 'mdc-data-table__header-cell--resizable',
   HEADER_CELL_SORTED: 'mdc-data-table__header-cell--sorted',
   HEADER_CELL_SORTED_DESCENDING:
       'mdc-data-table__header-cell--sorted-descending',
+  HEADER_CELL_STICKY: 'mdc-data-table__header-cell--sticky',
   HEADER_CELL_WITH_SORT: 'mdc-data-table__header-cell--with-sort',
   HEADER_CELL_WRAPPER: 'mdc-data-table__header-cell-wrapper',
   HEADER_ROW: 'mdc-data-table__header-row',
   HEADER_ROW_CHECKBOX: 'mdc-data-table__header-row-checkbox',
   IN_PROGRESS: 'mdc-data-table--in-progress',
   LINEAR_PROGRESS: 'mdc-data-table__linear-progress',
+  PAGINATION: 'mdc-data-table__pagination',
+  PAGINATION_BUTTON: 'mdc-data-table__pagination-button',
   PAGINATION_ROWS_PER_PAGE_LABEL:
       'mdc-data-table__pagination-rows-per-page-label',
   PAGINATION_ROWS_PER_PAGE_SELECT:
       'mdc-data-table__pagination-rows-per-page-select',
+  PAGINATION_TOTAL: 'mdc-data-table__pagination-total',
   PROGRESS_INDICATOR: 'mdc-data-table__progress-indicator',
   ROOT: 'mdc-data-table',
   ROW: 'mdc-data-table__row',
   ROW_CHECKBOX: 'mdc-data-table__row-checkbox',
+  ROW_COLLAPSED: 'mdc-data-table__row--collapsed',
+  ROW_EXPANDED: 'mdc-data-table__row--expanded',
+  ROW_EXPAND_BUTTON: 'mdc-data-table__row-expand-button',
+  ROW_HIDDEN: 'mdc-data-table__row--hidden',
   ROW_SELECTED: 'mdc-data-table__row--selected',
   SORT_ICON_BUTTON: 'mdc-data-table__sort-icon-button',
+  SORT_PRIORITY: 'mdc-data-table__sort-priority',
   SORT_STATUS_LABEL: 'mdc-data-table__sort-status-label',
+  TABLE: 'mdc-data-table__table',
   TABLE_CONTAINER: 'mdc-data-table__table-container',
+  VIRTUAL_SPACER: 'mdc-data-table__virtual-spacer',
 };
 
 /**
  * DOM attributes used in component.
  */
 export const attributes = {
+  ARIA_EXPANDED: 'aria-expanded',
+  ARIA_ROWCOUNT: 'aria-rowcount',
+  ARIA_ROWINDEX: 'aria-rowindex',
   ARIA_SELECTED: 'aria-selected',
   ARIA_SORT: 'aria-sort',
+  ARIA_VALUENOW: 'aria-valuenow',
+  DRAGGABLE: 'draggable',
+  ROLE: 'role',
+  TABINDEX: 'tabindex',
 };
 
 /**
@@ -66,24 +98,53 @@ export const attributes = {
  */
 export const dataAttributes = {
   COLUMN_ID: 'data-column-id',
+  FIRST_PAGE: 'data-first-page',
+  GROUP_ID: 'data-group-id',
+  LAST_PAGE: 'data-last-page',
+  MIN_WIDTH: 'data-min-width',
+  NEXT_PAGE: 'data-next-page',
+  PREV_PAGE: 'data-prev-page',
   ROW_ID: 'data-row-id',
+  SORT_TYPE: 'data-sort-type',
+  SORT_VALUE: 'data-sort-value',
+  STICKY_COLUMN_COUNT: 'data-sticky-column-count',
+  VALUE: 'data-value',
 };
 
 /**
  * CSS selectors used in component.
  */
 export const selectors = {
+  CELL_EDITOR: `.${cssClasses.CELL_EDITOR}`,
+  CELL_FOCUSABLE_CHILD: 'button, input, select, textarea, a[href]',
+  COLUMN_RESIZE_HANDLE: `.${cssClasses.COLUMN_RESIZE_HANDLE}`,
   CONTENT: `.${cssClasses.CONTENT}`,
+  GROUP_CHECKBOX: `.${cssClasses.GROUP_CHECKBOX}`,
+  GROUP_COUNT: `.${cssClasses.GROUP_COUNT}`,
+  GROUP_HEADER_ROW: `.${cssClasses.GROUP_HEADER_ROW}`,
+  GROUP_TOGGLE: `.${cssClasses.GROUP_TOGGLE}`,
   HEADER_CELL: `.${cssClasses.HEADER_CELL}`,
+  HEADER_CELL_LABEL: `.${cssClasses.HEADER_CELL_LABEL}`,
   HEADER_CELL_WITH_SORT: `.${cssClasses.HEADER_CELL_WITH_SORT}`,
   HEADER_ROW: `.${cssClasses.HEADER_ROW}`,
   HEADER_ROW_CHECKBOX: `.${cssClasses.HEADER_ROW_CHECKBOX}`,
+  PAGINATION: `.${cssClasses.PAGINATION}`,
+  PAGINATION_BUTTON: `.${cssClasses.PAGINATION_BUTTON}`,
+  PAGINATION_ROWS_PER_PAGE_SELECT:
+      `.${cssClasses.PAGINATION_ROWS_PER_PAGE_SELECT}`,
+  PAGINATION_TOTAL: `.${cssClasses.PAGINATION_TOTAL}`,
   PROGRESS_INDICATOR: `.${cssClasses.PROGRESS_INDICATOR}`,
   ROW: `.${cssClasses.ROW}`,
   ROW_CHECKBOX: `.${cssClasses.ROW_CHECKBOX}`,
+  ROW_EXPAND_BUTTON: `.${cssClasses.ROW_EXPAND_BUTTON}`,
   ROW_SELECTED: `.${cssClasses.ROW_SELECTED}`,
   SORT_ICON_BUTTON: `.${cssClasses.SORT_ICON_BUTTON}`,
+  SORT_PRIORITY: `.${cssClasses.SORT_PRIORITY}`,
   SORT_STATUS_LABEL: `.${cssClasses.SORT_STATUS_LABEL}`,
+  TABLE: `.${cssClasses.TABLE}`,
+  TABLE_CONTAINER: `.${cssClasses.TABLE_CONTAINER}`,
+  TEXT_INPUT: 'input:not([type="checkbox"]):not([type="radio"]), ' +
+      'select, textarea, [contenteditable="true"]',
 };
 
 /**
@@ -92,6 +153,19 @@ export const selectors = {
 export const messages = {
   SORTED_IN_DESCENDING: 'Sorted in descending order',
   SORTED_IN_ASCENDING: 'Sorted in ascending order',
+  SORT_PRIORITY: 'sort priority',
+};
+
+/**
+ * Numbers used in component.
+ */
+export const numbers = {
+  // Width in pixels a column is resized by on arrow key press.
+  COLUMN_RESIZE_STEP: 16,
+  DEFAULT_PAGE_SIZE: 10,
+  // Default minimum width in pixels of resizable columns.
+  MIN_COLUMN_WIDTH: 56,
+  VIRTUAL_SCROLL_OVERSCAN_ROW_COUNT: 5,
 };
 
 /**
@@ -126,6 +200,59 @@ export enum SortValue {
   OTHER = 'other',
 }
 
+/**
+ * Value types used by client side sorting to compare cell values of a column.
+ * Set on header cell using `data-sort-type` attribute to override the type
+ * inferred from cells.
+ */
+export enum SortType {
+  // Cell values are compared as dates using `Date.parse()`.
+  DATE = 'date',
+
+  // Cell values are compared as numbers. Inferred for numeric cells.
+  NUMERIC = 'numeric',
+
+  // Cell values are compared as locale aware strings. Default sort type.
+  STRING = 'string',
+}
+
+/**
+ * Navigation actions triggered by pagination buttons. Pagination button is
+ * identified by `data-first-page`, `data-prev-page`, `data-next-page` or
+ * `data-last-page` attribute.
+ */
+export enum PaginationAction {
+  FIRST_PAGE = 'first',
+  LAST_PAGE = 'last',
+  NEXT_PAGE = 'next',
+  PREV_PAGE = 'prev',
+}
+
+/**
+ * Formats of rows serialized by `exportRows()`.
+ */
+export enum ExportFormat {
+  // Comma separated values.
+  CSV = 'csv',
+
+  // Tab separated values, used when copying rows to clipboard.
+  TSV = 'tsv',
+}
+
+/**
+ * Rows serialized by `exportRows()`.
+ */
+export enum ExportScope {
+  // All rows, including rows of other pages with client side pagination.
+  ALL = 'all',
+
+  // Rows of current page with client side pagination, otherwise all rows.
+  PAGE = 'page',
+
+  // Selected rows, see `getSelectedRowIds()`.
+  SELECTED = 'selected',
+}
+
 /**
  * Event names used in component.
  */
@@ -134,4 +261,10 @@ export const events = {
   SELECTED_ALL: 'MDCDataTable:selectedAll',
   UNSELECTED_ALL: 'MDCDataTable:unselectedAll',
   SORTED: 'MDCDataTable:sorted',
+  PAGINATION_CHANGED: 'MDCDataTable:paginationChanged',
+  COLUMN_RESIZED: 'MDCDataTable:columnResized',
+  COLUMN_REORDERED: 'MDCDataTable:columnReordered',
+  ROW_EXPANSION_CHANGED: 'MDCDataTable:rowExpansionChanged',
+  GROUP_EXPANSION_CHANGED: 'MDCDataTable:groupExpansionChanged',
+  CELL_EDITED: 'MDCDataTable:cellEdited',
 };
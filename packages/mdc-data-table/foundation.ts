@@ -22,10 +22,17 @@
  */
 
 import {MDCFoundation} from '@material/base/foundation';
+import {KEY, normalizeKey} from '@material/dom/keyboard';
 
 import {MDCDataTableAdapter} from './adapter';
-import {cssClasses, SortValue, strings} from './constants';
-import {SortActionEventData} from './types';
+import {cssClasses, dataAttributes, ExportFormat, ExportScope, numbers, PaginationAction, SortType, SortValue, strings} from './constants';
+import {serializeRows} from './serialize';
+import {getComparatorBySortType, getMultiColumnSortedRowIndexes} from './sort';
+import {CellEditedEventDetail, CellEditValidator, ColumnSortState, ExportRowsOptions, SortActionEventData, SortComparator} from './types';
+
+interface SortedColumn extends ColumnSortState {
+  columnIndex: number;
+}
 
 /**
  * The Foundation of data table component containing pure business logic, any
@@ -36,39 +43,122 @@ export class MDCDataTableFoundation extends MDCFoundation<MDCDataTableAdapter> {
     return {
       addClass: () => undefined,
       addClassAtRowIndex: () => undefined,
+      closeCellEditor: () => undefined,
+      copyToClipboard: () => undefined,
+      focusCellAtIndex: () => undefined,
       getAttributeByHeaderCellIndex: () => '',
+      getCellEditorValue: () => '',
+      getCellSortValueAtIndex: () => '',
+      getCellTextAtIndex: () => '',
+      getCellValueAtIndex: () => '',
+      getGroupIdAtRowIndex: () => null,
+      getGroupIds: () => [],
       getHeaderCellCount: () => 0,
       getHeaderCellElements: () => [],
+      getHeaderCellWidth: () => 0,
       getRowCount: () => 0,
       getRowElements: () => [],
       getRowIdAtIndex: () => '',
       getRowIndexByChildElement: () => 0,
       getSelectedRowCount: () => 0,
       getTableContainerHeight: () => 0,
+      getTableContainerScrollTop: () => 0,
       getTableHeaderHeight: () => 0,
+      getVirtualRowCellTexts: () => [],
+      getVirtualRowCount: () => 0,
+      getVirtualRowIdAtIndex: () => '',
+      hasTextSelection: () => false,
+      isCellEditableAtIndex: () => false,
       isCheckboxAtRowIndexChecked: () => false,
+      isCheckboxCellAtIndex: () => false,
+      isGroupCheckboxChecked: () => false,
+      isGroupExpanded: () => true,
       isHeaderRowCheckboxChecked: () => false,
+      isNumericCellAtIndex: () => false,
+      isRTL: () => false,
+      isRowExpandedAtIndex: () => false,
       isRowsSelectable: () => false,
+      moveColumn: () => undefined,
+      notifyCellEdited: () => undefined,
+      notifyColumnReordered: () => undefined,
+      notifyColumnResized: () => undefined,
+      notifyGroupExpansionChanged: () => undefined,
+      notifyPaginationChanged: () => undefined,
+      notifyRowExpansionChanged: () => undefined,
       notifyRowSelectionChanged: () => undefined,
       notifySelectedAll: () => undefined,
       notifySortAction: () => undefined,
       notifyUnselectedAll: () => undefined,
+      openCellEditorAtIndex: () => undefined,
+      registerGroupCheckboxes: () => undefined,
       registerHeaderRowCheckbox: () => undefined,
       registerRowCheckboxes: () => undefined,
       removeClass: () => undefined,
       removeClassAtRowIndex: () => undefined,
       removeClassNameByHeaderCellIndex: () => undefined,
+      renderVirtualRows: () => undefined,
+      reorderRows: () => undefined,
       setAttributeAtRowIndex: () => undefined,
       setAttributeByHeaderCellIndex: () => undefined,
+      setCellEditorValid: () => undefined,
+      setCellValueAtIndex: () => undefined,
       setClassNameByHeaderCellIndex: () => undefined,
+      setColumnStickyOffset: () => undefined,
+      setColumnWidth: () => undefined,
+      setFocusableCellAtIndex: () => undefined,
+      setGroupCheckboxChecked: () => undefined,
+      setGroupCheckboxIndeterminate: () => undefined,
+      setGroupExpanded: () => undefined,
+      setGroupRowCount: () => undefined,
       setHeaderRowCheckboxChecked: () => undefined,
       setHeaderRowCheckboxIndeterminate: () => undefined,
+      setPaginationButtonDisabled: () => undefined,
+      setPaginationTotalLabel: () => undefined,
       setProgressIndicatorStyles: () => undefined,
       setRowCheckboxCheckedAtIndex: () => undefined,
+      setRowExpandedAtIndex: () => undefined,
+      setRowsPerPageSelectValue: () => undefined,
+      setSortPriorityByHeaderCellIndex: () => undefined,
       setSortStatusLabelByHeaderCellIndex: () => undefined,
+      setVirtualSpacerHeights: () => undefined,
     };
   }
 
+  private useClientSort = false;
+  private sortComparators: {[columnId: string]: SortComparator} = {};
+  // Sorted columns in order of sort priority.
+  private sortedColumns: SortedColumn[] = [];
+  private useClientPagination = false;
+  private pageIndex = 0;
+  private pageSize = numbers.DEFAULT_PAGE_SIZE;
+  private totalRowCount: number|null = null;
+  private virtualRowHeight = 0;
+  private virtualStartIndex = 0;
+  private virtualEndIndex = 0;
+  private selectedVirtualRowIds = new Set<string>();
+  // Index of row last selected or unselected without range selection, range
+  // selection spans from this row to the target row.
+  private rangeSelectionAnchorIndex = -1;
+  private useGridNavigation = false;
+  // Row index of focusable cell, `-1` for header row.
+  private focusedRowIndex = -1;
+  private focusedColumnIndex = 0;
+  private resizingColumnIndex = -1;
+  private resizeStartX = 0;
+  private resizeStartWidth = 0;
+  private resizeWidth = 0;
+  private draggingColumnIndex = -1;
+  private dropTargetColumnIndex = -1;
+  private cellEditValidator: CellEditValidator|null = null;
+  // Row index of cell being edited, `-1` when no cell is being edited.
+  private editingRowIndex = -1;
+  private editingColumnIndex = -1;
+  private editingValue = '';
+  private stickyColumnCount = 0;
+  // Whether column cells were set sticky on last update, so that they are
+  // reset when sticky columns are removed.
+  private hasStickyColumns = false;
+
   constructor(adapter?: Partial<MDCDataTableAdapter>) {
     super({...MDCDataTableFoundation.defaultAdapter, ...adapter});
   }
@@ -78,12 +168,23 @@ export class MDCDataTableFoundation extends MDCFoundation<MDCDataTableAdapter> {
    * Use this if registering checkbox is synchronous.
    */
   layout() {
+    this.cancelCellEdit(/** restoreFocus */ false);
+
     if (this.adapter.isRowsSelectable()) {
       this.adapter.registerHeaderRowCheckbox();
-      this.adapter.registerRowCheckboxes();
+      if (!this.isVirtualScroll()) {
+        this.adapter.registerRowCheckboxes();
+        this.adapter.registerGroupCheckboxes();
+      }
 
       this.setHeaderRowCheckboxState();
     }
+
+    this.updateGroups();
+    this.rangeSelectionAnchorIndex = -1;
+    this.updateVirtualRows(/** forceUpdate */ true);
+    this.updatePagination();
+    this.updateStickyColumns();
   }
 
   /**
@@ -91,12 +192,23 @@ export class MDCDataTableFoundation extends MDCFoundation<MDCDataTableAdapter> {
    * Use this if registering checkbox is asynchronous.
    */
   async layoutAsync(): Promise<void> {
+    this.cancelCellEdit(/** restoreFocus */ false);
+
     if (this.adapter.isRowsSelectable()) {
       await this.adapter.registerHeaderRowCheckbox();
-      await this.adapter.registerRowCheckboxes();
+      if (!this.isVirtualScroll()) {
+        await this.adapter.registerRowCheckboxes();
+        await this.adapter.registerGroupCheckboxes();
+      }
 
       this.setHeaderRowCheckboxState();
     }
+
+    this.updateGroups();
+    this.rangeSelectionAnchorIndex = -1;
+    this.updateVirtualRows(/** forceUpdate */ true);
+    this.updatePagination();
+    this.updateStickyColumns();
   }
 
   /**
@@ -118,6 +230,20 @@ export class MDCDataTableFoundation extends MDCFoundation<MDCDataTableAdapter> {
    * @param rowIds Array of row ids that needs to be selected.
    */
   setSelectedRowIds(rowIds: string[]) {
+    if (this.isVirtualScroll()) {
+      // Row ids that are not in data source are ignored.
+      this.selectedVirtualRowIds.clear();
+      for (const rowId of this.getVirtualRowIds()) {
+        if (rowIds.indexOf(rowId) >= 0) {
+          this.selectedVirtualRowIds.add(rowId);
+        }
+      }
+
+      this.syncVirtualRowsSelection();
+      this.setHeaderRowCheckboxState();
+      return;
+    }
+
     for (let rowIndex = 0; rowIndex < this.adapter.getRowCount(); rowIndex++) {
       const rowId = this.adapter.getRowIdAtIndex(rowIndex);
 
@@ -137,6 +263,10 @@ export class MDCDataTableFoundation extends MDCFoundation<MDCDataTableAdapter> {
    * @return Returns array of all row ids.
    */
   getRowIds(): Array<string|null> {
+    if (this.isVirtualScroll()) {
+      return this.getVirtualRowIds();
+    }
+
     const rowIds = [];
     for (let rowIndex = 0; rowIndex < this.adapter.getRowCount(); rowIndex++) {
       rowIds.push(this.adapter.getRowIdAtIndex(rowIndex));
@@ -149,6 +279,11 @@ export class MDCDataTableFoundation extends MDCFoundation<MDCDataTableAdapter> {
    * @return Returns array of selected row ids.
    */
   getSelectedRowIds(): Array<string|null> {
+    if (this.isVirtualScroll()) {
+      return this.getVirtualRowIds().filter(
+          (rowId) => this.selectedVirtualRowIds.has(rowId));
+    }
+
     const selectedRowIds: Array<string|null> = [];
     for (let rowIndex = 0; rowIndex < this.adapter.getRowCount(); rowIndex++) {
       if (this.adapter.isCheckboxAtRowIndexChecked(rowIndex)) {
@@ -163,24 +298,17 @@ export class MDCDataTableFoundation extends MDCFoundation<MDCDataTableAdapter> {
    * Handles header row checkbox change event.
    */
   handleHeaderRowCheckboxChange() {
-    const isHeaderChecked = this.adapter.isHeaderRowCheckboxChecked();
-
-    for (let rowIndex = 0; rowIndex < this.adapter.getRowCount(); rowIndex++) {
-      this.adapter.setRowCheckboxCheckedAtIndex(rowIndex, isHeaderChecked);
-      this.selectRowAtIndex(rowIndex, isHeaderChecked);
-    }
-
-    if (isHeaderChecked) {
-      this.adapter.notifySelectedAll();
-    } else {
-      this.adapter.notifyUnselectedAll();
-    }
+    this.setAllRowsSelected(this.adapter.isHeaderRowCheckboxChecked());
   }
 
   /**
    * Handles change event originated from row checkboxes.
+   *
+   * @param isRangeSelection True to apply selection state of target row to all
+   *     rows between the previously selected or unselected row and the target
+   *     row, i.e., when row checkbox is shift clicked.
    */
-  handleRowCheckboxChange(event: Event) {
+  handleRowCheckboxChange(event: Event, isRangeSelection = false) {
     const rowIndex = this.adapter.getRowIndexByChildElement(
         event.target as HTMLInputElement);
 
@@ -189,65 +317,336 @@ export class MDCDataTableFoundation extends MDCFoundation<MDCDataTableAdapter> {
     }
 
     const selected = this.adapter.isCheckboxAtRowIndexChecked(rowIndex);
+    this.setRowSelection(rowIndex, selected, isRangeSelection);
+  }
+
+  /**
+   * Handles change event originated from checkbox of group header row. Selects
+   * or unselects all rows of the group.
+   *
+   * @param groupId Group id set on group header row using `data-group-id`.
+   */
+  handleGroupCheckboxChange(groupId: string) {
+    const selected = this.adapter.isGroupCheckboxChecked(groupId);
+    const rowIndexes = this.getRowIndexesByGroupId()[groupId] || [];
+    for (const rowIndex of rowIndexes) {
+      this.updateRowSelection(rowIndex, selected);
+    }
 
-    this.selectRowAtIndex(rowIndex, selected);
     this.setHeaderRowCheckboxState();
+  }
 
-    const rowId = this.adapter.getRowIdAtIndex(rowIndex);
-    this.adapter.notifyRowSelectionChanged({rowId, rowIndex, selected});
+  /**
+   * Handles click on expand button of a row. Toggles detail row of the row and
+   * notifies.
+   *
+   * @param rowIndex Index of row element excluding header row element.
+   */
+  handleRowExpandToggle(rowIndex: number) {
+    const expanded = !this.adapter.isRowExpandedAtIndex(rowIndex);
+    this.adapter.setRowExpandedAtIndex(rowIndex, expanded);
+    this.adapter.notifyRowExpansionChanged({
+      expanded,
+      rowId: this.adapter.getRowIdAtIndex(rowIndex),
+      rowIndex,
+    });
   }
 
   /**
-   * Handles sort action on sortable header cell.
+   * @return True if detail row of row with given row id is expanded.
    */
-  handleSortAction(eventData: SortActionEventData) {
-    const {columnId, columnIndex, headerCell} = eventData;
+  isRowExpanded(rowId: string): boolean {
+    const rowIndex = this.getRowIds().indexOf(rowId);
+    return rowIndex !== -1 && this.adapter.isRowExpandedAtIndex(rowIndex);
+  }
 
-    // Reset sort attributes / classes on other header cells.
-    for (let index = 0; index < this.adapter.getHeaderCellCount(); index++) {
-      if (index === columnIndex) {
-        continue;
+  /**
+   * Expands or collapses detail row of row with given row id. Does not notify.
+   */
+  setRowExpanded(rowId: string, expanded: boolean) {
+    const rowIndex = this.getRowIds().indexOf(rowId);
+    if (rowIndex !== -1) {
+      this.adapter.setRowExpandedAtIndex(rowIndex, expanded);
+    }
+  }
+
+  /**
+   * Handles click on toggle button of group header row. Expands or collapses
+   * rows of the group and notifies.
+   *
+   * @param groupId Group id set on group header row using `data-group-id`.
+   */
+  handleGroupToggle(groupId: string) {
+    const expanded = !this.adapter.isGroupExpanded(groupId);
+    this.setGroupExpanded(groupId, expanded);
+    this.adapter.notifyGroupExpansionChanged({groupId, expanded});
+  }
+
+  /**
+   * @return True if rows of group with given group id are shown.
+   */
+  isGroupExpanded(groupId: string): boolean {
+    return this.adapter.isGroupExpanded(groupId);
+  }
+
+  /**
+   * Expands or collapses rows of group with given group id. Does not notify.
+   */
+  setGroupExpanded(groupId: string, expanded: boolean) {
+    this.adapter.setGroupExpanded(groupId, expanded);
+    this.collapseGroupRows(
+        this.getRowIndexesByGroupId()[groupId] || [], !expanded);
+  }
+
+  /**
+   * Sets validator called with cell edited event detail before edited cell
+   * value is committed. Edit is rejected when validator returns false.
+   */
+  setCellEditValidator(validator: CellEditValidator|null) {
+    this.cellEditValidator = validator;
+  }
+
+  /**
+   * Handles double click on a cell. Starts editing the cell if editable.
+   *
+   * @param rowIndex Index of row element excluding header row element.
+   * @param columnIndex Index of cell within row.
+   */
+  handleCellDoubleClick(rowIndex: number, columnIndex: number) {
+    this.startCellEdit(rowIndex, columnIndex);
+  }
+
+  /**
+   * Handles keydown event originated from a cell itself. Starts editing the
+   * cell on Enter key if editable.
+   */
+  handleCellKeydown(
+      event: KeyboardEvent, rowIndex: number, columnIndex: number) {
+    if (normalizeKey(event) === KEY.ENTER &&
+        this.startCellEdit(rowIndex, columnIndex)) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Handles keydown event originated from open cell editor. Escape key cancels
+   * the edit, Enter and Tab keys commit the edit and start editing next
+   * editable cell (previous one with Shift key).
+   */
+  handleCellEditorKeydown(event: KeyboardEvent) {
+    if (this.editingRowIndex === -1) {
+      return;
+    }
+
+    const key = normalizeKey(event);
+    if (key === KEY.ESCAPE) {
+      event.preventDefault();
+      this.cancelCellEdit(/** restoreFocus */ true);
+    } else if (key === KEY.ENTER || key === KEY.TAB) {
+      event.preventDefault();
+      this.commitCellEdit(event.shiftKey ? -1 : 1);
+    }
+  }
+
+  /**
+   * Handles value change of cell editor which commits on selection, i.e.,
+   * select cell editor.
+   */
+  handleCellEditorChange() {
+    if (this.editingRowIndex !== -1) {
+      this.commitCellEdit(0);
+    }
+  }
+
+  /**
+   * Handles focus leaving open cell editor. Commits the edit without moving
+   * focus.
+   */
+  handleCellEditorBlur() {
+    if (this.editingRowIndex !== -1) {
+      this.commitCellEdit(0, /** restoreFocus */ false);
+    }
+  }
+
+  /**
+   * Enables or disables keyboard navigation between cells following the ARIA
+   * grid pattern. When enabled, only one cell is in the tab sequence, arrow
+   * keys move focus between cells and Space key toggles selection of the row
+   * containing focused cell.
+   *
+   * @param useGridNavigation True to navigate between cells using keyboard.
+   */
+  setUseGridNavigation(useGridNavigation: boolean) {
+    this.useGridNavigation = useGridNavigation;
+    this.updateFocusableCell();
+  }
+
+  /**
+   * Handles focus of a cell or an element within cell. Makes the cell the only
+   * focusable cell in tab sequence when grid navigation is enabled.
+   *
+   * @param rowIndex Index of row element, `-1` for header row.
+   * @param columnIndex Index of cell within row.
+   */
+  handleCellFocus(rowIndex: number, columnIndex: number) {
+    if (!this.useGridNavigation) {
+      return;
+    }
+
+    this.focusedRowIndex = rowIndex;
+    this.focusedColumnIndex = columnIndex;
+    this.adapter.setFocusableCellAtIndex(rowIndex, columnIndex);
+  }
+
+  /**
+   * Handles keydown event originated from header row or table body. Selects
+   * all rows on Ctrl/Cmd + A, copies selected rows on Ctrl/Cmd + C, and moves
+   * focus between cells or toggles row selection when grid navigation is
+   * enabled.
+   */
+  handleKeydown(event: KeyboardEvent) {
+    if ((event.ctrlKey || event.metaKey) &&
+        (event.key === 'a' || event.key === 'A')) {
+      if (this.adapter.isRowsSelectable()) {
+        event.preventDefault();
+        this.selectAllRows();
       }
+      return;
+    }
 
-      this.adapter.removeClassNameByHeaderCellIndex(
-          index, cssClasses.HEADER_CELL_SORTED);
-      this.adapter.removeClassNameByHeaderCellIndex(
-          index, cssClasses.HEADER_CELL_SORTED_DESCENDING);
-      this.adapter.setAttributeByHeaderCellIndex(
-          index, strings.ARIA_SORT, SortValue.NONE);
-      this.adapter.setSortStatusLabelByHeaderCellIndex(index, SortValue.NONE);
+    if ((event.ctrlKey || event.metaKey) &&
+        (event.key === 'c' || event.key === 'C')) {
+      this.copySelectedRows(event);
+      return;
     }
 
-    // Set appropriate sort attributes / classes on target header cell.
-    this.adapter.setClassNameByHeaderCellIndex(
-        columnIndex, cssClasses.HEADER_CELL_SORTED);
+    if (!this.useGridNavigation) {
+      return;
+    }
 
-    const currentSortValue = this.adapter.getAttributeByHeaderCellIndex(
-        columnIndex, strings.ARIA_SORT);
-    let sortValue = SortValue.NONE;
+    const key = normalizeKey(event);
+    if (key === KEY.SPACEBAR) {
+      this.handleSpaceKey(event);
+      return;
+    }
 
-    // Set to descending if sorted on ascending order.
-    if (currentSortValue === SortValue.ASCENDING) {
-      this.adapter.setClassNameByHeaderCellIndex(
-          columnIndex, cssClasses.HEADER_CELL_SORTED_DESCENDING);
-      this.adapter.setAttributeByHeaderCellIndex(
-          columnIndex, strings.ARIA_SORT, SortValue.DESCENDING);
-      sortValue = SortValue.DESCENDING;
-      // Set to ascending if sorted on descending order.
-    } else if (currentSortValue === SortValue.DESCENDING) {
-      this.adapter.removeClassNameByHeaderCellIndex(
-          columnIndex, cssClasses.HEADER_CELL_SORTED_DESCENDING);
-      this.adapter.setAttributeByHeaderCellIndex(
-          columnIndex, strings.ARIA_SORT, SortValue.ASCENDING);
-      sortValue = SortValue.ASCENDING;
+    const {firstRowIndex, lastRowIndex} = this.getNavigableRowRange();
+    const lastColumnIndex = this.adapter.getHeaderCellCount() - 1;
+    const columnStep = this.adapter.isRTL() ? -1 : 1;
+    let rowIndex = this.focusedRowIndex;
+    let columnIndex = this.focusedColumnIndex;
+
+    switch (key) {
+      case KEY.ARROW_UP:
+        rowIndex = rowIndex <= firstRowIndex ? -1 : rowIndex - 1;
+        break;
+      case KEY.ARROW_DOWN:
+        rowIndex = rowIndex === -1 ? firstRowIndex : rowIndex + 1;
+        break;
+      case KEY.ARROW_LEFT:
+        columnIndex -= columnStep;
+        break;
+      case KEY.ARROW_RIGHT:
+        columnIndex += columnStep;
+        break;
+      case KEY.HOME:
+        columnIndex = 0;
+        if (event.ctrlKey) {
+          rowIndex = -1;
+        }
+        break;
+      case KEY.END:
+        columnIndex = lastColumnIndex;
+        if (event.ctrlKey) {
+          rowIndex = lastRowIndex;
+        }
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+
+    if (rowIndex !== -1) {
+      rowIndex = lastRowIndex < firstRowIndex ?
+          -1 :
+          Math.min(Math.max(rowIndex, firstRowIndex), lastRowIndex);
+    }
+    columnIndex = Math.min(Math.max(columnIndex, 0), lastColumnIndex);
+
+    this.focusedRowIndex = rowIndex;
+    this.focusedColumnIndex = columnIndex;
+    this.adapter.setFocusableCellAtIndex(rowIndex, columnIndex);
+    this.adapter.focusCellAtIndex(rowIndex, columnIndex);
+  }
+
+  /**
+   * Serializes header cell labels and cell text of rows as CSV or TSV. Row
+   * checkbox column is excluded. Rows of data source are serialized when
+   * virtual scroll is enabled, including rows that are not rendered.
+   */
+  exportRows({
+    format = ExportFormat.CSV,
+    includeHeader = true,
+    scope = ExportScope.ALL,
+  }: ExportRowsOptions = {}): string {
+    const columnIndexes: number[] = [];
+    const columnCount = this.adapter.getHeaderCellCount();
+    for (let columnIndex = 0; columnIndex < columnCount; columnIndex++) {
+      if (!this.adapter.isCheckboxCellAtIndex(-1, columnIndex)) {
+        columnIndexes.push(columnIndex);
+      }
+    }
+
+    const rowIndexes = this.getExportRowIndexes(scope);
+    if (includeHeader) {
+      rowIndexes.unshift(-1);
+    }
+
+    const rows = rowIndexes.map((rowIndex) => {
+      if (rowIndex !== -1 && this.isVirtualScroll()) {
+        const cellTexts = this.adapter.getVirtualRowCellTexts(rowIndex);
+        return columnIndexes.map((columnIndex) => cellTexts[columnIndex] || '');
+      }
+
+      return columnIndexes.map(
+          (columnIndex) =>
+              this.adapter.getCellTextAtIndex(rowIndex, columnIndex));
+    });
+    return serializeRows(rows, format === ExportFormat.TSV ? '\t' : ',');
+  }
+
+  /**
+   * Handles sort action on sortable header cell.
+   */
+  handleSortAction(eventData: SortActionEventData) {
+    const {columnId, columnIndex, headerCell, isMultiSort} = eventData;
+
+    const sortedColumns = this.getSortedColumns();
+    const sortedColumn =
+        sortedColumns.filter((column) => column.columnIndex === columnIndex)[0];
+
+    // Toggles between ascending and descending order, ascending by default
+    // when not sorted.
+    const sortValue =
+        sortedColumn && sortedColumn.sortValue === SortValue.ASCENDING ?
+        SortValue.DESCENDING :
+        SortValue.ASCENDING;
+
+    if (!isMultiSort) {
+      this.sortedColumns = [{columnId, columnIndex, sortValue}];
+    } else if (sortedColumn) {
+      sortedColumn.sortValue = sortValue;
     } else {
-      // Set to ascending by default when not sorted.
-      this.adapter.setAttributeByHeaderCellIndex(
-          columnIndex, strings.ARIA_SORT, SortValue.ASCENDING);
-      sortValue = SortValue.ASCENDING;
+      this.sortedColumns.push({columnId, columnIndex, sortValue});
     }
 
-    this.adapter.setSortStatusLabelByHeaderCellIndex(columnIndex, sortValue);
+    this.renderSortState();
+
+    if (this.isClientSort()) {
+      this.sortRows();
+      this.updatePagination();
+    }
 
     this.adapter.notifySortAction({
       columnId,
@@ -258,47 +657,1316 @@ export class MDCDataTableFoundation extends MDCFoundation<MDCDataTableAdapter> {
   }
 
   /**
-   * Shows progress indicator blocking only the table body content when in
-   * loading state.
+   * @return Sorted columns in order of sort priority.
    */
-  showProgress() {
-    const tableHeaderHeight = this.adapter.getTableHeaderHeight();
-    // Calculate the height of table content (Not scroll content) excluding
-    // header row height.
-    const height = this.adapter.getTableContainerHeight() - tableHeaderHeight;
-    const top = tableHeaderHeight;
+  getSortState(): ColumnSortState[] {
+    return this.getSortedColumns().map(
+        ({columnId, sortValue}) => ({columnId, sortValue}));
+  }
 
-    this.adapter.setProgressIndicatorStyles({
-      height: `${height}px`,
-      top: `${top}px`,
-    });
-    this.adapter.addClass(cssClasses.IN_PROGRESS);
+  /**
+   * Sorts by given columns in order of sort priority, i.e., to restore sort
+   * state from URL. Columns not found by column id are ignored. Reorders rows
+   * when client side sorting is enabled. Does not notify sort action event.
+   *
+   * @param sortState Sorted columns in order of sort priority. Set empty
+   *     array to clear sort state.
+   */
+  setSortState(sortState: ColumnSortState[]) {
+    this.sortedColumns = [];
+    for (const {columnId, sortValue} of sortState) {
+      const columnIndex =
+          columnId === null ? -1 : this.getColumnIndexById(columnId);
+      const isSorted = sortValue === SortValue.ASCENDING ||
+          sortValue === SortValue.DESCENDING;
+      if (columnIndex !== -1 && isSorted &&
+          !this.sortedColumns.some(
+              (column) => column.columnIndex === columnIndex)) {
+        this.sortedColumns.push({columnId, columnIndex, sortValue});
+      }
+    }
+
+    this.renderSortState();
+
+    if (this.isClientSort() && this.sortedColumns.length) {
+      this.sortRows();
+      this.updatePagination();
+    }
   }
 
   /**
-   * Hides progress indicator when data table is finished loading.
+   * Enables or disables client side sorting. When enabled, sort action on a
+   * sortable header cell reorders the row elements by that column. Ignored with
+   * virtual scroll.
+   *
+   * @param useClientSort True to sort rows on sort action.
    */
-  hideProgress() {
-    this.adapter.removeClass(cssClasses.IN_PROGRESS);
+  setUseClientSort(useClientSort: boolean) {
+    this.useClientSort = useClientSort;
   }
 
   /**
-   * Updates header row checkbox state based on number of rows selected.
+   * Registers comparator used by client side sorting for given column. Takes
+   * precedence over the comparator inferred from the column's sort type.
+   *
+   * @param columnId Column id set on header cell using `data-column-id`.
+   * @param comparator Compares two cell values in ascending order.
    */
-  private setHeaderRowCheckboxState() {
-    if (this.adapter.getSelectedRowCount() === 0) {
-      this.adapter.setHeaderRowCheckboxChecked(false);
-      this.adapter.setHeaderRowCheckboxIndeterminate(false);
-    } else if (
-        this.adapter.getSelectedRowCount() === this.adapter.getRowCount()) {
-      this.adapter.setHeaderRowCheckboxChecked(true);
-      this.adapter.setHeaderRowCheckboxIndeterminate(false);
-    } else {
-      this.adapter.setHeaderRowCheckboxIndeterminate(true);
-      this.adapter.setHeaderRowCheckboxChecked(false);
+  registerSortComparator(columnId: string, comparator: SortComparator) {
+    this.sortComparators[columnId] = comparator;
+  }
+
+  /**
+   * Enables or disables client side pagination. When enabled, only the rows of
+   * current page are shown and total row count is the number of rows in the
+   * table. Otherwise, rows of current page are expected to be rendered by
+   * consumer on pagination changed event. Ignored with virtual scroll.
+   *
+   * @param useClientPagination True to show only the rows of current page.
+   */
+  setUseClientPagination(useClientPagination: boolean) {
+    this.useClientPagination = useClientPagination;
+
+    if (!useClientPagination) {
+      for (let rowIndex = 0; rowIndex < this.adapter.getRowCount();
+           rowIndex++) {
+        this.adapter.removeClassAtRowIndex(rowIndex, cssClasses.ROW_HIDDEN);
+      }
+    }
+
+    this.updatePagination();
+  }
+
+  /**
+   * @return Zero based index of current page.
+   */
+  getPageIndex(): number {
+    return this.pageIndex;
+  }
+
+  /**
+   * Navigates to given page. Does not notify pagination changed event.
+   *
+   * @param pageIndex Zero based index of page, clamped to available pages.
+   */
+  setPageIndex(pageIndex: number) {
+    this.pageIndex = this.clampPageIndex(pageIndex);
+    this.updatePagination();
+  }
+
+  /**
+   * @return Number of rows per page.
+   */
+  getPageSize(): number {
+    return this.pageSize;
+  }
+
+  /**
+   * Sets number of rows per page. Navigates to the page containing first row of
+   * current page. Does not notify pagination changed event.
+   *
+   * @param pageSize Number of rows per page.
+   */
+  setPageSize(pageSize: number) {
+    if (!(pageSize > 0)) {
+      return;
+    }
+
+    const firstRowIndex = this.pageIndex * this.pageSize;
+    this.pageSize = pageSize;
+    this.pageIndex = this.clampPageIndex(Math.floor(firstRowIndex / pageSize));
+    this.adapter.setRowsPerPageSelectValue(pageSize);
+    this.updatePagination();
+  }
+
+  /**
+   * @return Number of pages, at least one.
+   */
+  getPageCount(): number {
+    return Math.max(1, Math.ceil(this.getTotalRowCount() / this.pageSize));
+  }
+
+  /**
+   * @return Total row count across all pages.
+   */
+  getTotalRowCount(): number {
+    if (this.isClientPagination() || this.totalRowCount === null) {
+      return this.isVirtualScroll() ? this.adapter.getVirtualRowCount() :
+                                      this.adapter.getRowCount();
+    }
+
+    return this.totalRowCount;
+  }
+
+  /**
+   * Sets total row count across all pages when paginating on server side.
+   * Ignored when client side pagination is enabled.
+   *
+   * @param totalRowCount Total row count across all pages.
+   */
+  setTotalRowCount(totalRowCount: number) {
+    this.totalRowCount = totalRowCount;
+    this.updatePagination();
+  }
+
+  /**
+   * Handles click event on pagination buttons.
+   *
+   * @param action Navigation action of clicked pagination button.
+   */
+  handlePaginationAction(action: PaginationAction) {
+    switch (action) {
+      case PaginationAction.FIRST_PAGE:
+        this.changePage(0);
+        break;
+      case PaginationAction.PREV_PAGE:
+        this.changePage(this.pageIndex - 1);
+        break;
+      case PaginationAction.NEXT_PAGE:
+        this.changePage(this.pageIndex + 1);
+        break;
+      case PaginationAction.LAST_PAGE:
+        this.changePage(this.getPageCount() - 1);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Handles change event of rows per page select.
+   *
+   * @param pageSize Selected number of rows per page.
+   */
+  handleRowsPerPageChange(pageSize: number) {
+    if (!(pageSize > 0) || pageSize === this.pageSize) {
+      return;
+    }
+
+    this.setPageSize(pageSize);
+    this.notifyPaginationChanged();
+  }
+
+  /**
+   * Enables virtual scroll. Only the rows visible in table container are
+   * rendered, row elements are recycled on scroll. Selection of rows that are
+   * not rendered is retained by row id.
+   *
+   * @param rowHeight Fixed height of each row in pixels.
+   */
+  enableVirtualScroll(rowHeight: number) {
+    if (!(rowHeight > 0)) {
+      return;
+    }
+
+    this.virtualRowHeight = rowHeight;
+    this.selectedVirtualRowIds.clear();
+    this.rangeSelectionAnchorIndex = -1;
+    this.updateVirtualRows(/** forceUpdate */ true);
+
+    if (this.adapter.isRowsSelectable()) {
+      this.setHeaderRowCheckboxState();
     }
   }
 
+  /**
+   * Handles scroll event of table container. Renders rows visible after
+   * scroll when virtual scroll is enabled.
+   */
+  handleTableContainerScroll() {
+    this.updateVirtualRows(/** forceUpdate */ false);
+  }
+
+  /**
+   * Handles pointer down event on column resize handle. Starts resizing the
+   * column until `handleColumnResizeEnd()` is called.
+   *
+   * @param columnIndex Index of header cell containing the resize handle.
+   * @param clientX Horizontal coordinate of pointer.
+   */
+  handleColumnResizeStart(columnIndex: number, clientX: number) {
+    this.resizingColumnIndex = columnIndex;
+    this.resizeStartX = clientX;
+    this.resizeStartWidth = this.adapter.getHeaderCellWidth(columnIndex);
+    this.resizeWidth = this.resizeStartWidth;
+    this.adapter.addClass(cssClasses.COLUMN_RESIZING);
+  }
+
+  /**
+   * Handles pointer move event while resizing a column.
+   *
+   * @param clientX Horizontal coordinate of pointer.
+   */
+  handleColumnResizeMove(clientX: number) {
+    if (this.resizingColumnIndex === -1) {
+      return;
+    }
+
+    // Column grows towards the end of row, i.e., to the left in RTL.
+    const direction = this.adapter.isRTL() ? -1 : 1;
+    const delta = (clientX - this.resizeStartX) * direction;
+    this.resizeWidth = this.resizeColumn(
+        this.resizingColumnIndex, this.resizeStartWidth + delta);
+  }
+
+  /**
+   * Handles pointer up event while resizing a column. Notifies column resized
+   * event if width of column is changed.
+   */
+  handleColumnResizeEnd() {
+    if (this.resizingColumnIndex === -1) {
+      return;
+    }
+
+    const columnIndex = this.resizingColumnIndex;
+    this.resizingColumnIndex = -1;
+    this.adapter.removeClass(cssClasses.COLUMN_RESIZING);
+
+    if (this.resizeWidth !== this.resizeStartWidth) {
+      this.notifyColumnResized(columnIndex, this.resizeWidth);
+    }
+  }
+
+  /**
+   * Handles keydown event on column resize handle. Arrow keys shrink or grow
+   * the column.
+   *
+   * @param columnIndex Index of header cell containing the resize handle.
+   */
+  handleColumnResizeKeydown(event: KeyboardEvent, columnIndex: number) {
+    const key = normalizeKey(event);
+    const step = numbers.COLUMN_RESIZE_STEP * (this.adapter.isRTL() ? -1 : 1);
+    let delta = 0;
+    if (key === KEY.ARROW_LEFT) {
+      delta = -step;
+    } else if (key === KEY.ARROW_RIGHT) {
+      delta = step;
+    } else {
+      return;
+    }
+
+    event.preventDefault();
+    const prevWidth = this.adapter.getHeaderCellWidth(columnIndex);
+    const width = this.resizeColumn(columnIndex, prevWidth + delta);
+    if (width !== prevWidth) {
+      this.notifyColumnResized(columnIndex, width);
+    }
+  }
+
+  /**
+   * Sets width of column, i.e., to restore persisted column widths. Width is
+   * clamped to minimum width of column. Does not notify column resized event.
+   *
+   * @param columnId Column id set on header cell using `data-column-id`.
+   * @param width Width of column in pixels.
+   */
+  setColumnWidth(columnId: string, width: number) {
+    const columnIndex = this.getColumnIndexById(columnId);
+    if (columnIndex !== -1) {
+      this.resizeColumn(columnIndex, width);
+    }
+  }
+
+  /**
+   * @return Number of columns pinned to the start edge of table container,
+   *     excluding row checkbox column.
+   */
+  getStickyColumnCount(): number {
+    return this.stickyColumnCount;
+  }
+
+  /**
+   * Pins first columns to the start edge of table container on horizontal
+   * scroll. Row checkbox column is pinned in addition to given number of
+   * columns. Set to `0` to unpin columns.
+   */
+  setStickyColumnCount(count: number) {
+    this.stickyColumnCount = Math.max(0, count);
+    this.updateStickyColumns();
+  }
+
+  /**
+   * Handles drag start event of header cell.
+   *
+   * @param columnIndex Index of dragged header cell.
+   */
+  handleColumnDragStart(columnIndex: number) {
+    this.draggingColumnIndex = columnIndex;
+    this.adapter.setClassNameByHeaderCellIndex(
+        columnIndex, cssClasses.HEADER_CELL_DRAGGING);
+  }
+
+  /**
+   * Handles drag over event of header cell. Allows dropping dragged header
+   * cell and highlights the target header cell.
+   *
+   * @param columnIndex Index of header cell under the pointer.
+   */
+  handleColumnDragOver(event: Event, columnIndex: number) {
+    if (this.draggingColumnIndex === -1) {
+      return;
+    }
+
+    event.preventDefault();
+    if (columnIndex === this.dropTargetColumnIndex) {
+      return;
+    }
+
+    this.clearDropTarget();
+    if (columnIndex !== this.draggingColumnIndex) {
+      this.dropTargetColumnIndex = columnIndex;
+      this.adapter.setClassNameByHeaderCellIndex(
+          columnIndex, cssClasses.HEADER_CELL_DROP_TARGET);
+    }
+  }
+
+  /**
+   * Handles drop event of header cell. Moves dragged column to the index of
+   * target header cell and notifies column reordered event.
+   *
+   * @param columnIndex Index of header cell the dragged header cell is dropped
+   *     on.
+   */
+  handleColumnDrop(event: Event, columnIndex: number) {
+    const fromIndex = this.draggingColumnIndex;
+    if (fromIndex === -1) {
+      return;
+    }
+
+    event.preventDefault();
+    this.handleColumnDragEnd();
+    if (fromIndex === columnIndex) {
+      return;
+    }
+
+    this.moveColumn(fromIndex, columnIndex);
+    this.updateStickyColumns();
+    this.adapter.notifyColumnReordered({
+      columnIds: this.getColumnOrder(),
+      fromIndex,
+      toIndex: columnIndex,
+    });
+  }
+
+  /**
+   * Handles drag end event of header cell, i.e., when drag is cancelled.
+   */
+  handleColumnDragEnd() {
+    if (this.draggingColumnIndex === -1) {
+      return;
+    }
+
+    this.adapter.removeClassNameByHeaderCellIndex(
+        this.draggingColumnIndex, cssClasses.HEADER_CELL_DRAGGING);
+    this.clearDropTarget();
+    this.draggingColumnIndex = -1;
+  }
+
+  /**
+   * @return Column ids of header cells in current order, `null` for header
+   *     cells without `data-column-id`.
+   */
+  getColumnOrder(): Array<string|null> {
+    const columnIds = [];
+    for (let index = 0; index < this.adapter.getHeaderCellCount(); index++) {
+      columnIds.push(this.adapter.getAttributeByHeaderCellIndex(
+          index, dataAttributes.COLUMN_ID));
+    }
+
+    return columnIds;
+  }
+
+  /**
+   * Reorders columns, i.e., to restore persisted column order. Columns of
+   * given ids take the positions occupied by them in given order, other
+   * columns such as row checkbox column keep their positions. Does not notify
+   * column reordered event.
+   *
+   * @param columnIds Column ids set on header cells using `data-column-id`.
+   */
+  setColumnOrder(columnIds: string[]) {
+    const positions: number[] = [];
+    this.getColumnOrder().forEach((columnId, index) => {
+      if (columnId !== null && columnIds.indexOf(columnId) !== -1) {
+        positions.push(index);
+      }
+    });
+
+    let position = 0;
+    for (const columnId of columnIds) {
+      const columnIndex = this.getColumnIndexById(columnId);
+      if (columnIndex === -1 || position >= positions.length) {
+        continue;
+      }
+
+      const targetIndex = positions[position++];
+      if (columnIndex !== targetIndex) {
+        // Swaps the columns to keep other columns in place.
+        this.moveColumn(columnIndex, targetIndex);
+        this.moveColumn(targetIndex + 1, columnIndex);
+      }
+    }
+
+    this.updateStickyColumns();
+  }
+
+  /**
+   * Shows progress indicator blocking only the table body content when in
+   * loading state.
+   */
+  showProgress() {
+    const tableHeaderHeight = this.adapter.getTableHeaderHeight();
+    // Calculate the height of table content (Not scroll content) excluding
+    // header row height.
+    const height = this.adapter.getTableContainerHeight() - tableHeaderHeight;
+    const top = tableHeaderHeight;
+
+    this.adapter.setProgressIndicatorStyles({
+      height: `${height}px`,
+      top: `${top}px`,
+    });
+    this.adapter.addClass(cssClasses.IN_PROGRESS);
+  }
+
+  /**
+   * Hides progress indicator when data table is finished loading.
+   */
+  hideProgress() {
+    this.adapter.removeClass(cssClasses.IN_PROGRESS);
+  }
+
+  /**
+   * Opens cell editor of given cell if editable. Cancels the edit in progress
+   * if any.
+   *
+   * @return True if cell editor is opened.
+   */
+  private startCellEdit(rowIndex: number, columnIndex: number): boolean {
+    if (rowIndex === this.editingRowIndex &&
+        columnIndex === this.editingColumnIndex) {
+      return true;
+    }
+
+    if (!this.adapter.isCellEditableAtIndex(rowIndex, columnIndex)) {
+      return false;
+    }
+
+    this.cancelCellEdit(/** restoreFocus */ false);
+    const value = this.adapter.getCellValueAtIndex(rowIndex, columnIndex);
+    this.adapter.openCellEditorAtIndex(rowIndex, columnIndex, value);
+    // Editing state is set after opening the editor so that change event
+    // emitted while setting editor value is ignored.
+    this.editingRowIndex = rowIndex;
+    this.editingColumnIndex = columnIndex;
+    this.editingValue = value;
+    return true;
+  }
+
+  /**
+   * Validates and commits value of open cell editor, and notifies if value is
+   * changed. Keeps the editor open if validator rejects the edit.
+   *
+   * @param step `1` or `-1` to start editing next or previous editable cell,
+   *     `0` to stop editing.
+   * @param restoreFocus True to focus the edited cell when editing is stopped.
+   */
+  private commitCellEdit(step: number, restoreFocus = true) {
+    const rowIndex = this.editingRowIndex;
+    const columnIndex = this.editingColumnIndex;
+    const oldValue = this.editingValue;
+    const newValue = this.adapter.getCellEditorValue();
+    const detail: CellEditedEventDetail = {
+      columnId: this.adapter.getAttributeByHeaderCellIndex(
+          columnIndex, dataAttributes.COLUMN_ID),
+      columnIndex,
+      newValue,
+      oldValue,
+      rowId: this.adapter.getRowIdAtIndex(rowIndex),
+      rowIndex: this.isVirtualScroll() ? this.virtualStartIndex + rowIndex :
+                                         rowIndex,
+    };
+    const isChanged = newValue !== oldValue;
+
+    if (isChanged && this.cellEditValidator &&
+        !this.cellEditValidator(detail)) {
+      this.adapter.setCellEditorValid(false);
+      return;
+    }
+
+    this.closeCellEditor();
+    if (isChanged) {
+      this.adapter.setCellValueAtIndex(rowIndex, columnIndex, newValue);
+      this.adapter.notifyCellEdited(detail);
+    }
+
+    const nextCell =
+        step ? this.getNextEditableCell(rowIndex, columnIndex, step) : null;
+    if (nextCell) {
+      this.startCellEdit(nextCell.rowIndex, nextCell.columnIndex);
+    } else if (restoreFocus) {
+      this.adapter.focusCellAtIndex(rowIndex, columnIndex);
+    }
+  }
+
+  private cancelCellEdit(restoreFocus: boolean) {
+    const rowIndex = this.editingRowIndex;
+    const columnIndex = this.editingColumnIndex;
+    if (rowIndex === -1) {
+      return;
+    }
+
+    this.closeCellEditor();
+    if (restoreFocus) {
+      this.adapter.focusCellAtIndex(rowIndex, columnIndex);
+    }
+  }
+
+  private closeCellEditor() {
+    this.editingRowIndex = -1;
+    this.editingColumnIndex = -1;
+    this.editingValue = '';
+    this.adapter.setCellEditorValid(true);
+    this.adapter.closeCellEditor();
+  }
+
+  /**
+   * @return Next editable cell in reading order within the rows that can be
+   *     focused, previous one if `step` is negative.
+   */
+  private getNextEditableCell(
+      rowIndex: number, columnIndex: number,
+      step: number): {rowIndex: number, columnIndex: number}|null {
+    const {firstRowIndex, lastRowIndex} = this.getNavigableRowRange();
+    const columnCount = this.adapter.getHeaderCellCount();
+    const firstCellIndex = firstRowIndex * columnCount;
+    const lastCellIndex = (lastRowIndex + 1) * columnCount - 1;
+
+    for (let cellIndex = rowIndex * columnCount + columnIndex + step;
+         cellIndex >= firstCellIndex && cellIndex <= lastCellIndex;
+         cellIndex += step) {
+      const nextRowIndex = Math.floor(cellIndex / columnCount);
+      const nextColumnIndex = cellIndex % columnCount;
+      if (this.adapter.isCellEditableAtIndex(nextRowIndex, nextColumnIndex)) {
+        return {rowIndex: nextRowIndex, columnIndex: nextColumnIndex};
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Updates header row checkbox state based on number of rows selected, and
+   * group header row checkboxes based on number of rows selected in each group.
+   * Group header rows are not rows, header row checkbox only counts rows of
+   * all groups.
+   */
+  private setHeaderRowCheckboxState() {
+    this.setGroupCheckboxesState();
+
+    // Rows may have been removed from data source since they were selected.
+    const selectedRowCount = this.isVirtualScroll() ?
+        this.getSelectedRowIds().length :
+        this.adapter.getSelectedRowCount();
+    const rowCount = this.isVirtualScroll() ?
+        this.adapter.getVirtualRowCount() :
+        this.adapter.getRowCount();
+
+    if (selectedRowCount === 0) {
+      this.adapter.setHeaderRowCheckboxChecked(false);
+      this.adapter.setHeaderRowCheckboxIndeterminate(false);
+    } else if (selectedRowCount === rowCount) {
+      this.adapter.setHeaderRowCheckboxChecked(true);
+      this.adapter.setHeaderRowCheckboxIndeterminate(false);
+    } else {
+      this.adapter.setHeaderRowCheckboxIndeterminate(true);
+      this.adapter.setHeaderRowCheckboxChecked(false);
+    }
+  }
+
+  /**
+   * Updates checkbox state of each group header row based on number of rows
+   * selected in the group.
+   */
+  private setGroupCheckboxesState() {
+    const groupIds = this.adapter.getGroupIds();
+    if (!groupIds.length || this.isVirtualScroll()) {
+      return;
+    }
+
+    const rowIndexesByGroupId = this.getRowIndexesByGroupId();
+    for (const groupId of groupIds) {
+      const rowIndexes = rowIndexesByGroupId[groupId] || [];
+      const selectedRowCount =
+          rowIndexes
+              .filter(
+                  (rowIndex) =>
+                      this.adapter.isCheckboxAtRowIndexChecked(rowIndex))
+              .length;
+      const checked =
+          rowIndexes.length > 0 && selectedRowCount === rowIndexes.length;
+
+      this.adapter.setGroupCheckboxChecked(groupId, checked);
+      this.adapter.setGroupCheckboxIndeterminate(
+          groupId, selectedRowCount > 0 && !checked);
+    }
+  }
+
+  /**
+   * Collapses rows of collapsed groups and updates aggregated row count of
+   * each group header row.
+   */
+  private updateGroups() {
+    const groupIds = this.adapter.getGroupIds();
+    if (!groupIds.length) {
+      return;
+    }
+
+    const rowIndexesByGroupId = this.getRowIndexesByGroupId();
+    for (const groupId of groupIds) {
+      const rowIndexes = rowIndexesByGroupId[groupId] || [];
+      this.collapseGroupRows(
+          rowIndexes, !this.adapter.isGroupExpanded(groupId));
+      this.adapter.setGroupRowCount(groupId, rowIndexes.length);
+    }
+  }
+
+  private collapseGroupRows(rowIndexes: number[], collapsed: boolean) {
+    for (const rowIndex of rowIndexes) {
+      if (collapsed) {
+        this.adapter.addClassAtRowIndex(rowIndex, cssClasses.ROW_COLLAPSED);
+      } else {
+        this.adapter.removeClassAtRowIndex(rowIndex, cssClasses.ROW_COLLAPSED);
+      }
+    }
+  }
+
+  /**
+   * @return Map of group ids to indexes of rows belonging to the group.
+   */
+  private getRowIndexesByGroupId(): {[groupId: string]: number[]} {
+    const rowIndexesByGroupId: {[groupId: string]: number[]} = {};
+    for (let rowIndex = 0; rowIndex < this.adapter.getRowCount(); rowIndex++) {
+      const groupId = this.adapter.getGroupIdAtRowIndex(rowIndex);
+      if (groupId === null) {
+        continue;
+      }
+
+      rowIndexesByGroupId[groupId] = rowIndexesByGroupId[groupId] || [];
+      rowIndexesByGroupId[groupId].push(rowIndex);
+    }
+
+    return rowIndexesByGroupId;
+  }
+
+  /**
+   * Selects or unselects all rows and notifies.
+   */
+  private setAllRowsSelected(selected: boolean) {
+    if (this.isVirtualScroll()) {
+      this.selectedVirtualRowIds.clear();
+      if (selected) {
+        for (const rowId of this.getVirtualRowIds()) {
+          this.selectedVirtualRowIds.add(rowId);
+        }
+      }
+    }
+
+    for (let rowIndex = 0; rowIndex < this.adapter.getRowCount(); rowIndex++) {
+      this.adapter.setRowCheckboxCheckedAtIndex(rowIndex, selected);
+      this.selectRowAtIndex(rowIndex, selected);
+    }
+
+    this.setGroupCheckboxesState();
+
+    if (selected) {
+      this.adapter.notifySelectedAll();
+    } else {
+      this.adapter.notifyUnselectedAll();
+    }
+  }
+
+  private selectAllRows() {
+    this.adapter.setHeaderRowCheckboxChecked(true);
+    this.adapter.setHeaderRowCheckboxIndeterminate(false);
+    this.setAllRowsSelected(true);
+  }
+
+  /**
+   * Sets selection state of row at given index whose row checkbox is already
+   * in that state, and notifies. Applies the same state to rows between range
+   * selection anchor and the row if `isRangeSelection` is true, otherwise the
+   * row becomes the range selection anchor.
+   */
+  private setRowSelection(
+      rowIndex: number, selected: boolean, isRangeSelection: boolean) {
+    const rowId = this.adapter.getRowIdAtIndex(rowIndex);
+    const dataRowIndex = this.isVirtualScroll() ?
+        this.virtualStartIndex + rowIndex :
+        rowIndex;
+
+    if (this.isVirtualScroll() && rowId !== null) {
+      if (selected) {
+        this.selectedVirtualRowIds.add(rowId);
+      } else {
+        this.selectedVirtualRowIds.delete(rowId);
+      }
+    }
+
+    this.selectRowAtIndex(rowIndex, selected);
+    this.adapter.notifyRowSelectionChanged(
+        {rowId, rowIndex: dataRowIndex, selected});
+
+    if (isRangeSelection && this.rangeSelectionAnchorIndex !== -1) {
+      const rowCount = this.isVirtualScroll() ?
+          this.adapter.getVirtualRowCount() :
+          this.adapter.getRowCount();
+      const startIndex = Math.min(this.rangeSelectionAnchorIndex, dataRowIndex);
+      const endIndex = Math.min(
+          Math.max(this.rangeSelectionAnchorIndex, dataRowIndex), rowCount - 1);
+      for (let index = startIndex; index <= endIndex; index++) {
+        if (index !== dataRowIndex) {
+          this.updateRowSelection(index, selected);
+        }
+      }
+    } else {
+      this.rangeSelectionAnchorIndex = dataRowIndex;
+    }
+
+    this.setHeaderRowCheckboxState();
+  }
+
+  /**
+   * Selects or unselects row at given index and notifies if its selection
+   * state is changed. Index is the index in virtual scroll data source when
+   * virtual scroll is enabled, the row may not be rendered.
+   */
+  private updateRowSelection(rowIndex: number, selected: boolean) {
+    let rowId: string|null;
+    let renderedRowIndex = rowIndex;
+    let wasSelected: boolean;
+
+    if (this.isVirtualScroll()) {
+      rowId = this.adapter.getVirtualRowIdAtIndex(rowIndex);
+      renderedRowIndex = rowIndex - this.virtualStartIndex;
+      wasSelected = this.selectedVirtualRowIds.has(rowId);
+      if (selected) {
+        this.selectedVirtualRowIds.add(rowId);
+      } else {
+        this.selectedVirtualRowIds.delete(rowId);
+      }
+    } else {
+      rowId = this.adapter.getRowIdAtIndex(rowIndex);
+      wasSelected = this.adapter.isCheckboxAtRowIndexChecked(rowIndex);
+    }
+
+    if (wasSelected === selected) {
+      return;
+    }
+
+    if (renderedRowIndex >= 0 &&
+        renderedRowIndex < this.adapter.getRowCount()) {
+      this.adapter.setRowCheckboxCheckedAtIndex(renderedRowIndex, selected);
+      this.selectRowAtIndex(renderedRowIndex, selected);
+    }
+
+    this.adapter.notifyRowSelectionChanged({rowId, rowIndex, selected});
+  }
+
+  /**
+   * Toggles selection of the row containing focused cell unless the focused
+   * cell is row checkbox cell, which handles Space key natively.
+   */
+  private handleSpaceKey(event: KeyboardEvent) {
+    const rowIndex = this.focusedRowIndex;
+    if (rowIndex === -1 || !this.adapter.isRowsSelectable() ||
+        this.adapter.isCheckboxCellAtIndex(
+            rowIndex, this.focusedColumnIndex)) {
+      return;
+    }
+
+    event.preventDefault();
+    const selected = !this.adapter.isCheckboxAtRowIndexChecked(rowIndex);
+    this.adapter.setRowCheckboxCheckedAtIndex(rowIndex, selected);
+    this.setRowSelection(rowIndex, selected, event.shiftKey);
+  }
+
+  /**
+   * Copies selected rows as TSV with header cell labels so that they can be
+   * pasted into spreadsheets. Native copy is kept when user has selected text.
+   */
+  private copySelectedRows(event: KeyboardEvent) {
+    if (!this.adapter.isRowsSelectable() || this.adapter.hasTextSelection() ||
+        this.getSelectedRowIds().length === 0) {
+      return;
+    }
+
+    event.preventDefault();
+    this.adapter.copyToClipboard(this.exportRows({
+      format: ExportFormat.TSV,
+      scope: ExportScope.SELECTED,
+    }));
+  }
+
+  /**
+   * @return Indexes of rows to be serialized by `exportRows()`. Indexes of rows
+   *     in data source when virtual scroll is enabled.
+   */
+  private getExportRowIndexes(scope: ExportScope): number[] {
+    const rowIndexes: number[] = [];
+    if (this.isVirtualScroll()) {
+      this.getVirtualRowIds().forEach((rowId, rowIndex) => {
+        if (scope !== ExportScope.SELECTED ||
+            this.selectedVirtualRowIds.has(rowId)) {
+          rowIndexes.push(rowIndex);
+        }
+      });
+      return rowIndexes;
+    }
+
+    let firstRowIndex = 0;
+    let lastRowIndex = this.adapter.getRowCount() - 1;
+    if (scope === ExportScope.PAGE) {
+      ({firstRowIndex, lastRowIndex} = this.getNavigableRowRange());
+    }
+
+    for (let rowIndex = firstRowIndex; rowIndex <= lastRowIndex; rowIndex++) {
+      if (scope !== ExportScope.SELECTED || this.isRowSelected(rowIndex)) {
+        rowIndexes.push(rowIndex);
+      }
+    }
+
+    return rowIndexes;
+  }
+
+  /**
+   * @return True if row element at given index is selected.
+   */
+  private isRowSelected(rowIndex: number): boolean {
+    if (!this.adapter.isRowsSelectable()) {
+      return false;
+    }
+
+    return this.adapter.isCheckboxAtRowIndexChecked(rowIndex);
+  }
+
+  /**
+   * @return Index range of rows that can be focused, i.e., rows of current page
+   *     when client side pagination is enabled.
+   */
+  private getNavigableRowRange():
+      {firstRowIndex: number, lastRowIndex: number} {
+    const rowCount = this.adapter.getRowCount();
+    if (!this.isClientPagination()) {
+      return {firstRowIndex: 0, lastRowIndex: rowCount - 1};
+    }
+
+    const firstRowIndex = this.pageIndex * this.pageSize;
+    return {
+      firstRowIndex,
+      lastRowIndex: Math.min(firstRowIndex + this.pageSize, rowCount) - 1,
+    };
+  }
+
+  /**
+   * Keeps focusable cell within the rows that can be focused when grid
+   * navigation is enabled, i.e., when rows are removed or page is changed.
+   */
+  private updateFocusableCell() {
+    if (!this.useGridNavigation) {
+      return;
+    }
+
+    const {firstRowIndex, lastRowIndex} = this.getNavigableRowRange();
+    if (this.focusedRowIndex < firstRowIndex ||
+        this.focusedRowIndex > lastRowIndex) {
+      this.focusedRowIndex = -1;
+    }
+    this.focusedColumnIndex = Math.max(
+        0,
+        Math.min(
+            this.focusedColumnIndex, this.adapter.getHeaderCellCount() - 1));
+    this.adapter.setFocusableCellAtIndex(
+        this.focusedRowIndex, this.focusedColumnIndex);
+  }
+
+  /**
+   * Sets width of column clamped to its minimum width set on header cell using
+   * `data-min-width`, otherwise `numbers.MIN_COLUMN_WIDTH`.
+   *
+   * @return Width of column after resize.
+   */
+  private resizeColumn(columnIndex: number, width: number): number {
+    const minWidthAttr = this.adapter.getAttributeByHeaderCellIndex(
+        columnIndex, dataAttributes.MIN_WIDTH);
+    const minWidth =
+        minWidthAttr ? Number(minWidthAttr) : numbers.MIN_COLUMN_WIDTH;
+    const clampedWidth = Math.round(Math.max(width, minWidth));
+
+    this.adapter.setColumnWidth(columnIndex, clampedWidth);
+    this.updateStickyColumns();
+    return clampedWidth;
+  }
+
+  /**
+   * Sets offsets of sticky columns from the start edge based on widths of
+   * preceding sticky columns, and resets other columns. Cells moved by column
+   * reordering or rendered by virtual scroll are updated as well.
+   */
+  private updateStickyColumns() {
+    if (this.stickyColumnCount === 0 && !this.hasStickyColumns) {
+      return;
+    }
+
+    const columnCount = this.adapter.getHeaderCellCount();
+    let stickyCount = this.stickyColumnCount;
+    if (stickyCount > 0 && columnCount > 0 &&
+        this.adapter.isCheckboxCellAtIndex(-1, 0)) {
+      stickyCount++;
+    }
+
+    let offset = 0;
+    for (let columnIndex = 0; columnIndex < columnCount; columnIndex++) {
+      if (columnIndex < stickyCount) {
+        this.adapter.setColumnStickyOffset(columnIndex, offset);
+        offset += this.adapter.getHeaderCellWidth(columnIndex);
+      } else {
+        this.adapter.setColumnStickyOffset(columnIndex, null);
+      }
+    }
+
+    this.hasStickyColumns = stickyCount > 0;
+  }
+
+  private notifyColumnResized(columnIndex: number, width: number) {
+    this.adapter.notifyColumnResized({
+      columnId: this.adapter.getAttributeByHeaderCellIndex(
+          columnIndex, dataAttributes.COLUMN_ID),
+      columnIndex,
+      width,
+    });
+  }
+
+  private clearDropTarget() {
+    if (this.dropTargetColumnIndex === -1) {
+      return;
+    }
+
+    this.adapter.removeClassNameByHeaderCellIndex(
+        this.dropTargetColumnIndex, cssClasses.HEADER_CELL_DROP_TARGET);
+    this.dropTargetColumnIndex = -1;
+  }
+
+  /**
+   * @return Index of header cell with given column id, `-1` if not found.
+   */
+  private getColumnIndexById(columnId: string): number {
+    return this.getColumnOrder().indexOf(columnId);
+  }
+
+  private isVirtualScroll(): boolean {
+    return this.virtualRowHeight > 0;
+  }
+
+  /**
+   * @return True if rows are sorted on sort action. Ignored with virtual
+   *     scroll, since only the rendered rows are known to the data table.
+   */
+  private isClientSort(): boolean {
+    return this.useClientSort && !this.isVirtualScroll();
+  }
+
+  /**
+   * @return True if only the rows of current page are shown. Ignored with
+   *     virtual scroll, since only the rendered rows are known to the data
+   *     table.
+   */
+  private isClientPagination(): boolean {
+    return this.useClientPagination && !this.isVirtualScroll();
+  }
+
+  /**
+   * @return Row ids of all rows in data source when virtual scroll is enabled.
+   */
+  private getVirtualRowIds(): string[] {
+    const rowIds: string[] = [];
+    const rowCount = this.adapter.getVirtualRowCount();
+    for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+      rowIds.push(this.adapter.getVirtualRowIdAtIndex(rowIndex));
+    }
+
+    return rowIds;
+  }
+
+  /**
+   * Renders rows visible in table container when virtual scroll is enabled.
+   * Skips rendering if the visible range of rows has not changed unless
+   * `forceUpdate` is true.
+   */
+  private updateVirtualRows(forceUpdate: boolean) {
+    if (!this.isVirtualScroll()) {
+      return;
+    }
+
+    const rowHeight = this.virtualRowHeight;
+    const rowCount = this.adapter.getVirtualRowCount();
+    const scrollTop = this.adapter.getTableContainerScrollTop();
+    const viewportHeight = this.adapter.getTableContainerHeight();
+    const overscan = numbers.VIRTUAL_SCROLL_OVERSCAN_ROW_COUNT;
+    const startIndex = Math.min(
+        rowCount, Math.max(0, Math.floor(scrollTop / rowHeight) - overscan));
+    const endIndex = Math.min(
+        rowCount,
+        Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+
+    if (!forceUpdate && startIndex === this.virtualStartIndex &&
+        endIndex === this.virtualEndIndex) {
+      return;
+    }
+
+    this.cancelCellEdit(/** restoreFocus */ false);
+    this.virtualStartIndex = startIndex;
+    this.virtualEndIndex = endIndex;
+    this.adapter.renderVirtualRows(startIndex, endIndex, forceUpdate);
+    this.adapter.setVirtualSpacerHeights(
+        startIndex * rowHeight, (rowCount - endIndex) * rowHeight);
+    this.syncVirtualRowsSelection();
+    this.updateStickyColumns();
+    this.updateFocusableCell();
+  }
+
+  /**
+   * Sets selection state of rendered rows based on selected row ids.
+   */
+  private syncVirtualRowsSelection() {
+    const isRowsSelectable = this.adapter.isRowsSelectable();
+    const rowCount = this.adapter.getRowCount();
+    for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+      const rowId = this.adapter.getRowIdAtIndex(rowIndex);
+      const selected =
+          rowId !== null && this.selectedVirtualRowIds.has(rowId);
+
+      if (isRowsSelectable) {
+        this.adapter.setRowCheckboxCheckedAtIndex(rowIndex, selected);
+      }
+      this.selectRowAtIndex(rowIndex, selected);
+    }
+  }
+
+  /**
+   * Navigates to given page and notifies if page index is changed.
+   */
+  private changePage(pageIndex: number) {
+    const clampedPageIndex = this.clampPageIndex(pageIndex);
+    if (clampedPageIndex === this.pageIndex) {
+      return;
+    }
+
+    this.cancelCellEdit(/** restoreFocus */ false);
+    this.pageIndex = clampedPageIndex;
+    this.updatePagination();
+    this.notifyPaginationChanged();
+  }
+
+  private clampPageIndex(pageIndex: number): number {
+    return Math.min(Math.max(0, pageIndex), this.getPageCount() - 1);
+  }
+
+  private notifyPaginationChanged() {
+    this.adapter.notifyPaginationChanged({
+      firstRowIndex: this.pageIndex * this.pageSize,
+      pageIndex: this.pageIndex,
+      pageSize: this.pageSize,
+    });
+  }
+
+  /**
+   * Updates pagination total label and buttons based on current page. Hides
+   * rows outside of current page when client side pagination is enabled.
+   */
+  private updatePagination() {
+    this.pageIndex = this.clampPageIndex(this.pageIndex);
+    const totalRowCount = this.getTotalRowCount();
+    const firstRowIndex = this.pageIndex * this.pageSize;
+    const lastRowIndex =
+        Math.min(firstRowIndex + this.pageSize, totalRowCount) - 1;
+    const isFirstPage = this.pageIndex === 0;
+    const isLastPage = this.pageIndex >= this.getPageCount() - 1;
+
+    this.adapter.setPaginationTotalLabel(
+        totalRowCount ? firstRowIndex + 1 : 0, lastRowIndex + 1,
+        totalRowCount);
+    this.adapter.setPaginationButtonDisabled(
+        PaginationAction.FIRST_PAGE, isFirstPage);
+    this.adapter.setPaginationButtonDisabled(
+        PaginationAction.PREV_PAGE, isFirstPage);
+    this.adapter.setPaginationButtonDisabled(
+        PaginationAction.NEXT_PAGE, isLastPage);
+    this.adapter.setPaginationButtonDisabled(
+        PaginationAction.LAST_PAGE, isLastPage);
+
+    if (this.isClientPagination()) {
+      for (let rowIndex = 0; rowIndex < totalRowCount; rowIndex++) {
+        if (rowIndex >= firstRowIndex && rowIndex <= lastRowIndex) {
+          this.adapter.removeClassAtRowIndex(rowIndex, cssClasses.ROW_HIDDEN);
+        } else {
+          this.adapter.addClassAtRowIndex(rowIndex, cssClasses.ROW_HIDDEN);
+        }
+      }
+    }
+
+    this.updateFocusableCell();
+  }
+
+  /**
+   * @return Sorted columns in order of sort priority. Initialized from
+   *     `aria-sort` attribute of header cells when no column is sorted yet,
+   *     e.g., when initial sort is rendered by server.
+   */
+  private getSortedColumns(): SortedColumn[] {
+    if (this.sortedColumns.length) {
+      return this.sortedColumns;
+    }
+
+    for (let index = 0; index < this.adapter.getHeaderCellCount(); index++) {
+      const sortValue =
+          this.adapter.getAttributeByHeaderCellIndex(index, strings.ARIA_SORT);
+      if (sortValue === SortValue.ASCENDING ||
+          sortValue === SortValue.DESCENDING) {
+        this.sortedColumns.push({
+          columnId: this.adapter.getAttributeByHeaderCellIndex(
+              index, dataAttributes.COLUMN_ID),
+          columnIndex: index,
+          sortValue,
+        });
+      }
+    }
+
+    return this.sortedColumns;
+  }
+
+  /**
+   * Sets sort attributes / classes, status labels and priority indicators of
+   * header cells based on sorted columns. Only the column with highest sort
+   * priority has `aria-sort` attribute set to its sort direction since
+   * `aria-sort` is meant to be set on one header cell at a time, priority of
+   * other sorted columns is announced using sort status label.
+   */
+  private renderSortState() {
+    const sortedColumns = this.sortedColumns;
+    const isMultiSort = sortedColumns.length > 1;
+
+    for (let index = 0; index < this.adapter.getHeaderCellCount(); index++) {
+      const sortIndex = this.getSortIndex(index);
+      if (sortIndex === -1) {
+        this.adapter.removeClassNameByHeaderCellIndex(
+            index, cssClasses.HEADER_CELL_SORTED);
+        this.adapter.removeClassNameByHeaderCellIndex(
+            index, cssClasses.HEADER_CELL_SORTED_DESCENDING);
+        this.adapter.setAttributeByHeaderCellIndex(
+            index, strings.ARIA_SORT, SortValue.NONE);
+        this.adapter.setSortStatusLabelByHeaderCellIndex(
+            index, SortValue.NONE, null);
+        this.adapter.setSortPriorityByHeaderCellIndex(index, null);
+        continue;
+      }
+
+      const {sortValue} = sortedColumns[sortIndex];
+      const priority = isMultiSort ? sortIndex + 1 : null;
+      this.adapter.setClassNameByHeaderCellIndex(
+          index, cssClasses.HEADER_CELL_SORTED);
+      if (sortValue === SortValue.DESCENDING) {
+        this.adapter.setClassNameByHeaderCellIndex(
+            index, cssClasses.HEADER_CELL_SORTED_DESCENDING);
+      } else {
+        this.adapter.removeClassNameByHeaderCellIndex(
+            index, cssClasses.HEADER_CELL_SORTED_DESCENDING);
+      }
+      this.adapter.setAttributeByHeaderCellIndex(
+          index, strings.ARIA_SORT,
+          sortIndex === 0 ? sortValue : SortValue.NONE);
+      this.adapter.setSortStatusLabelByHeaderCellIndex(
+          index, sortValue, priority);
+      this.adapter.setSortPriorityByHeaderCellIndex(index, priority);
+    }
+  }
+
+  /**
+   * @return Index of column in sorted columns, `-1` if not sorted.
+   */
+  private getSortIndex(columnIndex: number): number {
+    for (let index = 0; index < this.sortedColumns.length; index++) {
+      if (this.sortedColumns[index].columnIndex === columnIndex) {
+        return index;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Reorders rows by cell values of sorted columns in order of sort priority.
+   */
+  private sortRows() {
+    this.cancelCellEdit(/** restoreFocus */ false);
+
+    const rowCount = this.adapter.getRowCount();
+    const columns = this.sortedColumns.map(
+        ({columnId, columnIndex, sortValue}) => {
+          const values: string[] = [];
+          for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+            values.push(
+                this.adapter.getCellSortValueAtIndex(rowIndex, columnIndex));
+          }
+
+          const comparator = this.getSortComparator(columnIndex, columnId);
+          return {comparator, sortValue, values};
+        });
+    this.adapter.reorderRows(getMultiColumnSortedRowIndexes(columns));
+    this.rangeSelectionAnchorIndex = -1;
+  }
+
+  /**
+   * Moves column to the target column index and keeps indexes of sorted
+   * columns in sync with the new column order.
+   */
+  private moveColumn(fromIndex: number, toIndex: number) {
+    this.adapter.moveColumn(fromIndex, toIndex);
+    for (const column of this.sortedColumns) {
+      if (column.columnIndex === fromIndex) {
+        column.columnIndex = toIndex;
+      } else if (
+          fromIndex < toIndex && column.columnIndex > fromIndex &&
+          column.columnIndex <= toIndex) {
+        column.columnIndex--;
+      } else if (
+          toIndex < fromIndex && column.columnIndex >= toIndex &&
+          column.columnIndex < fromIndex) {
+        column.columnIndex++;
+      }
+    }
+  }
+
+  /**
+   * @return Comparator registered for given column id, otherwise built-in
+   *     comparator of sort type set on header cell or inferred from cells.
+   */
+  private getSortComparator(columnIndex: number, columnId: string|null):
+      SortComparator {
+    if (columnId && this.sortComparators[columnId]) {
+      return this.sortComparators[columnId];
+    }
+
+    let sortType = this.adapter.getAttributeByHeaderCellIndex(
+        columnIndex, dataAttributes.SORT_TYPE);
+    if (!sortType) {
+      const isNumeric = this.adapter.getRowCount() > 0 &&
+          this.adapter.isNumericCellAtIndex(0, columnIndex);
+      sortType = isNumeric ? SortType.NUMERIC : SortType.STRING;
+    }
+
+    return getComparatorBySortType(sortType);
+  }
+
   /**
    * Sets the attributes of row element based on selection state.
    */
@@ -0,0 +1,45 @@
+/**
+ * @license
+ * Copyright 2020 Google Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * Serializes rows of cell text as delimiter separated values, e.g., CSV or
+ * TSV. See https://tools.ietf.org/html/rfc4180
+ *
+ * @param rows Rows of cell text, including header row if any.
+ * @param delimiter Character separating cell values, e.g., `,` or tab.
+ */
+export function serializeRows(rows: string[][], delimiter: string): string {
+  return rows
+      .map((row) => row.map((value) => quoteValue(value, delimiter))
+                        .join(delimiter))
+      .join('\r\n');
+}
+
+/**
+ * Encloses value in double quotes when it contains delimiter, double quotes
+ * or line breaks. Double quotes within value are escaped by doubling them.
+ */
+function quoteValue(value: string, delimiter: string): string {
+  const needsQuotes = value.indexOf(delimiter) !== -1 || /["\r\n]/.test(value);
+  return needsQuotes ? `"${value.replace(/"/g, '""')}"` : value;
+}
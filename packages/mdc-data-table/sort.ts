@@ -0,0 +1,160 @@
+/**
+ * @license
+ * Copyright 2020 Google Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+import {SortType, SortValue} from './constants';
+import {SortComparator} from './types';
+
+/**
+ * Compares cell values as locale aware strings.
+ */
+export function compareStrings(a: string, b: string): number {
+  return a.localeCompare(b);
+}
+
+/**
+ * Compares cell values as numbers. Ignores characters like currency symbols
+ * and thousands separators. Values that are not numbers are sorted after
+ * numbers.
+ */
+export function compareNumbers(a: string, b: string): number {
+  return compareParsedValues(parseNumber(a), parseNumber(b));
+}
+
+/**
+ * Compares cell values as dates. Values that cannot be parsed as dates are
+ * sorted after dates.
+ */
+export function compareDates(a: string, b: string): number {
+  return compareParsedValues(Date.parse(a), Date.parse(b));
+}
+
+/**
+ * @return Built-in comparator for given sort type.
+ */
+export function getComparatorBySortType(sortType: SortType|string|null):
+    SortComparator {
+  switch (sortType) {
+    case SortType.NUMERIC:
+      return compareNumbers;
+    case SortType.DATE:
+      return compareDates;
+    default:
+      return compareStrings;
+  }
+}
+
+/**
+ * Cell values of a sorted column used by `getMultiColumnSortedRowIndexes()`.
+ */
+export interface SortColumn {
+  // Cell values of the column ordered by row index.
+  values: string[];
+  // Compares two cell values in ascending order.
+  comparator: SortComparator;
+  // Sort direction. Any value other than `SortValue.DESCENDING` sorts in
+  // ascending order.
+  sortValue: SortValue;
+}
+
+/**
+ * Sorts cell values of a column and returns the row indexes in sorted order.
+ * Sort is stable, rows having equal cell values retain their relative order
+ * regardless of sort direction.
+ *
+ * @param values Cell values of a column ordered by row index.
+ * @param comparator Compares two cell values in ascending order.
+ * @param sortValue Sort direction. Any value other than
+ *     `SortValue.DESCENDING` sorts in ascending order.
+ * @return Row indexes in sorted order.
+ */
+export function getSortedRowIndexes(
+    values: string[], comparator: SortComparator,
+    sortValue: SortValue): number[] {
+  return getMultiColumnSortedRowIndexes([{values, comparator, sortValue}]);
+}
+
+/**
+ * Sorts rows by cell values of multiple columns and returns the row indexes in
+ * sorted order. Rows having equal cell values in a column are compared by the
+ * next column, rows equal in all columns retain their relative order.
+ *
+ * @param columns Sorted columns in order of sort priority, all having the same
+ *     number of cell values.
+ * @return Row indexes in sorted order.
+ */
+export function getMultiColumnSortedRowIndexes(columns: SortColumn[]):
+    number[] {
+  const rowCount = columns.length ? columns[0].values.length : 0;
+  const rowIndexes: number[] = [];
+  for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+    rowIndexes.push(rowIndex);
+  }
+
+  // Ties are resolved by original row index since `Array.prototype.sort` is not
+  // guaranteed to be stable in all supported browsers.
+  return rowIndexes.sort((a, b) => {
+    for (const {values, comparator, sortValue} of columns) {
+      // Values that cannot be parsed are sorted last in both directions.
+      const isAUnparsable = isUnparsableValue(values[a], comparator);
+      const isBUnparsable = isUnparsableValue(values[b], comparator);
+      if (isAUnparsable || isBUnparsable) {
+        if (isAUnparsable !== isBUnparsable) {
+          return Number(isAUnparsable) - Number(isBUnparsable);
+        }
+        continue;
+      }
+
+      const direction = sortValue === SortValue.DESCENDING ? -1 : 1;
+      const result = direction * comparator(values[a], values[b]);
+      if (result) {
+        return result;
+      }
+    }
+
+    return a - b;
+  });
+}
+
+function isUnparsableValue(value: string, comparator: SortComparator):
+    boolean {
+  if (comparator === compareNumbers) {
+    return isNaN(parseNumber(value));
+  }
+  if (comparator === compareDates) {
+    return isNaN(Date.parse(value));
+  }
+  return false;
+}
+
+function parseNumber(value: string): number {
+  const numericValue = value.replace(/[^\d.eE+-]/g, '');
+  return numericValue ? Number(numericValue) : NaN;
+}
+
+function compareParsedValues(a: number, b: number): number {
+  if (isNaN(a) || isNaN(b)) {
+    return Number(isNaN(a)) - Number(isNaN(b));
+  }
+
+  return a - b;
+}
@@ -22,8 +22,9 @@
  */
 
 import {html} from '../../../testing/dom';
+import {createKeyboardEvent, createMouseEvent} from '../../../testing/dom/events';
 import {MDCDataTable} from '../component';
-import {cssClasses, dataAttributes, events, selectors, SortValue, strings} from '../constants';
+import {cssClasses, dataAttributes, events, ExportScope, messages, numbers, selectors, SortValue, strings} from '../constants';
 
 interface ClassMap {
   [className: string]: boolean;
@@ -170,6 +171,54 @@ const progressIndicatorTemplate = (): string => {
       `;
 };
 
+const paginationTemplate = (): string => {
+  return html`
+      <div class="${cssClasses.PAGINATION}">
+        <div class="mdc-data-table__pagination-trailing">
+          <div class="mdc-data-table__pagination-rows-per-page">
+            <div class="${cssClasses.PAGINATION_ROWS_PER_PAGE_LABEL}">
+              Rows per page
+            </div>
+            <div class="mdc-select mdc-select--outlined mdc-select--no-label ${
+      cssClasses.PAGINATION_ROWS_PER_PAGE_SELECT}">
+              <div class="mdc-select__anchor" role="button" aria-haspopup="listbox" tabindex="0">
+                <span class="mdc-select__selected-text-container">
+                  <span class="mdc-select__selected-text">2</span>
+                </span>
+                <span class="mdc-select__dropdown-icon"></span>
+                <span class="mdc-notched-outline mdc-notched-outline--notched">
+                  <span class="mdc-notched-outline__leading"></span>
+                  <span class="mdc-notched-outline__trailing"></span>
+                </span>
+              </div>
+              <div class="mdc-select__menu mdc-menu mdc-menu-surface mdc-menu-surface--fullwidth" role="listbox">
+                <ul class="mdc-list">
+                  <li class="mdc-list-item mdc-list-item--selected" aria-selected="true" role="option" data-value="2">
+                    <span class="mdc-list-item__text">2</span>
+                  </li>
+                  <li class="mdc-list-item" role="option" data-value="10">
+                    <span class="mdc-list-item__text">10</span>
+                  </li>
+                </ul>
+              </div>
+            </div>
+          </div>
+          <div class="mdc-data-table__pagination-navigation">
+            <div class="${cssClasses.PAGINATION_TOTAL}"></div>
+            <button class="${cssClasses.PAGINATION_BUTTON}" ${
+      dataAttributes.FIRST_PAGE}="true">first_page</button>
+            <button class="${cssClasses.PAGINATION_BUTTON}" ${
+      dataAttributes.PREV_PAGE}="true">chevron_left</button>
+            <button class="${cssClasses.PAGINATION_BUTTON}" ${
+      dataAttributes.NEXT_PAGE}="true">chevron_right</button>
+            <button class="${cssClasses.PAGINATION_BUTTON}" ${
+      dataAttributes.LAST_PAGE}="true">last_page</button>
+          </div>
+        </div>
+      </div>
+      `;
+};
+
 interface DataTableHeader {
   name: string;
   isSortable?: boolean;
@@ -219,6 +268,8 @@ interface RenderComponentProps {
   data: DataTableData;
   excludeProgressIndicator?: boolean;
   withoutRowSelection?: boolean;
+  withPagination?: boolean;
+  isGrid?: boolean;
 }
 
 function renderComponent(props: RenderComponentProps): HTMLElement {
@@ -255,7 +306,8 @@ function renderComponent(props: RenderComponentProps): HTMLElement {
   const blobHtml = html`
     <div class="${cssClasses.ROOT}">
       <div class="${cssClasses.TABLE_CONTAINER}">
-        <table class="mdc-data-table__table">
+        <table class="mdc-data-table__table" ${
+      props.isGrid ? 'role="grid"' : ''}>
           <thead>
             <tr class="${cssClasses.HEADER_ROW}">
               ${headerRowContent}
@@ -267,6 +319,7 @@ function renderComponent(props: RenderComponentProps): HTMLElement {
         </table>
       </div>
       ${props.excludeProgressIndicator ? '' : progressIndicatorTemplate()}
+      ${props.withPagination ? paginationTemplate() : ''}
     </div>
   `;
 
@@ -284,6 +337,8 @@ function renderComponent(props: RenderComponentProps): HTMLElement {
 interface SetupProps {
   excludeProgressIndicator?: boolean;
   withoutRowSelection?: boolean;
+  withPagination?: boolean;
+  isGrid?: boolean;
 }
 
 function setupTest(props: SetupProps = {}) {
@@ -291,6 +346,8 @@ function setupTest(props: SetupProps = {}) {
     data: mdcDataTableData,
     excludeProgressIndicator: props.excludeProgressIndicator,
     withoutRowSelection: props.withoutRowSelection,
+    withPagination: props.withPagination,
+    isGrid: props.isGrid,
   });
   const component = new MDCDataTable(root);
   // This is an intentionally reference to adapter instance for testing.
@@ -705,6 +762,66 @@ describe('MDCDataTable', () => {
          component.destroy();
        });
 
+    it('reorders rows on sort action when client side sorting is enabled',
+       () => {
+         const {component, root} = setupTest();
+         component.useClientSort = true;
+
+         const getRowIds = () => component.getRows().map(
+             (row) => row.getAttribute(dataAttributes.ROW_ID));
+         const sortButton =
+             root.querySelector<HTMLElement>(
+                     `[${dataAttributes.COLUMN_ID}="dessert"]`)!
+                 .querySelector<HTMLElement>(`.${cssClasses.SORT_ICON_BUTTON}`);
+
+         sortButton!.click();
+         expect(getRowIds()).toEqual(['u2', 'u0', 'u1']);
+
+         sortButton!.click();
+         expect(getRowIds()).toEqual(['u1', 'u0', 'u2']);
+         component.destroy();
+       });
+
+    it('keeps row selection consistent after rows are sorted on client side',
+       () => {
+         const {component, root} = setupTest();
+         component.useClientSort = true;
+
+         root.querySelector<HTMLElement>(
+                 `[${dataAttributes.COLUMN_ID}="calories"]`)!
+             .querySelector<HTMLElement>(`.${cssClasses.SORT_ICON_BUTTON}`)!
+             .click();
+         root.querySelector<HTMLElement>(
+                 `[${dataAttributes.COLUMN_ID}="calories"]`)!
+             .querySelector<HTMLElement>(`.${cssClasses.SORT_ICON_BUTTON}`)!
+             .click();
+         expect(component.getSelectedRowIds()).toEqual(['u1']);
+
+         // Row 'u2' is rendered first after sorting in descending order.
+         const firstRowCheckbox =
+             component.getRows()[0].querySelector<HTMLInputElement>(
+                 `${selectors.ROW_CHECKBOX} input`);
+         firstRowCheckbox!.click();
+         expect(component.getSelectedRowIds()).toEqual(['u2', 'u1']);
+         component.destroy();
+       });
+
+    it('uses registered comparator to sort rows on client side', () => {
+      const {component, root} = setupTest();
+      component.useClientSort = true;
+      component.registerSortComparator(
+          'dessert', (a, b) => b.length - a.length);
+
+      root.querySelector<HTMLElement>(
+              `[${dataAttributes.COLUMN_ID}="dessert"]`)!
+          .querySelector<HTMLElement>(`.${cssClasses.SORT_ICON_BUTTON}`)!
+          .click();
+      expect(component.getRows().map(
+                 (row) => row.getAttribute(dataAttributes.ROW_ID)))
+          .toEqual(['u1', 'u0', 'u2']);
+      component.destroy();
+    });
+
     it('should not throw error when destroy() is called without row selection',
        () => {
          const {component} = setupTest({withoutRowSelection: true});
@@ -712,6 +829,1134 @@ describe('MDCDataTable', () => {
            component.destroy();
          }).not.toThrowError();
        });
+
+    it('shift click on header cell sorts by the column in addition to sorted columns',
+       () => {
+         const {component, root} = setupTest();
+         const dessertHeaderCell = root.querySelector<HTMLElement>(
+             `[${dataAttributes.COLUMN_ID}="dessert"]`)!;
+         const caloriesHeaderCell = root.querySelector<HTMLElement>(
+             `[${dataAttributes.COLUMN_ID}="calories"]`)!;
+
+         dessertHeaderCell.querySelector<HTMLElement>(
+                              `.${cssClasses.SORT_ICON_BUTTON}`)!.click();
+         caloriesHeaderCell
+             .querySelector<HTMLElement>(`.${cssClasses.SORT_ICON_BUTTON}`)!
+             .dispatchEvent(
+                 createMouseEvent('click', {bubbles: true, shiftKey: true}));
+
+         expect(component.getSortState()).toEqual([
+           {columnId: 'dessert', sortValue: SortValue.ASCENDING},
+           {columnId: 'calories', sortValue: SortValue.ASCENDING},
+         ]);
+         expect(dessertHeaderCell.getAttribute('aria-sort'))
+             .toBe(SortValue.ASCENDING);
+         expect(caloriesHeaderCell.getAttribute('aria-sort'))
+             .toBe(SortValue.NONE);
+         expect(caloriesHeaderCell.classList.contains(
+                    cssClasses.HEADER_CELL_SORTED))
+             .toBe(true);
+         expect(caloriesHeaderCell.querySelector(selectors.SORT_PRIORITY)!
+                    .textContent)
+             .toBe('2');
+         expect(caloriesHeaderCell.querySelector(selectors.SORT_STATUS_LABEL)!
+                    .textContent)
+             .toBe(`${messages.SORTED_IN_ASCENDING}, ${
+                 messages.SORT_PRIORITY} 2`);
+
+         dessertHeaderCell.querySelector<HTMLElement>(
+                              `.${cssClasses.SORT_ICON_BUTTON}`)!.click();
+         expect(component.getSortState()).toEqual([
+           {columnId: 'dessert', sortValue: SortValue.DESCENDING},
+         ]);
+         expect(dessertHeaderCell.querySelector(selectors.SORT_PRIORITY))
+             .toBe(null);
+         expect(dessertHeaderCell.querySelector(selectors.SORT_STATUS_LABEL)!
+                    .textContent)
+             .toBe(messages.SORTED_IN_DESCENDING);
+         component.destroy();
+       });
+
+    it('#setSortState sorts rows by given columns when client side sorting is enabled',
+       () => {
+         const {component} = setupTest();
+         component.useClientSort = true;
+
+         component.setSortState([
+           {columnId: 'carbs', sortValue: SortValue.ASCENDING},
+           {columnId: 'calories', sortValue: SortValue.DESCENDING},
+         ]);
+         expect(component.getRows().map(
+                    (row) => row.getAttribute(dataAttributes.ROW_ID)))
+             .toEqual(['u2', 'u0', 'u1']);
+         component.destroy();
+       });
+  });
+
+  describe('Pagination', () => {
+    function getPaginationButton(root: HTMLElement, dataAttribute: string) {
+      return root.querySelector<HTMLButtonElement>(
+          `${selectors.PAGINATION_BUTTON}[${dataAttribute}]`)!;
+    }
+
+    function getTotalLabelText(root: HTMLElement) {
+      return root.querySelector(selectors.PAGINATION_TOTAL)!.textContent;
+    }
+
+    it('initializes page size from rows per page select and sets total label',
+       () => {
+         const {component, root} = setupTest({withPagination: true});
+
+         expect(component.getPageSize()).toBe(2);
+         expect(getTotalLabelText(root)).toBe('1\u20132 of 3');
+         expect(getPaginationButton(root, dataAttributes.PREV_PAGE).disabled)
+             .toBe(true);
+         expect(getPaginationButton(root, dataAttributes.NEXT_PAGE).disabled)
+             .toBe(false);
+         component.destroy();
+       });
+
+    it('emits pagination changed event when clicked on pagination button',
+       () => {
+         const {component, root} = setupTest({withPagination: true});
+         component.setTotalRowCount(7);
+         const handler = jasmine.createSpy('handlePaginationChanged');
+         component.listen(events.PAGINATION_CHANGED, handler);
+
+         getPaginationButton(root, dataAttributes.LAST_PAGE).click();
+         expect(handler).toHaveBeenCalledWith(jasmine.objectContaining({
+           detail: {firstRowIndex: 6, pageIndex: 3, pageSize: 2},
+         }));
+         expect(getTotalLabelText(root)).toBe('7\u20137 of 7');
+         expect(getPaginationButton(root, dataAttributes.LAST_PAGE).disabled)
+             .toBe(true);
+
+         component.unlisten(events.PAGINATION_CHANGED, handler);
+         component.destroy();
+       });
+
+    it('shows only rows of current page when client side pagination is enabled',
+       () => {
+         const {component, root} = setupTest({withPagination: true});
+         component.useClientPagination = true;
+
+         const getVisibleRowIds = () =>
+             component.getRows()
+                 .filter((row) => !row.classList.contains(cssClasses.ROW_HIDDEN))
+                 .map((row) => row.getAttribute(dataAttributes.ROW_ID));
+         expect(getVisibleRowIds()).toEqual(['u0', 'u1']);
+
+         getPaginationButton(root, dataAttributes.NEXT_PAGE).click();
+         expect(getVisibleRowIds()).toEqual(['u2']);
+         expect(getTotalLabelText(root)).toBe('3\u20133 of 3');
+
+         component.setPageSize(10);
+         expect(getVisibleRowIds()).toEqual(['u0', 'u1', 'u2']);
+         component.destroy();
+       });
+
+    it('does not emit pagination changed event after component is destroyed',
+       () => {
+         const {component, root} = setupTest({withPagination: true});
+         component.destroy();
+         const handler = jasmine.createSpy('handlePaginationChanged');
+         component.listen(events.PAGINATION_CHANGED, handler);
+
+         getPaginationButton(root, dataAttributes.NEXT_PAGE).click();
+         expect(handler).not.toHaveBeenCalled();
+         component.unlisten(events.PAGINATION_CHANGED, handler);
+       });
+  });
+
+  describe('Virtual scroll', () => {
+    function createDataSource(rowCount: number) {
+      return {
+        getRowCount: () => rowCount,
+        getRowId: (rowIndex: number) => `r${rowIndex}`,
+        createRow: () => {
+          const container = document.createElement('tbody');
+          container.innerHTML = mdcDataTableRowTemplate({
+            rowId: '',
+            isSelected: false,
+            content: mdcDataTableCellTemplate({content: ''}),
+          });
+          return container.querySelector(selectors.ROW) as Element;
+        },
+        updateRow: (row: Element, rowIndex: number) => {
+          (row as HTMLTableRowElement).cells[1].textContent = `Row ${rowIndex}`;
+        },
+      };
+    }
+
+    function setupVirtualScrollTest() {
+      const {component, root} = setupTest();
+      const tableContainer =
+          root.querySelector<HTMLElement>(selectors.TABLE_CONTAINER)!;
+      spyOn(tableContainer, 'getBoundingClientRect')
+          .and.returnValue({height: 100} as DOMRect);
+      component.setVirtualDataSource(createDataSource(1000), 20);
+      return {component, root, tableContainer};
+    }
+
+    function scrollTo(tableContainer: HTMLElement, scrollTop: number) {
+      Object.defineProperty(
+          tableContainer, 'scrollTop', {value: scrollTop, configurable: true});
+      tableContainer.dispatchEvent(new Event('scroll'));
+    }
+
+    function getRenderedRowIds(component: MDCDataTable) {
+      return component.getRows().map(
+          (row) => row.getAttribute(dataAttributes.ROW_ID));
+    }
+
+    it('renders only rows visible in table container', () => {
+      const {component, root} = setupVirtualScrollTest();
+
+      expect(component.getRows().length).toBe(10);
+      expect(getRenderedRowIds(component)[0]).toBe('r0');
+      expect(component.getRows()[0].textContent).toContain('Row 0');
+      expect(component.getRows()[0].getAttribute('aria-rowindex')).toBe('2');
+      expect(root.querySelector(selectors.TABLE)!.getAttribute('aria-rowcount'))
+          .toBe('1001');
+      component.destroy();
+    });
+
+    it('recycles row elements on scroll', () => {
+      const {component, tableContainer} = setupVirtualScrollTest();
+      const rows = component.getRows();
+
+      scrollTo(tableContainer, 2000);
+      expect(getRenderedRowIds(component)[0]).toBe('r95');
+      expect(component.getRows().length).toBe(15);
+      expect(component.getRows()[0].textContent).toContain('Row 95');
+      for (const row of rows) {
+        expect(component.getRows()).toContain(row);
+      }
+      component.destroy();
+    });
+
+    it('retains selection of rows that are not rendered', () => {
+      const {component, tableContainer} = setupVirtualScrollTest();
+
+      component.setSelectedRowIds(['r1', 'r500']);
+      expect(component.getSelectedRowIds()).toEqual(['r1', 'r500']);
+
+      scrollTo(tableContainer, 10000);
+      const selectedRow = component.getRows().filter(
+          (row) => row.getAttribute(dataAttributes.ROW_ID) === 'r500')[0];
+      expect(selectedRow.classList.contains(cssClasses.ROW_SELECTED))
+          .toBe(true);
+      expect(selectedRow
+                 .querySelector<HTMLInputElement>(
+                     `${selectors.ROW_CHECKBOX} input`)!.checked)
+          .toBe(true);
+      component.destroy();
+    });
+
+    it('emits row selection changed event with row index of data source',
+       () => {
+         const {component, tableContainer} = setupVirtualScrollTest();
+         const handler = jasmine.createSpy('handleRowSelectionChanged');
+         component.listen(events.ROW_SELECTION_CHANGED, handler);
+
+         scrollTo(tableContainer, 2000);
+         component.getRows()[1]
+             .querySelector<HTMLInputElement>(
+                 `${selectors.ROW_CHECKBOX} input`)!.click();
+         expect(handler).toHaveBeenCalledWith(jasmine.objectContaining({
+           detail: jasmine.objectContaining({rowId: 'r96', rowIndex: 96}),
+         }));
+         expect(component.getSelectedRowIds()).toEqual(['r96']);
+
+         component.unlisten(events.ROW_SELECTION_CHANGED, handler);
+         component.destroy();
+       });
+
+    it('#exportRows serializes selected rows that are not rendered', () => {
+      const {component} = setupVirtualScrollTest();
+
+      component.setSelectedRowIds(['r1', 'r500']);
+      const lines = component
+                        .exportRows({
+                          includeHeader: false,
+                          scope: ExportScope.SELECTED,
+                        })
+                        .split('\r\n');
+      expect(lines.length).toBe(2);
+      expect(lines[0]).toMatch(/^Row 1,/);
+      expect(lines[1]).toMatch(/^Row 500,/);
+      expect(component.getRows().length).toBe(10);
+      component.destroy();
+    });
+
+    it('renders rows in current column order after columns are reordered',
+       () => {
+         const {component, root} = setupTest();
+         const tableContainer =
+             root.querySelector<HTMLElement>(selectors.TABLE_CONTAINER)!;
+         spyOn(tableContainer, 'getBoundingClientRect')
+             .and.returnValue({height: 100} as DOMRect);
+         const columnIds = ['dessert', 'calories', 'fat', 'carbs', 'protein'];
+         component.setVirtualDataSource(
+             {
+               ...createDataSource(1000),
+               createRow: () => {
+                 const container = document.createElement('tbody');
+                 container.innerHTML = mdcDataTableRowTemplate({
+                   content: columnIds
+                                .map(() => mdcDataTableCellTemplate({
+                                       content: '',
+                                     }))
+                                .join(''),
+                   isSelected: false,
+                   rowId: '',
+                 });
+                 return container.querySelector(selectors.ROW) as Element;
+               },
+               updateRow: (row: Element, rowIndex: number) => {
+                 columnIds.forEach((columnId, index) => {
+                   (row as HTMLTableRowElement).cells[index + 1].textContent =
+                       `${columnId} ${rowIndex}`;
+                 });
+               },
+             },
+             20);
+
+         component.setColumnOrder(
+             ['protein', 'dessert', 'calories', 'fat', 'carbs']);
+         scrollTo(tableContainer, 2000);
+         const cellTexts = component.getRows().map(
+             (row) => [].slice.call((row as HTMLTableRowElement).cells)
+                          .slice(1)
+                          .map((cell: Element) => cell.textContent));
+         const rowIds = getRenderedRowIds(component);
+         cellTexts.forEach((texts, index) => {
+           const rowIndex = rowIds[index]!.slice(1);
+           expect(texts).toEqual([
+             `protein ${rowIndex}`, `dessert ${rowIndex}`,
+             `calories ${rowIndex}`, `fat ${rowIndex}`, `carbs ${rowIndex}`
+           ]);
+         });
+         component.destroy();
+       });
+  });
+
+  describe('Range selection', () => {
+    function getRowCheckboxInput(component: MDCDataTable, rowIndex: number) {
+      return component.getRows()[rowIndex].querySelector<HTMLInputElement>(
+          `${selectors.ROW_CHECKBOX} input`)!;
+    }
+
+    it('selects rows between previously selected row and shift clicked row',
+       () => {
+         const {component} = setupTest();
+         const handler = jasmine.createSpy('handleRowSelectionChanged');
+         component.setSelectedRowIds([]);
+         component.listen(events.ROW_SELECTION_CHANGED, handler);
+
+         getRowCheckboxInput(component, 0).click();
+         getRowCheckboxInput(component, 2).dispatchEvent(
+             createMouseEvent('click', {bubbles: true, shiftKey: true}));
+         expect(component.getSelectedRowIds()).toEqual(['u0', 'u1', 'u2']);
+         expect(getRowCheckboxInput(component, 1).checked).toBe(true);
+         expect(handler).toHaveBeenCalledTimes(3);
+         expect(handler).toHaveBeenCalledWith(jasmine.objectContaining({
+           detail: jasmine.objectContaining(
+               {row: component.getRows()[1], rowId: 'u1', selected: true}),
+         }));
+
+         component.unlisten(events.ROW_SELECTION_CHANGED, handler);
+         component.destroy();
+       });
+
+    it('selects only clicked row when shift key is not pressed', () => {
+      const {component} = setupTest();
+      component.setSelectedRowIds([]);
+
+      getRowCheckboxInput(component, 0).click();
+      getRowCheckboxInput(component, 2).click();
+      expect(component.getSelectedRowIds()).toEqual(['u0', 'u2']);
+      component.destroy();
+    });
+
+    it('selects all rows on Ctrl + A within table', () => {
+      const {component, root} = setupTest();
+      const handler = jasmine.createSpy('handleSelectedAll');
+      component.listen(events.SELECTED_ALL, handler);
+      const event = createKeyboardEvent(
+          'keydown',
+          {bubbles: true, cancelable: true, ctrlKey: true, key: 'a'});
+
+      getRowCheckboxInput(component, 0).dispatchEvent(event);
+      expect(event.defaultPrevented).toBe(true);
+      expect(component.getSelectedRowIds()).toEqual(['u0', 'u1', 'u2']);
+      expect(root.querySelector<HTMLInputElement>(
+                     `${selectors.HEADER_ROW_CHECKBOX} input`)!.checked)
+          .toBe(true);
+      expect(handler).toHaveBeenCalled();
+
+      component.unlisten(events.SELECTED_ALL, handler);
+      component.destroy();
+    });
+
+    it('does not select all rows on Ctrl + A within text input of a cell',
+       () => {
+         const {component} = setupTest();
+         const input = document.createElement('input');
+         (component.getRows()[0] as HTMLTableRowElement)
+             .cells[1]
+             .appendChild(input);
+         const event = createKeyboardEvent(
+             'keydown',
+             {bubbles: true, cancelable: true, ctrlKey: true, key: 'a'});
+
+         input.dispatchEvent(event);
+         expect(event.defaultPrevented).toBe(false);
+         expect(component.getSelectedRowIds()).toEqual(['u1']);
+         component.destroy();
+       });
+  });
+
+  describe('Grid navigation', () => {
+    function keydown(target: Element, key: string) {
+      const event = createKeyboardEvent(
+          'keydown', {bubbles: true, cancelable: true, key});
+      target.dispatchEvent(event);
+      return event;
+    }
+
+    function getFocusableElements(root: HTMLElement) {
+      return [].slice.call(root.querySelectorAll('[tabindex="0"]')) as
+          HTMLElement[];
+    }
+
+    it('keeps only first header cell in tab sequence when table has grid role',
+       () => {
+         const {component, root} = setupTest({isGrid: true});
+         const headerCheckbox = root.querySelector<HTMLInputElement>(
+             `${selectors.HEADER_ROW_CHECKBOX} input`)!;
+
+         expect(getFocusableElements(root)).toEqual([headerCheckbox]);
+         expect(root.querySelector<HTMLElement>(selectors.SORT_ICON_BUTTON)!
+                    .getAttribute('tabindex'))
+             .toBe('-1');
+         component.destroy();
+       });
+
+    it('does not change tab sequence when table does not have grid role',
+       () => {
+         const {component, root} = setupTest();
+
+         expect(getFocusableElements(root)).toEqual([]);
+         expect(root.querySelector(`${selectors.ROW_CHECKBOX} input`)!
+                    .hasAttribute('tabindex'))
+             .toBe(false);
+         component.destroy();
+       });
+
+    it('moves focus between cells on arrow keys', () => {
+      const {component, root} = setupTest({isGrid: true});
+      const headerCheckbox = root.querySelector<HTMLInputElement>(
+          `${selectors.HEADER_ROW_CHECKBOX} input`)!;
+      headerCheckbox.focus();
+
+      keydown(headerCheckbox, 'ArrowDown');
+      const rowCheckbox = component.getRows()[0].querySelector<HTMLElement>(
+          `${selectors.ROW_CHECKBOX} input`)!;
+      expect(document.activeElement).toBe(rowCheckbox);
+
+      keydown(rowCheckbox, 'ArrowRight');
+      const cell = (component.getRows()[0] as HTMLTableRowElement).cells[1];
+      expect(document.activeElement).toBe(cell);
+      expect(getFocusableElements(root)).toEqual([cell]);
+      component.destroy();
+    });
+
+    it('toggles selection of row containing focused cell on Space', () => {
+      const {component} = setupTest({isGrid: true});
+      const handler = jasmine.createSpy('handleRowSelectionChanged');
+      component.listen(events.ROW_SELECTION_CHANGED, handler);
+      const cell = (component.getRows()[2] as HTMLTableRowElement).cells[2];
+      cell.focus();
+
+      const event = keydown(cell, 'Spacebar');
+      expect(event.defaultPrevented).toBe(true);
+      expect(component.getSelectedRowIds()).toEqual(['u1', 'u2']);
+      expect(handler).toHaveBeenCalledWith(jasmine.objectContaining({
+        detail: jasmine.objectContaining({rowId: 'u2', selected: true}),
+      }));
+
+      component.unlisten(events.ROW_SELECTION_CHANGED, handler);
+      component.destroy();
+    });
+
+    it('makes focused cell the only cell in tab sequence', () => {
+      const {component, root} = setupTest({isGrid: true});
+      const cell = (component.getRows()[1] as HTMLTableRowElement).cells[3];
+
+      cell.focus();
+      expect(getFocusableElements(root)).toEqual([cell]);
+      component.destroy();
+    });
+  });
+
+  describe('Column resizing', () => {
+    function setupColumnResizeTest() {
+      const {component, root} = setupTest();
+      const headerCell = component.getHeaderCells()[2] as HTMLElement;
+      headerCell.classList.add(cssClasses.HEADER_CELL_RESIZABLE);
+      const resizeHandle = document.createElement('div');
+      resizeHandle.classList.add(cssClasses.COLUMN_RESIZE_HANDLE);
+      resizeHandle.setAttribute('role', 'separator');
+      resizeHandle.setAttribute('tabindex', '0');
+      headerCell.appendChild(resizeHandle);
+      spyOn(headerCell, 'getBoundingClientRect')
+          .and.returnValue({width: 100} as DOMRect);
+      return {component, root, headerCell, resizeHandle};
+    }
+
+    it('resizes column on drag of column resize handle and emits column resized event',
+       () => {
+         const {component, root, headerCell, resizeHandle} =
+             setupColumnResizeTest();
+         const handler = jasmine.createSpy('handleColumnResized');
+         component.listen(events.COLUMN_RESIZED, handler);
+
+         resizeHandle.dispatchEvent(
+             createMouseEvent('mousedown', {bubbles: true, clientX: 200}));
+         expect(root.classList).toContain(cssClasses.COLUMN_RESIZING);
+         document.body.dispatchEvent(
+             createMouseEvent('mousemove', {clientX: 260}));
+         expect(headerCell.style.width).toBe('160px');
+         expect(resizeHandle.getAttribute('aria-valuenow')).toBe('160');
+
+         document.body.dispatchEvent(createMouseEvent('mouseup'));
+         expect(root.classList).not.toContain(cssClasses.COLUMN_RESIZING);
+         expect(handler).toHaveBeenCalledWith(jasmine.objectContaining({
+           detail: {columnId: 'calories', columnIndex: 2, width: 160},
+         }));
+
+         document.body.dispatchEvent(
+             createMouseEvent('mousemove', {clientX: 300}));
+         expect(headerCell.style.width).toBe('160px');
+
+         component.unlisten(events.COLUMN_RESIZED, handler);
+         component.destroy();
+       });
+
+    it('does not sort column on click following column resize', () => {
+      const {component, headerCell, resizeHandle} = setupColumnResizeTest();
+      headerCell.classList.add(cssClasses.HEADER_CELL_WITH_SORT);
+      const handler = jasmine.createSpy('handleSorted');
+      component.listen(events.SORTED, handler);
+
+      resizeHandle.dispatchEvent(
+          createMouseEvent('mousedown', {bubbles: true, clientX: 200}));
+      document.body.dispatchEvent(createMouseEvent('mouseup'));
+      headerCell.click();
+      resizeHandle.click();
+      expect(handler).not.toHaveBeenCalled();
+
+      component.unlisten(events.SORTED, handler);
+      component.destroy();
+    });
+
+    it('resizes column on arrow keys when column resize handle is focused',
+       () => {
+         const {component, headerCell, resizeHandle} = setupColumnResizeTest();
+         const handler = jasmine.createSpy('handleColumnResized');
+         component.listen(events.COLUMN_RESIZED, handler);
+
+         resizeHandle.dispatchEvent(createKeyboardEvent(
+             'keydown', {bubbles: true, cancelable: true, key: 'ArrowLeft'}));
+         expect(headerCell.style.width)
+             .toBe(`${100 - numbers.COLUMN_RESIZE_STEP}px`);
+         expect(handler).toHaveBeenCalled();
+
+         component.unlisten(events.COLUMN_RESIZED, handler);
+         component.destroy();
+       });
+
+    it('#setColumnWidth sets width of column by column id', () => {
+      const {component, headerCell} = setupColumnResizeTest();
+
+      component.setColumnWidth('calories', 10);
+      expect(headerCell.style.width).toBe(`${numbers.MIN_COLUMN_WIDTH}px`);
+      component.destroy();
+    });
+  });
+
+  describe('Column reordering', () => {
+    function setupColumnReorderTest() {
+      const {component, root} = setupTest();
+      for (const headerCell of component.getHeaderCells().slice(1)) {
+        headerCell.setAttribute('draggable', 'true');
+      }
+      return {component, root};
+    }
+
+    function getCellTexts(row: Element) {
+      return [].slice.call((row as HTMLTableRowElement).cells)
+          .map((cell: Element) => (cell.textContent || '').trim());
+    }
+
+    function dragEvent(type: string) {
+      return createMouseEvent(type, {bubbles: true, cancelable: true});
+    }
+
+    it('moves dragged column including body cells and emits column reordered event',
+       () => {
+         const {component} = setupColumnReorderTest();
+         const handler = jasmine.createSpy('handleColumnReordered');
+         component.listen(events.COLUMN_REORDERED, handler);
+         const headerCells = component.getHeaderCells();
+
+         headerCells[1].dispatchEvent(dragEvent('dragstart'));
+         expect(headerCells[1].classList)
+             .toContain(cssClasses.HEADER_CELL_DRAGGING);
+         const dragoverEvent = dragEvent('dragover');
+         headerCells[3].dispatchEvent(dragoverEvent);
+         expect(dragoverEvent.defaultPrevented).toBe(true);
+         expect(headerCells[3].classList)
+             .toContain(cssClasses.HEADER_CELL_DROP_TARGET);
+
+         headerCells[3].dispatchEvent(dragEvent('drop'));
+         expect(component.getColumnOrder()).toEqual([
+           '', 'calories', 'fat', 'dessert', 'carbs', 'protein'
+         ]);
+         expect(getCellTexts(component.getRows()[0]).slice(1)).toEqual([
+           '159', '6', 'Frozen yogurt', '24', '4'
+         ]);
+         expect(headerCells[1].classList)
+             .not.toContain(cssClasses.HEADER_CELL_DRAGGING);
+         expect(headerCells[3].classList)
+             .not.toContain(cssClasses.HEADER_CELL_DROP_TARGET);
+         expect(handler).toHaveBeenCalledWith(jasmine.objectContaining({
+           detail: {
+             columnIds: ['', 'calories', 'fat', 'dessert', 'carbs', 'protein'],
+             fromIndex: 1,
+             toIndex: 3,
+           },
+         }));
+
+         component.unlisten(events.COLUMN_REORDERED, handler);
+         component.destroy();
+       });
+
+    it('does not allow dropping on header cells that are not draggable', () => {
+      const {component} = setupColumnReorderTest();
+      const headerCells = component.getHeaderCells();
+
+      headerCells[2].dispatchEvent(dragEvent('dragstart'));
+      const dragoverEvent = dragEvent('dragover');
+      headerCells[0].dispatchEvent(dragoverEvent);
+      expect(dragoverEvent.defaultPrevented).toBe(false);
+      headerCells[2].dispatchEvent(dragEvent('dragend'));
+      expect(headerCells[2].classList)
+          .not.toContain(cssClasses.HEADER_CELL_DRAGGING);
+      component.destroy();
+    });
+
+    it('#setColumnOrder reorders columns by column ids', () => {
+      const {component} = setupColumnReorderTest();
+
+      component.setColumnOrder(
+          ['protein', 'dessert', 'calories', 'fat', 'carbs']);
+      expect(component.getColumnOrder()).toEqual([
+        '', 'protein', 'dessert', 'calories', 'fat', 'carbs'
+      ]);
+      expect(getCellTexts(component.getRows()[2]).slice(1)).toEqual([
+        '6', 'Eclair', '262', '16', '24'
+      ]);
+      component.destroy();
+    });
+  });
+
+  describe('Detail rows', () => {
+    function setupDetailRowTest() {
+      const {component, root} = setupTest();
+      component.getRows().forEach((row, rowIndex) => {
+        const expandButton = document.createElement('button');
+        expandButton.classList.add(cssClasses.ROW_EXPAND_BUTTON);
+        expandButton.setAttribute('aria-expanded', 'false');
+        (row as HTMLTableRowElement).cells[1].appendChild(expandButton);
+
+        const detailRow = document.createElement('tr');
+        detailRow.classList.add(cssClasses.DETAIL_ROW);
+        detailRow.innerHTML = `<td colspan="6">Detail ${rowIndex}</td>`;
+        row.parentElement!.insertBefore(detailRow, row.nextSibling);
+      });
+      return {component, root};
+    }
+
+    function getExpandButton(row: Element) {
+      return row.querySelector<HTMLElement>(selectors.ROW_EXPAND_BUTTON)!;
+    }
+
+    it('expands and collapses row on click of expand button', () => {
+      const {component} = setupDetailRowTest();
+      const handler = jasmine.createSpy('handleRowExpansionChanged');
+      component.listen(events.ROW_EXPANSION_CHANGED, handler);
+      const row = component.getRows()[1];
+
+      getExpandButton(row).click();
+      expect(row.classList.contains(cssClasses.ROW_EXPANDED)).toBe(true);
+      expect(getExpandButton(row).getAttribute('aria-expanded')).toBe('true');
+      expect(component.isRowExpanded('u1')).toBe(true);
+      expect(handler).toHaveBeenCalledWith(jasmine.objectContaining({
+        detail: {row, rowId: 'u1', rowIndex: 1, expanded: true},
+      }));
+
+      getExpandButton(row).click();
+      expect(row.classList.contains(cssClasses.ROW_EXPANDED)).toBe(false);
+      expect(getExpandButton(row).getAttribute('aria-expanded')).toBe('false');
+
+      component.unlisten(events.ROW_EXPANSION_CHANGED, handler);
+      component.destroy();
+    });
+
+    it('#setRowExpanded expands row by row id', () => {
+      const {component} = setupDetailRowTest();
+
+      component.setRowExpanded('u2', true);
+      expect(component.getRows()[2].classList.contains(cssClasses.ROW_EXPANDED))
+          .toBe(true);
+      component.destroy();
+    });
+
+    it('moves detail rows along with their rows on client side sorting', () => {
+      const {component, root} = setupDetailRowTest();
+      component.useClientSort = true;
+
+      root.querySelector<HTMLElement>(
+              `[${dataAttributes.COLUMN_ID}="dessert"]`)!
+          .querySelector<HTMLElement>(`.${cssClasses.SORT_ICON_BUTTON}`)!
+          .click();
+      const content = root.querySelector(`.${cssClasses.CONTENT}`)!;
+      expect([].slice.call(content.children)
+                 .map((row: Element) => row.getAttribute('data-row-id') ||
+                          (row.textContent || '').trim()))
+          .toEqual(['u2', 'Detail 2', 'u0', 'Detail 0', 'u1', 'Detail 1']);
+      component.destroy();
+    });
+  });
+
+  describe('Row grouping', () => {
+    // Rows `u0` and `u1` belong to group `a`, row `u2` belongs to group `b`.
+    function setupGroupTest(props: SetupProps = {}) {
+      const {component, root} = setupTest(props);
+      const rows = component.getRows();
+      const groupIds = ['a', 'a', 'b'];
+      rows.forEach((row, rowIndex) => {
+        row.setAttribute(dataAttributes.GROUP_ID, groupIds[rowIndex]);
+      });
+
+      for (const groupId of ['a', 'b']) {
+        const groupHeaderRow = document.createElement('tr');
+        groupHeaderRow.classList.add(cssClasses.GROUP_HEADER_ROW);
+        groupHeaderRow.setAttribute(dataAttributes.GROUP_ID, groupId);
+        groupHeaderRow.innerHTML = `
+            <td>${mdcCheckboxTemplate({classNames: cssClasses.GROUP_CHECKBOX})}</td>
+            <td colspan="5">
+              <button class="${cssClasses.GROUP_TOGGLE}" aria-expanded="true"></button>
+              Group ${groupId} (<span class="${cssClasses.GROUP_COUNT}"></span>)
+            </td>`;
+        const firstRow = rows[groupIds.indexOf(groupId)];
+        firstRow.parentElement!.insertBefore(groupHeaderRow, firstRow);
+      }
+
+      component.layout();
+      return {component, root};
+    }
+
+    function getGroupHeaderRow(root: Element, groupId: string) {
+      return root.querySelector(`${selectors.GROUP_HEADER_ROW}[${
+          dataAttributes.GROUP_ID}="${groupId}"]`)!;
+    }
+
+    function getCheckboxInput(row: Element) {
+      return row.querySelector<HTMLInputElement>(
+          'input.mdc-checkbox__native-control')!;
+    }
+
+    it('skips group header rows on arrow keys and keeps their controls in tab sequence when table has grid role',
+       () => {
+         const {component, root} = setupGroupTest({isGrid: true});
+         const groupHeaderRow = getGroupHeaderRow(root, 'b');
+         expect(getCheckboxInput(groupHeaderRow).hasAttribute('tabindex'))
+             .toBe(false);
+         expect(groupHeaderRow.querySelector(selectors.GROUP_TOGGLE)!
+                    .hasAttribute('tabindex'))
+             .toBe(false);
+
+         const rowCheckbox = getCheckboxInput(component.getRows()[1]);
+         rowCheckbox.focus();
+         rowCheckbox.dispatchEvent(createKeyboardEvent(
+             'keydown', {bubbles: true, cancelable: true, key: 'ArrowDown'}));
+         expect(document.activeElement)
+             .toBe(getCheckboxInput(component.getRows()[2]));
+         component.destroy();
+       });
+
+    it('renders aggregated row count of each group', () => {
+      const {component, root} = setupGroupTest();
+
+      expect(getGroupHeaderRow(root, 'a')
+                 .querySelector(selectors.GROUP_COUNT)!.textContent)
+          .toBe('2');
+      expect(getGroupHeaderRow(root, 'b')
+                 .querySelector(selectors.GROUP_COUNT)!.textContent)
+          .toBe('1');
+      expect(component.getRows().length).toBe(3);
+      component.destroy();
+    });
+
+    it('sets group checkbox indeterminate when some rows of the group are selected',
+       () => {
+         const {component, root} = setupGroupTest();
+
+         expect(getCheckboxInput(getGroupHeaderRow(root, 'a')).indeterminate)
+             .toBe(true);
+         expect(getCheckboxInput(getGroupHeaderRow(root, 'b')).checked)
+             .toBe(false);
+         component.destroy();
+       });
+
+    it('selects all rows of the group on click of group checkbox', () => {
+      const {component, root} = setupGroupTest();
+      const handler = jasmine.createSpy('handleRowSelectionChanged');
+      component.listen(events.ROW_SELECTION_CHANGED, handler);
+
+      getCheckboxInput(getGroupHeaderRow(root, 'a')).click();
+      expect(component.getSelectedRowIds()).toEqual(['u0', 'u1']);
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(getCheckboxInput(getGroupHeaderRow(root, 'a')).checked)
+          .toBe(true);
+      expect(root.querySelector<HTMLInputElement>(
+                     `${selectors.HEADER_ROW_CHECKBOX} input`)!.indeterminate)
+          .toBe(true);
+
+      component.unlisten(events.ROW_SELECTION_CHANGED, handler);
+      component.destroy();
+    });
+
+    it('collapses rows of the group on click of group toggle', () => {
+      const {component, root} = setupGroupTest();
+      const handler = jasmine.createSpy('handleGroupExpansionChanged');
+      component.listen(events.GROUP_EXPANSION_CHANGED, handler);
+      const groupHeaderRow = getGroupHeaderRow(root, 'a');
+      const toggle =
+          groupHeaderRow.querySelector<HTMLElement>(selectors.GROUP_TOGGLE)!;
+
+      toggle.click();
+      expect(component.getRows().map(
+                 (row) => row.classList.contains(cssClasses.ROW_COLLAPSED)))
+          .toEqual([true, true, false]);
+      expect(groupHeaderRow.classList.contains(
+                 cssClasses.GROUP_HEADER_ROW_COLLAPSED))
+          .toBe(true);
+      expect(toggle.getAttribute('aria-expanded')).toBe('false');
+      expect(component.isGroupExpanded('a')).toBe(false);
+      expect(handler).toHaveBeenCalledWith(jasmine.objectContaining({
+        detail: {groupId: 'a', expanded: false},
+      }));
+
+      component.setGroupExpanded('a', true);
+      expect(component.getRows().map(
+                 (row) => row.classList.contains(cssClasses.ROW_COLLAPSED)))
+          .toEqual([false, false, false]);
+
+      component.unlisten(events.GROUP_EXPANSION_CHANGED, handler);
+      component.destroy();
+    });
+  });
+
+  describe('Cell editing', () => {
+    const textFieldEditorTemplate = (columnId: string) => html`
+      <label class="mdc-text-field mdc-text-field--filled mdc-text-field--no-label ${
+        cssClasses.CELL_EDITOR}" ${dataAttributes.COLUMN_ID}="${columnId}">
+        <span class="mdc-text-field__ripple"></span>
+        <input class="mdc-text-field__input" type="text" aria-label="${columnId}">
+        <span class="mdc-line-ripple"></span>
+      </label>`;
+
+    const selectEditorTemplate = (columnId: string) => html`
+      <div class="mdc-select mdc-select--filled mdc-select--no-label ${
+        cssClasses.CELL_EDITOR}" ${dataAttributes.COLUMN_ID}="${columnId}">
+        <div class="mdc-select__anchor" role="button" aria-haspopup="listbox" tabindex="0">
+          <span class="mdc-select__selected-text-container">
+            <span class="mdc-select__selected-text"></span>
+          </span>
+          <span class="mdc-select__dropdown-icon"></span>
+        </div>
+        <div class="mdc-select__menu mdc-menu mdc-menu-surface" role="listbox">
+          <ul class="mdc-list">
+            <li class="mdc-list-item" role="option" data-value="Eclair">
+              <span class="mdc-list-item__text">Eclair</span>
+            </li>
+            <li class="mdc-list-item" role="option" data-value="Frozen yogurt">
+              <span class="mdc-list-item__text">Frozen yogurt</span>
+            </li>
+          </ul>
+        </div>
+      </div>`;
+
+    function setupCellEditTest() {
+      const root = renderComponent({data: mdcDataTableData});
+      const editors = document.createElement('div');
+      editors.hidden = true;
+      editors.innerHTML = textFieldEditorTemplate('fat') +
+          textFieldEditorTemplate('carbs') + selectEditorTemplate('dessert');
+      root.appendChild(editors);
+      const component = new MDCDataTable(root);
+      return {component, root, editors};
+    }
+
+    function getCell(
+        component: MDCDataTable, rowIndex: number, columnIndex: number) {
+      return (component.getRows()[rowIndex] as HTMLTableRowElement)
+          .cells[columnIndex];
+    }
+
+    function dblclick(cell: Element) {
+      cell.dispatchEvent(createMouseEvent('dblclick', {bubbles: true}));
+    }
+
+    function keydown(target: Element, key: string) {
+      target.dispatchEvent(createKeyboardEvent(
+          'keydown', {bubbles: true, cancelable: true, key}));
+    }
+
+    it('opens text field cell editor on double click with cell value', () => {
+      const {component} = setupCellEditTest();
+      const cell = getCell(component, 0, 3);
+
+      dblclick(cell);
+      const input = cell.querySelector<HTMLInputElement>('input')!;
+      expect(cell.classList.contains(cssClasses.CELL_EDITING)).toBe(true);
+      expect(input.value).toBe('6');
+      expect(document.activeElement).toBe(input);
+      component.destroy();
+    });
+
+    it('opens cell editor on Enter key on a cell', () => {
+      const {component} = setupCellEditTest();
+      const cell = getCell(component, 1, 4);
+
+      keydown(cell, 'Enter');
+      expect(cell.querySelector<HTMLInputElement>('input')!.value).toBe('37');
+      component.destroy();
+    });
+
+    it('does not open cell editor for column without cell editor', () => {
+      const {component} = setupCellEditTest();
+      const cell = getCell(component, 0, 2);
+
+      dblclick(cell);
+      expect(cell.classList.contains(cssClasses.CELL_EDITING)).toBe(false);
+      expect(cell.textContent).toBe('159');
+      component.destroy();
+    });
+
+    it('commits edit on Enter key, emits cell edited event and edits next editable cell',
+       () => {
+         const {component} = setupCellEditTest();
+         const handler = jasmine.createSpy('handleCellEdited');
+         component.listen(events.CELL_EDITED, handler);
+         const cell = getCell(component, 0, 3);
+
+         dblclick(cell);
+         const input = cell.querySelector<HTMLInputElement>('input')!;
+         input.value = '7';
+         keydown(input, 'Enter');
+         expect(cell.textContent).toBe('7');
+         expect(cell.classList.contains(cssClasses.CELL_EDITING)).toBe(false);
+         expect(handler).toHaveBeenCalledWith(jasmine.objectContaining({
+           detail: {
+             columnId: 'fat',
+             columnIndex: 3,
+             newValue: '7',
+             oldValue: '6',
+             rowId: 'u0',
+             rowIndex: 0,
+           },
+         }));
+
+         const nextCell = getCell(component, 0, 4);
+         expect(nextCell.classList.contains(cssClasses.CELL_EDITING))
+             .toBe(true);
+         expect(nextCell.querySelector<HTMLInputElement>('input')!.value)
+             .toBe('24');
+
+         component.unlisten(events.CELL_EDITED, handler);
+         component.destroy();
+       });
+
+    it('cancels edit on Escape key and restores cell content', () => {
+      const {component, editors} = setupCellEditTest();
+      const handler = jasmine.createSpy('handleCellEdited');
+      component.listen(events.CELL_EDITED, handler);
+      const cell = getCell(component, 2, 3);
+
+      dblclick(cell);
+      const input = cell.querySelector<HTMLInputElement>('input')!;
+      input.value = '20';
+      keydown(input, 'Escape');
+      expect(cell.textContent).toBe('16');
+      expect(editors.contains(input)).toBe(true);
+      expect(handler).not.toHaveBeenCalled();
+
+      component.unlisten(events.CELL_EDITED, handler);
+      component.destroy();
+    });
+
+    it('keeps cell editor open when validator rejects the edit', () => {
+      const {component} = setupCellEditTest();
+      component.setCellEditValidator(
+          (detail) => !isNaN(Number(detail.newValue)));
+      const cell = getCell(component, 0, 3);
+
+      dblclick(cell);
+      const input = cell.querySelector<HTMLInputElement>('input')!;
+      input.value = 'abc';
+      keydown(input, 'Enter');
+      expect(cell.classList.contains(cssClasses.CELL_EDITING)).toBe(true);
+      expect(cell.querySelector('.mdc-text-field--invalid')).not.toBeNull();
+
+      input.value = '8';
+      keydown(input, 'Enter');
+      expect(cell.textContent).toBe('8');
+      component.destroy();
+    });
+
+    it('commits select cell editor on selection of an option', () => {
+      const {component} = setupCellEditTest();
+      const cell = getCell(component, 2, 1);
+
+      dblclick(cell);
+      expect(cell.querySelector('.mdc-select__selected-text')!.textContent)
+          .toBe('Eclair');
+      cell.querySelector<HTMLElement>('[data-value="Frozen yogurt"]')!.click();
+      expect(cell.classList.contains(cssClasses.CELL_EDITING)).toBe(false);
+      expect(cell.textContent).toBe('Frozen yogurt');
+      expect(cell.getAttribute(dataAttributes.VALUE)).toBe('Frozen yogurt');
+      component.destroy();
+    });
+  });
+
+  describe('Sticky columns', () => {
+    function getColumnCells(component: MDCDataTable, columnIndex: number) {
+      return [
+        component.getHeaderCells()[columnIndex],
+        ...component.getRows().map(
+            (row) => (row as HTMLTableRowElement).cells[columnIndex]),
+      ] as HTMLElement[];
+    }
+
+    it('#setStickyColumnCount pins row checkbox column and given number of columns to the start edge',
+       () => {
+         const {component} = setupTest();
+
+         component.setStickyColumnCount(1);
+         expect(component.getStickyColumnCount()).toBe(1);
+         for (const columnIndex of [0, 1]) {
+           const [headerCell, ...cells] =
+               getColumnCells(component, columnIndex);
+           expect(headerCell.classList.contains(cssClasses.HEADER_CELL_STICKY))
+               .toBe(true);
+           for (const cell of cells) {
+             expect(cell.classList.contains(cssClasses.CELL_STICKY)).toBe(true);
+           }
+         }
+         expect(getColumnCells(component, 0)[1].style.left).toBe('0px');
+         expect(getColumnCells(component, 2)[1].classList.contains(
+                    cssClasses.CELL_STICKY))
+             .toBe(false);
+
+         component.setStickyColumnCount(0);
+         for (const cell of getColumnCells(component, 1)) {
+           expect(cell.classList.contains(cssClasses.CELL_STICKY)).toBe(false);
+           expect(cell.style.left).toBe('');
+         }
+         component.destroy();
+       });
+
+    it('pins columns to the right edge in RTL', () => {
+      const {component, root} = setupTest();
+      root.style.direction = 'rtl';
+
+      component.setStickyColumnCount(1);
+      const cell = getColumnCells(component, 0)[1];
+      expect(cell.style.right).toBe('0px');
+      expect(cell.style.left).toBe('');
+      component.destroy();
+    });
+
+    it('pins columns set by data-sticky-column-count attribute on initialization',
+       () => {
+         const root = renderComponent({data: mdcDataTableData});
+         root.setAttribute(dataAttributes.STICKY_COLUMN_COUNT, '2');
+         const component = new MDCDataTable(root);
+
+         expect(component.getStickyColumnCount()).toBe(2);
+         expect(getColumnCells(component, 2)[0].classList.contains(
+                    cssClasses.HEADER_CELL_STICKY))
+             .toBe(true);
+         component.destroy();
+       });
+  });
+
+  describe('Export', () => {
+    it('#exportRows serializes header cell labels and rows excluding row checkbox column',
+       () => {
+         const {component} = setupTest();
+
+         expect(component.exportRows().split('\r\n')).toEqual([
+           'Dessert,Calories,Fat,Carbs,Protein (g)',
+           'Frozen yogurt,159,6,24,4',
+           'Ice cream sandwich,237,9,37,4.3',
+           'Eclair,262,16,24,6',
+         ]);
+         component.destroy();
+       });
+
+    it('copies selected rows as TSV on Ctrl + C', () => {
+      const {component} = setupTest();
+      const originalExecCommand = document.execCommand;
+      let copiedText = '';
+      document.execCommand =
+          jasmine.createSpy('execCommand').and.callFake(() => {
+            copiedText = document.body.querySelector('textarea')!.value;
+            return true;
+          });
+      const event = createKeyboardEvent(
+          'keydown',
+          {bubbles: true, cancelable: true, ctrlKey: true, key: 'c'});
+
+      component.getRows()[0].dispatchEvent(event);
+      document.execCommand = originalExecCommand;
+
+      expect(event.defaultPrevented).toBe(true);
+      // Textarea normalizes line breaks to line feeds.
+      expect(copiedText)
+          .toBe(
+              'Dessert\tCalories\tFat\tCarbs\tProtein (g)\n' +
+              'Ice cream sandwich\t237\t9\t37\t4.3');
+      expect(document.body.querySelector('textarea')).toBe(null);
+      component.destroy();
+    });
+
+    it('does not copy rows on Ctrl + C when no rows are selected', () => {
+      const {component} = setupTest();
+      component.setSelectedRowIds([]);
+      const event = createKeyboardEvent(
+          'keydown',
+          {bubbles: true, cancelable: true, ctrlKey: true, key: 'c'});
+
+      component.getRows()[0].dispatchEvent(event);
+      expect(event.defaultPrevented).toBe(false);
+      component.destroy();
+    });
   });
 
   describe('Progress indicator', () => {
@@ -23,7 +23,7 @@
 
 import {verifyDefaultAdapter} from '../../../testing/helpers/foundation';
 import {setUpFoundationTest} from '../../../testing/helpers/setup';
-import {attributes, cssClasses, SortValue, strings} from '../constants';
+import {attributes, cssClasses, dataAttributes, ExportFormat, ExportScope, numbers, PaginationAction, SortType, SortValue, strings} from '../constants';
 import {MDCDataTableFoundation} from '../foundation';
 
 describe('MDCDataTableFoundation', () => {
@@ -31,36 +31,84 @@ describe('MDCDataTableFoundation', () => {
     verifyDefaultAdapter(MDCDataTableFoundation, [
       'addClass',
       'addClassAtRowIndex',
+      'closeCellEditor',
+      'copyToClipboard',
+      'focusCellAtIndex',
       'getAttributeByHeaderCellIndex',
+      'getCellEditorValue',
+      'getCellSortValueAtIndex',
+      'getCellTextAtIndex',
+      'getCellValueAtIndex',
+      'getGroupIdAtRowIndex',
+      'getGroupIds',
       'getHeaderCellCount',
       'getHeaderCellElements',
+      'getHeaderCellWidth',
       'getRowCount',
       'getRowElements',
       'getRowIdAtIndex',
       'getRowIndexByChildElement',
       'getSelectedRowCount',
       'getTableContainerHeight',
+      'getTableContainerScrollTop',
       'getTableHeaderHeight',
+      'getVirtualRowCellTexts',
+      'getVirtualRowCount',
+      'getVirtualRowIdAtIndex',
+      'hasTextSelection',
+      'isCellEditableAtIndex',
       'isCheckboxAtRowIndexChecked',
+      'isCheckboxCellAtIndex',
+      'isGroupCheckboxChecked',
+      'isGroupExpanded',
       'isHeaderRowCheckboxChecked',
+      'isNumericCellAtIndex',
+      'isRTL',
+      'isRowExpandedAtIndex',
       'isRowsSelectable',
+      'moveColumn',
+      'notifyCellEdited',
+      'notifyColumnReordered',
+      'notifyColumnResized',
+      'notifyGroupExpansionChanged',
+      'notifyPaginationChanged',
+      'notifyRowExpansionChanged',
       'notifyRowSelectionChanged',
       'notifySelectedAll',
       'notifySortAction',
       'notifyUnselectedAll',
+      'openCellEditorAtIndex',
+      'registerGroupCheckboxes',
       'registerHeaderRowCheckbox',
       'registerRowCheckboxes',
       'removeClass',
       'removeClassAtRowIndex',
       'removeClassNameByHeaderCellIndex',
+      'renderVirtualRows',
+      'reorderRows',
       'setAttributeAtRowIndex',
       'setAttributeByHeaderCellIndex',
+      'setCellEditorValid',
+      'setCellValueAtIndex',
       'setClassNameByHeaderCellIndex',
+      'setColumnStickyOffset',
+      'setColumnWidth',
+      'setFocusableCellAtIndex',
+      'setGroupCheckboxChecked',
+      'setGroupCheckboxIndeterminate',
+      'setGroupExpanded',
+      'setGroupRowCount',
       'setHeaderRowCheckboxChecked',
       'setHeaderRowCheckboxIndeterminate',
+      'setPaginationButtonDisabled',
+      'setPaginationTotalLabel',
       'setProgressIndicatorStyles',
       'setRowCheckboxCheckedAtIndex',
+      'setRowExpandedAtIndex',
+      'setRowsPerPageSelectValue',
+      'setSortPriorityByHeaderCellIndex',
       'setSortStatusLabelByHeaderCellIndex',
+      'setVirtualSpacerHeights',
     ]);
   });
 
@@ -491,11 +539,1771 @@ describe('MDCDataTableFoundation', () => {
          });
 
          expect(mockAdapter.setSortStatusLabelByHeaderCellIndex)
-             .toHaveBeenCalledWith(2, SortValue.ASCENDING);
+             .toHaveBeenCalledWith(2, SortValue.ASCENDING, null);
 
          // Should reset sort label on other columns.
          expect(mockAdapter.setSortStatusLabelByHeaderCellIndex)
-             .toHaveBeenCalledWith(jasmine.any(Number), SortValue.NONE);
+             .toHaveBeenCalledWith(jasmine.any(Number), SortValue.NONE, null);
+       });
+
+    function sortByColumn(
+        foundation: MDCDataTableFoundation, columnIndex: number,
+        isMultiSort = false) {
+      foundation.handleSortAction({
+        columnId: `c${columnIndex}`,
+        columnIndex,
+        headerCell: document.createElement('div'),
+        isMultiSort,
+      });
+    }
+
+    it('#handleSortAction adds column to sorted columns on multi sort', () => {
+      const {foundation, mockAdapter} = setupTest();
+      mockAdapter.getHeaderCellCount.and.returnValue(5);
+
+      sortByColumn(foundation, 2);
+      sortByColumn(foundation, 4, /** isMultiSort */ true);
+      expect(foundation.getSortState()).toEqual([
+        {columnId: 'c2', sortValue: SortValue.ASCENDING},
+        {columnId: 'c4', sortValue: SortValue.ASCENDING},
+      ]);
+
+      // Toggles sort direction of sorted column keeping its priority.
+      sortByColumn(foundation, 2, /** isMultiSort */ true);
+      expect(foundation.getSortState()).toEqual([
+        {columnId: 'c2', sortValue: SortValue.DESCENDING},
+        {columnId: 'c4', sortValue: SortValue.ASCENDING},
+      ]);
+
+      // Sorts by single column without multi sort.
+      sortByColumn(foundation, 4);
+      expect(foundation.getSortState()).toEqual([
+        {columnId: 'c4', sortValue: SortValue.DESCENDING},
+      ]);
+    });
+
+    it('#handleSortAction sets aria-sort only on column with highest priority and renders priorities on multi sort',
+       () => {
+         const {foundation, mockAdapter} = setupTest();
+         mockAdapter.getHeaderCellCount.and.returnValue(5);
+
+         sortByColumn(foundation, 2);
+         sortByColumn(foundation, 4, /** isMultiSort */ true);
+         expect(mockAdapter.setAttributeByHeaderCellIndex)
+             .toHaveBeenCalledWith(
+                 2, attributes.ARIA_SORT, SortValue.ASCENDING);
+         expect(mockAdapter.setAttributeByHeaderCellIndex)
+             .toHaveBeenCalledWith(4, attributes.ARIA_SORT, SortValue.NONE);
+         expect(mockAdapter.setClassNameByHeaderCellIndex)
+             .toHaveBeenCalledWith(4, cssClasses.HEADER_CELL_SORTED);
+         expect(mockAdapter.setSortStatusLabelByHeaderCellIndex)
+             .toHaveBeenCalledWith(2, SortValue.ASCENDING, 1);
+         expect(mockAdapter.setSortStatusLabelByHeaderCellIndex)
+             .toHaveBeenCalledWith(4, SortValue.ASCENDING, 2);
+         expect(mockAdapter.setSortPriorityByHeaderCellIndex)
+             .toHaveBeenCalledWith(2, 1);
+         expect(mockAdapter.setSortPriorityByHeaderCellIndex)
+             .toHaveBeenCalledWith(4, 2);
+
+         sortByColumn(foundation, 4);
+         expect(mockAdapter.setSortPriorityByHeaderCellIndex)
+             .toHaveBeenCalledWith(2, null);
+         expect(mockAdapter.setSortPriorityByHeaderCellIndex)
+             .toHaveBeenCalledWith(4, null);
+       });
+
+    it('#getSortState returns sort state rendered in aria-sort attribute when no column is sorted yet',
+       () => {
+         const {foundation, mockAdapter} = setupTest();
+         mockAdapter.getHeaderCellCount.and.returnValue(3);
+         mockAdapter.getAttributeByHeaderCellIndex.and.callFake(
+             (columnIndex: number, attribute: string) => {
+               if (attribute === dataAttributes.COLUMN_ID) {
+                 return `c${columnIndex}`;
+               }
+               return columnIndex === 1 && attribute === attributes.ARIA_SORT ?
+                   SortValue.DESCENDING :
+                   null;
+             });
+
+         expect(foundation.getSortState()).toEqual([
+           {columnId: 'c1', sortValue: SortValue.DESCENDING},
+         ]);
+       });
+
+    it('#setSortState sorts by given columns and ignores unknown columns',
+       () => {
+         const {foundation, mockAdapter} = setupTest();
+         mockAdapter.getHeaderCellCount.and.returnValue(3);
+         mockAdapter.getAttributeByHeaderCellIndex.and.callFake(
+             (columnIndex: number, attribute: string) =>
+                 attribute === dataAttributes.COLUMN_ID ? `c${columnIndex}` :
+                                                          null);
+
+         foundation.setSortState([
+           {columnId: 'c2', sortValue: SortValue.DESCENDING},
+           {columnId: 'unknown', sortValue: SortValue.ASCENDING},
+           {columnId: 'c0', sortValue: SortValue.ASCENDING},
+         ]);
+         expect(foundation.getSortState()).toEqual([
+           {columnId: 'c2', sortValue: SortValue.DESCENDING},
+           {columnId: 'c0', sortValue: SortValue.ASCENDING},
+         ]);
+         expect(mockAdapter.setClassNameByHeaderCellIndex)
+             .toHaveBeenCalledWith(2, cssClasses.HEADER_CELL_SORTED_DESCENDING);
+         expect(mockAdapter.setAttributeByHeaderCellIndex)
+             .toHaveBeenCalledWith(
+                 2, attributes.ARIA_SORT, SortValue.DESCENDING);
+         expect(mockAdapter.setSortPriorityByHeaderCellIndex)
+             .toHaveBeenCalledWith(0, 2);
+         expect(mockAdapter.notifySortAction).not.toHaveBeenCalled();
+
+         foundation.setSortState([]);
+         expect(foundation.getSortState()).toEqual([]);
+         expect(mockAdapter.setAttributeByHeaderCellIndex)
+             .toHaveBeenCalledWith(2, attributes.ARIA_SORT, SortValue.NONE);
+       });
+
+    it('#handleColumnDrop keeps sorted columns in sync with column order',
+       () => {
+         const {foundation, mockAdapter} = setupTest();
+         mockAdapter.getHeaderCellCount.and.returnValue(4);
+         sortByColumn(foundation, 1);
+         sortByColumn(foundation, 3, /** isMultiSort */ true);
+
+         const event = {preventDefault: jasmine.createSpy('preventDefault')};
+         foundation.handleColumnDragStart(1);
+         foundation.handleColumnDrop(event as unknown as Event, 3);
+         mockAdapter.setSortPriorityByHeaderCellIndex.calls.reset();
+
+         sortByColumn(foundation, 0, /** isMultiSort */ true);
+         expect(mockAdapter.setSortPriorityByHeaderCellIndex)
+             .toHaveBeenCalledWith(3, 1);
+         expect(mockAdapter.setSortPriorityByHeaderCellIndex)
+             .toHaveBeenCalledWith(2, 2);
+         expect(mockAdapter.setSortPriorityByHeaderCellIndex)
+             .toHaveBeenCalledWith(0, 3);
+       });
+  });
+
+  describe('Client side sorting', () => {
+    function setupSortTest(values: string[]) {
+      const {foundation, mockAdapter} = setupTest();
+      mockAdapter.getHeaderCellCount.and.returnValue(3);
+      mockAdapter.getRowCount.and.returnValue(values.length);
+      mockAdapter.getCellSortValueAtIndex.and.callFake(
+          (rowIndex: number) => values[rowIndex]);
+      foundation.setUseClientSort(true);
+      return {foundation, mockAdapter};
+    }
+
+    function sortByColumn(
+        foundation: MDCDataTableFoundation, columnId: string|null = null) {
+      foundation.handleSortAction({
+        columnId,
+        columnIndex: 1,
+        headerCell: document.createElement('div'),
+      });
+    }
+
+    it('#handleSortAction does not reorder rows when client side sorting is disabled',
+       () => {
+         const {foundation, mockAdapter} = setupSortTest(['b', 'a']);
+         foundation.setUseClientSort(false);
+
+         sortByColumn(foundation);
+         expect(mockAdapter.reorderRows).not.toHaveBeenCalled();
+       });
+
+    it('#handleSortAction reorders rows by string cell values in ascending order',
+       () => {
+         const {foundation, mockAdapter} =
+             setupSortTest(['Eclair', 'Cupcake', 'Donut']);
+
+         sortByColumn(foundation);
+         expect(mockAdapter.getCellSortValueAtIndex).toHaveBeenCalledWith(0, 1);
+         expect(mockAdapter.reorderRows).toHaveBeenCalledWith([1, 2, 0]);
+       });
+
+    it('#handleSortAction reorders rows in descending order when sorted in ascending order',
+       () => {
+         const {foundation, mockAdapter} =
+             setupSortTest(['Eclair', 'Cupcake', 'Donut']);
+         mockAdapter.getAttributeByHeaderCellIndex
+             .withArgs(1, attributes.ARIA_SORT)
+             .and.returnValue(SortValue.ASCENDING);
+
+         sortByColumn(foundation);
+         expect(mockAdapter.reorderRows).toHaveBeenCalledWith([0, 2, 1]);
+       });
+
+    it('#handleSortAction compares numeric cells as numbers', () => {
+      const {foundation, mockAdapter} = setupSortTest(['159', '1,237', '26']);
+      mockAdapter.isNumericCellAtIndex.withArgs(0, 1).and.returnValue(true);
+
+      sortByColumn(foundation);
+      expect(mockAdapter.reorderRows).toHaveBeenCalledWith([2, 0, 1]);
+    });
+
+    it('#handleSortAction compares cells as dates when sort type of header cell is date',
+       () => {
+         const {foundation, mockAdapter} =
+             setupSortTest(['2020-03-01', 'not a date', '2019-12-31']);
+         mockAdapter.getAttributeByHeaderCellIndex
+             .withArgs(1, dataAttributes.SORT_TYPE)
+             .and.returnValue(SortType.DATE);
+
+         sortByColumn(foundation);
+         expect(mockAdapter.reorderRows).toHaveBeenCalledWith([2, 0, 1]);
+       });
+
+    it('#handleSortAction sorts cells that are not numbers last in descending order',
+       () => {
+         const {foundation, mockAdapter} =
+             setupSortTest(['26', 'N/A', '159', '', '1,237']);
+         mockAdapter.isNumericCellAtIndex.and.returnValue(true);
+         mockAdapter.getAttributeByHeaderCellIndex
+             .withArgs(1, attributes.ARIA_SORT)
+             .and.returnValue(SortValue.ASCENDING);
+
+         sortByColumn(foundation);
+         expect(mockAdapter.reorderRows).toHaveBeenCalledWith([4, 2, 0, 1, 3]);
+       });
+
+    it('#handleSortAction sorts cells that are not dates last in descending order',
+       () => {
+         const {foundation, mockAdapter} =
+             setupSortTest(['2020-03-01', 'not a date', '2019-12-31']);
+         mockAdapter.getAttributeByHeaderCellIndex
+             .withArgs(1, dataAttributes.SORT_TYPE)
+             .and.returnValue(SortType.DATE);
+         mockAdapter.getAttributeByHeaderCellIndex
+             .withArgs(1, attributes.ARIA_SORT)
+             .and.returnValue(SortValue.ASCENDING);
+
+         sortByColumn(foundation);
+         expect(mockAdapter.reorderRows).toHaveBeenCalledWith([0, 2, 1]);
+       });
+
+    it('#handleSortAction keeps relative order of rows with equal values in both directions',
+       () => {
+         const {foundation, mockAdapter} =
+             setupSortTest(['24', '37', '24', '10']);
+         mockAdapter.isNumericCellAtIndex.and.returnValue(true);
+
+         sortByColumn(foundation);
+         expect(mockAdapter.reorderRows).toHaveBeenCalledWith([3, 0, 2, 1]);
+
+         mockAdapter.getAttributeByHeaderCellIndex
+             .withArgs(1, attributes.ARIA_SORT)
+             .and.returnValue(SortValue.ASCENDING);
+         sortByColumn(foundation);
+         expect(mockAdapter.reorderRows).toHaveBeenCalledWith([1, 0, 2, 3]);
+       });
+
+    it('#handleSortAction uses comparator registered for column id', () => {
+      const {foundation, mockAdapter} =
+          setupSortTest(['Low', 'High', 'Medium']);
+      const priorities = ['Low', 'Medium', 'High'];
+      foundation.registerSortComparator(
+          'priority',
+          (a: string, b: string) =>
+              priorities.indexOf(a) - priorities.indexOf(b));
+
+      sortByColumn(foundation, 'priority');
+      expect(mockAdapter.reorderRows).toHaveBeenCalledWith([0, 2, 1]);
+    });
+
+    it('#handleSortAction reorders rows by cell values of sorted columns in order of sort priority',
+       () => {
+         const {foundation, mockAdapter} = setupTest();
+         const rows = [['b', '2'], ['a', '2'], ['b', '1'], ['a', '1']];
+         mockAdapter.getHeaderCellCount.and.returnValue(2);
+         mockAdapter.getRowCount.and.returnValue(rows.length);
+         mockAdapter.getCellSortValueAtIndex.and.callFake(
+             (rowIndex: number, columnIndex: number) =>
+                 rows[rowIndex][columnIndex]);
+         foundation.setUseClientSort(true);
+
+         foundation.handleSortAction({
+           columnId: 'number',
+           columnIndex: 1,
+           headerCell: document.createElement('div'),
+         });
+         foundation.handleSortAction({
+           columnId: 'letter',
+           columnIndex: 0,
+           headerCell: document.createElement('div'),
+           isMultiSort: true,
+         });
+         expect(mockAdapter.reorderRows).toHaveBeenCalledWith([3, 2, 1, 0]);
+       });
+
+    it('#handleSortAction reorders rows before notifying sort action', () => {
+      const {foundation, mockAdapter} = setupSortTest(['b', 'a']);
+      mockAdapter.notifySortAction.and.callFake(() => {
+        expect(mockAdapter.reorderRows).toHaveBeenCalled();
+      });
+
+      sortByColumn(foundation);
+      expect(mockAdapter.notifySortAction).toHaveBeenCalled();
+    });
+  });
+
+  describe('Pagination', () => {
+    it('#layout updates total label and disables previous page buttons on first page',
+       () => {
+         const {foundation, mockAdapter} = setupTest();
+         mockAdapter.getRowCount.and.returnValue(10);
+         foundation.setTotalRowCount(240);
+
+         foundation.layout();
+         expect(mockAdapter.setPaginationTotalLabel)
+             .toHaveBeenCalledWith(1, 10, 240);
+         expect(mockAdapter.setPaginationButtonDisabled)
+             .toHaveBeenCalledWith(PaginationAction.FIRST_PAGE, true);
+         expect(mockAdapter.setPaginationButtonDisabled)
+             .toHaveBeenCalledWith(PaginationAction.PREV_PAGE, true);
+         expect(mockAdapter.setPaginationButtonDisabled)
+             .toHaveBeenCalledWith(PaginationAction.NEXT_PAGE, false);
+         expect(mockAdapter.setPaginationButtonDisabled)
+             .toHaveBeenCalledWith(PaginationAction.LAST_PAGE, false);
+       });
+
+    it('#layout sets total label to zero when there are no rows', () => {
+      const {foundation, mockAdapter} = setupTest();
+      mockAdapter.getRowCount.and.returnValue(0);
+
+      foundation.layout();
+      expect(mockAdapter.setPaginationTotalLabel).toHaveBeenCalledWith(0, 0, 0);
+      expect(mockAdapter.setPaginationButtonDisabled)
+          .toHaveBeenCalledWith(PaginationAction.LAST_PAGE, true);
+    });
+
+    it('#handlePaginationAction navigates between pages and notifies pagination changed',
+       () => {
+         const {foundation, mockAdapter} = setupTest();
+         foundation.setTotalRowCount(240);
+
+         foundation.handlePaginationAction(PaginationAction.NEXT_PAGE);
+         expect(foundation.getPageIndex()).toBe(1);
+         expect(mockAdapter.notifyPaginationChanged)
+             .toHaveBeenCalledWith(
+                 {firstRowIndex: 10, pageIndex: 1, pageSize: 10});
+         expect(mockAdapter.setPaginationTotalLabel)
+             .toHaveBeenCalledWith(11, 20, 240);
+
+         foundation.handlePaginationAction(PaginationAction.LAST_PAGE);
+         expect(foundation.getPageIndex()).toBe(23);
+         expect(mockAdapter.setPaginationButtonDisabled)
+             .toHaveBeenCalledWith(PaginationAction.NEXT_PAGE, true);
+
+         foundation.handlePaginationAction(PaginationAction.PREV_PAGE);
+         expect(foundation.getPageIndex()).toBe(22);
+
+         foundation.handlePaginationAction(PaginationAction.FIRST_PAGE);
+         expect(foundation.getPageIndex()).toBe(0);
+         expect(mockAdapter.notifyPaginationChanged).toHaveBeenCalledTimes(4);
+       });
+
+    it('#handlePaginationAction does not notify when page is not changed',
+       () => {
+         const {foundation, mockAdapter} = setupTest();
+         foundation.setTotalRowCount(240);
+
+         foundation.handlePaginationAction(PaginationAction.PREV_PAGE);
+         foundation.handlePaginationAction(PaginationAction.FIRST_PAGE);
+         expect(mockAdapter.notifyPaginationChanged).not.toHaveBeenCalled();
+       });
+
+    it('#handleRowsPerPageChange keeps first row of current page visible and notifies pagination changed',
+       () => {
+         const {foundation, mockAdapter} = setupTest();
+         foundation.setTotalRowCount(240);
+         foundation.setPageIndex(5);
+
+         foundation.handleRowsPerPageChange(25);
+         expect(foundation.getPageSize()).toBe(25);
+         expect(foundation.getPageIndex()).toBe(2);
+         expect(mockAdapter.setRowsPerPageSelectValue).toHaveBeenCalledWith(25);
+         expect(mockAdapter.notifyPaginationChanged)
+             .toHaveBeenCalledWith(
+                 {firstRowIndex: 50, pageIndex: 2, pageSize: 25});
+       });
+
+    it('#setPageIndex clamps page index to available pages without notifying',
+       () => {
+         const {foundation, mockAdapter} = setupTest();
+         foundation.setTotalRowCount(25);
+
+         foundation.setPageIndex(10);
+         expect(foundation.getPageIndex()).toBe(2);
+         expect(mockAdapter.setPaginationTotalLabel)
+             .toHaveBeenCalledWith(21, 25, 25);
+         expect(mockAdapter.notifyPaginationChanged).not.toHaveBeenCalled();
+       });
+
+    it('#setUseClientPagination hides rows outside of current page', () => {
+      const {foundation, mockAdapter} = setupTest();
+      mockAdapter.getRowCount.and.returnValue(15);
+      foundation.setTotalRowCount(240);
+
+      foundation.setUseClientPagination(true);
+      expect(mockAdapter.setPaginationTotalLabel)
+          .toHaveBeenCalledWith(1, 10, 15);
+      expect(mockAdapter.removeClassAtRowIndex)
+          .toHaveBeenCalledWith(9, cssClasses.ROW_HIDDEN);
+      expect(mockAdapter.addClassAtRowIndex)
+          .toHaveBeenCalledWith(10, cssClasses.ROW_HIDDEN);
+
+      foundation.handlePaginationAction(PaginationAction.NEXT_PAGE);
+      expect(mockAdapter.addClassAtRowIndex)
+          .toHaveBeenCalledWith(9, cssClasses.ROW_HIDDEN);
+      expect(mockAdapter.removeClassAtRowIndex)
+          .toHaveBeenCalledWith(14, cssClasses.ROW_HIDDEN);
+    });
+
+    it('#setUseClientPagination shows all rows when client side pagination is disabled',
+       () => {
+         const {foundation, mockAdapter} = setupTest();
+         mockAdapter.getRowCount.and.returnValue(15);
+         foundation.setUseClientPagination(true);
+         mockAdapter.removeClassAtRowIndex.calls.reset();
+
+         foundation.setUseClientPagination(false);
+         expect(mockAdapter.removeClassAtRowIndex)
+             .toHaveBeenCalledWith(14, cssClasses.ROW_HIDDEN);
+         expect(mockAdapter.removeClassAtRowIndex).toHaveBeenCalledTimes(15);
+       });
+
+    it('#layout moves to last available page when rows are removed with client side pagination',
+       () => {
+         const {foundation, mockAdapter} = setupTest();
+         mockAdapter.getRowCount.and.returnValue(25);
+         foundation.setUseClientPagination(true);
+         foundation.setPageIndex(2);
+
+         mockAdapter.getRowCount.and.returnValue(12);
+         foundation.layout();
+         expect(foundation.getPageIndex()).toBe(1);
+         expect(mockAdapter.setPaginationTotalLabel)
+             .toHaveBeenCalledWith(11, 12, 12);
+       });
+  });
+
+  describe('Virtual scroll', () => {
+    function setupVirtualScrollTest() {
+      const {foundation, mockAdapter} = setupTest();
+      let renderedRange = {startIndex: 0, endIndex: 0};
+      mockAdapter.isRowsSelectable.and.returnValue(true);
+      mockAdapter.getVirtualRowCount.and.returnValue(1000);
+      mockAdapter.getVirtualRowIdAtIndex.and.callFake(
+          (rowIndex: number) => `r${rowIndex}`);
+      mockAdapter.getTableContainerHeight.and.returnValue(200);
+      mockAdapter.renderVirtualRows.and.callFake(
+          (startIndex: number, endIndex: number) => {
+            renderedRange = {startIndex, endIndex};
+          });
+      mockAdapter.getRowCount.and.callFake(
+          () => renderedRange.endIndex - renderedRange.startIndex);
+      mockAdapter.getRowIdAtIndex.and.callFake(
+          (rowIndex: number) => `r${renderedRange.startIndex + rowIndex}`);
+      return {foundation, mockAdapter};
+    }
+
+    it('#enableVirtualScroll renders rows visible in table container',
+       () => {
+         const {foundation, mockAdapter} = setupVirtualScrollTest();
+
+         foundation.enableVirtualScroll(20);
+         expect(mockAdapter.renderVirtualRows)
+             .toHaveBeenCalledWith(0, 15, true);
+         expect(mockAdapter.setVirtualSpacerHeights)
+             .toHaveBeenCalledWith(0, 985 * 20);
+       });
+
+    it('#handleTableContainerScroll renders rows visible after scroll', () => {
+      const {foundation, mockAdapter} = setupVirtualScrollTest();
+      foundation.enableVirtualScroll(20);
+
+      mockAdapter.getTableContainerScrollTop.and.returnValue(400);
+      foundation.handleTableContainerScroll();
+      expect(mockAdapter.renderVirtualRows).toHaveBeenCalledWith(15, 35, false);
+      expect(mockAdapter.setVirtualSpacerHeights)
+          .toHaveBeenCalledWith(15 * 20, 965 * 20);
+    });
+
+    it('#handleTableContainerScroll does not render rows when visible range is not changed',
+       () => {
+         const {foundation, mockAdapter} = setupVirtualScrollTest();
+         foundation.enableVirtualScroll(20);
+         mockAdapter.getTableContainerScrollTop.and.returnValue(400);
+         foundation.handleTableContainerScroll();
+         mockAdapter.renderVirtualRows.calls.reset();
+
+         mockAdapter.getTableContainerScrollTop.and.returnValue(400);
+         foundation.handleTableContainerScroll();
+         expect(mockAdapter.renderVirtualRows).not.toHaveBeenCalled();
+       });
+
+    it('#handleTableContainerScroll does nothing when virtual scroll is not enabled',
+       () => {
+         const {foundation, mockAdapter} = setupVirtualScrollTest();
+
+         foundation.handleTableContainerScroll();
+         expect(mockAdapter.renderVirtualRows).not.toHaveBeenCalled();
+       });
+
+    it('#layout re-renders visible rows without re-registering row checkboxes',
+       () => {
+         const {foundation, mockAdapter} = setupVirtualScrollTest();
+         foundation.enableVirtualScroll(20);
+         mockAdapter.renderVirtualRows.calls.reset();
+
+         foundation.layout();
+         expect(mockAdapter.registerHeaderRowCheckbox).toHaveBeenCalled();
+         expect(mockAdapter.registerRowCheckboxes).not.toHaveBeenCalled();
+         expect(mockAdapter.renderVirtualRows)
+             .toHaveBeenCalledWith(0, 15, true);
+       });
+
+    it('#setSelectedRowIds retains selection of rows that are not rendered',
+       () => {
+         const {foundation, mockAdapter} = setupVirtualScrollTest();
+         foundation.enableVirtualScroll(20);
+
+         foundation.setSelectedRowIds(['r500', 'r2']);
+         expect(foundation.getSelectedRowIds()).toEqual(['r2', 'r500']);
+         expect(mockAdapter.setRowCheckboxCheckedAtIndex)
+             .toHaveBeenCalledWith(2, true);
+         expect(mockAdapter.setRowCheckboxCheckedAtIndex)
+             .toHaveBeenCalledWith(3, false);
+         expect(mockAdapter.setHeaderRowCheckboxIndeterminate)
+             .toHaveBeenCalledWith(true);
+
+         mockAdapter.setRowCheckboxCheckedAtIndex.calls.reset();
+         mockAdapter.getTableContainerScrollTop.and.returnValue(10000);
+         foundation.handleTableContainerScroll();
+         // Row 'r500' is rendered at index 5 of rendered range 495-515.
+         expect(mockAdapter.setRowCheckboxCheckedAtIndex)
+             .toHaveBeenCalledWith(5, true);
+         expect(mockAdapter.addClassAtRowIndex)
+             .toHaveBeenCalledWith(5, cssClasses.ROW_SELECTED);
+       });
+
+    it('#setSelectedRowIds ignores row ids that are not in data source', () => {
+      const {foundation, mockAdapter} = setupVirtualScrollTest();
+      mockAdapter.getVirtualRowCount.and.returnValue(2);
+      foundation.enableVirtualScroll(20);
+
+      foundation.setSelectedRowIds(['r0', 'r1', 'r2']);
+      expect(foundation.getSelectedRowIds()).toEqual(['r0', 'r1']);
+      expect(mockAdapter.setHeaderRowCheckboxChecked)
+          .toHaveBeenCalledWith(true);
+      expect(mockAdapter.setHeaderRowCheckboxIndeterminate)
+          .not.toHaveBeenCalledWith(true);
+    });
+
+    it('#layout updates header row checkbox when selected rows are removed from data source',
+       () => {
+         const {foundation, mockAdapter} = setupVirtualScrollTest();
+         foundation.enableVirtualScroll(20);
+         foundation.setSelectedRowIds(['r500']);
+         mockAdapter.setHeaderRowCheckboxIndeterminate.calls.reset();
+
+         mockAdapter.getVirtualRowCount.and.returnValue(100);
+         foundation.layout();
+         expect(mockAdapter.setHeaderRowCheckboxIndeterminate)
+             .toHaveBeenCalledWith(false);
+         expect(mockAdapter.setHeaderRowCheckboxChecked)
+             .toHaveBeenCalledWith(false);
+       });
+
+    it('#handleSortAction does not reorder rendered rows when client side sorting is enabled',
+       () => {
+         const {foundation, mockAdapter} = setupVirtualScrollTest();
+         foundation.setUseClientSort(true);
+         foundation.enableVirtualScroll(20);
+
+         foundation.handleSortAction({
+           columnId: 'name',
+           columnIndex: 0,
+           headerCell: document.createElement('div'),
+         });
+         expect(mockAdapter.reorderRows).not.toHaveBeenCalled();
+         expect(mockAdapter.notifySortAction).toHaveBeenCalled();
+       });
+
+    it('#setPageIndex does not hide rendered rows when client side pagination is enabled',
+       () => {
+         const {foundation, mockAdapter} = setupVirtualScrollTest();
+         foundation.enableVirtualScroll(20);
+         foundation.setUseClientPagination(true);
+         mockAdapter.addClassAtRowIndex.calls.reset();
+
+         foundation.setPageIndex(1);
+         expect(mockAdapter.addClassAtRowIndex)
+             .not.toHaveBeenCalledWith(jasmine.any(Number), cssClasses.ROW_HIDDEN);
+       });
+
+    it('#getTotalRowCount returns row count of data source', () => {
+      const {foundation} = setupVirtualScrollTest();
+      foundation.enableVirtualScroll(20);
+
+      expect(foundation.getTotalRowCount()).toBe(1000);
+    });
+
+    it('#handleRowCheckboxChange updates selection by row id', () => {
+      const {foundation, mockAdapter} = setupVirtualScrollTest();
+      foundation.enableVirtualScroll(20);
+      mockAdapter.getRowIndexByChildElement.and.returnValue(3);
+      mockAdapter.isCheckboxAtRowIndexChecked.withArgs(3).and.returnValue(true);
+
+      foundation.handleRowCheckboxChange({target: {}} as Event);
+      expect(foundation.getSelectedRowIds()).toEqual(['r3']);
+      expect(mockAdapter.notifyRowSelectionChanged)
+          .toHaveBeenCalledWith({rowId: 'r3', rowIndex: 3, selected: true});
+
+      mockAdapter.isCheckboxAtRowIndexChecked.withArgs(3).and.returnValue(
+          false);
+      foundation.handleRowCheckboxChange({target: {}} as Event);
+      expect(foundation.getSelectedRowIds()).toEqual([]);
+    });
+
+    it('#handleHeaderRowCheckboxChange selects all rows of data source', () => {
+      const {foundation, mockAdapter} = setupVirtualScrollTest();
+      foundation.enableVirtualScroll(20);
+      mockAdapter.isHeaderRowCheckboxChecked.and.returnValue(true);
+
+      foundation.handleHeaderRowCheckboxChange();
+      expect(foundation.getSelectedRowIds().length).toBe(1000);
+      expect(mockAdapter.notifySelectedAll).toHaveBeenCalled();
+
+      mockAdapter.isHeaderRowCheckboxChecked.and.returnValue(false);
+      foundation.handleHeaderRowCheckboxChange();
+      expect(foundation.getSelectedRowIds()).toEqual([]);
+    });
+
+    it('#getRowIds returns row ids of all rows of data source', () => {
+      const {foundation} = setupVirtualScrollTest();
+      foundation.enableVirtualScroll(20);
+
+      expect(foundation.getRowIds().length).toBe(1000);
+    });
+  });
+
+  describe('Range selection', () => {
+    function setupRangeSelectionTest() {
+      const {foundation, mockAdapter} = setupTest();
+      const checkedRows = new Set<number>();
+      mockAdapter.isRowsSelectable.and.returnValue(true);
+      mockAdapter.getRowCount.and.returnValue(10);
+      mockAdapter.getRowIdAtIndex.and.callFake(
+          (rowIndex: number) => `u${rowIndex}`);
+      mockAdapter.isCheckboxAtRowIndexChecked.and.callFake(
+          (rowIndex: number) => checkedRows.has(rowIndex));
+      mockAdapter.setRowCheckboxCheckedAtIndex.and.callFake(
+          (rowIndex: number, checked: boolean) => {
+            if (checked) {
+              checkedRows.add(rowIndex);
+            } else {
+              checkedRows.delete(rowIndex);
+            }
+          });
+      mockAdapter.getSelectedRowCount.and.callFake(() => checkedRows.size);
+
+      const clickRowCheckbox = (rowIndex: number, isRangeSelection = false) => {
+        mockAdapter.getRowIndexByChildElement.and.returnValue(rowIndex);
+        mockAdapter.setRowCheckboxCheckedAtIndex(
+            rowIndex, !checkedRows.has(rowIndex));
+        foundation.handleRowCheckboxChange(
+            {target: {}} as Event, isRangeSelection);
+      };
+
+      return {foundation, mockAdapter, clickRowCheckbox};
+    }
+
+    it('#handleRowCheckboxChange selects rows between previously selected row and target row on range selection',
+       () => {
+         const {foundation, mockAdapter, clickRowCheckbox} =
+             setupRangeSelectionTest();
+
+         clickRowCheckbox(2);
+         mockAdapter.notifyRowSelectionChanged.calls.reset();
+         clickRowCheckbox(5, /** isRangeSelection */ true);
+         expect(foundation.getSelectedRowIds()).toEqual([
+           'u2', 'u3', 'u4', 'u5'
+         ]);
+         expect(mockAdapter.notifyRowSelectionChanged)
+             .toHaveBeenCalledTimes(3);
+         expect(mockAdapter.notifyRowSelectionChanged)
+             .toHaveBeenCalledWith({rowId: 'u3', rowIndex: 3, selected: true});
+         expect(mockAdapter.addClassAtRowIndex)
+             .toHaveBeenCalledWith(4, cssClasses.ROW_SELECTED);
+         expect(mockAdapter.setHeaderRowCheckboxIndeterminate)
+             .toHaveBeenCalledWith(true);
+       });
+
+    it('#handleRowCheckboxChange unselects range of rows when target row is unselected',
+       () => {
+         const {foundation, clickRowCheckbox} = setupRangeSelectionTest();
+         foundation.setSelectedRowIds(['u1', 'u2', 'u3', 'u4']);
+
+         clickRowCheckbox(4);
+         clickRowCheckbox(2, /** isRangeSelection */ true);
+         expect(foundation.getSelectedRowIds()).toEqual(['u1']);
+       });
+
+    it('#handleRowCheckboxChange keeps the anchor row on consecutive range selections',
+       () => {
+         const {foundation, clickRowCheckbox} = setupRangeSelectionTest();
+
+         clickRowCheckbox(5);
+         clickRowCheckbox(7, /** isRangeSelection */ true);
+         clickRowCheckbox(3, /** isRangeSelection */ true);
+         expect(foundation.getSelectedRowIds()).toEqual([
+           'u3', 'u4', 'u5', 'u6', 'u7'
+         ]);
+       });
+
+    it('#handleRowCheckboxChange selects only target row when there is no anchor row',
+       () => {
+         const {foundation, clickRowCheckbox} = setupRangeSelectionTest();
+
+         clickRowCheckbox(3, /** isRangeSelection */ true);
+         expect(foundation.getSelectedRowIds()).toEqual(['u3']);
+       });
+
+    it('#handleRowCheckboxChange selects range of rows that are not rendered on virtual scroll',
+       () => {
+         const {foundation, mockAdapter} = setupTest();
+         mockAdapter.isRowsSelectable.and.returnValue(true);
+         mockAdapter.getVirtualRowCount.and.returnValue(1000);
+         mockAdapter.getVirtualRowIdAtIndex.and.callFake(
+             (rowIndex: number) => `r${rowIndex}`);
+         mockAdapter.getTableContainerHeight.and.returnValue(200);
+         mockAdapter.getRowCount.and.returnValue(20);
+         mockAdapter.getRowIdAtIndex.and.callFake(
+             (rowIndex: number) => `r${rowIndex + 15}`);
+         foundation.enableVirtualScroll(20);
+         foundation.setSelectedRowIds(['r2']);
+         mockAdapter.getRowIndexByChildElement.and.returnValue(0);
+         mockAdapter.isCheckboxAtRowIndexChecked.and.returnValue(true);
+         foundation.handleRowCheckboxChange({target: {}} as Event);
+
+         // Rows 15-34 are rendered after scroll.
+         mockAdapter.getTableContainerScrollTop.and.returnValue(400);
+         foundation.handleTableContainerScroll();
+         mockAdapter.getRowIndexByChildElement.and.returnValue(3);
+         foundation.handleRowCheckboxChange(
+             {target: {}} as Event, /** isRangeSelection */ true);
+
+         expect(foundation.getSelectedRowIds()).toEqual([
+           'r0', 'r1', 'r2', 'r3', 'r4', 'r5', 'r6', 'r7', 'r8', 'r9', 'r10',
+           'r11', 'r12', 'r13', 'r14', 'r15', 'r16', 'r17', 'r18'
+         ]);
+         expect(mockAdapter.notifyRowSelectionChanged).toHaveBeenCalledWith({
+           rowId: 'r18',
+           rowIndex: 18,
+           selected: true,
+         });
+         expect(mockAdapter.notifyRowSelectionChanged).toHaveBeenCalledWith({
+           rowId: 'r16',
+           rowIndex: 16,
+           selected: true,
+         });
+         expect(mockAdapter.setRowCheckboxCheckedAtIndex)
+             .toHaveBeenCalledWith(1, true);
+       });
+
+    it('#handleKeydown selects all rows on Ctrl + A', () => {
+      const {foundation, mockAdapter} = setupRangeSelectionTest();
+      const event = {
+        ctrlKey: true,
+        key: 'a',
+        preventDefault: jasmine.createSpy('preventDefault'),
+      };
+
+      foundation.handleKeydown(event as unknown as KeyboardEvent);
+      expect(event.preventDefault).toHaveBeenCalled();
+      expect(mockAdapter.setHeaderRowCheckboxChecked)
+          .toHaveBeenCalledWith(true);
+      expect(foundation.getSelectedRowIds().length).toBe(10);
+      expect(mockAdapter.notifySelectedAll).toHaveBeenCalled();
+    });
+
+    it('#handleKeydown selects all rows on Cmd + A', () => {
+      const {foundation, mockAdapter} = setupRangeSelectionTest();
+      const event = {metaKey: true, key: 'A', preventDefault: () => undefined};
+
+      foundation.handleKeydown(event as unknown as KeyboardEvent);
+      expect(mockAdapter.notifySelectedAll).toHaveBeenCalled();
+    });
+
+    it('#handleKeydown does not handle Ctrl + A when rows are not selectable',
+       () => {
+         const {foundation, mockAdapter} = setupTest();
+         const event = {
+           ctrlKey: true,
+           key: 'a',
+           preventDefault: jasmine.createSpy('preventDefault'),
+         };
+
+         foundation.handleKeydown(event as unknown as KeyboardEvent);
+         expect(event.preventDefault).not.toHaveBeenCalled();
+         expect(mockAdapter.notifySelectedAll).not.toHaveBeenCalled();
+       });
+  });
+
+  describe('Grid navigation', () => {
+    function setupGridNavigationTest() {
+      const {foundation, mockAdapter} = setupTest();
+      mockAdapter.getRowCount.and.returnValue(5);
+      mockAdapter.getHeaderCellCount.and.returnValue(4);
+      foundation.setUseGridNavigation(true);
+
+      const keydown = (key: string, init: Partial<KeyboardEvent> = {}) => {
+        const event = {
+          key,
+          preventDefault: jasmine.createSpy('preventDefault'),
+          ...init,
+        };
+        foundation.handleKeydown(event as unknown as KeyboardEvent);
+        return event;
+      };
+
+      return {foundation, mockAdapter, keydown};
+    }
+
+    it('#setUseGridNavigation makes first header cell focusable', () => {
+      const {mockAdapter} = setupGridNavigationTest();
+
+      expect(mockAdapter.setFocusableCellAtIndex).toHaveBeenCalledWith(-1, 0);
+    });
+
+    it('#handleKeydown moves focus to adjacent cell on arrow keys', () => {
+      const {mockAdapter, keydown} = setupGridNavigationTest();
+
+      const event = keydown('ArrowDown');
+      expect(event.preventDefault).toHaveBeenCalled();
+      expect(mockAdapter.setFocusableCellAtIndex).toHaveBeenCalledWith(0, 0);
+      expect(mockAdapter.focusCellAtIndex).toHaveBeenCalledWith(0, 0);
+
+      keydown('ArrowRight');
+      expect(mockAdapter.focusCellAtIndex).toHaveBeenCalledWith(0, 1);
+
+      keydown('ArrowDown');
+      expect(mockAdapter.focusCellAtIndex).toHaveBeenCalledWith(1, 1);
+
+      keydown('ArrowLeft');
+      expect(mockAdapter.focusCellAtIndex).toHaveBeenCalledWith(1, 0);
+
+      keydown('ArrowUp');
+      keydown('ArrowUp');
+      expect(mockAdapter.focusCellAtIndex).toHaveBeenCalledWith(-1, 0);
+    });
+
+    it('#handleKeydown keeps focus within the grid', () => {
+      const {mockAdapter, keydown} = setupGridNavigationTest();
+
+      keydown('ArrowUp');
+      expect(mockAdapter.focusCellAtIndex).toHaveBeenCalledWith(-1, 0);
+      keydown('ArrowLeft');
+      expect(mockAdapter.focusCellAtIndex).toHaveBeenCalledWith(-1, 0);
+
+      for (let i = 0; i < 10; i++) {
+        keydown('ArrowDown');
+      }
+      expect(mockAdapter.focusCellAtIndex.calls.mostRecent().args).toEqual([
+        4, 0
+      ]);
+    });
+
+    it('#handleKeydown reverses left and right arrow keys in RTL', () => {
+      const {mockAdapter, keydown} = setupGridNavigationTest();
+      mockAdapter.isRTL.and.returnValue(true);
+
+      keydown('ArrowLeft');
+      expect(mockAdapter.focusCellAtIndex).toHaveBeenCalledWith(-1, 1);
+      keydown('ArrowRight');
+      expect(mockAdapter.focusCellAtIndex).toHaveBeenCalledWith(-1, 0);
+    });
+
+    it('#handleKeydown moves focus to first or last cell of row on Home / End',
+       () => {
+         const {foundation, mockAdapter, keydown} = setupGridNavigationTest();
+         foundation.handleCellFocus(2, 1);
+
+         keydown('End');
+         expect(mockAdapter.focusCellAtIndex).toHaveBeenCalledWith(2, 3);
+         keydown('Home');
+         expect(mockAdapter.focusCellAtIndex).toHaveBeenCalledWith(2, 0);
+       });
+
+    it('#handleKeydown moves focus to first or last cell of grid on Ctrl + Home / End',
+       () => {
+         const {foundation, mockAdapter, keydown} = setupGridNavigationTest();
+         foundation.handleCellFocus(2, 1);
+
+         keydown('End', {ctrlKey: true});
+         expect(mockAdapter.focusCellAtIndex).toHaveBeenCalledWith(4, 3);
+         keydown('Home', {ctrlKey: true});
+         expect(mockAdapter.focusCellAtIndex).toHaveBeenCalledWith(-1, 0);
+       });
+
+    it('#handleKeydown moves focus only between rows of current page with client side pagination',
+       () => {
+         const {foundation, mockAdapter, keydown} = setupGridNavigationTest();
+         mockAdapter.getRowCount.and.returnValue(25);
+         foundation.setUseClientPagination(true);
+         foundation.setPageIndex(1);
+
+         keydown('ArrowDown');
+         expect(mockAdapter.focusCellAtIndex).toHaveBeenCalledWith(10, 0);
+         keydown('ArrowUp');
+         expect(mockAdapter.focusCellAtIndex).toHaveBeenCalledWith(-1, 0);
+         keydown('End', {ctrlKey: true});
+         expect(mockAdapter.focusCellAtIndex).toHaveBeenCalledWith(19, 3);
+       });
+
+    it('#handleKeydown toggles selection of row containing focused cell on Space',
+       () => {
+         const {foundation, mockAdapter, keydown} = setupGridNavigationTest();
+         mockAdapter.isRowsSelectable.and.returnValue(true);
+         mockAdapter.getRowIdAtIndex.withArgs(2).and.returnValue('u2');
+         foundation.handleCellFocus(2, 1);
+
+         const event = keydown(' ', {keyCode: 32});
+         expect(event.preventDefault).toHaveBeenCalled();
+         expect(mockAdapter.setRowCheckboxCheckedAtIndex)
+             .toHaveBeenCalledWith(2, true);
+         expect(mockAdapter.addClassAtRowIndex)
+             .toHaveBeenCalledWith(2, cssClasses.ROW_SELECTED);
+         expect(mockAdapter.notifyRowSelectionChanged)
+             .toHaveBeenCalledWith({rowId: 'u2', rowIndex: 2, selected: true});
+       });
+
+    it('#handleKeydown does not handle Space when focused cell is row checkbox cell',
+       () => {
+         const {foundation, mockAdapter, keydown} = setupGridNavigationTest();
+         mockAdapter.isRowsSelectable.and.returnValue(true);
+         mockAdapter.isCheckboxCellAtIndex.withArgs(2, 0).and.returnValue(true);
+         foundation.handleCellFocus(2, 0);
+
+         const event = keydown(' ', {keyCode: 32});
+         expect(event.preventDefault).not.toHaveBeenCalled();
+         expect(mockAdapter.notifyRowSelectionChanged).not.toHaveBeenCalled();
+       });
+
+    it('#handleKeydown does not move focus when grid navigation is disabled',
+       () => {
+         const {foundation, mockAdapter, keydown} = setupGridNavigationTest();
+         foundation.setUseGridNavigation(false);
+
+         const event = keydown('ArrowDown');
+         expect(event.preventDefault).not.toHaveBeenCalled();
+         expect(mockAdapter.focusCellAtIndex).not.toHaveBeenCalled();
+       });
+
+    it('#handleCellFocus makes focused cell the only focusable cell', () => {
+      const {foundation, mockAdapter} = setupGridNavigationTest();
+
+      foundation.handleCellFocus(3, 2);
+      expect(mockAdapter.setFocusableCellAtIndex).toHaveBeenCalledWith(3, 2);
+      expect(mockAdapter.focusCellAtIndex).not.toHaveBeenCalled();
+    });
+
+    it('#layout makes header cell focusable when focused row is removed', () => {
+      const {foundation, mockAdapter} = setupGridNavigationTest();
+      foundation.handleCellFocus(4, 2);
+
+      mockAdapter.getRowCount.and.returnValue(3);
+      foundation.layout();
+      expect(mockAdapter.setFocusableCellAtIndex.calls.mostRecent().args)
+          .toEqual([-1, 2]);
+    });
+  });
+
+  describe('Column resizing', () => {
+    function setupColumnResizeTest() {
+      const {foundation, mockAdapter} = setupTest();
+      mockAdapter.getHeaderCellWidth.and.returnValue(100);
+      mockAdapter.getAttributeByHeaderCellIndex
+          .withArgs(1, dataAttributes.COLUMN_ID)
+          .and.returnValue('calories');
+      return {foundation, mockAdapter};
+    }
+
+    it('#handleColumnResizeMove resizes column by pointer movement', () => {
+      const {foundation, mockAdapter} = setupColumnResizeTest();
+
+      foundation.handleColumnResizeStart(1, 200);
+      expect(mockAdapter.addClass)
+          .toHaveBeenCalledWith(cssClasses.COLUMN_RESIZING);
+
+      foundation.handleColumnResizeMove(250);
+      expect(mockAdapter.setColumnWidth).toHaveBeenCalledWith(1, 150);
+      foundation.handleColumnResizeMove(180);
+      expect(mockAdapter.setColumnWidth).toHaveBeenCalledWith(1, 80);
+    });
+
+    it('#handleColumnResizeMove grows column on pointer move to the left in RTL',
+       () => {
+         const {foundation, mockAdapter} = setupColumnResizeTest();
+         mockAdapter.isRTL.and.returnValue(true);
+
+         foundation.handleColumnResizeStart(1, 200);
+         foundation.handleColumnResizeMove(150);
+         expect(mockAdapter.setColumnWidth).toHaveBeenCalledWith(1, 150);
+       });
+
+    it('#handleColumnResizeMove does not shrink column below its minimum width',
+       () => {
+         const {foundation, mockAdapter} = setupColumnResizeTest();
+
+         foundation.handleColumnResizeStart(1, 200);
+         foundation.handleColumnResizeMove(0);
+         expect(mockAdapter.setColumnWidth)
+             .toHaveBeenCalledWith(1, numbers.MIN_COLUMN_WIDTH);
+
+         mockAdapter.getAttributeByHeaderCellIndex
+             .withArgs(1, dataAttributes.MIN_WIDTH)
+             .and.returnValue('90');
+         foundation.handleColumnResizeMove(0);
+         expect(mockAdapter.setColumnWidth).toHaveBeenCalledWith(1, 90);
+       });
+
+    it('#handleColumnResizeMove does nothing when column is not being resized',
+       () => {
+         const {foundation, mockAdapter} = setupColumnResizeTest();
+
+         foundation.handleColumnResizeMove(250);
+         expect(mockAdapter.setColumnWidth).not.toHaveBeenCalled();
+       });
+
+    it('#handleColumnResizeEnd notifies column resized when width is changed',
+       () => {
+         const {foundation, mockAdapter} = setupColumnResizeTest();
+
+         foundation.handleColumnResizeStart(1, 200);
+         foundation.handleColumnResizeMove(220);
+         foundation.handleColumnResizeEnd();
+         expect(mockAdapter.removeClass)
+             .toHaveBeenCalledWith(cssClasses.COLUMN_RESIZING);
+         expect(mockAdapter.notifyColumnResized).toHaveBeenCalledWith({
+           columnId: 'calories',
+           columnIndex: 1,
+           width: 120,
+         });
+
+         foundation.handleColumnResizeMove(300);
+         expect(mockAdapter.setColumnWidth).toHaveBeenCalledTimes(1);
+       });
+
+    it('#handleColumnResizeEnd does not notify when width is not changed',
+       () => {
+         const {foundation, mockAdapter} = setupColumnResizeTest();
+
+         foundation.handleColumnResizeStart(1, 200);
+         foundation.handleColumnResizeEnd();
+         expect(mockAdapter.notifyColumnResized).not.toHaveBeenCalled();
+       });
+
+    it('#handleColumnResizeKeydown resizes column on arrow keys and notifies',
+       () => {
+         const {foundation, mockAdapter} = setupColumnResizeTest();
+         const event = {
+           key: 'ArrowRight',
+           preventDefault: jasmine.createSpy('preventDefault'),
+         };
+
+         foundation.handleColumnResizeKeydown(
+             event as unknown as KeyboardEvent, 1);
+         expect(event.preventDefault).toHaveBeenCalled();
+         expect(mockAdapter.setColumnWidth)
+             .toHaveBeenCalledWith(1, 100 + numbers.COLUMN_RESIZE_STEP);
+         expect(mockAdapter.notifyColumnResized).toHaveBeenCalledWith({
+           columnId: 'calories',
+           columnIndex: 1,
+           width: 100 + numbers.COLUMN_RESIZE_STEP,
+         });
+
+         foundation.handleColumnResizeKeydown(
+             {key: 'ArrowLeft', preventDefault: () => undefined} as
+                 unknown as KeyboardEvent,
+             1);
+         expect(mockAdapter.setColumnWidth)
+             .toHaveBeenCalledWith(1, 100 - numbers.COLUMN_RESIZE_STEP);
+       });
+
+    it('#handleColumnResizeKeydown ignores other keys', () => {
+      const {foundation, mockAdapter} = setupColumnResizeTest();
+      const event = {
+        key: 'ArrowUp',
+        preventDefault: jasmine.createSpy('preventDefault'),
+      };
+
+      foundation.handleColumnResizeKeydown(
+          event as unknown as KeyboardEvent, 1);
+      expect(event.preventDefault).not.toHaveBeenCalled();
+      expect(mockAdapter.setColumnWidth).not.toHaveBeenCalled();
+    });
+
+    it('#setColumnWidth sets width of column by column id without notifying',
+       () => {
+         const {foundation, mockAdapter} = setupColumnResizeTest();
+         mockAdapter.getHeaderCellCount.and.returnValue(3);
+
+         foundation.setColumnWidth('calories', 240);
+         expect(mockAdapter.setColumnWidth).toHaveBeenCalledWith(1, 240);
+         expect(mockAdapter.notifyColumnResized).not.toHaveBeenCalled();
+       });
+  });
+
+  describe('Column reordering', () => {
+    function setupColumnReorderTest(columnIds: Array<string|null>) {
+      const {foundation, mockAdapter} = setupTest();
+      const columns = columnIds.slice();
+      mockAdapter.getHeaderCellCount.and.callFake(() => columns.length);
+      mockAdapter.getAttributeByHeaderCellIndex.and.callFake(
+          (index: number, attribute: string) =>
+              attribute === dataAttributes.COLUMN_ID ? columns[index] : null);
+      mockAdapter.moveColumn.and.callFake(
+          (fromIndex: number, toIndex: number) => {
+            columns.splice(toIndex, 0, columns.splice(fromIndex, 1)[0]);
+          });
+      return {foundation, mockAdapter};
+    }
+
+    it('#handleColumnDrop moves dragged column and notifies column reordered',
+       () => {
+         const {foundation, mockAdapter} =
+             setupColumnReorderTest([null, 'a', 'b', 'c']);
+
+         foundation.handleColumnDragStart(1);
+         expect(mockAdapter.setClassNameByHeaderCellIndex)
+             .toHaveBeenCalledWith(1, cssClasses.HEADER_CELL_DRAGGING);
+
+         const event = {preventDefault: jasmine.createSpy('preventDefault')};
+         foundation.handleColumnDrop(event as unknown as Event, 3);
+         expect(event.preventDefault).toHaveBeenCalled();
+         expect(mockAdapter.moveColumn).toHaveBeenCalledWith(1, 3);
+         expect(mockAdapter.notifyColumnReordered).toHaveBeenCalledWith({
+           columnIds: [null, 'b', 'c', 'a'],
+           fromIndex: 1,
+           toIndex: 3,
+         });
+         expect(mockAdapter.removeClassNameByHeaderCellIndex)
+             .toHaveBeenCalledWith(1, cssClasses.HEADER_CELL_DRAGGING);
+       });
+
+    it('#handleColumnDragOver allows drop and highlights target header cell',
+       () => {
+         const {foundation, mockAdapter} =
+             setupColumnReorderTest([null, 'a', 'b', 'c']);
+         const event = {preventDefault: jasmine.createSpy('preventDefault')};
+
+         foundation.handleColumnDragStart(1);
+         foundation.handleColumnDragOver(event as unknown as Event, 2);
+         expect(event.preventDefault).toHaveBeenCalled();
+         expect(mockAdapter.setClassNameByHeaderCellIndex)
+             .toHaveBeenCalledWith(2, cssClasses.HEADER_CELL_DROP_TARGET);
+
+         foundation.handleColumnDragOver(event as unknown as Event, 3);
+         expect(mockAdapter.removeClassNameByHeaderCellIndex)
+             .toHaveBeenCalledWith(2, cssClasses.HEADER_CELL_DROP_TARGET);
+         expect(mockAdapter.setClassNameByHeaderCellIndex)
+             .toHaveBeenCalledWith(3, cssClasses.HEADER_CELL_DROP_TARGET);
+
+         foundation.handleColumnDragEnd();
+         expect(mockAdapter.removeClassNameByHeaderCellIndex)
+             .toHaveBeenCalledWith(3, cssClasses.HEADER_CELL_DROP_TARGET);
+         expect(mockAdapter.moveColumn).not.toHaveBeenCalled();
+       });
+
+    it('#handleColumnDragOver does not allow drop when no column is dragged',
+       () => {
+         const {foundation} = setupColumnReorderTest([null, 'a', 'b', 'c']);
+         const event = {preventDefault: jasmine.createSpy('preventDefault')};
+
+         foundation.handleColumnDragOver(event as unknown as Event, 2);
+         expect(event.preventDefault).not.toHaveBeenCalled();
+       });
+
+    it('#handleColumnDrop does not move column when dropped on itself', () => {
+      const {foundation, mockAdapter} =
+          setupColumnReorderTest([null, 'a', 'b', 'c']);
+
+      foundation.handleColumnDragStart(2);
+      foundation.handleColumnDrop(
+          {preventDefault: () => undefined} as Event, 2);
+      expect(mockAdapter.moveColumn).not.toHaveBeenCalled();
+      expect(mockAdapter.notifyColumnReordered).not.toHaveBeenCalled();
+    });
+
+    it('#getColumnOrder returns column ids of header cells', () => {
+      const {foundation} = setupColumnReorderTest([null, 'a', 'b', 'c']);
+
+      expect(foundation.getColumnOrder()).toEqual([null, 'a', 'b', 'c']);
+    });
+
+    it('#setColumnOrder reorders columns keeping other columns in place', () => {
+      const {foundation, mockAdapter} =
+          setupColumnReorderTest([null, 'a', 'b', null, 'c', 'd']);
+
+      foundation.setColumnOrder(['d', 'b', 'a', 'c']);
+      expect(foundation.getColumnOrder()).toEqual([
+        null, 'd', 'b', null, 'a', 'c'
+      ]);
+      expect(mockAdapter.notifyColumnReordered).not.toHaveBeenCalled();
+    });
+
+    it('#setColumnOrder ignores unknown column ids', () => {
+      const {foundation} = setupColumnReorderTest([null, 'a', 'b', 'c']);
+
+      foundation.setColumnOrder(['c', 'x', 'a']);
+      expect(foundation.getColumnOrder()).toEqual([null, 'c', 'b', 'a']);
+    });
+  });
+
+  describe('Detail rows', () => {
+    it('#handleRowExpandToggle expands collapsed row and notifies', () => {
+      const {foundation, mockAdapter} = setupTest();
+      mockAdapter.isRowExpandedAtIndex.and.returnValue(false);
+      mockAdapter.getRowIdAtIndex.and.returnValue('u1');
+
+      foundation.handleRowExpandToggle(1);
+      expect(mockAdapter.setRowExpandedAtIndex).toHaveBeenCalledWith(1, true);
+      expect(mockAdapter.notifyRowExpansionChanged)
+          .toHaveBeenCalledWith({expanded: true, rowId: 'u1', rowIndex: 1});
+    });
+
+    it('#handleRowExpandToggle collapses expanded row', () => {
+      const {foundation, mockAdapter} = setupTest();
+      mockAdapter.isRowExpandedAtIndex.and.returnValue(true);
+
+      foundation.handleRowExpandToggle(0);
+      expect(mockAdapter.setRowExpandedAtIndex).toHaveBeenCalledWith(0, false);
+    });
+
+    it('#setRowExpanded expands row by row id without notifying', () => {
+      const {foundation, mockAdapter} = setupTest();
+      mockAdapter.getRowCount.and.returnValue(3);
+      mockAdapter.getRowIdAtIndex.and.callFake(
+          (rowIndex: number) => `u${rowIndex}`);
+
+      foundation.setRowExpanded('u2', true);
+      foundation.setRowExpanded('unknown', true);
+      expect(mockAdapter.setRowExpandedAtIndex).toHaveBeenCalledTimes(1);
+      expect(mockAdapter.setRowExpandedAtIndex).toHaveBeenCalledWith(2, true);
+      expect(mockAdapter.notifyRowExpansionChanged).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Row grouping', () => {
+    // Rows 0 and 1 belong to group `a`, rows 2 to 4 belong to group `b`.
+    function setupGroupTest(checkedRowIndexes: number[] = []) {
+      const {foundation, mockAdapter} = setupTest();
+      const groupIds = ['a', 'a', 'b', 'b', 'b'];
+      const checked = groupIds.map(
+          (_groupId, rowIndex) => checkedRowIndexes.indexOf(rowIndex) !== -1);
+      mockAdapter.isRowsSelectable.and.returnValue(true);
+      mockAdapter.getRowCount.and.returnValue(groupIds.length);
+      mockAdapter.getGroupIds.and.returnValue(['a', 'b']);
+      mockAdapter.getGroupIdAtRowIndex.and.callFake(
+          (rowIndex: number) => groupIds[rowIndex]);
+      mockAdapter.isCheckboxAtRowIndexChecked.and.callFake(
+          (rowIndex: number) => checked[rowIndex]);
+      mockAdapter.setRowCheckboxCheckedAtIndex.and.callFake(
+          (rowIndex: number, isChecked: boolean) => {
+            checked[rowIndex] = isChecked;
+          });
+      mockAdapter.getSelectedRowCount.and.callFake(
+          () => checked.filter((isChecked) => isChecked).length);
+      mockAdapter.getRowIdAtIndex.and.callFake(
+          (rowIndex: number) => `u${rowIndex}`);
+      return {foundation, mockAdapter};
+    }
+
+    it('#layout registers group checkboxes and sets aggregated row counts',
+       () => {
+         const {foundation, mockAdapter} = setupGroupTest();
+         mockAdapter.isGroupExpanded.and.returnValue(true);
+
+         foundation.layout();
+         expect(mockAdapter.registerGroupCheckboxes).toHaveBeenCalled();
+         expect(mockAdapter.setGroupRowCount).toHaveBeenCalledWith('a', 2);
+         expect(mockAdapter.setGroupRowCount).toHaveBeenCalledWith('b', 3);
+       });
+
+    it('#layout collapses rows of collapsed groups', () => {
+      const {foundation, mockAdapter} = setupGroupTest();
+      mockAdapter.isGroupExpanded.and.callFake(
+          (groupId: string) => groupId === 'a');
+
+      foundation.layout();
+      expect(mockAdapter.removeClassAtRowIndex)
+          .toHaveBeenCalledWith(0, cssClasses.ROW_COLLAPSED);
+      expect(mockAdapter.addClassAtRowIndex)
+          .toHaveBeenCalledWith(2, cssClasses.ROW_COLLAPSED);
+      expect(mockAdapter.addClassAtRowIndex)
+          .toHaveBeenCalledWith(4, cssClasses.ROW_COLLAPSED);
+      expect(mockAdapter.addClassAtRowIndex)
+          .not.toHaveBeenCalledWith(1, cssClasses.ROW_COLLAPSED);
+    });
+
+    it('#handleGroupToggle collapses rows of expanded group and notifies',
+       () => {
+         const {foundation, mockAdapter} = setupGroupTest();
+         mockAdapter.isGroupExpanded.and.returnValue(true);
+
+         foundation.handleGroupToggle('a');
+         expect(mockAdapter.setGroupExpanded).toHaveBeenCalledWith('a', false);
+         expect(mockAdapter.addClassAtRowIndex)
+             .toHaveBeenCalledWith(0, cssClasses.ROW_COLLAPSED);
+         expect(mockAdapter.addClassAtRowIndex)
+             .toHaveBeenCalledWith(1, cssClasses.ROW_COLLAPSED);
+         expect(mockAdapter.addClassAtRowIndex).toHaveBeenCalledTimes(2);
+         expect(mockAdapter.notifyGroupExpansionChanged)
+             .toHaveBeenCalledWith({groupId: 'a', expanded: false});
+       });
+
+    it('#handleGroupCheckboxChange selects all rows of the group and notifies',
+       () => {
+         const {foundation, mockAdapter} = setupGroupTest([2]);
+         mockAdapter.isGroupCheckboxChecked.and.returnValue(true);
+
+         foundation.handleGroupCheckboxChange('b');
+         expect(mockAdapter.setRowCheckboxCheckedAtIndex)
+             .toHaveBeenCalledWith(3, true);
+         expect(mockAdapter.setRowCheckboxCheckedAtIndex)
+             .toHaveBeenCalledWith(4, true);
+         expect(mockAdapter.setRowCheckboxCheckedAtIndex)
+             .toHaveBeenCalledTimes(2);
+         expect(mockAdapter.notifyRowSelectionChanged)
+             .toHaveBeenCalledWith({rowId: 'u3', rowIndex: 3, selected: true});
+         expect(mockAdapter.notifyRowSelectionChanged).toHaveBeenCalledTimes(2);
+         expect(mockAdapter.setGroupCheckboxChecked)
+             .toHaveBeenCalledWith('b', true);
+         expect(mockAdapter.setHeaderRowCheckboxIndeterminate)
+             .toHaveBeenCalledWith(true);
+       });
+
+    it('#handleGroupCheckboxChange unselects all rows of the group', () => {
+      const {foundation, mockAdapter} = setupGroupTest([0, 1, 2]);
+      mockAdapter.isGroupCheckboxChecked.and.returnValue(false);
+
+      foundation.handleGroupCheckboxChange('a');
+      expect(mockAdapter.setRowCheckboxCheckedAtIndex)
+          .toHaveBeenCalledWith(0, false);
+      expect(mockAdapter.setRowCheckboxCheckedAtIndex)
+          .toHaveBeenCalledWith(1, false);
+      expect(mockAdapter.setGroupCheckboxChecked)
+          .toHaveBeenCalledWith('a', false);
+      expect(mockAdapter.setGroupCheckboxIndeterminate)
+          .toHaveBeenCalledWith('a', false);
+    });
+
+    it('#handleRowCheckboxChange sets group checkbox indeterminate when some rows of the group are selected',
+       () => {
+         const {foundation, mockAdapter} = setupGroupTest([2]);
+         mockAdapter.getRowIndexByChildElement.and.returnValue(2);
+
+         foundation.handleRowCheckboxChange({} as Event);
+         expect(mockAdapter.setGroupCheckboxChecked)
+             .toHaveBeenCalledWith('b', false);
+         expect(mockAdapter.setGroupCheckboxIndeterminate)
+             .toHaveBeenCalledWith('b', true);
+         expect(mockAdapter.setGroupCheckboxIndeterminate)
+             .toHaveBeenCalledWith('a', false);
+       });
+
+    it('#handleHeaderRowCheckboxChange checks all group checkboxes', () => {
+      const {foundation, mockAdapter} = setupGroupTest();
+      mockAdapter.isHeaderRowCheckboxChecked.and.returnValue(true);
+
+      foundation.handleHeaderRowCheckboxChange();
+      expect(mockAdapter.setGroupCheckboxChecked)
+          .toHaveBeenCalledWith('a', true);
+      expect(mockAdapter.setGroupCheckboxChecked)
+          .toHaveBeenCalledWith('b', true);
+    });
+  });
+
+  describe('Cell editing', () => {
+    // Columns 1 and 2 of 3 rows are editable.
+    function setupCellEditTest() {
+      const {foundation, mockAdapter} = setupTest();
+      mockAdapter.getRowCount.and.returnValue(3);
+      mockAdapter.getHeaderCellCount.and.returnValue(3);
+      mockAdapter.isCellEditableAtIndex.and.callFake(
+          (_rowIndex: number, columnIndex: number) => columnIndex > 0);
+      mockAdapter.getCellValueAtIndex.and.returnValue('old');
+      mockAdapter.getRowIdAtIndex.and.callFake(
+          (rowIndex: number) => `u${rowIndex}`);
+      mockAdapter.getAttributeByHeaderCellIndex.and.callFake(
+          (columnIndex: number) => `c${columnIndex}`);
+      return {foundation, mockAdapter};
+    }
+
+    function keydown(
+        foundation: MDCDataTableFoundation, key: string, shiftKey = false) {
+      const event = {
+        key,
+        preventDefault: jasmine.createSpy('preventDefault'),
+        shiftKey,
+      };
+      foundation.handleCellEditorKeydown(event as unknown as KeyboardEvent);
+      return event;
+    }
+
+    it('#handleCellDoubleClick opens cell editor with cell value', () => {
+      const {foundation, mockAdapter} = setupCellEditTest();
+
+      foundation.handleCellDoubleClick(1, 2);
+      expect(mockAdapter.openCellEditorAtIndex)
+          .toHaveBeenCalledWith(1, 2, 'old');
+    });
+
+    it('#handleCellDoubleClick does not open cell editor of cell that is not editable',
+       () => {
+         const {foundation, mockAdapter} = setupCellEditTest();
+
+         foundation.handleCellDoubleClick(1, 0);
+         expect(mockAdapter.openCellEditorAtIndex).not.toHaveBeenCalled();
+       });
+
+    it('#handleCellKeydown opens cell editor on Enter key', () => {
+      const {foundation, mockAdapter} = setupCellEditTest();
+      const event = {
+        key: 'Enter',
+        preventDefault: jasmine.createSpy('preventDefault'),
+      };
+
+      foundation.handleCellKeydown(event as unknown as KeyboardEvent, 0, 1);
+      expect(mockAdapter.openCellEditorAtIndex)
+          .toHaveBeenCalledWith(0, 1, 'old');
+      expect(event.preventDefault).toHaveBeenCalled();
+    });
+
+    it('#handleCellEditorKeydown cancels edit on Escape key', () => {
+      const {foundation, mockAdapter} = setupCellEditTest();
+      mockAdapter.getCellEditorValue.and.returnValue('new');
+      foundation.handleCellDoubleClick(1, 1);
+
+      keydown(foundation, 'Escape');
+      expect(mockAdapter.closeCellEditor).toHaveBeenCalled();
+      expect(mockAdapter.focusCellAtIndex).toHaveBeenCalledWith(1, 1);
+      expect(mockAdapter.setCellValueAtIndex).not.toHaveBeenCalled();
+      expect(mockAdapter.notifyCellEdited).not.toHaveBeenCalled();
+    });
+
+    it('#handleCellEditorKeydown commits edit on Enter key and edits next editable cell',
+       () => {
+         const {foundation, mockAdapter} = setupCellEditTest();
+         mockAdapter.getCellEditorValue.and.returnValue('new');
+         foundation.handleCellDoubleClick(0, 2);
+
+         const event = keydown(foundation, 'Enter');
+         expect(event.preventDefault).toHaveBeenCalled();
+         expect(mockAdapter.closeCellEditor).toHaveBeenCalled();
+         expect(mockAdapter.setCellValueAtIndex)
+             .toHaveBeenCalledWith(0, 2, 'new');
+         expect(mockAdapter.notifyCellEdited).toHaveBeenCalledWith({
+           columnId: 'c2',
+           columnIndex: 2,
+           newValue: 'new',
+           oldValue: 'old',
+           rowId: 'u0',
+           rowIndex: 0,
+         });
+         expect(mockAdapter.openCellEditorAtIndex)
+             .toHaveBeenCalledWith(1, 1, 'old');
+       });
+
+    it('#handleCellEditorKeydown edits previous editable cell on Shift + Tab key',
+       () => {
+         const {foundation, mockAdapter} = setupCellEditTest();
+         foundation.handleCellDoubleClick(1, 1);
+
+         keydown(foundation, 'Tab', /** shiftKey */ true);
+         expect(mockAdapter.openCellEditorAtIndex)
+             .toHaveBeenCalledWith(0, 2, 'old');
+       });
+
+    it('#handleCellEditorKeydown focuses edited cell when there is no next editable cell',
+       () => {
+         const {foundation, mockAdapter} = setupCellEditTest();
+         foundation.handleCellDoubleClick(2, 2);
+
+         keydown(foundation, 'Tab');
+         expect(mockAdapter.openCellEditorAtIndex).toHaveBeenCalledTimes(1);
+         expect(mockAdapter.focusCellAtIndex).toHaveBeenCalledWith(2, 2);
+       });
+
+    it('does not notify when value is not changed', () => {
+      const {foundation, mockAdapter} = setupCellEditTest();
+      mockAdapter.getCellEditorValue.and.returnValue('old');
+      foundation.handleCellDoubleClick(0, 1);
+
+      keydown(foundation, 'Enter');
+      expect(mockAdapter.closeCellEditor).toHaveBeenCalled();
+      expect(mockAdapter.setCellValueAtIndex).not.toHaveBeenCalled();
+      expect(mockAdapter.notifyCellEdited).not.toHaveBeenCalled();
+    });
+
+    it('keeps cell editor open and invalid when validator rejects the edit',
+       () => {
+         const {foundation, mockAdapter} = setupCellEditTest();
+         const validator =
+             jasmine.createSpy('validator').and.returnValue(false);
+         foundation.setCellEditValidator(validator);
+         mockAdapter.getCellEditorValue.and.returnValue('new');
+         foundation.handleCellDoubleClick(0, 1);
+
+         keydown(foundation, 'Enter');
+         expect(validator).toHaveBeenCalledWith(jasmine.objectContaining(
+             {newValue: 'new', oldValue: 'old', rowId: 'u0', columnId: 'c1'}));
+         expect(mockAdapter.setCellEditorValid).toHaveBeenCalledWith(false);
+         expect(mockAdapter.closeCellEditor).not.toHaveBeenCalled();
+         expect(mockAdapter.notifyCellEdited).not.toHaveBeenCalled();
+
+         validator.and.returnValue(true);
+         keydown(foundation, 'Enter');
+         expect(mockAdapter.closeCellEditor).toHaveBeenCalled();
+         expect(mockAdapter.setCellEditorValid).toHaveBeenCalledWith(true);
+         expect(mockAdapter.notifyCellEdited).toHaveBeenCalled();
+       });
+
+    it('#handleCellEditorBlur commits edit without moving focus', () => {
+      const {foundation, mockAdapter} = setupCellEditTest();
+      mockAdapter.getCellEditorValue.and.returnValue('new');
+      foundation.handleCellDoubleClick(0, 1);
+
+      foundation.handleCellEditorBlur();
+      expect(mockAdapter.notifyCellEdited).toHaveBeenCalled();
+      expect(mockAdapter.focusCellAtIndex).not.toHaveBeenCalled();
+      expect(mockAdapter.openCellEditorAtIndex).toHaveBeenCalledTimes(1);
+    });
+
+    it('#handleCellEditorChange is ignored when no cell is being edited', () => {
+      const {foundation, mockAdapter} = setupCellEditTest();
+
+      foundation.handleCellEditorChange();
+      expect(mockAdapter.closeCellEditor).not.toHaveBeenCalled();
+    });
+
+    it('#layout cancels edit in progress', () => {
+      const {foundation, mockAdapter} = setupCellEditTest();
+      foundation.handleCellDoubleClick(0, 1);
+
+      foundation.layout();
+      expect(mockAdapter.closeCellEditor).toHaveBeenCalled();
+      expect(mockAdapter.notifyCellEdited).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Sticky columns', () => {
+    // Column 0 is row checkbox column, columns are 100px wide.
+    function setupStickyTest() {
+      const {foundation, mockAdapter} = setupTest();
+      mockAdapter.getHeaderCellCount.and.returnValue(4);
+      mockAdapter.isCheckboxCellAtIndex.and.callFake(
+          (rowIndex: number, columnIndex: number) =>
+              rowIndex === -1 && columnIndex === 0);
+      mockAdapter.getHeaderCellWidth.and.callFake(
+          (columnIndex: number) => columnIndex === 0 ? 48 : 100);
+      return {foundation, mockAdapter};
+    }
+
+    it('#setStickyColumnCount pins row checkbox column and given number of columns',
+       () => {
+         const {foundation, mockAdapter} = setupStickyTest();
+
+         foundation.setStickyColumnCount(2);
+         expect(foundation.getStickyColumnCount()).toBe(2);
+         expect(mockAdapter.setColumnStickyOffset).toHaveBeenCalledWith(0, 0);
+         expect(mockAdapter.setColumnStickyOffset).toHaveBeenCalledWith(1, 48);
+         expect(mockAdapter.setColumnStickyOffset)
+             .toHaveBeenCalledWith(2, 148);
+         expect(mockAdapter.setColumnStickyOffset)
+             .toHaveBeenCalledWith(3, null);
+       });
+
+    it('#setStickyColumnCount unpins columns when set to 0', () => {
+      const {foundation, mockAdapter} = setupStickyTest();
+      foundation.setStickyColumnCount(1);
+      mockAdapter.setColumnStickyOffset.calls.reset();
+
+      foundation.setStickyColumnCount(0);
+      expect(mockAdapter.setColumnStickyOffset.calls.allArgs()).toEqual([
+        [0, null],
+        [1, null],
+        [2, null],
+        [3, null],
+      ]);
+
+      mockAdapter.setColumnStickyOffset.calls.reset();
+      foundation.layout();
+      expect(mockAdapter.setColumnStickyOffset).not.toHaveBeenCalled();
+    });
+
+    it('#layout recalculates offsets of sticky columns', () => {
+      const {foundation, mockAdapter} = setupStickyTest();
+      foundation.setStickyColumnCount(2);
+      mockAdapter.getHeaderCellWidth.and.returnValue(60);
+
+      foundation.layout();
+      expect(mockAdapter.setColumnStickyOffset).toHaveBeenCalledWith(2, 120);
+    });
+
+    it('#setColumnWidth updates offsets of sticky columns after resized column',
+       () => {
+         const {foundation, mockAdapter} = setupStickyTest();
+         mockAdapter.getAttributeByHeaderCellIndex.and.callFake(
+             (columnIndex: number, attribute: string) =>
+                 attribute === dataAttributes.COLUMN_ID ? `c${columnIndex}` :
+                                                          null);
+         foundation.setStickyColumnCount(2);
+         mockAdapter.getHeaderCellWidth.and.callFake(
+             (columnIndex: number) => columnIndex === 1 ? 200 : 48);
+
+         foundation.setColumnWidth('c1', 200);
+         expect(mockAdapter.setColumnWidth).toHaveBeenCalledWith(1, 200);
+         expect(mockAdapter.setColumnStickyOffset)
+             .toHaveBeenCalledWith(2, 248);
+       });
+  });
+
+  describe('Export', () => {
+    // Column 0 is row checkbox column, 12 rows with cell text `r<row>c<col>`.
+    function setupExportTest() {
+      const {foundation, mockAdapter} = setupTest();
+      mockAdapter.isRowsSelectable.and.returnValue(true);
+      mockAdapter.getRowCount.and.returnValue(12);
+      mockAdapter.getHeaderCellCount.and.returnValue(3);
+      mockAdapter.isCheckboxCellAtIndex.and.callFake(
+          (_rowIndex: number, columnIndex: number) => columnIndex === 0);
+      mockAdapter.getCellTextAtIndex.and.callFake(
+          (rowIndex: number, columnIndex: number) => rowIndex === -1 ?
+              `Column ${columnIndex}` :
+              `r${rowIndex}c${columnIndex}`);
+      return {foundation, mockAdapter};
+    }
+
+    it('#exportRows serializes header cell labels and all rows as CSV by default',
+       () => {
+         const {foundation} = setupExportTest();
+
+         const lines = foundation.exportRows().split('\r\n');
+         expect(lines.length).toBe(13);
+         expect(lines[0]).toBe('Column 1,Column 2');
+         expect(lines[1]).toBe('r0c1,r0c2');
+         expect(lines[12]).toBe('r11c1,r11c2');
+       });
+
+    it('#exportRows serializes rows as TSV without header row', () => {
+      const {foundation, mockAdapter} = setupExportTest();
+      mockAdapter.getRowCount.and.returnValue(1);
+
+      expect(foundation.exportRows(
+                 {format: ExportFormat.TSV, includeHeader: false}))
+          .toBe('r0c1\tr0c2');
+    });
+
+    it('#exportRows quotes values containing delimiter, double quotes or line breaks',
+       () => {
+         const {foundation, mockAdapter} = setupExportTest();
+         mockAdapter.getRowCount.and.returnValue(1);
+         mockAdapter.getCellTextAtIndex.and.callFake(
+             (rowIndex: number, columnIndex: number) => rowIndex === -1 ?
+                 'Name, full' :
+                 columnIndex === 1 ? 'Say "hi"' : 'a\nb');
+
+         expect(foundation.exportRows())
+             .toBe('"Name, full","Name, full"\r\n"Say ""hi""","a\nb"');
+         expect(foundation.exportRows({format: ExportFormat.TSV}))
+             .toBe('Name, full\tName, full\r\n"Say ""hi"""\t"a\nb"');
+       });
+
+    it('#exportRows serializes only selected rows when scope is selected',
+       () => {
+         const {foundation, mockAdapter} = setupExportTest();
+         mockAdapter.isCheckboxAtRowIndexChecked.and.callFake(
+             (rowIndex: number) => rowIndex === 2 || rowIndex === 5);
+
+         expect(foundation.exportRows({
+           includeHeader: false,
+           scope: ExportScope.SELECTED,
+         })).toBe('r2c1,r2c2\r\nr5c1,r5c2');
+       });
+
+    it('#exportRows serializes rows of current page when scope is page', () => {
+      const {foundation} = setupExportTest();
+      foundation.setUseClientPagination(true);
+      foundation.handlePaginationAction(PaginationAction.NEXT_PAGE);
+
+      expect(foundation.exportRows({
+        includeHeader: false,
+        scope: ExportScope.PAGE,
+      })).toBe('r10c1,r10c2\r\nr11c1,r11c2');
+      expect(foundation.exportRows({includeHeader: false}).split('\r\n').length)
+          .toBe(12);
+    });
+
+    it('#exportRows serializes selected rows of data source that are not rendered when virtual scroll is enabled',
+       () => {
+         const {foundation, mockAdapter} = setupExportTest();
+         mockAdapter.getVirtualRowCount.and.returnValue(1000);
+         mockAdapter.getVirtualRowIdAtIndex.and.callFake(
+             (rowIndex: number) => `r${rowIndex}`);
+         mockAdapter.getTableContainerHeight.and.returnValue(200);
+         mockAdapter.getVirtualRowCellTexts.and.callFake(
+             (rowIndex: number) => ['', `v${rowIndex}c1`, `v${rowIndex}c2`]);
+         foundation.enableVirtualScroll(20);
+         foundation.setSelectedRowIds(['r2', 'r500']);
+
+         expect(foundation.exportRows({scope: ExportScope.SELECTED}))
+             .toBe('Column 1,Column 2\r\nv2c1,v2c2\r\nv500c1,v500c2');
+         expect(foundation.exportRows({includeHeader: false})
+                    .split('\r\n')
+                    .length)
+             .toBe(1000);
+       });
+
+    it('#handleKeydown copies selected rows as TSV on Ctrl + C', () => {
+      const {foundation, mockAdapter} = setupExportTest();
+      mockAdapter.isCheckboxAtRowIndexChecked.and.callFake(
+          (rowIndex: number) => rowIndex === 3);
+      const event = {
+        ctrlKey: true,
+        key: 'c',
+        preventDefault: jasmine.createSpy('preventDefault'),
+      };
+
+      foundation.handleKeydown(event as unknown as KeyboardEvent);
+      expect(event.preventDefault).toHaveBeenCalled();
+      expect(mockAdapter.copyToClipboard)
+          .toHaveBeenCalledWith('Column 1\tColumn 2\r\nr3c1\tr3c2');
+    });
+
+    it('#handleKeydown does not copy rows on Ctrl + C when no rows are selected or text is selected',
+       () => {
+         const {foundation, mockAdapter} = setupExportTest();
+         const event = {
+           ctrlKey: true,
+           key: 'c',
+           preventDefault: jasmine.createSpy('preventDefault'),
+         };
+
+         foundation.handleKeydown(event as unknown as KeyboardEvent);
+
+         mockAdapter.isCheckboxAtRowIndexChecked.and.returnValue(true);
+         mockAdapter.hasTextSelection.and.returnValue(true);
+         foundation.handleKeydown(event as unknown as KeyboardEvent);
+
+         expect(event.preventDefault).not.toHaveBeenCalled();
+         expect(mockAdapter.copyToClipboard).not.toHaveBeenCalled();
        });
   });
 
@@ -21,7 +21,7 @@
  * THE SOFTWARE.
  */
 
-import {SortValue} from './constants';
+import {ExportFormat, ExportScope, SortValue} from './constants';
 
 export interface MDCDataTableRowSelectionChangedEventDetail {
   rowIndex: number;
@@ -38,6 +38,9 @@ export interface SortActionEventData {
   columnId: string|null;
   columnIndex: number;
   headerCell: HTMLElement;
+  // True to sort by the column in addition to currently sorted columns, e.g.,
+  // on shift click.
+  isMultiSort?: boolean;
 }
 
 /**
@@ -51,6 +54,143 @@ export interface SortActionEventDetail {
   sortValue: SortValue;
 }
 
+/**
+ * Sort state of a sorted column. Sort state of data table is an array of sorted
+ * columns in order of sort priority.
+ */
+export interface ColumnSortState {
+  // Column id set on header cell using `data-column-id`.
+  columnId: string|null;
+  sortValue: SortValue;
+}
+
+/**
+ * Event detail triggered by foundation when page index or page size is changed
+ * by user. Used by consumers to fetch and render rows of current page when
+ * paginating on server side.
+ */
+export interface PaginationChangedEventDetail {
+  // Zero based index of current page.
+  pageIndex: number;
+  // Number of rows per page.
+  pageSize: number;
+  // Zero based index of first row of current page across all pages.
+  firstRowIndex: number;
+}
+
+/**
+ * Event detail triggered by foundation when a column is resized by user, i.e.,
+ * on drag end of column resize handle or on arrow key press.
+ */
+export interface ColumnResizedEventDetail {
+  // Column id set on header cell using `data-column-id`.
+  columnId: string|null;
+  columnIndex: number;
+  // New width of column in pixels.
+  width: number;
+}
+
+/**
+ * Event detail triggered by foundation when a column is moved by dragging its
+ * header cell.
+ */
+export interface ColumnReorderedEventDetail {
+  // Column ids of all header cells in new order, `null` for header cells
+  // without `data-column-id`.
+  columnIds: Array<string|null>;
+  fromIndex: number;
+  toIndex: number;
+}
+
+/**
+ * Event detail triggered by foundation when detail row of a row is expanded or
+ * collapsed by user.
+ */
+export interface RowExpansionChangedEventDetail {
+  rowId: string|null;
+  rowIndex: number;
+  expanded: boolean;
+}
+
+/**
+ * Event detail triggered by foundation when a group of rows is expanded or
+ * collapsed by user.
+ */
+export interface GroupExpansionChangedEventDetail {
+  // Group id set on group header row using `data-group-id`.
+  groupId: string;
+  expanded: boolean;
+}
+
+/**
+ * Event detail triggered by foundation when user commits edited cell value.
+ */
+export interface CellEditedEventDetail {
+  columnId: string|null;
+  columnIndex: number;
+  newValue: string;
+  oldValue: string;
+  rowId: string|null;
+  // Index of row in virtual scroll data source when virtual scroll is enabled.
+  rowIndex: number;
+}
+
+/**
+ * Validates edited cell value before it is committed. Return false to reject
+ * the edit, cell editor stays open and is marked invalid.
+ */
+export type CellEditValidator = (detail: CellEditedEventDetail) => boolean;
+
+/**
+ * Compares two cell values of a column for client side sorting. Cell value is
+ * read from `data-sort-value` attribute of cell, falls back to cell text
+ * content. Returns negative number if `a` is sorted before `b`, positive
+ * number if `a` is sorted after `b` and `0` otherwise.
+ */
+export type SortComparator = (a: string, b: string) => number;
+
+/**
+ * Options of `exportRows()`.
+ */
+export interface ExportRowsOptions {
+  // Defaults to `ExportFormat.CSV`.
+  format?: ExportFormat;
+  // Whether header cell labels are serialized as first row. Defaults to true.
+  includeHeader?: boolean;
+  // Defaults to `ExportScope.ALL`.
+  scope?: ExportScope;
+}
+
+/**
+ * Data source of virtual scroll. Provides the rows of data table, only the rows
+ * visible in table container are rendered.
+ */
+export interface MDCDataTableDataSource {
+  /**
+   * @return Total row count.
+   */
+  getRowCount(): number;
+
+  /**
+   * @return Unique row id of row at given index.
+   */
+  getRowId(rowIndex: number): string;
+
+  /**
+   * Creates row element (`mdc-data-table__row`) with its cells, including row
+   * checkbox cell if rows are selectable. Called only when there are no row
+   * elements to recycle.
+   */
+  createRow(): Element;
+
+  /**
+   * Updates cell contents of given row element to render row at given index.
+   * Row element may have been used to render another row, row checkbox is
+   * managed by data table.
+   */
+  updateRow(row: Element, rowIndex: number): void;
+}
+
 /**
  * Styles used to dynamically set dimensions of progress indicator based on
  * table header & body.
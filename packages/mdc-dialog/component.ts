@@ -32,7 +32,7 @@ import {MDCDialogCloseEventDetail} from './types';
 import * as util from './util';
 import {MDCDialogFocusTrapFactory} from './util';
 
-const {strings} = MDCDialogFoundation;
+const {cssClasses, strings} = MDCDialogFoundation;
 
 export class MDCDialog extends MDCComponent<MDCDialogFoundation> {
   get isOpen() {
@@ -183,7 +183,14 @@ export class MDCDialog extends MDCComponent<MDCDialogFoundation> {
       notifyOpened: () => this.emit(strings.OPENED_EVENT, {}),
       notifyOpening: () => this.emit(strings.OPENING_EVENT, {}),
       releaseFocus: () => this.focusTrap_.releaseFocus(),
-      removeBodyClass: (className) => document.body.classList.remove(className),
+      removeBodyClass: (className) => {
+        // Keep scrolling locked while a stacked dialog is still open.
+        if (className === cssClasses.SCROLL_LOCK &&
+            document.querySelector(`.${cssClasses.OPEN}`)) {
+          return;
+        }
+        document.body.classList.remove(className);
+      },
       removeClass: (className) => this.root.classList.remove(className),
       reverseButtons: () => {
         this.buttons_.reverse();
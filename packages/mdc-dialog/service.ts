@@ -0,0 +1,287 @@
+/**
+ * @license
+ * Copyright 2020 Google Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+import {MDCDialog} from './component';
+import {strings} from './constants';
+import {MDCDialogButtonConfig, MDCDialogCloseEvent, MDCDialogConfig, MDCDialogPromptConfig, MDCDialogPromptField, MDCDialogPromptFieldFactory, MDCDialogPromptResult} from './types';
+import {MDCDialogFocusTrapFactory} from './util';
+
+const ACCEPT_ACTION = 'accept';
+
+interface MDCDialogServiceEntry {
+  dialog: MDCDialog;
+  root: HTMLElement;
+  // Action restored when the dialog becomes the top-most dialog again.
+  escapeKeyAction: string;
+  isOpened: boolean;
+  // Opens the dialog stacked on top of this one once this one has opened.
+  openNext: (() => void)|null;
+}
+
+let idCounter = 0;
+
+/**
+ * Creates a native text input, used by prompts unless the service is given
+ * another field factory.
+ */
+function createInputField(config: MDCDialogPromptConfig): MDCDialogPromptField {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = config.value || '';
+  input.setAttribute(strings.INITIAL_FOCUS_ATTRIBUTE, 'true');
+  const label = config.label || config.title;
+  if (label) {
+    input.setAttribute('aria-label', label);
+  }
+  return {
+    destroy: () => undefined,
+    getValue: () => input.value,
+    root: input,
+  };
+}
+
+/**
+ * Builds dialogs from config objects, opens them, and tears them down once
+ * closed. Dialogs opened while another is open are stacked on top of it.
+ */
+export class MDCDialogService {
+  private readonly stack_: MDCDialogServiceEntry[] = [];
+
+  /**
+   * @param parent_ Element the dialogs are appended to.
+   * @param focusTrapFactory_ Creates the focus traps of the dialogs.
+   * @param promptFieldFactory_ Creates the text fields of prompts, e.g. to use
+   *     MDC Text Field. Prompts use a native text input by default.
+   */
+  constructor(
+      private readonly parent_: Element = document.body,
+      private readonly focusTrapFactory_?: MDCDialogFocusTrapFactory,
+      private readonly promptFieldFactory_: MDCDialogPromptFieldFactory =
+          createInputField) {}
+
+  /**
+   * Opens a dialog with a single "OK" button by default.
+   * @return Promise resolving with the action the dialog closed with.
+   */
+  alert(config: MDCDialogConfig): Promise<string> {
+    return this.open({
+      buttons: [{action: ACCEPT_ACTION, isDefault: true, label: 'OK'}],
+      role: 'alertdialog',
+      ...config,
+    });
+  }
+
+  /**
+   * Opens a dialog with "Cancel" and "OK" buttons by default.
+   * @return Promise resolving with the action the dialog closed with.
+   */
+  confirm(config: MDCDialogConfig): Promise<string> {
+    return this.open({
+      buttons: [
+        {action: strings.CLOSE_ACTION, label: 'Cancel'},
+        {action: ACCEPT_ACTION, isDefault: true, label: 'OK'},
+      ],
+      role: 'alertdialog',
+      ...config,
+    });
+  }
+
+  /**
+   * Opens a dialog with a text field, and "Cancel" and "OK" buttons by
+   * default.
+   * @return Promise resolving with the action the dialog closed with and the
+   *     value of the text field.
+   */
+  prompt(config: MDCDialogPromptConfig): Promise<MDCDialogPromptResult> {
+    const root = this.createDialogEl_({
+      buttons: [
+        {action: strings.CLOSE_ACTION, label: 'Cancel'},
+        {action: ACCEPT_ACTION, isDefault: true, label: 'OK'},
+      ],
+      ...config,
+    });
+    const field = this.promptFieldFactory_(config);
+    root.querySelector(strings.CONTENT_SELECTOR)!.appendChild(field.root);
+
+    return this.openDialogEl_(root, config, () => field.getValue())
+        .then((result) => {
+          field.destroy();
+          return result;
+        });
+  }
+
+  /**
+   * Opens a dialog built from the given config.
+   * @return Promise resolving with the action the dialog closed with.
+   */
+  open(config: MDCDialogConfig): Promise<string> {
+    return this.openDialogEl_(this.createDialogEl_(config), config)
+        .then((result) => result.action);
+  }
+
+  private openDialogEl_(
+      root: HTMLElement, config: MDCDialogConfig,
+      getValue: () => string = () => ''): Promise<MDCDialogPromptResult> {
+    this.parent_.appendChild(root);
+    const dialog = new MDCDialog(root, undefined, this.focusTrapFactory_);
+    if (config.escapeKeyAction !== undefined) {
+      dialog.escapeKeyAction = config.escapeKeyAction;
+    }
+    if (config.scrimClickAction !== undefined) {
+      dialog.scrimClickAction = config.scrimClickAction;
+    }
+
+    const entry: MDCDialogServiceEntry = {
+      dialog,
+      escapeKeyAction: dialog.escapeKeyAction,
+      isOpened: false,
+      openNext: null,
+      root,
+    };
+    const previous = this.stack_[this.stack_.length - 1];
+    this.stack_.push(entry);
+
+    return new Promise((resolve) => {
+      const handleOpened = () => {
+        this.handleOpened_(entry);
+      };
+      const handleClosed = (evt: MDCDialogCloseEvent) => {
+        dialog.unlisten(strings.OPENED_EVENT, handleOpened);
+        dialog.unlisten(strings.CLOSED_EVENT, handleClosed);
+        const value = getValue();
+        this.handleClosed_(entry);
+        resolve({action: evt.detail.action || '', value});
+      };
+      dialog.listen(strings.OPENED_EVENT, handleOpened);
+      dialog.listen(strings.CLOSED_EVENT, handleClosed);
+
+      if (previous) {
+        // Only the top-most dialog handles the Escape key.
+        previous.dialog.escapeKeyAction = '';
+      }
+      if (previous && !previous.isOpened) {
+        // Wait for the previous dialog to trap focus before trapping it in
+        // this one, so that focus is restored to it when this one closes.
+        previous.openNext = () => {
+          dialog.open();
+        };
+      } else {
+        dialog.open();
+      }
+    });
+  }
+
+  private handleOpened_(entry: MDCDialogServiceEntry) {
+    entry.isOpened = true;
+    this.openNext_(entry);
+  }
+
+  private handleClosed_(entry: MDCDialogServiceEntry) {
+    const index = this.stack_.indexOf(entry);
+    const wasTopMost = index === this.stack_.length - 1;
+    this.stack_.splice(index, 1);
+    this.openNext_(entry);
+
+    entry.dialog.destroy();
+    if (entry.root.parentNode) {
+      entry.root.parentNode.removeChild(entry.root);
+    }
+
+    const next = this.stack_[this.stack_.length - 1];
+    if (!wasTopMost || !next) {
+      return;
+    }
+    next.dialog.escapeKeyAction = next.escapeKeyAction;
+    // Hand focus back to the dialog below if releasing the focus trap did
+    // not already restore focus within it.
+    if (next.isOpened && !next.root.contains(document.activeElement)) {
+      const focusEl = next.root.querySelector<HTMLElement>(
+                          `[${strings.INITIAL_FOCUS_ATTRIBUTE}]`) ||
+          next.root.querySelector<HTMLElement>(strings.BUTTON_SELECTOR);
+      if (focusEl) {
+        focusEl.focus();
+      }
+    }
+  }
+
+  private openNext_(entry: MDCDialogServiceEntry) {
+    if (entry.openNext) {
+      entry.openNext();
+      entry.openNext = null;
+    }
+  }
+
+  private createDialogEl_(config: MDCDialogConfig): HTMLElement {
+    const id = `mdc-dialog-service-${++idCounter}`;
+    const root = document.createElement('div');
+    root.classList.add('mdc-dialog');
+    root.innerHTML = `
+      <div class="mdc-dialog__container">
+        <div class="mdc-dialog__surface" aria-modal="true"
+            aria-describedby="${id}-content">
+          <div class="mdc-dialog__content" id="${id}-content"></div>
+          <div class="mdc-dialog__actions"></div>
+        </div>
+      </div>
+      <div class="mdc-dialog__scrim"></div>`;
+
+    const surface = root.querySelector(strings.SURFACE_SELECTOR)!;
+    surface.setAttribute('role', config.role || 'dialog');
+    const content = root.querySelector(strings.CONTENT_SELECTOR)!;
+    if (config.title) {
+      const title = document.createElement('h2');
+      title.classList.add('mdc-dialog__title');
+      title.id = `${id}-title`;
+      title.textContent = config.title;
+      surface.insertBefore(title, content);
+      surface.setAttribute('aria-labelledby', title.id);
+    }
+    if (config.content) {
+      const text = document.createElement('p');
+      text.textContent = config.content;
+      content.appendChild(text);
+    }
+
+    const actions = root.querySelector('.mdc-dialog__actions')!;
+    for (const buttonConfig of config.buttons || []) {
+      actions.appendChild(this.createButtonEl_(buttonConfig));
+    }
+    return root;
+  }
+
+  private createButtonEl_(config: MDCDialogButtonConfig): HTMLElement {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.classList.add('mdc-button', 'mdc-dialog__button');
+    button.setAttribute(strings.ACTION_ATTRIBUTE, config.action);
+    if (config.isDefault) {
+      button.setAttribute(strings.BUTTON_DEFAULT_ATTRIBUTE, 'true');
+      button.setAttribute(strings.INITIAL_FOCUS_ATTRIBUTE, 'true');
+    }
+    button.innerHTML = `
+      <div class="mdc-button__ripple"></div>
+      <span class="mdc-button__label"></span>`;
+    button.querySelector('.mdc-button__label')!.textContent = config.label;
+    return button;
+  }
+}
@@ -0,0 +1,366 @@
+/**
+ * @license
+ * Copyright 2020 Google Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+import {createKeyboardEvent} from '../../../testing/dom/events';
+import {setUpMdcTestEnvironment} from '../../../testing/helpers/setup';
+import {FocusTrap} from '../../mdc-dom/focus-trap';
+import {cssClasses, numbers, strings} from '../constants';
+import {MDCDialogPromptFieldFactory, MDCDialogService} from '../index';
+
+function setupTest(promptFieldFactory?: MDCDialogPromptFieldFactory) {
+  const parent = document.createElement('div');
+  document.body.appendChild(parent);
+  const focusTraps: Array<jasmine.SpyObj<FocusTrap>> = [];
+  const service = new MDCDialogService(parent, () => {
+    const focusTrap =
+        jasmine.createSpyObj('focusTrap', ['trapFocus', 'releaseFocus']);
+    focusTraps.push(focusTrap);
+    return focusTrap;
+  }, promptFieldFactory);
+  return {parent, service, focusTraps};
+}
+
+function getDialogs(parent: HTMLElement) {
+  return [].slice.call(parent.querySelectorAll('.mdc-dialog')) as
+      HTMLElement[];
+}
+
+function getButton(dialog: HTMLElement, action: string) {
+  return dialog.querySelector(`[${strings.ACTION_ATTRIBUTE}="${action}"]`) as
+      HTMLButtonElement;
+}
+
+function finishOpening() {
+  // #open uses a combination of rAF and setTimeout before animating.
+  jasmine.clock().tick(2);
+  jasmine.clock().tick(numbers.DIALOG_ANIMATION_OPEN_TIME_MS);
+}
+
+function finishClosing() {
+  jasmine.clock().tick(numbers.DIALOG_ANIMATION_CLOSE_TIME_MS);
+}
+
+function pressEscape() {
+  document.dispatchEvent(createKeyboardEvent('keydown', {key: 'Escape'}));
+}
+
+describe('MDCDialogService', () => {
+  setUpMdcTestEnvironment();
+
+  let parentEl: HTMLElement|null = null;
+
+  afterEach(() => {
+    if (parentEl) {
+      document.body.removeChild(parentEl);
+      parentEl = null;
+    }
+    document.body.classList.remove(cssClasses.SCROLL_LOCK);
+  });
+
+  function setupAttachedTest(promptFieldFactory?: MDCDialogPromptFieldFactory) {
+    const test = setupTest(promptFieldFactory);
+    parentEl = test.parent;
+    return test;
+  }
+
+  it('#alert builds and opens a dialog with the title, content and an OK button',
+     () => {
+       const {parent, service} = setupAttachedTest();
+       service.alert({content: 'Draft discarded.', title: 'Discard'});
+       finishOpening();
+
+       const [dialog] = getDialogs(parent);
+       expect(dialog.classList).toContain(cssClasses.OPEN);
+       expect(dialog.querySelector('.mdc-dialog__title')!.textContent)
+           .toBe('Discard');
+       expect(dialog.querySelector('.mdc-dialog__content')!.textContent)
+           .toBe('Draft discarded.');
+       const buttons = dialog.querySelectorAll(strings.BUTTON_SELECTOR);
+       expect(buttons.length).toBe(1);
+       expect(buttons[0].getAttribute(strings.ACTION_ATTRIBUTE))
+           .toBe('accept');
+       expect(buttons[0].hasAttribute(strings.BUTTON_DEFAULT_ATTRIBUTE))
+           .toBe(true);
+       expect(dialog.querySelector(strings.SURFACE_SELECTOR)!.getAttribute(
+                  'role'))
+           .toBe('alertdialog');
+     });
+
+  it('#alert renders the config as text rather than HTML', () => {
+    const {parent, service} = setupAttachedTest();
+    service.alert({content: '<b>bold</b>', title: '<i>italic</i>'});
+
+    const [dialog] = getDialogs(parent);
+    expect(dialog.querySelector('b')).toBe(null);
+    expect(dialog.querySelector('i')).toBe(null);
+    expect(dialog.querySelector('.mdc-dialog__content')!.textContent)
+        .toBe('<b>bold</b>');
+  });
+
+  it('#alert does not render a title if the config has none', () => {
+    const {parent, service} = setupAttachedTest();
+    service.alert({content: 'Draft discarded.'});
+
+    const [dialog] = getDialogs(parent);
+    expect(dialog.querySelector('.mdc-dialog__title')).toBe(null);
+    expect(dialog.querySelector(strings.SURFACE_SELECTOR)!.hasAttribute(
+               'aria-labelledby'))
+        .toBe(false);
+  });
+
+  it('#alert resolves with the action of the clicked button and removes the dialog',
+     async () => {
+       const {parent, service} = setupAttachedTest();
+       const promise = service.alert({content: 'Draft discarded.'});
+       finishOpening();
+
+       getButton(getDialogs(parent)[0], 'accept').click();
+       finishClosing();
+
+       expect(await promise).toBe('accept');
+       expect(getDialogs(parent).length).toBe(0);
+     });
+
+  it('#confirm resolves with the close action when Cancel is clicked',
+     async () => {
+       const {parent, service} = setupAttachedTest();
+       const promise = service.confirm({content: 'Discard draft?'});
+       finishOpening();
+
+       const [dialog] = getDialogs(parent);
+       expect(dialog.querySelectorAll(strings.BUTTON_SELECTOR).length).toBe(2);
+       getButton(dialog, strings.CLOSE_ACTION).click();
+       finishClosing();
+
+       expect(await promise).toBe(strings.CLOSE_ACTION);
+     });
+
+  it('#open uses the buttons of the config', async () => {
+    const {parent, service} = setupAttachedTest();
+    const promise = service.open({
+      buttons: [
+        {action: 'cancel', label: 'Cancel'},
+        {action: 'discard', isDefault: true, label: 'Discard'},
+      ],
+      content: 'Discard draft?',
+    });
+    finishOpening();
+
+    const [dialog] = getDialogs(parent);
+    const discardButton = getButton(dialog, 'discard');
+    expect(discardButton.textContent!.trim()).toBe('Discard');
+    expect(discardButton.hasAttribute(strings.BUTTON_DEFAULT_ATTRIBUTE))
+        .toBe(true);
+    expect(getButton(dialog, 'cancel').hasAttribute(
+               strings.BUTTON_DEFAULT_ATTRIBUTE))
+        .toBe(false);
+
+    discardButton.click();
+    finishClosing();
+    expect(await promise).toBe('discard');
+  });
+
+  it('#open uses the dialog role unless the config has a role', () => {
+    const {parent, service} = setupAttachedTest();
+    service.open({content: 'Choose a ringtone'});
+    service.open({content: 'Discard draft?', role: 'alertdialog'});
+    service.confirm({content: 'Discard draft?', role: 'dialog'});
+
+    const roles = getDialogs(parent).map(
+        (dialog) =>
+            dialog.querySelector(strings.SURFACE_SELECTOR)!.getAttribute(
+                'role'));
+    expect(roles).toEqual(['dialog', 'alertdialog', 'dialog']);
+  });
+
+  it('#open applies the escape key and scrim click actions of the config',
+     async () => {
+       const {parent, service} = setupAttachedTest();
+       const promise = service.open(
+           {content: 'Discard draft?', escapeKeyAction: 'escape'});
+       service.open({content: 'Discard draft?', scrimClickAction: ''});
+       finishOpening();
+       finishOpening();
+
+       const scrim = getDialogs(parent)[1].querySelector(
+                         strings.SCRIM_SELECTOR) as HTMLElement;
+       scrim.click();
+       finishClosing();
+       expect(getDialogs(parent).length).toBe(2);
+
+       pressEscape();
+       finishClosing();
+       expect(getDialogs(parent).length).toBe(1);
+       pressEscape();
+       finishClosing();
+       expect(await promise).toBe('escape');
+     });
+
+  it('#prompt resolves with the action and the value of the text field',
+     async () => {
+       const {parent, service} = setupAttachedTest();
+       const promise =
+           service.prompt({label: 'Name', title: 'Rename', value: 'Draft'});
+       finishOpening();
+
+       const [dialog] = getDialogs(parent);
+       const input = dialog.querySelector('input') as HTMLInputElement;
+       expect(input.value).toBe('Draft');
+       expect(input.hasAttribute(strings.INITIAL_FOCUS_ATTRIBUTE)).toBe(true);
+       expect(input.getAttribute('aria-label')).toBe('Name');
+       expect(dialog.querySelector(strings.SURFACE_SELECTOR)!.getAttribute(
+                  'role'))
+           .toBe('dialog');
+       input.value = 'Final';
+       getButton(dialog, 'accept').click();
+       finishClosing();
+
+       expect(await promise).toEqual({action: 'accept', value: 'Final'});
+       expect(getDialogs(parent).length).toBe(0);
+     });
+
+  it('#prompt labels the text field with the title if the config has no label',
+     () => {
+       const {parent, service} = setupAttachedTest();
+       service.prompt({title: 'Rename'});
+
+       const [dialog] = getDialogs(parent);
+       expect(dialog.querySelector('input')!.getAttribute('aria-label'))
+           .toBe('Rename');
+     });
+
+  it('#prompt uses the text field of the prompt field factory', async () => {
+    const fieldEl = document.createElement('div');
+    const field = {
+      destroy: jasmine.createSpy('destroy'),
+      getValue: jasmine.createSpy('getValue').and.returnValue('Final'),
+      root: fieldEl,
+    };
+    const factory = jasmine.createSpy('factory').and.returnValue(field);
+    const {parent, service} = setupAttachedTest(factory);
+    const config = {label: 'Name', title: 'Rename', value: 'Draft'};
+    const promise = service.prompt(config);
+    finishOpening();
+
+    const [dialog] = getDialogs(parent);
+    expect(factory).toHaveBeenCalledWith(jasmine.objectContaining(config));
+    expect(fieldEl.parentElement)
+        .toBe(dialog.querySelector(strings.CONTENT_SELECTOR) as HTMLElement);
+    expect(dialog.querySelector('input')).toBe(null);
+    getButton(dialog, 'accept').click();
+    finishClosing();
+
+    expect(await promise).toEqual({action: 'accept', value: 'Final'});
+    expect(field.destroy).toHaveBeenCalled();
+  });
+
+  it('stacks a dialog opened while another is open', async () => {
+    const {parent, service} = setupAttachedTest();
+    const firstPromise = service.alert({content: 'First'});
+    finishOpening();
+    const secondPromise = service.alert({content: 'Second'});
+    finishOpening();
+
+    const [first, second] = getDialogs(parent);
+    expect(first.classList).toContain(cssClasses.OPEN);
+    expect(second.classList).toContain(cssClasses.OPEN);
+
+    getButton(second, 'accept').click();
+    finishClosing();
+    expect(await secondPromise).toBe('accept');
+    expect(first.classList).toContain(cssClasses.OPEN);
+
+    getButton(first, 'accept').click();
+    finishClosing();
+    expect(await firstPromise).toBe('accept');
+  });
+
+  it('opens a stacked dialog after the dialog below it has trapped focus',
+     () => {
+       const {parent, service, focusTraps} = setupAttachedTest();
+       service.alert({content: 'First'});
+       service.alert({content: 'Second'});
+
+       const [, second] = getDialogs(parent);
+       expect(second.classList).not.toContain(cssClasses.OPENING);
+
+       finishOpening();
+       expect(focusTraps[0].trapFocus).toHaveBeenCalled();
+       expect(second.classList).toContain(cssClasses.OPENING);
+       expect(focusTraps[1].trapFocus).not.toHaveBeenCalled();
+
+       finishOpening();
+       expect(focusTraps[1].trapFocus).toHaveBeenCalled();
+     });
+
+  it('closes only the top-most dialog when Escape is pressed', () => {
+    const {parent, service} = setupAttachedTest();
+    service.alert({content: 'First'});
+    finishOpening();
+    service.alert({content: 'Second'});
+    finishOpening();
+
+    pressEscape();
+    finishClosing();
+    expect(getDialogs(parent).length).toBe(1);
+
+    pressEscape();
+    finishClosing();
+    expect(getDialogs(parent).length).toBe(0);
+  });
+
+  it('hands focus back to the dialog below when the top-most dialog closes',
+     () => {
+       const {parent, service, focusTraps} = setupAttachedTest();
+       service.alert({content: 'First'});
+       finishOpening();
+       service.alert({content: 'Second'});
+       finishOpening();
+
+       const [first, second] = getDialogs(parent);
+       getButton(second, 'accept').focus();
+       getButton(second, 'accept').click();
+       finishClosing();
+
+       expect(focusTraps[1].releaseFocus).toHaveBeenCalled();
+       expect(focusTraps[0].releaseFocus).not.toHaveBeenCalled();
+       expect(document.activeElement).toBe(getButton(first, 'accept'));
+     });
+
+  it('keeps scrolling locked until the last stacked dialog closes', () => {
+    const {parent, service} = setupAttachedTest();
+    service.alert({content: 'First'});
+    finishOpening();
+    service.alert({content: 'Second'});
+    finishOpening();
+
+    const [first, second] = getDialogs(parent);
+    getButton(second, 'accept').click();
+    finishClosing();
+    expect(document.body.classList).toContain(cssClasses.SCROLL_LOCK);
+
+    getButton(first, 'accept').click();
+    finishClosing();
+    expect(document.body.classList).not.toContain(cssClasses.SCROLL_LOCK);
+  });
+});
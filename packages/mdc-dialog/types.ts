@@ -30,3 +30,57 @@ export interface MDCDialogCloseEventDetail {
 export interface MDCDialogCloseEvent extends Event {
   readonly detail: MDCDialogCloseEventDetail;
 }
+
+export interface MDCDialogButtonConfig {
+  /** Action the dialog closes with when the button is clicked. */
+  action: string;
+  /** Text of the button. */
+  label: string;
+  /** Whether the button is the default action button. */
+  isDefault?: boolean;
+}
+
+export interface MDCDialogConfig {
+  /** Text of the dialog title. No title is rendered if omitted. */
+  title?: string;
+  /** Text of the dialog content. */
+  content?: string;
+  /** Action buttons, in order. */
+  buttons?: MDCDialogButtonConfig[];
+  /** Action the dialog closes with when Escape is pressed. */
+  escapeKeyAction?: string;
+  /** Action the dialog closes with when the scrim is clicked. */
+  scrimClickAction?: string;
+  /**
+   * ARIA role of the dialog surface. Defaults to `dialog`, or to `alertdialog`
+   * for alerts and confirmations.
+   */
+  role?: 'dialog'|'alertdialog';
+}
+
+export interface MDCDialogPromptConfig extends MDCDialogConfig {
+  /** Label of the text field. */
+  label?: string;
+  /** Initial value of the text field. */
+  value?: string;
+}
+
+export interface MDCDialogPromptResult {
+  /** Action the dialog closed with. */
+  action: string;
+  /** Value of the text field when the dialog closed. */
+  value: string;
+}
+
+/** Text field rendered in the content of a prompt dialog. */
+export interface MDCDialogPromptField {
+  /** Element appended to the dialog content. */
+  root: Element;
+  /** Returns the value of the text field. */
+  getValue(): string;
+  /** Called once the dialog has closed. */
+  destroy(): void;
+}
+
+export type MDCDialogPromptFieldFactory = (config: MDCDialogPromptConfig) =>
+    MDCDialogPromptField;
@@ -27,6 +27,7 @@
 export const KEY = {
   UNKNOWN: 'Unknown',
   BACKSPACE: 'Backspace',
+  TAB: 'Tab',
   ENTER: 'Enter',
   SPACEBAR: 'Spacebar',
   PAGE_UP: 'PageUp',
@@ -39,12 +40,15 @@ export const KEY = {
   ARROW_DOWN: 'ArrowDown',
   DELETE: 'Delete',
   ESCAPE: 'Escape',
+  CONTEXT_MENU: 'ContextMenu',
+  F10: 'F10',
 };
 
 const normalizedKeys = new Set<string>();
 // IE11 has no support for new Map with iterable so we need to initialize this
 // by hand.
 normalizedKeys.add(KEY.BACKSPACE);
+normalizedKeys.add(KEY.TAB);
 normalizedKeys.add(KEY.ENTER);
 normalizedKeys.add(KEY.SPACEBAR);
 normalizedKeys.add(KEY.PAGE_UP);
@@ -57,9 +61,12 @@ normalizedKeys.add(KEY.ARROW_RIGHT);
 normalizedKeys.add(KEY.ARROW_DOWN);
 normalizedKeys.add(KEY.DELETE);
 normalizedKeys.add(KEY.ESCAPE);
+normalizedKeys.add(KEY.CONTEXT_MENU);
+normalizedKeys.add(KEY.F10);
 
 const KEY_CODE = {
   BACKSPACE: 8,
+  TAB: 9,
   ENTER: 13,
   SPACEBAR: 32,
   PAGE_UP: 33,
@@ -72,12 +79,15 @@ const KEY_CODE = {
   ARROW_DOWN: 40,
   DELETE: 46,
   ESCAPE: 27,
+  CONTEXT_MENU: 93,
+  F10: 121,
 };
 
 const mappedKeyCodes = new Map<number, string>();
 // IE11 has no support for new Map with iterable so we need to initialize this
 // by hand.
 mappedKeyCodes.set(KEY_CODE.BACKSPACE, KEY.BACKSPACE);
+mappedKeyCodes.set(KEY_CODE.TAB, KEY.TAB);
 mappedKeyCodes.set(KEY_CODE.ENTER, KEY.ENTER);
 mappedKeyCodes.set(KEY_CODE.SPACEBAR, KEY.SPACEBAR);
 mappedKeyCodes.set(KEY_CODE.PAGE_UP, KEY.PAGE_UP);
@@ -90,6 +100,8 @@ mappedKeyCodes.set(KEY_CODE.ARROW_RIGHT, KEY.ARROW_RIGHT);
 mappedKeyCodes.set(KEY_CODE.ARROW_DOWN, KEY.ARROW_DOWN);
 mappedKeyCodes.set(KEY_CODE.DELETE, KEY.DELETE);
 mappedKeyCodes.set(KEY_CODE.ESCAPE, KEY.ESCAPE);
+mappedKeyCodes.set(KEY_CODE.CONTEXT_MENU, KEY.CONTEXT_MENU);
+mappedKeyCodes.set(KEY_CODE.F10, KEY.F10);
 
 const navigationKeys = new Set<string>();
 // IE11 has no support for new Set with iterable so we need to initialize this
@@ -32,6 +32,10 @@ describe('normalizeKey', () => {
       keyCode: 8,  // Backspace
       key: KEY.BACKSPACE,
     },
+    {
+      keyCode: 9,  // Tab
+      key: KEY.TAB,
+    },
     {
       keyCode: 13,  // Enter
       key: KEY.ENTER,
@@ -75,6 +79,14 @@ describe('normalizeKey', () => {
     {
       keyCode: 46,  // Delete
       key: KEY.DELETE,
+    },
+    {
+      keyCode: 93,  // Context Menu
+      key: KEY.CONTEXT_MENU,
+    },
+    {
+      keyCode: 121,  // F10
+      key: KEY.F10,
     }
   ];
 
@@ -129,6 +141,7 @@ describe('normalizeKey', () => {
 
   const keyTestTable = [
     KEY.BACKSPACE,
+    KEY.TAB,
     KEY.ENTER,
     KEY.SPACEBAR,
     KEY.PAGE_UP,
@@ -140,6 +153,8 @@ describe('normalizeKey', () => {
     KEY.ARROW_RIGHT,
     KEY.ARROW_DOWN,
     KEY.DELETE,
+    KEY.CONTEXT_MENU,
+    KEY.F10,
   ];
 
   for (const key of keyTestTable) {
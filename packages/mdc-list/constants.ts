@@ -25,6 +25,7 @@ const cssClasses = {
   LIST_ITEM_ACTIVATED_CLASS: 'mdc-list-item--activated',
   LIST_ITEM_CLASS: 'mdc-list-item',
   LIST_ITEM_DISABLED_CLASS: 'mdc-list-item--disabled',
+  LIST_ITEM_GROUP_CLASS: 'mdc-list-item-group',
   LIST_ITEM_SELECTED_CLASS: 'mdc-list-item--selected',
   LIST_ITEM_TEXT_CLASS: 'mdc-list-item__text',
   LIST_ITEM_PRIMARY_TEXT_CLASS: 'mdc-list-item__primary-text',
@@ -128,6 +128,39 @@ function getTwoLineFixture() {
   return el;
 }
 
+function getGroupedFixture() {
+  const wrapper = document.createElement('div');
+  wrapper.innerHTML = `
+    <ul class="mdc-list" role="listbox">
+      <li class="mdc-list-item-group" role="group" aria-labelledby="fruits">
+        <span class="mdc-list-item-group__header" id="fruits"
+            role="presentation">Fruits</span>
+        <ul class="mdc-list-item-group__items" role="none">
+          <li class="mdc-list-item" role="option" tabindex="0">
+            <span class="mdc-list-item__text">Apple</span>
+          </li>
+          <li class="mdc-list-item" role="option">
+            <span class="mdc-list-item__text">Orange</span>
+          </li>
+        </ul>
+      </li>
+      <li class="mdc-list-divider" role="separator"></li>
+      <li class="mdc-list-item-group" role="group" aria-labelledby="vegetables">
+        <span class="mdc-list-item-group__header" id="vegetables"
+            role="presentation">Vegetables</span>
+        <ul class="mdc-list-item-group__items" role="none">
+          <li class="mdc-list-item" role="option">
+            <span class="mdc-list-item__text">Carrot</span>
+          </li>
+        </ul>
+      </li>
+    </ul>
+    `;
+  const el = wrapper.firstElementChild as HTMLElement;
+  wrapper.removeChild(el);
+  return el;
+}
+
 function setupTest(root = getFixture()) {
   const mockFoundation = createMockFoundation(MDCListFoundation);
   const component = new MDCList(root, mockFoundation);
@@ -685,4 +718,71 @@ describe('MDCList', () => {
            .toEqual('Pasta');
        document.body.removeChild(root);
      });
+
+  describe('item groups', () => {
+    function setupGroupedTest() {
+      const root = getGroupedFixture();
+      document.body.appendChild(root);
+      const component = new MDCList(root);
+      const items = component.listElements as HTMLElement[];
+      return {root, component, items};
+    }
+
+    function teardown(root: HTMLElement, component: MDCList) {
+      component.destroy();
+      document.body.removeChild(root);
+    }
+
+    function keydown(target: Element, key: string) {
+      target.dispatchEvent(new KeyboardEvent('keydown', {bubbles: true, key}));
+    }
+
+    it('#listElements does not include group headers or dividers', () => {
+      const {root, component, items} = setupGroupedTest();
+      expect(items.length).toEqual(3);
+      expect(items.map((item) => item.textContent!.trim())).toEqual([
+        'Apple', 'Orange', 'Carrot'
+      ]);
+      teardown(root, component);
+    });
+
+    it('arrow keys move focus across groups, skipping headers and dividers',
+       () => {
+         const {root, component, items} = setupGroupedTest();
+         items[1].focus();
+         keydown(items[1], 'ArrowDown');
+         expect(document.activeElement).toBe(items[2]);
+
+         keydown(items[2], 'ArrowUp');
+         expect(document.activeElement).toBe(items[1]);
+         teardown(root, component);
+       });
+
+    it('typeahead does not match group headers', () => {
+      const {root, component} = setupGroupedTest();
+      component.hasTypeahead = true;
+
+      expect(component.typeaheadMatchItem('v', 0)).toEqual(-1);
+      teardown(root, component);
+    });
+
+    it('typeahead matches items across groups', () => {
+      const {root, component} = setupGroupedTest();
+      component.hasTypeahead = true;
+
+      expect(component.typeaheadMatchItem('c', 0)).toEqual(2);
+      teardown(root, component);
+    });
+
+    it('clicking a group header does not emit an action', () => {
+      const {root, component} = setupGroupedTest();
+      const handler = jasmine.createSpy('action handler');
+      component.listen(strings.ACTION_EVENT, handler);
+
+      const header = root.querySelector('.mdc-list-item-group__header')!;
+      header.dispatchEvent(new MouseEvent('click', {bubbles: true}));
+      expect(handler).not.toHaveBeenCalled();
+      teardown(root, component);
+    });
+  });
 });
@@ -42,6 +42,15 @@ export interface MDCMenuSurfaceAdapter {
 
   getInnerDimensions(): MDCMenuDimensions;
   getAnchorDimensions(): ClientRect | null;
+  getElementDimensions(element: Element): ClientRect;
+
+  /**
+   * @return The dimensions and position of the element the menu surface has to
+   *     stay within (e.g. a scroll container), or null if only the viewport
+   *     limits it.
+   */
+  getBoundaryDimensions(): ClientRect | null;
+
   getWindowDimensions(): MDCMenuDimensions;
   getBodyDimensions(): MDCMenuDimensions;
   getWindowScroll(): MDCMenuPoint;
@@ -40,17 +40,54 @@ export class MDCMenuSurface extends MDCComponent<MDCMenuSurfaceFoundation> {
 
   anchorElement!: Element | null; // assigned in initialSyncWithDOM()
 
+  /**
+   * Elements outside of the menu surface that are treated as part of it, e.g.
+   * submenus, so that interacting with them does not close the menu surface.
+   */
+  connectedElements: Element[] = [];
+
+  /**
+   * Element the menu surface is positioned to stay within. Defaults to the
+   * nearest ancestor that clips the menu surface, or the viewport if the menu
+   * surface is fixed or hoisted.
+   */
+  boundaryElement: Element|null = null;
+
   private previousFocus?: HTMLElement|SVGElement|null;
+  // Nearest clipping ancestor, resolved once while the menu surface is open
+  // rather than on every reposition. Undefined until resolved.
+  private clippingAncestor?: Element|null;
 
   private handleKeydown!:
       SpecificEventListener<'keydown'>;  // assigned in initialSyncWithDOM()
   private handleBodyClick!:
       SpecificEventListener<'click'>;  // assigned in initialSyncWithDOM()
+  private handleWindowScroll!:
+      SpecificEventListener<'scroll'>;  // assigned in initialSyncWithDOM()
+  private handleWindowResize!:
+      SpecificEventListener<'resize'>;  // assigned in initialSyncWithDOM()
+
+  private handleContextMenu!:
+      SpecificEventListener<'contextmenu'>;  // assigned in initialSyncWithDOM()
+  private handleContextMenuKeydown!:
+      SpecificEventListener<'keydown'>;  // assigned in initialSyncWithDOM()
+  private handleContextMenuTouchStart!:
+      SpecificEventListener<'touchstart'>;  // assigned in initialSyncWithDOM()
+  private handleContextMenuTouchMove!:
+      SpecificEventListener<'touchmove'>;  // assigned in initialSyncWithDOM()
+  private handleContextMenuTouchEnd!:
+      SpecificEventListener<'touchend'>;  // assigned in initialSyncWithDOM()
+
+  private contextMenuTarget: HTMLElement|null = null;
 
   private registerBodyClickListener!:
       RegisterFunction;  // assigned in initialSyncWithDOM()
   private deregisterBodyClickListener!:
       RegisterFunction;  // assigned in initialSyncWithDOM()
+  private registerRepositionListeners!:
+      RegisterFunction;  // assigned in initialSyncWithDOM()
+  private deregisterRepositionListeners!:
+      RegisterFunction;  // assigned in initialSyncWithDOM()
 
   initialSyncWithDOM() {
     const parentEl = this.root.parentElement;
@@ -66,6 +103,30 @@ export class MDCMenuSurface extends MDCComponent<MDCMenuSurfaceFoundation> {
     this.handleBodyClick = (event) => {
       this.foundation.handleBodyClick(event);
     };
+    this.handleWindowScroll = (event) => {
+      // Scrolling within the menu surface does not move it.
+      if (!this.containsElement(event.target as Element)) {
+        this.foundation.reposition();
+      }
+    };
+    this.handleWindowResize = () => {
+      this.foundation.reposition();
+    };
+    this.handleContextMenu = (event) => {
+      this.foundation.handleContextMenu(event);
+    };
+    this.handleContextMenuKeydown = (event) => {
+      this.foundation.handleContextMenuKeydown(event);
+    };
+    this.handleContextMenuTouchStart = (event) => {
+      this.foundation.handleContextMenuTouchStart(event);
+    };
+    this.handleContextMenuTouchMove = (event) => {
+      this.foundation.handleContextMenuTouchMove(event);
+    };
+    this.handleContextMenuTouchEnd = (event) => {
+      this.foundation.handleContextMenuTouchEnd(event);
+    };
 
     // capture so that no race between handleBodyClick and quickOpen when
     // menusurface opened on button click which registers this listener
@@ -78,15 +139,35 @@ export class MDCMenuSurface extends MDCComponent<MDCMenuSurfaceFoundation> {
           'click', this.handleBodyClick, {capture: true});
     };
 
+    // scroll events don't bubble, so capture them to follow the scrolling of
+    // any ancestor
+    this.registerRepositionListeners = () => {
+      window.addEventListener(
+          'scroll', this.handleWindowScroll, {capture: true, passive: true});
+      window.addEventListener('resize', this.handleWindowResize);
+    };
+    this.deregisterRepositionListeners = () => {
+      window.removeEventListener(
+          'scroll', this.handleWindowScroll, {capture: true});
+      window.removeEventListener('resize', this.handleWindowResize);
+      this.clippingAncestor = undefined;
+    };
+
     this.listen('keydown', this.handleKeydown);
     this.listen(strings.OPENED_EVENT, this.registerBodyClickListener);
+    this.listen(strings.OPENED_EVENT, this.registerRepositionListeners);
     this.listen(strings.CLOSED_EVENT, this.deregisterBodyClickListener);
+    this.listen(strings.CLOSED_EVENT, this.deregisterRepositionListeners);
   }
 
   destroy() {
     this.unlisten('keydown', this.handleKeydown);
     this.unlisten(strings.OPENED_EVENT, this.registerBodyClickListener);
     this.unlisten(strings.CLOSED_EVENT, this.deregisterBodyClickListener);
+    this.unlisten(strings.OPENED_EVENT, this.registerRepositionListeners);
+    this.unlisten(strings.CLOSED_EVENT, this.deregisterRepositionListeners);
+    this.deregisterRepositionListeners();
+    this.setContextMenuTarget(null);
     super.destroy();
   }
 
@@ -127,12 +208,66 @@ export class MDCMenuSurface extends MDCComponent<MDCMenuSurfaceFoundation> {
     this.foundation.setFixedPosition(isFixed);
   }
 
+  /**
+   * Sets whether the menu-surface is moved horizontally to stay within its
+   * boundary, instead of only being attached to the side with more room.
+   */
+  setShiftOnOverflow(shiftOnOverflow: boolean) {
+    this.foundation.setShiftOnOverflow(shiftOnOverflow);
+  }
+
   /** Sets the absolute x/y position to position based on. Requires the menu to be hoisted. */
   setAbsolutePosition(x: number, y: number) {
     this.foundation.setAbsolutePosition(x, y);
     this.setIsHoisted(true);
   }
 
+  /** Opens the menu-surface at the given viewport x/y position. Requires the menu to be hoisted. */
+  openAtPosition(x: number, y: number) {
+    this.setIsHoisted(true);
+    this.foundation.openAtPosition(x, y);
+  }
+
+  /**
+   * Uses the menu-surface as the context menu of the given element, opening it
+   * at the pointer on right-click or long press, and below the focused element
+   * on Shift+F10 or the ContextMenu key. Pass `null` to detach it from the
+   * current target. Requires the menu to be hoisted.
+   */
+  setContextMenuTarget(target: Element|null) {
+    const previousTarget = this.contextMenuTarget;
+    if (previousTarget) {
+      previousTarget.removeEventListener('contextmenu', this.handleContextMenu);
+      previousTarget.removeEventListener(
+          'keydown', this.handleContextMenuKeydown);
+      previousTarget.removeEventListener(
+          'touchstart', this.handleContextMenuTouchStart);
+      previousTarget.removeEventListener(
+          'touchmove', this.handleContextMenuTouchMove);
+      previousTarget.removeEventListener(
+          'touchend', this.handleContextMenuTouchEnd);
+      previousTarget.removeEventListener(
+          'touchcancel', this.handleContextMenuTouchEnd);
+    }
+
+    const targetEl = target as HTMLElement | null;
+    this.contextMenuTarget = targetEl;
+    if (!targetEl) {
+      return;
+    }
+
+    this.setIsHoisted(true);
+    targetEl.addEventListener('contextmenu', this.handleContextMenu);
+    targetEl.addEventListener('keydown', this.handleContextMenuKeydown);
+    targetEl.addEventListener(
+        'touchstart', this.handleContextMenuTouchStart, {passive: true});
+    targetEl.addEventListener(
+        'touchmove', this.handleContextMenuTouchMove, {passive: true});
+    // Not passive, so that the click following a long press can be prevented.
+    targetEl.addEventListener('touchend', this.handleContextMenuTouchEnd);
+    targetEl.addEventListener('touchcancel', this.handleContextMenuTouchEnd);
+  }
+
   /**
    * @param corner Default anchor corner alignment of top-left surface corner.
    */
@@ -157,7 +292,7 @@ export class MDCMenuSurface extends MDCComponent<MDCMenuSurfaceFoundation> {
           this.emit(MDCMenuSurfaceFoundation.strings.CLOSED_EVENT, {}),
       notifyOpen: () =>
           this.emit(MDCMenuSurfaceFoundation.strings.OPENED_EVENT, {}),
-      isElementInContainer: (el) => this.root.contains(el),
+      isElementInContainer: (el) => this.containsElement(el),
       isRtl: () =>
           getComputedStyle(this.root).getPropertyValue('direction') === 'rtl',
       setTransformOrigin: (origin) => {
@@ -171,7 +306,8 @@ export class MDCMenuSurface extends MDCComponent<MDCMenuSurfaceFoundation> {
             document.activeElement as HTMLElement | SVGElement | null;
       },
       restoreFocus: () => {
-        if (this.root.contains(document.activeElement)) {
+        if (document.activeElement &&
+            this.containsElement(document.activeElement)) {
           if (this.previousFocus && this.previousFocus.focus) {
             this.previousFocus.focus();
           }
@@ -187,6 +323,22 @@ export class MDCMenuSurface extends MDCComponent<MDCMenuSurfaceFoundation> {
       getAnchorDimensions: () => this.anchorElement ?
           this.anchorElement.getBoundingClientRect() :
           null,
+      getElementDimensions: (element) => element.getBoundingClientRect(),
+      getBoundaryDimensions: () => {
+        // Fixed surfaces are not clipped by their ancestors.
+        const isFixed = this.root.classList.contains(cssClasses.FIXED);
+        if (this.boundaryElement || isFixed) {
+          return this.boundaryElement ?
+              this.boundaryElement.getBoundingClientRect() :
+              null;
+        }
+        if (this.clippingAncestor === undefined) {
+          this.clippingAncestor = util.getClippingAncestor(this.root);
+        }
+        return this.clippingAncestor ?
+            this.clippingAncestor.getBoundingClientRect() :
+            null;
+      },
       getWindowDimensions: () => {
         return {width: window.innerWidth, height: window.innerHeight};
       },
@@ -211,4 +363,9 @@ export class MDCMenuSurface extends MDCComponent<MDCMenuSurfaceFoundation> {
     // tslint:enable:object-literal-sort-keys
     return new MDCMenuSurfaceFoundation(adapter);
   }
+
+  private containsElement(el: Element): boolean {
+    return this.root.contains(el) ||
+        this.connectedElements.some((connected) => connected.contains(el));
+  }
 }
@@ -54,6 +54,12 @@ const numbers = {
 
   /** Ratio of anchor width to menu-surface width for switching from corner positioning to center positioning. */
   ANCHOR_TO_MENU_SURFACE_WIDTH_RATIO: 0.67,
+
+  /** Duration a touch has to be held on a context menu target to open the menu. */
+  LONG_PRESS_DURATION: 500,
+
+  /** Distance a touch may move before it no longer counts as a long press. */
+  LONG_PRESS_MOVE_THRESHOLD: 10,
 };
 
 /**
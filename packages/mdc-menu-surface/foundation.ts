@@ -22,6 +22,7 @@
  */
 
 import {MDCFoundation} from '@material/base/foundation';
+import {KEY, normalizeKey} from '@material/dom/keyboard';
 import {MDCMenuSurfaceAdapter} from './adapter';
 import {Corner, CornerBit, cssClasses, numbers, strings} from './constants';
 import {MDCMenuDimensions, MDCMenuDistance, MDCMenuPoint} from './types';
@@ -29,6 +30,7 @@ import {MDCMenuDimensions, MDCMenuDistance, MDCMenuPoint} from './types';
 interface AutoLayoutMeasurements {
   anchorSize: MDCMenuDimensions;
   bodySize: MDCMenuDimensions;
+  boundaryDistance: MDCMenuDistance;
   surfaceSize: MDCMenuDimensions;
   viewportDistance: MDCMenuDistance;
   viewportSize: MDCMenuDimensions;
@@ -69,6 +71,9 @@ export class MDCMenuSurfaceFoundation extends MDCFoundation<MDCMenuSurfaceAdapte
 
       getInnerDimensions: () => ({height: 0, width: 0}),
       getAnchorDimensions: () => null,
+      getElementDimensions: () =>
+          ({top: 0, right: 0, bottom: 0, left: 0, width: 0, height: 0}),
+      getBoundaryDimensions: () => null,
       getWindowDimensions: () => ({height: 0, width: 0}),
       getBodyDimensions: () => ({height: 0, width: 0}),
       getWindowScroll: () => ({x: 0, y: 0}),
@@ -89,10 +94,21 @@ export class MDCMenuSurfaceFoundation extends MDCFoundation<MDCMenuSurfaceAdapte
   private isQuickOpen = false;
   private isHoistedElement = false;
   private isFixedPosition = false;
+  private isShiftOnOverflow = false;
 
   private openAnimationEndTimerId = 0;
   private closeAnimationEndTimerId = 0;
   private animationRequestId = 0;
+  private repositionRequestId = 0;
+  private longPressTimerId = 0;
+
+  /**
+   * Whether the surface is positioned at the point given to `openAtPosition`,
+   * ignoring its anchor element.
+   */
+  private isPositionedAtPoint = false;
+  private isLongPressOpened = false;
+  private readonly longPressStart: MDCMenuPoint = {x: 0, y: 0};
 
   private anchorCorner: Corner = Corner.TOP_START;
 
@@ -137,8 +153,10 @@ export class MDCMenuSurfaceFoundation extends MDCFoundation<MDCMenuSurfaceAdapte
   destroy() {
     clearTimeout(this.openAnimationEndTimerId);
     clearTimeout(this.closeAnimationEndTimerId);
+    this.cancelLongPress();
     // Cancel any currently running animations.
     cancelAnimationFrame(this.animationRequestId);
+    this.cancelReposition();
   }
 
   /**
@@ -181,6 +199,15 @@ export class MDCMenuSurfaceFoundation extends MDCFoundation<MDCMenuSurfaceAdapte
     this.position.y = this.isFinite(y) ? y : 0;
   }
 
+  /**
+   * Sets whether the menu surface is moved horizontally to stay within its
+   * boundary when it overflows on both sides of the anchor, instead of only
+   * being attached to the side with more room.
+   */
+  setShiftOnOverflow(shiftOnOverflow: boolean) {
+    this.isShiftOnOverflow = shiftOnOverflow;
+  }
+
   setQuickOpen(quickOpen: boolean) {
     this.isQuickOpen = quickOpen;
   }
@@ -231,6 +258,9 @@ export class MDCMenuSurfaceFoundation extends MDCFoundation<MDCMenuSurfaceAdapte
       return;
     }
 
+    this.isPositionedAtPoint = false;
+    this.cancelReposition();
+
     if (this.isQuickOpen) {
       this.isSurfaceOpen = false;
       if (!skipRestoreFocus) {
@@ -273,6 +303,24 @@ export class MDCMenuSurfaceFoundation extends MDCFoundation<MDCMenuSurfaceAdapte
     this.close();
   }
 
+  /**
+   * Recomputes the position of the open menu surface in the next animation
+   * frame, e.g. after an ancestor scrolled or the window was resized. Calls
+   * before that frame are batched.
+   */
+  reposition() {
+    if (!this.isSurfaceOpen || !this.dimensions || this.repositionRequestId) {
+      return;
+    }
+
+    this.repositionRequestId = requestAnimationFrame(() => {
+      this.repositionRequestId = 0;
+      this.adapter.removeClass(
+          MDCMenuSurfaceFoundation.cssClasses.IS_OPEN_BELOW);
+      this.autoposition();
+    });
+  }
+
   /** Handle keys that close the surface. */
   handleKeydown(evt: KeyboardEvent) {
     const {keyCode, key} = evt;
@@ -283,6 +331,96 @@ export class MDCMenuSurfaceFoundation extends MDCFoundation<MDCMenuSurfaceAdapte
     }
   }
 
+  /**
+   * Opens the menu surface at the given viewport coordinates (e.g. those of a
+   * pointer event) instead of at its anchor. The surface flips to the other
+   * side of the point where it would overflow the viewport. Should only be used
+   * when the menu surface is hoisted or using fixed positioning.
+   */
+  openAtPosition(x: number, y: number) {
+    const viewportSize = this.adapter.getWindowDimensions();
+    this.setAbsolutePosition(
+        Math.min(Math.max(x, 0), viewportSize.width),
+        Math.min(Math.max(y, 0), viewportSize.height));
+    this.isPositionedAtPoint = true;
+
+    if (!this.isSurfaceOpen) {
+      this.open();
+    } else if (this.dimensions) {
+      // Move the already open surface to the new point.
+      this.autoposition();
+    }
+  }
+
+  /** Handle the `contextmenu` event of a context menu target. */
+  handleContextMenu(evt: MouseEvent) {
+    evt.preventDefault();
+    this.cancelLongPress();
+    this.openAtPosition(evt.clientX, evt.clientY);
+  }
+
+  /**
+   * Handle keys that open the surface from a context menu target, i.e.
+   * Shift+F10 and the ContextMenu key.
+   */
+  handleContextMenuKeydown(evt: KeyboardEvent) {
+    const key = normalizeKey(evt);
+    const isShiftF10 = evt.shiftKey && key === KEY.F10;
+    if (key !== KEY.CONTEXT_MENU && !isShiftF10) {
+      return;
+    }
+
+    evt.preventDefault();
+    // Open below the start edge of the focused element.
+    const rect = this.adapter.getElementDimensions(evt.target as Element);
+    this.openAtPosition(
+        this.adapter.isRtl() ? rect.right : rect.left, rect.bottom);
+  }
+
+  /** Starts a long press when a context menu target is touched. */
+  handleContextMenuTouchStart(evt: TouchEvent) {
+    this.cancelLongPress();
+    this.isLongPressOpened = false;
+    if (evt.touches.length !== 1) {
+      return;
+    }
+
+    this.longPressStart.x = evt.touches[0].clientX;
+    this.longPressStart.y = evt.touches[0].clientY;
+    this.longPressTimerId = setTimeout(() => {
+      this.longPressTimerId = 0;
+      this.isLongPressOpened = true;
+      this.openAtPosition(this.longPressStart.x, this.longPressStart.y);
+    }, numbers.LONG_PRESS_DURATION);
+  }
+
+  /** Cancels the long press when the touch moves away, e.g. to scroll. */
+  handleContextMenuTouchMove(evt: TouchEvent) {
+    const touch = evt.touches[0];
+    if (!touch) {
+      return;
+    }
+
+    const distance = Math.max(
+        Math.abs(touch.clientX - this.longPressStart.x),
+        Math.abs(touch.clientY - this.longPressStart.y));
+    if (distance > numbers.LONG_PRESS_MOVE_THRESHOLD) {
+      this.cancelLongPress();
+    }
+  }
+
+  /**
+   * Ends the long press, preventing the click that would follow a long press
+   * that opened the surface.
+   */
+  handleContextMenuTouchEnd(evt: TouchEvent) {
+    this.cancelLongPress();
+    if (this.isLongPressOpened) {
+      this.isLongPressOpened = false;
+      evt.preventDefault();
+    }
+  }
+
   private autoposition() {
     // Compute measurements for autoposition methods reuse.
     this.measurements = this.getAutoLayoutmeasurements();
@@ -293,7 +431,12 @@ export class MDCMenuSurfaceFoundation extends MDCFoundation<MDCMenuSurfaceAdapte
         this.hasBit(corner, CornerBit.BOTTOM) ? 'bottom' : 'top';
     let horizontalAlignment =
         this.hasBit(corner, CornerBit.RIGHT) ? 'right' : 'left';
-    const horizontalOffset = this.getHorizontalOriginOffset(corner);
+    let horizontalOffset = this.getHorizontalOriginOffset(corner);
+    if (this.isShiftOnOverflow) {
+      const shift = this.getHorizontalShift(corner);
+      // Moving the surface to the right decreases its `right` offset.
+      horizontalOffset += horizontalAlignment === 'right' ? -shift : shift;
+    }
     const verticalOffset = this.getVerticalOriginOffset(corner);
     const {anchorSize, surfaceSize} = this.measurements;
 
@@ -328,10 +471,12 @@ export class MDCMenuSurfaceFoundation extends MDCFoundation<MDCMenuSurfaceAdapte
    * @return Measurements used to position menu surface popup.
    */
   private getAutoLayoutmeasurements(): AutoLayoutMeasurements {
-    let anchorRect = this.adapter.getAnchorDimensions();
+    let anchorRect =
+        this.isPositionedAtPoint ? null : this.adapter.getAnchorDimensions();
     const bodySize = this.adapter.getBodyDimensions();
     const viewportSize = this.adapter.getWindowDimensions();
     const windowScroll = this.adapter.getWindowScroll();
+    const boundaryRect = this.adapter.getBoundaryDimensions();
 
     if (!anchorRect) {
       // tslint:disable:object-literal-sort-keys Positional properties are more readable when they're grouped together
@@ -346,9 +491,33 @@ export class MDCMenuSurfaceFoundation extends MDCFoundation<MDCMenuSurfaceAdapte
       // tslint:enable:object-literal-sort-keys
     }
 
+    // tslint:disable:object-literal-sort-keys Positional properties are more readable when they're grouped together
+    const boundary = {
+      top: 0,
+      right: viewportSize.width,
+      bottom: viewportSize.height,
+      left: 0,
+    };
+    // tslint:enable:object-literal-sort-keys
+    if (boundaryRect) {
+      // Only the part of the boundary within the viewport is visible.
+      boundary.top = Math.max(boundary.top, boundaryRect.top);
+      boundary.right = Math.min(boundary.right, boundaryRect.right);
+      boundary.bottom = Math.min(boundary.bottom, boundaryRect.bottom);
+      boundary.left = Math.max(boundary.left, boundaryRect.left);
+    }
+
     return {
       anchorSize: anchorRect,
       bodySize,
+      boundaryDistance: {
+        // tslint:disable:object-literal-sort-keys Positional properties are more readable when they're grouped together
+        top: anchorRect.top - boundary.top,
+        right: boundary.right - anchorRect.right,
+        bottom: boundary.bottom - anchorRect.bottom,
+        left: anchorRect.left - boundary.left,
+        // tslint:enable:object-literal-sort-keys
+      },
       surfaceSize: this.dimensions,
       viewportDistance: {
         // tslint:disable:object-literal-sort-keys Positional properties are more readable when they're grouped together
@@ -373,7 +542,7 @@ export class MDCMenuSurfaceFoundation extends MDCFoundation<MDCMenuSurfaceAdapte
   private getoriginCorner(): Corner {
     let corner = this.originCorner;
 
-    const {viewportDistance, anchorSize, surfaceSize} = this.measurements;
+    const {boundaryDistance, anchorSize, surfaceSize} = this.measurements;
     const {MARGIN_TO_EDGE} = MDCMenuSurfaceFoundation.numbers;
 
     const isAnchoredToBottom = this.hasBit(this.anchorCorner, CornerBit.BOTTOM);
@@ -381,14 +550,14 @@ export class MDCMenuSurfaceFoundation extends MDCFoundation<MDCMenuSurfaceAdapte
     let availableTop;
     let availableBottom;
     if (isAnchoredToBottom) {
-      availableTop = viewportDistance.top - MARGIN_TO_EDGE + anchorSize.height +
+      availableTop = boundaryDistance.top - MARGIN_TO_EDGE + anchorSize.height +
           this.anchorMargin.bottom;
       availableBottom =
-          viewportDistance.bottom - MARGIN_TO_EDGE - this.anchorMargin.bottom;
+          boundaryDistance.bottom - MARGIN_TO_EDGE - this.anchorMargin.bottom;
     } else {
       availableTop =
-          viewportDistance.top - MARGIN_TO_EDGE + this.anchorMargin.top;
-      availableBottom = viewportDistance.bottom - MARGIN_TO_EDGE +
+          boundaryDistance.top - MARGIN_TO_EDGE + this.anchorMargin.top;
+      availableBottom = boundaryDistance.bottom - MARGIN_TO_EDGE +
           anchorSize.height - this.anchorMargin.top;
     }
 
@@ -418,12 +587,12 @@ export class MDCMenuSurfaceFoundation extends MDCFoundation<MDCMenuSurfaceAdapte
     let availableRight;
     if (isAnchoredToRight) {
       availableLeft =
-          viewportDistance.left + anchorSize.width + this.anchorMargin.right;
-      availableRight = viewportDistance.right - this.anchorMargin.right;
+          boundaryDistance.left + anchorSize.width + this.anchorMargin.right;
+      availableRight = boundaryDistance.right - this.anchorMargin.right;
     } else {
-      availableLeft = viewportDistance.left + this.anchorMargin.left;
+      availableLeft = boundaryDistance.left + this.anchorMargin.left;
       availableRight =
-          viewportDistance.right + anchorSize.width - this.anchorMargin.left;
+          boundaryDistance.right + anchorSize.width - this.anchorMargin.left;
     }
 
     const isAvailableLeft = availableLeft - surfaceSize.width > 0;
@@ -452,7 +621,7 @@ export class MDCMenuSurfaceFoundation extends MDCFoundation<MDCMenuSurfaceAdapte
    * @return Maximum height of the menu surface, based on available space. 0 indicates should not be set.
    */
   private getMenuSurfaceMaxHeight(corner: Corner): number {
-    const {viewportDistance} = this.measurements;
+    const {boundaryDistance} = this.measurements;
 
     let maxHeight = 0;
     const isBottomAligned = this.hasBit(corner, CornerBit.BOTTOM);
@@ -461,12 +630,12 @@ export class MDCMenuSurfaceFoundation extends MDCFoundation<MDCMenuSurfaceAdapte
 
     // When maximum height is not specified, it is handled from CSS.
     if (isBottomAligned) {
-      maxHeight = viewportDistance.top + this.anchorMargin.top - MARGIN_TO_EDGE;
+      maxHeight = boundaryDistance.top + this.anchorMargin.top - MARGIN_TO_EDGE;
       if (!isBottomAnchored) {
         maxHeight += this.measurements.anchorSize.height;
       }
     } else {
-      maxHeight = viewportDistance.bottom - this.anchorMargin.bottom +
+      maxHeight = boundaryDistance.bottom - this.anchorMargin.bottom +
           this.measurements.anchorSize.height - MARGIN_TO_EDGE;
       if (isBottomAnchored) {
         maxHeight -= this.measurements.anchorSize.height;
@@ -510,6 +679,35 @@ export class MDCMenuSurfaceFoundation extends MDCFoundation<MDCMenuSurfaceAdapte
                                     this.anchorMargin.left;
   }
 
+  /**
+   * @param corner Origin corner of the menu surface.
+   * @return Horizontal distance to move the menu surface by so that it stays
+   *     within the boundary, positive to the right.
+   */
+  private getHorizontalShift(corner: Corner): number {
+    const {anchorSize, boundaryDistance, surfaceSize} = this.measurements;
+    const avoidHorizontalOverlap =
+        this.hasBit(this.anchorCorner, CornerBit.RIGHT);
+
+    // Left edge of the surface, relative to the left edge of the anchor.
+    let left;
+    if (this.hasBit(corner, CornerBit.RIGHT)) {
+      const rightOffset = avoidHorizontalOverlap ?
+          anchorSize.width - this.anchorMargin.left :
+          this.anchorMargin.right;
+      left = anchorSize.width - rightOffset - surfaceSize.width;
+    } else {
+      left = avoidHorizontalOverlap ?
+          anchorSize.width - this.anchorMargin.right :
+          this.anchorMargin.left;
+    }
+
+    const minLeft = -boundaryDistance.left;
+    const maxLeft = anchorSize.width + boundaryDistance.right - surfaceSize.width;
+    // Keep the start of the surface visible if it is wider than the boundary.
+    return Math.max(Math.min(left, maxLeft), minLeft) - left;
+  }
+
   /**
    * @param corner Origin corner of the menu surface.
    * @return Vertical offset of menu surface origin corner from corresponding anchor corner.
@@ -576,6 +774,16 @@ export class MDCMenuSurfaceFoundation extends MDCFoundation<MDCMenuSurfaceAdapte
     }
   }
 
+  private cancelLongPress() {
+    clearTimeout(this.longPressTimerId);
+    this.longPressTimerId = 0;
+  }
+
+  private cancelReposition() {
+    cancelAnimationFrame(this.repositionRequestId);
+    this.repositionRequestId = 0;
+  }
+
   private hasBit(corner: Corner, bit: CornerBit): boolean {
     return Boolean(corner & bit); // tslint:disable-line:no-bitwise
   }
@@ -24,7 +24,7 @@
 import {emitEvent} from '../../../testing/dom/events';
 import {createMockFoundation} from '../../../testing/helpers/foundation';
 import {Corner, cssClasses, strings} from '../constants';
-import {MDCMenuSurface, MDCMenuSurfaceFoundation} from '../index';
+import {MDCMenuSurface, MDCMenuSurfaceAdapter, MDCMenuSurfaceFoundation} from '../index';
 import {getTransformPropertyName} from '../util';
 
 function getFixture(open = false, fixedPosition = false) {
@@ -175,6 +175,52 @@ describe('MDCMenuSurface', () => {
            .not.toHaveBeenCalledWith(jasmine.any(Event));
      });
 
+  it(`${strings.OPENED_EVENT} causes the menu surface to be repositioned on scroll and resize`,
+     () => {
+       const {root, component, mockFoundation} = setupTest();
+       const scrollContainer = document.createElement('div');
+       document.body.appendChild(scrollContainer);
+       document.body.appendChild(root);
+       emitEvent(root, strings.OPENED_EVENT);
+
+       emitEvent(scrollContainer, 'scroll');
+       emitEvent(window, 'resize');
+       expect(mockFoundation.reposition).toHaveBeenCalledTimes(2);
+
+       component.destroy();
+       document.body.removeChild(scrollContainer);
+       document.body.removeChild(root);
+     });
+
+  it('scrolling within the menu surface does not reposition it', () => {
+    const {root, component, mockFoundation} = setupTest();
+    document.body.appendChild(root);
+    emitEvent(root, strings.OPENED_EVENT);
+
+    emitEvent(root.querySelector('.mdc-list') as Element, 'scroll');
+    expect(mockFoundation.reposition).not.toHaveBeenCalled();
+
+    component.destroy();
+    document.body.removeChild(root);
+  });
+
+  it(`${strings.CLOSED_EVENT} causes the scroll and resize handlers to be deregistered`,
+     () => {
+       const {root, mockFoundation} = setupTest();
+       emitEvent(root, strings.OPENED_EVENT);
+       emitEvent(root, strings.CLOSED_EVENT);
+
+       emitEvent(document.body, 'scroll');
+       emitEvent(window, 'resize');
+       expect(mockFoundation.reposition).not.toHaveBeenCalled();
+     });
+
+  it('setShiftOnOverflow', () => {
+    const {component, mockFoundation} = setupTest();
+    component.setShiftOnOverflow(true);
+    expect(mockFoundation.setShiftOnOverflow).toHaveBeenCalledWith(true);
+  });
+
   it('setMenuSurfaceAnchorElement', () => {
     const {component} = setupTest();
     const myElement = {} as unknown as Element;
@@ -221,6 +267,69 @@ describe('MDCMenuSurface', () => {
        expect(mockFoundation.setIsHoisted).toHaveBeenCalledWith(true);
      });
 
+  it('openAtPosition calls the foundation openAtPosition function', () => {
+    const {component, mockFoundation} = setupTest();
+    component.openAtPosition(10, 20);
+    expect(mockFoundation.openAtPosition).toHaveBeenCalledWith(10, 20);
+    expect(mockFoundation.setIsHoisted).toHaveBeenCalledWith(true);
+  });
+
+  it('setContextMenuTarget registers context menu handlers on the target',
+     () => {
+       const {component, mockFoundation} = setupTest();
+       const target = document.createElement('div');
+       component.setContextMenuTarget(target);
+       expect(mockFoundation.setIsHoisted).toHaveBeenCalledWith(true);
+
+       emitEvent(target, 'contextmenu');
+       expect(mockFoundation.handleContextMenu)
+           .toHaveBeenCalledWith(jasmine.any(Event));
+       emitEvent(target, 'keydown');
+       expect(mockFoundation.handleContextMenuKeydown)
+           .toHaveBeenCalledWith(jasmine.any(Event));
+       emitEvent(target, 'touchstart');
+       expect(mockFoundation.handleContextMenuTouchStart)
+           .toHaveBeenCalledWith(jasmine.any(Event));
+       emitEvent(target, 'touchmove');
+       expect(mockFoundation.handleContextMenuTouchMove)
+           .toHaveBeenCalledWith(jasmine.any(Event));
+       emitEvent(target, 'touchend');
+       emitEvent(target, 'touchcancel');
+       expect(mockFoundation.handleContextMenuTouchEnd)
+           .toHaveBeenCalledTimes(2);
+     });
+
+  it('setContextMenuTarget deregisters context menu handlers from the previous target',
+     () => {
+       const {component, mockFoundation} = setupTest();
+       const target = document.createElement('div');
+       component.setContextMenuTarget(target);
+       component.setContextMenuTarget(null);
+
+       emitEvent(target, 'contextmenu');
+       emitEvent(target, 'keydown');
+       emitEvent(target, 'touchstart');
+       emitEvent(target, 'touchmove');
+       emitEvent(target, 'touchend');
+       emitEvent(target, 'touchcancel');
+       expect(mockFoundation.handleContextMenu).not.toHaveBeenCalled();
+       expect(mockFoundation.handleContextMenuKeydown).not.toHaveBeenCalled();
+       expect(mockFoundation.handleContextMenuTouchStart)
+           .not.toHaveBeenCalled();
+       expect(mockFoundation.handleContextMenuTouchMove).not.toHaveBeenCalled();
+       expect(mockFoundation.handleContextMenuTouchEnd).not.toHaveBeenCalled();
+     });
+
+  it('destroy deregisters context menu handlers from the target', () => {
+    const {component, mockFoundation} = setupTest();
+    const target = document.createElement('div');
+    component.setContextMenuTarget(target);
+    component.destroy();
+
+    emitEvent(target, 'contextmenu');
+    expect(mockFoundation.handleContextMenu).not.toHaveBeenCalled();
+  });
+
   it('setAnchorCorner', () => {
     const {component, mockFoundation} = setupTest();
     component.setAnchorCorner(Corner.TOP_START);
@@ -403,6 +512,100 @@ describe('MDCMenuSurface', () => {
        document.body.removeChild(root);
      });
 
+  it('adapter#getElementDimensions returns the dimensions of the element',
+     () => {
+       const {component} = setupTest();
+       const element = document.createElement('div');
+       element.style.height = '21px';
+       element.style.width = '42px';
+       document.body.appendChild(element);
+
+       const dimensions = (component.getDefaultFoundation() as any)
+                              .adapter.getElementDimensions(element);
+       expect(dimensions).toEqual(element.getBoundingClientRect());
+
+       document.body.removeChild(element);
+     });
+
+  it('adapter#getBoundaryDimensions returns the dimensions of the boundary element',
+     () => {
+       const {component} = setupTest();
+       const boundary = document.createElement('div');
+       document.body.appendChild(boundary);
+       component.boundaryElement = boundary;
+
+       expect((component.getDefaultFoundation() as any)
+                  .adapter.getBoundaryDimensions())
+           .toEqual(boundary.getBoundingClientRect());
+
+       document.body.removeChild(boundary);
+     });
+
+  it('adapter#getBoundaryDimensions returns the dimensions of the nearest clipping ancestor',
+     () => {
+       const {root, component} = setupTest();
+       const scrollContainer = document.createElement('div');
+       scrollContainer.style.overflow = 'auto';
+       scrollContainer.style.height = '100px';
+       scrollContainer.appendChild(root);
+       document.body.appendChild(scrollContainer);
+
+       expect((component.getDefaultFoundation() as any)
+                  .adapter.getBoundaryDimensions())
+           .toEqual(scrollContainer.getBoundingClientRect());
+
+       document.body.removeChild(scrollContainer);
+     });
+
+  it('adapter#getBoundaryDimensions resolves the clipping ancestor once until the menu surface closes',
+     () => {
+       const {root, component} = setupTest();
+       const scrollContainer = document.createElement('div');
+       scrollContainer.style.overflow = 'auto';
+       scrollContainer.appendChild(root);
+       document.body.appendChild(scrollContainer);
+       const {adapter} = component.getDefaultFoundation() as unknown as
+           {adapter: MDCMenuSurfaceAdapter};
+       expect(adapter.getBoundaryDimensions())
+           .toEqual(scrollContainer.getBoundingClientRect());
+
+       scrollContainer.style.overflow = '';
+       expect(adapter.getBoundaryDimensions())
+           .toEqual(scrollContainer.getBoundingClientRect());
+
+       emitEvent(root, strings.CLOSED_EVENT);
+       expect(adapter.getBoundaryDimensions()).toBe(null);
+
+       document.body.removeChild(scrollContainer);
+     });
+
+  it('adapter#getBoundaryDimensions returns null if the menu surface is only clipped by the viewport',
+     () => {
+       const {root, component} = setupTest();
+       document.body.appendChild(root);
+
+       expect((component.getDefaultFoundation() as any)
+                  .adapter.getBoundaryDimensions())
+           .toBe(null);
+
+       document.body.removeChild(root);
+     });
+
+  it('adapter#getBoundaryDimensions ignores clipping ancestors of fixed menu surfaces',
+     () => {
+       const {root, component} = setupTest({fixedPosition: true});
+       const scrollContainer = document.createElement('div');
+       scrollContainer.style.overflow = 'auto';
+       scrollContainer.appendChild(root);
+       document.body.appendChild(scrollContainer);
+
+       expect((component.getDefaultFoundation() as any)
+                  .adapter.getBoundaryDimensions())
+           .toBe(null);
+
+       document.body.removeChild(scrollContainer);
+     });
+
   it('adapter#getWindowDimensions returns the dimensions of the window', () => {
     const {root, component} = setupTest({open: true});
     document.body.appendChild(root);
@@ -490,6 +693,19 @@ describe('MDCMenuSurface', () => {
        document.body.removeChild(anchor);
      });
 
+  it('adapter#isElementInContainer returns true if element is in a connected element',
+     () => {
+       const {component} = setupTest({open: true});
+       const submenu = document.createElement('div');
+       const button = document.createElement('button');
+       submenu.appendChild(button);
+       const adapter = (component.getDefaultFoundation() as any).adapter;
+
+       expect(adapter.isElementInContainer(button)).toBe(false);
+       component.connectedElements = [submenu];
+       expect(adapter.isElementInContainer(button)).toBe(true);
+     });
+
   it('adapter#isElementInContainer returns true if element is the menu surface',
      () => {
        const {root, component, anchor} =
@@ -204,6 +204,8 @@ describe('MDCMenuSurfaceFoundation', () => {
       'restoreFocus',
       'getInnerDimensions',
       'getAnchorDimensions',
+      'getElementDimensions',
+      'getBoundaryDimensions',
       'getWindowDimensions',
       'getBodyDimensions',
       'getWindowScroll',
@@ -1148,4 +1150,359 @@ describe('MDCMenuSurfaceFoundation', () => {
         jasmine.clock().tick(1);  // Run to frame.
         expect(mockAdapter.setPosition).not.toHaveBeenCalled();
       });
+
+  describe('boundary', () => {
+    const setupBoundaryTest =
+        (anchorDimensions: AnchorDimension,
+         boundary: {top: number, right: number, bottom: number, left: number}) => {
+          const {foundation, mockAdapter} = setupTest();
+          initAnchorLayout(mockAdapter, anchorDimensions);
+          mockAdapter.getBoundaryDimensions.and.returnValue(
+              {...boundary, width: 0, height: 0});
+          foundation.setQuickOpen(true);
+          return {foundation, mockAdapter};
+        };
+
+    it('#open opens upwards when there is not enough room below the anchor within the boundary',
+       () => {
+         const {foundation, mockAdapter} = setupBoundaryTest(
+             smallCenter, {top: 100, right: 1000, bottom: 600, left: 0});
+         foundation.open();
+
+         expect(mockAdapter.setTransformOrigin)
+             .toHaveBeenCalledWith('left bottom');
+         expect(mockAdapter.setPosition)
+             .toHaveBeenCalledWith({left: 0, bottom: -0});
+         expect(mockAdapter.setMaxHeight).toHaveBeenCalledWith('378px');
+       });
+
+    it('#open attaches to the right side of the anchor when there is not enough room to its right within the boundary',
+       () => {
+         const {foundation, mockAdapter} = setupBoundaryTest(
+             smallCenter, {top: 0, right: 550, bottom: 1000, left: 0});
+         foundation.open();
+
+         expect(mockAdapter.setTransformOrigin)
+             .toHaveBeenCalledWith('right top');
+         expect(mockAdapter.setPosition)
+             .toHaveBeenCalledWith({right: 0, top: 0});
+       });
+
+    it('#open only uses the part of the boundary within the viewport', () => {
+      const {foundation, mockAdapter} = setupBoundaryTest(
+          closeToBottom, {top: -500, right: 1500, bottom: 2000, left: -500});
+      foundation.open();
+
+      expect(mockAdapter.setTransformOrigin)
+          .toHaveBeenCalledWith('left bottom');
+    });
+
+    it('#open does not move the menu surface to fit within the boundary by default',
+       () => {
+         const {foundation, mockAdapter} = setupBoundaryTest(
+             smallCenter, {top: 0, right: 560, bottom: 1000, left: 450});
+         foundation.open();
+
+         expect(mockAdapter.setPosition)
+             .toHaveBeenCalledWith({left: 0, top: 0});
+       });
+
+    it('#open moves a left-aligned menu surface to fit within the boundary when setShiftOnOverflow is true',
+       () => {
+         const {foundation, mockAdapter} = setupBoundaryTest(
+             smallCenter, {top: 0, right: 560, bottom: 1000, left: 450});
+         foundation.setShiftOnOverflow(true);
+         foundation.open();
+
+         expect(mockAdapter.setPosition)
+             .toHaveBeenCalledWith({left: -20, top: 0});
+       });
+
+    it('#open moves a right-aligned menu surface to fit within the boundary when setShiftOnOverflow is true',
+       () => {
+         const {foundation, mockAdapter} = setupBoundaryTest(
+             smallCenter, {top: 0, right: 525, bottom: 1000, left: 430});
+         foundation.setShiftOnOverflow(true);
+         foundation.open();
+
+         expect(mockAdapter.setTransformOrigin)
+             .toHaveBeenCalledWith('right top');
+         expect(mockAdapter.setPosition)
+             .toHaveBeenCalledWith({right: -10, top: 0});
+       });
+
+    it('#open keeps the start of a menu surface wider than the boundary visible when setShiftOnOverflow is true',
+       () => {
+         const {foundation, mockAdapter} = setupBoundaryTest(
+             smallCenter, {top: 0, right: 540, bottom: 1000, left: 470});
+         foundation.setShiftOnOverflow(true);
+         foundation.open();
+
+         expect(mockAdapter.setPosition)
+             .toHaveBeenCalledWith({left: -10, top: 0});
+       });
+
+    it('#reposition recomputes the position of the open menu surface', () => {
+      const {foundation, mockAdapter} = setupBoundaryTest(
+          smallCenter, {top: 0, right: 1000, bottom: 1000, left: 0});
+      foundation.open();
+      expect(mockAdapter.setTransformOrigin).toHaveBeenCalledWith('left top');
+
+      mockAdapter.getAnchorDimensions.and.returnValue(closeToBottom);
+      foundation.reposition();
+      expect(mockAdapter.setTransformOrigin)
+          .not.toHaveBeenCalledWith('left bottom');
+      jasmine.clock().tick(1);  // Run to frame.
+      expect(mockAdapter.removeClass)
+          .toHaveBeenCalledWith(cssClasses.IS_OPEN_BELOW);
+      expect(mockAdapter.setTransformOrigin)
+          .toHaveBeenCalledWith('left bottom');
+    });
+
+    it('#reposition batches calls until the next animation frame', () => {
+      const {foundation, mockAdapter} = setupBoundaryTest(
+          smallCenter, {top: 0, right: 1000, bottom: 1000, left: 0});
+      foundation.open();
+      mockAdapter.setPosition.calls.reset();
+
+      foundation.reposition();
+      foundation.reposition();
+      foundation.reposition();
+      jasmine.clock().tick(1);  // Run to frame.
+      expect(mockAdapter.setPosition).toHaveBeenCalledTimes(1);
+
+      foundation.reposition();
+      jasmine.clock().tick(1);  // Run to frame.
+      expect(mockAdapter.setPosition).toHaveBeenCalledTimes(2);
+    });
+
+    it('#close cancels a pending reposition', () => {
+      const {foundation, mockAdapter} = setupBoundaryTest(
+          smallCenter, {top: 0, right: 1000, bottom: 1000, left: 0});
+      foundation.open();
+      mockAdapter.setPosition.calls.reset();
+
+      foundation.reposition();
+      foundation.close();
+      jasmine.clock().tick(1);  // Run to frame.
+      expect(mockAdapter.setPosition).not.toHaveBeenCalled();
+    });
+
+    it('#reposition does nothing when the menu surface is closed', () => {
+      const {foundation, mockAdapter} = setupBoundaryTest(
+          smallCenter, {top: 0, right: 1000, bottom: 1000, left: 0});
+      foundation.reposition();
+
+      expect(mockAdapter.setPosition).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('context menu', () => {
+    const setupContextMenuTest = (isRtl = false) => {
+      const {foundation, mockAdapter} = setupTest();
+      initAnchorLayout(mockAdapter, smallCenter, isRtl);
+      foundation.setQuickOpen(true);
+      foundation.setFixedPosition(true);
+      return {foundation, mockAdapter};
+    };
+
+    const createTouchEvent = (touches: Array<{clientX: number, clientY: number}>) => {
+      return {touches, preventDefault: jasmine.createSpy('preventDefault')};
+    };
+
+    it('#openAtPosition opens the menu surface at the given point, ignoring the anchor',
+       () => {
+         const {foundation, mockAdapter} = setupContextMenuTest();
+         foundation.openAtPosition(300, 400);
+
+         expect(foundation.isOpen()).toBe(true);
+         expect(mockAdapter.getAnchorDimensions).not.toHaveBeenCalled();
+         expect(mockAdapter.setTransformOrigin).toHaveBeenCalledWith('left top');
+         expect(mockAdapter.setPosition)
+             .toHaveBeenCalledWith({left: 300, top: 400});
+       });
+
+    it('#openAtPosition flips the menu surface where it would overflow the viewport',
+       () => {
+         const {foundation, mockAdapter} = setupContextMenuTest();
+         foundation.openAtPosition(950, 900);
+
+         expect(mockAdapter.setTransformOrigin)
+             .toHaveBeenCalledWith('right bottom');
+         expect(mockAdapter.setPosition)
+             .toHaveBeenCalledWith({right: 50, bottom: 100});
+       });
+
+    it('#openAtPosition keeps the point within the viewport', () => {
+      const {foundation, mockAdapter} = setupContextMenuTest();
+      foundation.openAtPosition(-20, 2000);
+
+      expect(mockAdapter.setPosition).toHaveBeenCalledWith({left: 0, bottom: 0});
+    });
+
+    it('#openAtPosition moves the menu surface when it is already open', () => {
+      const {foundation, mockAdapter} = setupContextMenuTest();
+      foundation.openAtPosition(300, 400);
+      foundation.openAtPosition(200, 100);
+
+      expect(mockAdapter.notifyOpen).toHaveBeenCalledTimes(1);
+      expect(mockAdapter.setPosition)
+          .toHaveBeenCalledWith({left: 200, top: 100});
+    });
+
+    it('#open positions the menu surface at its anchor again after it was opened at a point',
+       () => {
+         const {foundation, mockAdapter} = setupContextMenuTest();
+         foundation.openAtPosition(300, 400);
+         foundation.close();
+         foundation.open();
+
+         expect(mockAdapter.getAnchorDimensions).toHaveBeenCalled();
+       });
+
+    it('#handleContextMenu opens the menu surface at the pointer', () => {
+      const {foundation, mockAdapter} = setupContextMenuTest();
+      const evt = {
+        clientX: 300,
+        clientY: 400,
+        preventDefault: jasmine.createSpy('preventDefault'),
+      };
+      foundation.handleContextMenu(evt);
+
+      expect(evt.preventDefault).toHaveBeenCalled();
+      expect(mockAdapter.setPosition)
+          .toHaveBeenCalledWith({left: 300, top: 400});
+    });
+
+    for (const {desc, evt} of [
+             {desc: 'Shift+F10', evt: {key: 'F10', shiftKey: true}},
+             {desc: 'the ContextMenu key', evt: {key: 'ContextMenu'}},
+             {desc: 'Shift+F10 key code', evt: {keyCode: 121, shiftKey: true}},
+             {desc: 'the ContextMenu key code', evt: {key: 'Apps', keyCode: 93}},
+         ]) {
+      it(`#handleContextMenuKeydown with ${
+             desc} opens the menu surface below the focused element`,
+         () => {
+           const {foundation, mockAdapter} = setupContextMenuTest();
+           const target = document.createElement('div');
+           mockAdapter.getElementDimensions.withArgs(target).and.returnValue(
+               {top: 50, right: 300, bottom: 80, left: 100, width: 200, height: 30});
+           const preventDefault = jasmine.createSpy('preventDefault');
+           foundation.handleContextMenuKeydown({...evt, target, preventDefault});
+
+           expect(preventDefault).toHaveBeenCalled();
+           expect(mockAdapter.setPosition)
+               .toHaveBeenCalledWith({left: 100, top: 80});
+         });
+    }
+
+    it('#handleContextMenuKeydown opens the menu surface from the end of the focused element in RTL',
+       () => {
+         const {foundation, mockAdapter} = setupContextMenuTest(true);
+         mockAdapter.getElementDimensions.and.returnValue(
+             {top: 50, right: 300, bottom: 80, left: 100, width: 200, height: 30});
+         foundation.handleContextMenuKeydown(
+             {key: 'ContextMenu', target: {}, preventDefault: () => undefined});
+
+         expect(mockAdapter.setTransformOrigin)
+             .toHaveBeenCalledWith('right top');
+         expect(mockAdapter.setPosition)
+             .toHaveBeenCalledWith({right: 700, top: 80});
+       });
+
+    it('#handleContextMenuKeydown ignores other keys', () => {
+      const {foundation} = setupContextMenuTest();
+      const preventDefault = jasmine.createSpy('preventDefault');
+      foundation.handleContextMenuKeydown({key: 'F10', preventDefault});
+
+      expect(preventDefault).not.toHaveBeenCalled();
+      expect(foundation.isOpen()).toBe(false);
+    });
+
+    it('#handleContextMenuTouchStart opens the menu surface at the touch after a long press',
+       () => {
+         const {foundation, mockAdapter} = setupContextMenuTest();
+         foundation.handleContextMenuTouchStart(
+             createTouchEvent([{clientX: 300, clientY: 400}]));
+         jasmine.clock().tick(numbers.LONG_PRESS_DURATION - 1);
+         expect(foundation.isOpen()).toBe(false);
+
+         jasmine.clock().tick(1);
+         expect(foundation.isOpen()).toBe(true);
+         expect(mockAdapter.setPosition)
+             .toHaveBeenCalledWith({left: 300, top: 400});
+       });
+
+    it('#handleContextMenuTouchStart ignores touches with multiple fingers',
+       () => {
+         const {foundation} = setupContextMenuTest();
+         foundation.handleContextMenuTouchStart(createTouchEvent([
+           {clientX: 300, clientY: 400},
+           {clientX: 350, clientY: 400},
+         ]));
+         jasmine.clock().tick(numbers.LONG_PRESS_DURATION);
+
+         expect(foundation.isOpen()).toBe(false);
+       });
+
+    it('#handleContextMenuTouchMove cancels the long press when the touch moves away',
+       () => {
+         const {foundation} = setupContextMenuTest();
+         foundation.handleContextMenuTouchStart(
+             createTouchEvent([{clientX: 300, clientY: 400}]));
+         foundation.handleContextMenuTouchMove(createTouchEvent([{
+           clientX: 300,
+           clientY: 400 + numbers.LONG_PRESS_MOVE_THRESHOLD + 1,
+         }]));
+         jasmine.clock().tick(numbers.LONG_PRESS_DURATION);
+
+         expect(foundation.isOpen()).toBe(false);
+       });
+
+    it('#handleContextMenuTouchMove does not cancel the long press on small movements',
+       () => {
+         const {foundation} = setupContextMenuTest();
+         foundation.handleContextMenuTouchStart(
+             createTouchEvent([{clientX: 300, clientY: 400}]));
+         foundation.handleContextMenuTouchMove(
+             createTouchEvent([{clientX: 302, clientY: 403}]));
+         jasmine.clock().tick(numbers.LONG_PRESS_DURATION);
+
+         expect(foundation.isOpen()).toBe(true);
+       });
+
+    it('#handleContextMenuTouchEnd cancels the long press', () => {
+      const {foundation} = setupContextMenuTest();
+      foundation.handleContextMenuTouchStart(
+          createTouchEvent([{clientX: 300, clientY: 400}]));
+      const touchEnd = createTouchEvent([]);
+      foundation.handleContextMenuTouchEnd(touchEnd);
+      jasmine.clock().tick(numbers.LONG_PRESS_DURATION);
+
+      expect(foundation.isOpen()).toBe(false);
+      expect(touchEnd.preventDefault).not.toHaveBeenCalled();
+    });
+
+    it('#handleContextMenuTouchEnd prevents the click after a long press opened the menu surface',
+       () => {
+         const {foundation} = setupContextMenuTest();
+         foundation.handleContextMenuTouchStart(
+             createTouchEvent([{clientX: 300, clientY: 400}]));
+         jasmine.clock().tick(numbers.LONG_PRESS_DURATION);
+         const touchEnd = createTouchEvent([]);
+         foundation.handleContextMenuTouchEnd(touchEnd);
+
+         expect(touchEnd.preventDefault).toHaveBeenCalled();
+       });
+
+    it('#destroy cancels the long press', () => {
+      const {foundation} = setupContextMenuTest();
+      foundation.handleContextMenuTouchStart(
+          createTouchEvent([{clientX: 300, clientY: 400}]));
+      foundation.destroy();
+      jasmine.clock().tick(numbers.LONG_PRESS_DURATION);
+
+      expect(foundation.isOpen()).toBe(false);
+    });
+  });
 });
@@ -70,4 +70,33 @@ describe('MDCMenuSurface - util', () => {
        expect(utils.getTransformPropertyName(mockWindow, true))
            .toEqual('webkitTransform');
      });
+
+  it('getClippingAncestor returns the nearest ancestor that clips its overflow',
+     () => {
+       const container = document.createElement('div');
+       container.innerHTML = `
+         <div class="clipping" style="overflow: auto">
+           <div class="parent"><div class="child"></div></div>
+         </div>
+       `;
+       document.body.appendChild(container);
+
+       const child = container.querySelector('.child') as Element;
+       expect(utils.getClippingAncestor(child))
+           .toBe(container.querySelector('.clipping'));
+
+       document.body.removeChild(container);
+     });
+
+  it('getClippingAncestor returns null if no ancestor clips its overflow',
+     () => {
+       const container = document.createElement('div');
+       container.innerHTML = `<div class="parent"><div class="child"></div></div>`;
+       document.body.appendChild(container);
+
+       const child = container.querySelector('.child') as Element;
+       expect(utils.getClippingAncestor(child)).toBe(null);
+
+       document.body.removeChild(container);
+     });
 });
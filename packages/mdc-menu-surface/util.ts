@@ -36,4 +36,21 @@ function getTransformPropertyName(globalObj: Window, forceRefresh = false): CssT
   return cachedCssTransformPropertyName_;
 }
 
-export {getTransformPropertyName};
+/**
+ * Returns the nearest ancestor of the element that clips its overflow (e.g. a
+ * scroll container), or null if only the viewport clips the element.
+ */
+function getClippingAncestor(el: Element): Element | null {
+  const {body, documentElement} = el.ownerDocument || document;
+  let ancestor = el.parentElement;
+  while (ancestor && ancestor !== body && ancestor !== documentElement) {
+    const {overflow, overflowX, overflowY} = getComputedStyle(ancestor);
+    if (/auto|scroll|hidden|clip/.test(`${overflow} ${overflowX} ${overflowY}`)) {
+      return ancestor;
+    }
+    ancestor = ancestor.parentElement;
+  }
+  return null;
+}
+
+export {getClippingAncestor, getTransformPropertyName};
@@ -96,4 +96,27 @@ export interface MDCMenuAdapter {
    * @param index Index of the selectable menu item.
    */
   isSelectableItemAtIndex(index: number): boolean;
+
+  /**
+   * @return Returns true if the menu item at the given index opens a submenu.
+   */
+  hasSubmenuAtIndex(index: number): boolean;
+
+  /**
+   * Opens the submenu of the menu item at the given index, anchored to the
+   * item's side.
+   * @param focusFirstItem Whether to focus the first item of the submenu once
+   *     it is open, e.g. when it is opened with the keyboard.
+   */
+  openSubmenuAtIndex(index: number, focusFirstItem: boolean): void;
+
+  /**
+   * Closes the submenu of the menu item at the given index.
+   */
+  closeSubmenuAtIndex(index: number): void;
+
+  /**
+   * @return Returns true if the menu is in an RTL context.
+   */
+  isRtl(): boolean;
 }
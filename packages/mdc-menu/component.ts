@@ -28,7 +28,7 @@ import {MDCComponent} from '@material/base/component';
 import {CustomEventListener, SpecificEventListener} from '@material/base/types';
 import {closest} from '@material/dom/ponyfill';
 import {MDCList, MDCListFactory} from '@material/list/component';
-import {numbers as listConstants} from '@material/list/constants';
+import {cssClasses as listCssClasses, numbers as listConstants} from '@material/list/constants';
 import {MDCListFoundation} from '@material/list/foundation';
 import {MDCListActionEvent, MDCListIndex} from '@material/list/types';
 import {MDCMenuSurface, MDCMenuSurfaceFactory} from '@material/menu-surface/component';
@@ -38,10 +38,19 @@ import {MDCMenuDistance} from '@material/menu-surface/types';
 import {MDCMenuAdapter} from './adapter';
 import {cssClasses, DefaultFocusState, strings} from './constants';
 import {MDCMenuFoundation} from './foundation';
-import {MDCMenuItemComponentEventDetail} from './types';
+import {MDCMenuItemComponentEvent, MDCMenuItemComponentEventDetail} from './types';
 
 export type MDCMenuFactory = (el: Element, foundation?: MDCMenuFoundation) => MDCMenu;
 
+interface MDCSubmenu {
+  item: Element;
+  menu: MDCMenu;
+  handleKeydown: SpecificEventListener<'keydown'>;
+  handleMouseOver: SpecificEventListener<'mouseover'>;
+  handleSelected: CustomEventListener<MDCMenuItemComponentEvent>;
+  handleClosed: EventListener;
+}
+
 export class MDCMenu extends MDCComponent<MDCMenuFoundation> {
   static attachTo(root: Element) {
     return new MDCMenu(root);
@@ -49,19 +58,25 @@ export class MDCMenu extends MDCComponent<MDCMenuFoundation> {
 
   private menuSurfaceFactory_!: MDCMenuSurfaceFactory; // assigned in initialize()
   private listFactory_!: MDCListFactory; // assigned in initialize()
+  private menuFactory_!: MDCMenuFactory; // assigned in initialize()
 
   private menuSurface_!: MDCMenuSurface; // assigned in initialSyncWithDOM()
   private list_!: MDCList | null; // assigned in initialSyncWithDOM()
+  private submenus_!: MDCSubmenu[]; // assigned in initialSyncWithDOM()
 
   private handleKeydown_!: SpecificEventListener<'keydown'>; // assigned in initialSyncWithDOM()
   private handleItemAction_!: CustomEventListener<MDCListActionEvent>; // assigned in initialSyncWithDOM()
   private handleMenuSurfaceOpened_!: EventListener; // assigned in initialSyncWithDOM()
+  private handleMenuSurfaceClosed_!: EventListener; // assigned in initialSyncWithDOM()
+  private handleMouseOver_!: SpecificEventListener<'mouseover'>; // assigned in initialSyncWithDOM()
 
   initialize(
       menuSurfaceFactory: MDCMenuSurfaceFactory = (el) => new MDCMenuSurface(el),
-      listFactory: MDCListFactory = (el) => new MDCList(el)) {
+      listFactory: MDCListFactory = (el) => new MDCList(el),
+      menuFactory: MDCMenuFactory = (el) => new MDCMenu(el)) {
     this.menuSurfaceFactory_ = menuSurfaceFactory;
     this.listFactory_ = listFactory;
+    this.menuFactory_ = menuFactory;
   }
 
   initialSyncWithDOM() {
@@ -80,10 +95,27 @@ export class MDCMenu extends MDCComponent<MDCMenuFoundation> {
         this.foundation.handleItemAction(this.items[evt.detail.index]);
     this.handleMenuSurfaceOpened_ = () =>
         this.foundation.handleMenuSurfaceOpened();
+    this.handleMenuSurfaceClosed_ = () =>
+        this.foundation.handleMenuSurfaceClosed();
+    this.handleMouseOver_ = (evt) => {
+      const item =
+          closest(evt.target as Element, `.${listCssClasses.LIST_ITEM_CLASS}`);
+      const index = item ? this.items.indexOf(item) : -1;
+      if (index >= 0) {
+        this.foundation.handleItemHover(index);
+      }
+    };
 
     this.menuSurface_.listen(MDCMenuSurfaceFoundation.strings.OPENED_EVENT, this.handleMenuSurfaceOpened_);
+    this.menuSurface_.listen(MDCMenuSurfaceFoundation.strings.CLOSED_EVENT, this.handleMenuSurfaceClosed_);
     this.listen('keydown', this.handleKeydown_);
     this.listen(MDCListFoundation.strings.ACTION_EVENT, this.handleItemAction_);
+
+    this.submenus_ = this.createSubmenus_();
+    if (this.submenus_.length) {
+      this.menuSurface_.connectedElements = this.getSubmenuElements_();
+      this.listen('mouseover', this.handleMouseOver_);
+    }
   }
 
   destroy() {
@@ -91,10 +123,20 @@ export class MDCMenu extends MDCComponent<MDCMenuFoundation> {
       this.list_.destroy();
     }
 
+    this.submenus_.forEach((submenu) => {
+      submenu.menu.unlisten('keydown', submenu.handleKeydown);
+      submenu.menu.unlisten('mouseover', submenu.handleMouseOver);
+      submenu.menu.unlisten(strings.SELECTED_EVENT, submenu.handleSelected);
+      submenu.menu.unlisten(MDCMenuSurfaceFoundation.strings.CLOSED_EVENT, submenu.handleClosed);
+      submenu.menu.destroy();
+    });
+
     this.menuSurface_.destroy();
     this.menuSurface_.unlisten(MDCMenuSurfaceFoundation.strings.OPENED_EVENT, this.handleMenuSurfaceOpened_);
+    this.menuSurface_.unlisten(MDCMenuSurfaceFoundation.strings.CLOSED_EVENT, this.handleMenuSurfaceClosed_);
     this.unlisten('keydown', this.handleKeydown_);
     this.unlisten(MDCListFoundation.strings.ACTION_EVENT, this.handleItemAction_);
+    this.unlisten('mouseover', this.handleMouseOver_);
     super.destroy();
   }
 
@@ -208,6 +250,16 @@ export class MDCMenu extends MDCComponent<MDCMenuFoundation> {
     }
   }
 
+  /**
+   * Sets whether the menu closes when a list item is selected. Used mainly by
+   * the multi-select variant of the select menu.
+   *
+   * @param closeSurfaceOnSelection Whether to close the menu on selection.
+   */
+  set closeSurfaceOnSelection(closeSurfaceOnSelection: boolean) {
+    this.foundation.setCloseSurfaceOnSelection(closeSurfaceOnSelection);
+  }
+
   set quickOpen(quickOpen: boolean) {
     this.menuSurface_.quickOpen = quickOpen;
   }
@@ -287,6 +339,23 @@ export class MDCMenu extends MDCComponent<MDCMenuFoundation> {
     this.menuSurface_.setAbsolutePosition(x, y);
   }
 
+  /**
+   * Opens the menu at the given viewport x/y position.
+   * @param x Horizontal position, e.g. the `clientX` of a pointer event.
+   * @param y Vertical position, e.g. the `clientY` of a pointer event.
+   */
+  openAtPosition(x: number, y: number) {
+    this.menuSurface_.openAtPosition(x, y);
+  }
+
+  /**
+   * Uses the menu as the context menu of the given element, or detaches it
+   * from its current target if `null`.
+   */
+  setContextMenuTarget(target: Element|null) {
+    this.menuSurface_.setContextMenuTarget(target);
+  }
+
   /**
    * Sets the element that the menu-surface is anchored to.
    */
@@ -294,6 +363,26 @@ export class MDCMenu extends MDCComponent<MDCMenuFoundation> {
     this.menuSurface_.anchorElement = element;
   }
 
+  /**
+   * Sets the element that the menu-surface is positioned to stay within, or
+   * `null` to use its nearest clipping ancestor.
+   */
+  setBoundaryElement(element: Element|null) {
+    this.menuSurface_.boundaryElement = element;
+  }
+
+  setShiftOnOverflow(shiftOnOverflow: boolean) {
+    this.menuSurface_.setShiftOnOverflow(shiftOnOverflow);
+  }
+
+  /**
+   * @return The submenu opened by the menu item at the given index, if any.
+   */
+  getSubmenuAtIndex(index: number): MDCMenu|null {
+    const submenu = this.getSubmenu_(this.items[index]);
+    return submenu ? submenu.menu : null;
+  }
+
   getDefaultFoundation() {
     // DO NOT INLINE this variable. For backward compatibility, foundations take a Partial<MDCFooAdapter>.
     // To ensure we don't accidentally omit any methods, we need a separate, strongly typed adapter variable.
@@ -337,8 +426,96 @@ export class MDCMenu extends MDCComponent<MDCMenuFoundation> {
         const selectedItemEl = selectionGroupEl.querySelector(`.${cssClasses.MENU_SELECTED_LIST_ITEM}`);
         return selectedItemEl ? this.items.indexOf(selectedItemEl) : -1;
       },
+      hasSubmenuAtIndex: (index) => !!this.getSubmenu_(this.items[index]),
+      openSubmenuAtIndex: (index, focusFirstItem) => {
+        const submenu = this.getSubmenu_(this.items[index]);
+        if (submenu) {
+          submenu.menu.setDefaultFocusState(
+              focusFirstItem ? DefaultFocusState.FIRST_ITEM :
+                               DefaultFocusState.NONE);
+          submenu.menu.open = true;
+        }
+      },
+      closeSubmenuAtIndex: (index) => {
+        const submenu = this.getSubmenu_(this.items[index]);
+        if (submenu) {
+          submenu.menu.open = false;
+        }
+      },
+      isRtl: () =>
+          getComputedStyle(this.root).getPropertyValue('direction') === 'rtl',
     };
     // tslint:enable:object-literal-sort-keys
     return new MDCMenuFoundation(adapter);
   }
+
+  /**
+   * Creates a submenu for each menu item with an `aria-haspopup` attribute,
+   * using the element referenced by its `aria-controls` attribute, which must
+   * be outside of the menu so that it isn't clipped by the menu surface.
+   */
+  private createSubmenus_(): MDCSubmenu[] {
+    const submenus: MDCSubmenu[] = [];
+    for (const item of this.items) {
+      const id = item.getAttribute(strings.ARIA_CONTROLS_ATTR);
+      const submenuEl = item.hasAttribute(strings.ARIA_HASPOPUP_ATTR) && id ?
+          document.getElementById(id) :
+          null;
+      if (!submenuEl) {
+        continue;
+      }
+
+      const menu = this.menuFactory_(submenuEl);
+      menu.setAnchorElement(item);
+      menu.setAnchorCorner(Corner.TOP_END);
+      menu.setFixedPosition(true);
+      item.setAttribute(strings.ARIA_EXPANDED_ATTR, 'false');
+
+      const submenu: MDCSubmenu = {
+        handleClosed: () => {
+          if (!menu.open) {
+            this.foundation.handleSubmenuClosed(this.items.indexOf(item));
+          }
+        },
+        handleKeydown: (evt) => {
+          this.foundation.handleSubmenuKeydown(evt, this.items.indexOf(item));
+        },
+        handleMouseOver: () => {
+          this.foundation.handleSubmenuHover(this.items.indexOf(item));
+        },
+        handleSelected: (evt) => {
+          // Re-emit the selection so that listening to the root menu is enough
+          // to handle selections within submenus.
+          this.emit<MDCMenuItemComponentEventDetail>(
+              strings.SELECTED_EVENT, evt.detail);
+          this.foundation.handleSubmenuItemSelected();
+        },
+        item,
+        menu,
+      };
+      menu.listen('keydown', submenu.handleKeydown);
+      menu.listen('mouseover', submenu.handleMouseOver);
+      menu.listen(strings.SELECTED_EVENT, submenu.handleSelected);
+      menu.listen(
+          MDCMenuSurfaceFoundation.strings.CLOSED_EVENT, submenu.handleClosed);
+      submenus.push(submenu);
+    }
+    return submenus;
+  }
+
+  private getSubmenu_(item: Element|undefined): MDCSubmenu|null {
+    return this.submenus_.filter((submenu) => submenu.item === item)[0] ||
+        null;
+  }
+
+  /**
+   * @return The root elements of the submenus, including nested submenus.
+   */
+  private getSubmenuElements_(): Element[] {
+    const elements: Element[] = [];
+    this.submenus_.forEach(({menu}) => {
+      elements.push(menu.root, ...menu.getSubmenuElements_());
+    });
+    return elements;
+  }
 }
@@ -29,7 +29,10 @@ const cssClasses = {
 
 const strings = {
   ARIA_CHECKED_ATTR: 'aria-checked',
+  ARIA_CONTROLS_ATTR: 'aria-controls',
   ARIA_DISABLED_ATTR: 'aria-disabled',
+  ARIA_EXPANDED_ATTR: 'aria-expanded',
+  ARIA_HASPOPUP_ATTR: 'aria-haspopup',
   CHECKBOX_SELECTOR: 'input[type="checkbox"]',
   LIST_SELECTOR: '.mdc-list',
   SELECTED_EVENT: 'MDCMenu:selected',
@@ -37,6 +40,12 @@ const strings = {
 
 const numbers = {
   FOCUS_ROOT_INDEX: -1,
+  /**
+   * Delay before opening or closing a submenu when the mouse moves onto an
+   * item, so that submenus don't flicker when the mouse moves across items on
+   * its way to a submenu.
+   */
+  SUBMENU_HOVER_DELAY_MS: 200,
 };
 
 enum DefaultFocusState {
@@ -22,6 +22,7 @@
  */
 
 import {MDCFoundation} from '@material/base/foundation';
+import {KEY, normalizeKey} from '@material/dom/keyboard';
 import {cssClasses as listCssClasses} from '@material/list/constants';
 import {MDCMenuSurfaceFoundation} from '@material/menu-surface/foundation';
 import {MDCMenuAdapter} from './adapter';
@@ -42,6 +43,10 @@ export class MDCMenuFoundation extends MDCFoundation<MDCMenuAdapter> {
 
   private closeAnimationEndTimerId_ = 0;
   private defaultFocusState_ = DefaultFocusState.LIST_ROOT;
+  private closeSurfaceOnSelection_ = true;
+  private openSubmenuIndex_ = -1;
+  private hoveredIndex_ = -1;
+  private submenuHoverTimerId_ = 0;
 
   /**
    * @see {@link MDCMenuAdapter} for typing information on parameters and return types.
@@ -62,6 +67,10 @@ export class MDCMenuFoundation extends MDCFoundation<MDCMenuAdapter> {
       focusListRoot: () => undefined,
       getSelectedSiblingOfItemAtIndex: () => -1,
       isSelectableItemAtIndex: () => false,
+      hasSubmenuAtIndex: () => false,
+      openSubmenuAtIndex: () => undefined,
+      closeSubmenuAtIndex: () => undefined,
+      isRtl: () => false,
     };
     // tslint:enable:object-literal-sort-keys
   }
@@ -74,6 +83,7 @@ export class MDCMenuFoundation extends MDCFoundation<MDCMenuAdapter> {
     if (this.closeAnimationEndTimerId_) {
       clearTimeout(this.closeAnimationEndTimerId_);
     }
+    clearTimeout(this.submenuHoverTimerId_);
 
     this.adapter.closeSurface();
   }
@@ -83,7 +93,20 @@ export class MDCMenuFoundation extends MDCFoundation<MDCMenuAdapter> {
     const isTab = key === 'Tab' || keyCode === 9;
 
     if (isTab) {
+      this.closeSubmenu_();
       this.adapter.closeSurface(/** skipRestoreFocus */ true);
+      return;
+    }
+
+    const normalizedKey = normalizeKey(evt);
+    if (normalizedKey === KEY.ESCAPE) {
+      this.closeSubmenu_();
+    } else if (normalizedKey === this.getSubmenuKey_(/** isOpenKey */ true)) {
+      const index = this.adapter.getElementIndex(evt.target as Element);
+      if (index >= 0 && this.adapter.hasSubmenuAtIndex(index)) {
+        evt.preventDefault();
+        this.openSubmenu_(index, /** focusFirstItem */ true);
+      }
     }
   }
 
@@ -93,7 +116,22 @@ export class MDCMenuFoundation extends MDCFoundation<MDCMenuAdapter> {
       return;
     }
 
+    if (this.adapter.hasSubmenuAtIndex(index)) {
+      this.openSubmenu_(index, /** focusFirstItem */ true);
+      return;
+    }
+
     this.adapter.notifySelected({index});
+
+    if (!this.closeSurfaceOnSelection_) {
+      // The menu stays open, so there is no close animation to wait for.
+      if (this.adapter.isSelectableItemAtIndex(index)) {
+        this.setSelectedIndex(index);
+      }
+      return;
+    }
+
+    this.closeSubmenu_();
     this.adapter.closeSurface();
 
     // Wait for the menu to close before adding/removing classes that affect styles.
@@ -124,6 +162,104 @@ export class MDCMenuFoundation extends MDCFoundation<MDCMenuAdapter> {
     }
   }
 
+  handleMenuSurfaceClosed() {
+    clearTimeout(this.submenuHoverTimerId_);
+    this.hoveredIndex_ = -1;
+    this.closeSubmenu_();
+  }
+
+  /**
+   * Handles the mouse moving onto the menu item at the given index. Opens its
+   * submenu, if any, and closes the open submenu of another item, after a delay
+   * to allow the mouse to move across items on its way to the open submenu.
+   */
+  handleItemHover(index: number) {
+    if (index === this.hoveredIndex_) {
+      return;
+    }
+
+    this.hoveredIndex_ = index;
+    clearTimeout(this.submenuHoverTimerId_);
+    if (index === this.openSubmenuIndex_ ||
+        (this.openSubmenuIndex_ === -1 &&
+         !this.adapter.hasSubmenuAtIndex(index))) {
+      return;
+    }
+
+    this.submenuHoverTimerId_ = setTimeout(() => {
+      this.submenuHoverTimerId_ = 0;
+      if (this.adapter.hasSubmenuAtIndex(index)) {
+        this.openSubmenu_(index, /** focusFirstItem */ false);
+      } else {
+        this.closeSubmenu_();
+      }
+    }, numbers.SUBMENU_HOVER_DELAY_MS);
+  }
+
+  /**
+   * Handles the mouse moving onto the submenu of the item at the given index,
+   * which cancels opening or closing submenus on hover.
+   */
+  handleSubmenuHover(index: number) {
+    clearTimeout(this.submenuHoverTimerId_);
+    this.hoveredIndex_ = index;
+  }
+
+  /**
+   * Handles keydown events within the submenu of the item at the given index.
+   * ArrowLeft (ArrowRight in RTL) and Escape close the submenu and return focus
+   * to the item, while Tab closes the whole menu.
+   */
+  handleSubmenuKeydown(evt: KeyboardEvent, index: number) {
+    const {key, keyCode} = evt;
+    const isTab = key === 'Tab' || keyCode === 9;
+
+    if (isTab) {
+      this.closeSubmenu_();
+      this.adapter.closeSurface(/** skipRestoreFocus */ true);
+      return;
+    }
+
+    const normalizedKey = normalizeKey(evt);
+    if (normalizedKey === KEY.ESCAPE ||
+        normalizedKey === this.getSubmenuKey_(/** isOpenKey */ false)) {
+      evt.preventDefault();
+      this.closeSubmenu_();
+      this.adapter.focusItemAtIndex(index);
+    }
+  }
+
+  /**
+   * Handles the submenu of the item at the given index being closed, e.g. by
+   * clicking outside of it.
+   */
+  handleSubmenuClosed(index: number) {
+    if (index !== this.openSubmenuIndex_) {
+      return;
+    }
+
+    this.openSubmenuIndex_ = -1;
+    this.adapter.addAttributeToElementAtIndex(
+        index, strings.ARIA_EXPANDED_ATTR, 'false');
+  }
+
+  /**
+   * Handles the selection of an item within a submenu, which closes the whole
+   * menu.
+   */
+  handleSubmenuItemSelected() {
+    this.closeSubmenu_();
+    this.adapter.closeSurface();
+  }
+
+  /**
+   * @return The index of the item whose submenu is open, or -1 if no submenu is
+   *     open.
+   */
+  getOpenSubmenuIndex(): number {
+    return this.openSubmenuIndex_;
+  }
+
   /**
    * Sets default focus state where the menu should focus every time when menu
    * is opened. Focuses the list root (`DefaultFocusState.LIST_ROOT`) element by
@@ -133,6 +269,15 @@ export class MDCMenuFoundation extends MDCFoundation<MDCMenuAdapter> {
     this.defaultFocusState_ = focusState;
   }
 
+  /**
+   * Sets whether the menu surface closes when a list item is selected. Closes
+   * the menu surface by default. Set to false to keep the menu open, e.g. to
+   * allow toggling multiple checkbox list items.
+   */
+  setCloseSurfaceOnSelection(closeSurfaceOnSelection: boolean) {
+    this.closeSurfaceOnSelection_ = closeSurfaceOnSelection;
+  }
+
   /**
    * Selects the list item at `index` within the menu.
    * @param index Index of list item within the menu.
@@ -180,6 +325,42 @@ export class MDCMenuFoundation extends MDCFoundation<MDCMenuAdapter> {
     }
   }
 
+  private openSubmenu_(index: number, focusFirstItem: boolean) {
+    clearTimeout(this.submenuHoverTimerId_);
+    if (index === this.openSubmenuIndex_) {
+      return;
+    }
+
+    this.closeSubmenu_();
+    this.openSubmenuIndex_ = index;
+    this.adapter.addAttributeToElementAtIndex(
+        index, strings.ARIA_EXPANDED_ATTR, 'true');
+    this.adapter.openSubmenuAtIndex(index, focusFirstItem);
+  }
+
+  private closeSubmenu_() {
+    const index = this.openSubmenuIndex_;
+    if (index === -1) {
+      return;
+    }
+
+    this.openSubmenuIndex_ = -1;
+    this.adapter.addAttributeToElementAtIndex(
+        index, strings.ARIA_EXPANDED_ATTR, 'false');
+    this.adapter.closeSubmenuAtIndex(index);
+  }
+
+  /**
+   * @param isOpenKey Whether to return the key that opens a submenu, rather
+   *     than the key that closes it.
+   * @return The arrow key pointing towards (or away from) submenus, which
+   *     open on the end side of their item.
+   */
+  private getSubmenuKey_(isOpenKey: boolean): string {
+    const isEndKey = isOpenKey !== this.adapter.isRtl();
+    return isEndKey ? KEY.ARROW_RIGHT : KEY.ARROW_LEFT;
+  }
+
   private validatedIndex_(index: number): void {
     const menuSize = this.adapter.getMenuItemCount();
     const isIndexInRange = index >= 0 && index < menuSize;
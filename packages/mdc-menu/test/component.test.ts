@@ -24,7 +24,7 @@
 import {MDCListFoundation} from '../../mdc-list/index';
 import {Corner} from '../../mdc-menu-surface/constants';
 import {MDCMenuSurfaceFoundation} from '../../mdc-menu-surface/foundation';
-import {emitEvent} from '../../../testing/dom/events';
+import {createMouseEvent, emitEvent} from '../../../testing/dom/events';
 import {createMockFoundation} from '../../../testing/helpers/foundation';
 import {DefaultFocusState} from '../constants';
 import {MDCMenu, MDCMenuFoundation} from '../index';
@@ -139,8 +139,12 @@ class FakeMenuSurface {
   quickOpen: boolean = false;
   setFixedPosition: Function = jasmine.createSpy('.setFixedPosition');
   setAbsolutePosition: Function = jasmine.createSpy('.setAbsolutePosition');
+  openAtPosition: Function = jasmine.createSpy('.openAtPosition');
+  setContextMenuTarget: Function = jasmine.createSpy('.setContextMenuTarget');
   setIsHoisted: Function = jasmine.createSpy('.setIsHoisted');
+  setShiftOnOverflow: Function = jasmine.createSpy('.setShiftOnOverflow');
   anchorElement: HTMLElement|null = null;
+  boundaryElement: HTMLElement|null = null;
 }
 
 function setupTestWithFakes(open = false) {
@@ -162,6 +166,38 @@ function setupTest(open = false, fixture = getFixture) {
   return {root, component};
 }
 
+function getFixtureWithSubmenu() {
+  const wrapper = document.createElement('div');
+  wrapper.innerHTML = `
+    <div class="mdc-menu mdc-menu-surface">
+      <ul class="mdc-list" role="menu" tabIndex="-1">
+        <li tabIndex="-1" class="mdc-list-item" role="menuitem">
+          <span class="mdc-list-item__ripple"></span>
+          <span class="mdc-list-item__text">Item</span>
+        </li>
+        <li tabIndex="-1" class="mdc-list-item" role="menuitem"
+            aria-haspopup="menu" aria-controls="test-submenu">
+          <span class="mdc-list-item__ripple"></span>
+          <span class="mdc-list-item__text">More</span>
+        </li>
+      </ul>
+    </div>
+    <div class="mdc-menu mdc-menu-surface" id="test-submenu">
+      <ul class="mdc-list" role="menu" tabIndex="-1">
+        <li tabIndex="-1" class="mdc-list-item" role="menuitem">
+          <span class="mdc-list-item__ripple"></span>
+          <span class="mdc-list-item__text">Sub Item</span>
+        </li>
+      </ul>
+    </div>
+  `;
+  document.body.appendChild(wrapper);
+  const root = wrapper.children[0] as HTMLElement;
+  const submenuRoot = wrapper.children[1] as HTMLElement;
+  const component = new MDCMenu(root);
+  return {wrapper, root, submenuRoot, component};
+}
+
 function setupTestWithMock(options: {open?: boolean, fixture: Function} = {
   open: true,
   fixture: getFixture
@@ -309,6 +345,15 @@ describe('MDCMenu', () => {
        expect(mockFoundation.setEnabled).toHaveBeenCalledWith(1, true);
      });
 
+  it('closeSurfaceOnSelection calls foundation method ' +
+         'setCloseSurfaceOnSelection',
+     () => {
+       const {component, mockFoundation} = setupTestWithFakes();
+       component.closeSurfaceOnSelection = false;
+       expect(mockFoundation.setCloseSurfaceOnSelection)
+           .toHaveBeenCalledWith(false);
+     });
+
   it('setQuickOpen', () => {
     const {component, menuSurface} = setupTestWithFakes();
     component.quickOpen = true;
@@ -376,12 +421,55 @@ describe('MDCMenu', () => {
     expect(menuSurface.anchorElement).toEqual(button);
   });
 
+  it('setBoundaryElement', () => {
+    const {component, menuSurface} = setupTestWithFakes();
+    const boundary = document.createElement('div');
+    component.setBoundaryElement(boundary);
+    expect(menuSurface.boundaryElement).toEqual(boundary);
+  });
+
+  it('setShiftOnOverflow', () => {
+    const {component, menuSurface} = setupTestWithFakes();
+    component.setShiftOnOverflow(true);
+    expect(menuSurface.setShiftOnOverflow).toHaveBeenCalledWith(true);
+  });
+
   it('setAbsolutePosition', () => {
     const {component, menuSurface} = setupTestWithFakes();
     component.setAbsolutePosition(100, 120);
     expect(menuSurface.setAbsolutePosition).toHaveBeenCalledWith(100, 120);
   });
 
+  it('openAtPosition', () => {
+    const {component, menuSurface} = setupTestWithFakes();
+    component.openAtPosition(100, 120);
+    expect(menuSurface.openAtPosition).toHaveBeenCalledWith(100, 120);
+  });
+
+  it('setContextMenuTarget', () => {
+    const {component, menuSurface} = setupTestWithFakes();
+    const target = document.createElement('div');
+    component.setContextMenuTarget(target);
+    expect(menuSurface.setContextMenuTarget).toHaveBeenCalledWith(target);
+  });
+
+  it('right-clicking the context menu target opens the menu', () => {
+    const {root, component} = setupTest();
+    const target = document.createElement('div');
+    document.body.appendChild(root);
+    document.body.appendChild(target);
+    component.quickOpen = true;
+    component.setContextMenuTarget(target);
+
+    target.dispatchEvent(createMouseEvent(
+        'contextmenu', {cancelable: true, clientX: 10, clientY: 20}));
+    expect(component.open).toBe(true);
+
+    component.destroy();
+    document.body.removeChild(root);
+    document.body.removeChild(target);
+  });
+
   it('menu surface opened event causes list root element to be focused', () => {
     const {root} = setupTest();
     document.body.appendChild(root);
@@ -596,4 +684,77 @@ describe('MDCMenu', () => {
                                 .adapter.getSelectedSiblingOfItemAtIndex(2);
        expect(siblingIndex).toEqual(3);
      });
+
+  describe('submenus', () => {
+    it('creates a submenu for items that control another menu', () => {
+      const {wrapper, submenuRoot, component} = getFixtureWithSubmenu();
+      const submenu = component.getSubmenuAtIndex(1) as MDCMenu;
+
+      expect(submenu instanceof MDCMenu).toBe(true);
+      expect(submenu.root).toBe(submenuRoot);
+      expect(component.getSubmenuAtIndex(0)).toBe(null);
+      expect(component.items[1].getAttribute('aria-expanded')).toBe('false');
+
+      component.destroy();
+      document.body.removeChild(wrapper);
+    });
+
+    it('adapter#hasSubmenuAtIndex returns true only for items with a submenu',
+       () => {
+         const {wrapper, component} = getFixtureWithSubmenu();
+         const adapter = (component.getDefaultFoundation() as any).adapter;
+
+         expect(adapter.hasSubmenuAtIndex(0)).toBe(false);
+         expect(adapter.hasSubmenuAtIndex(1)).toBe(true);
+
+         component.destroy();
+         document.body.removeChild(wrapper);
+       });
+
+    it('adapter#openSubmenuAtIndex and adapter#closeSubmenuAtIndex toggle the submenu',
+       () => {
+         const {wrapper, component} = getFixtureWithSubmenu();
+         const adapter = (component.getDefaultFoundation() as any).adapter;
+         const submenu = component.getSubmenuAtIndex(1) as MDCMenu;
+
+         adapter.openSubmenuAtIndex(1, /** focusFirstItem */ false);
+         expect(submenu.open).toBe(true);
+
+         adapter.closeSubmenuAtIndex(1);
+         expect(submenu.open).toBe(false);
+
+         component.destroy();
+         document.body.removeChild(wrapper);
+       });
+
+    it('selecting an item of the submenu emits a selected event from the menu',
+       () => {
+         const {wrapper, component} = getFixtureWithSubmenu();
+         const submenu = component.getSubmenuAtIndex(1) as MDCMenu;
+         const handler = jasmine.createSpy('selected handler');
+         component.listen(MDCMenuFoundation.strings.SELECTED_EVENT, handler);
+
+         submenu.emit(
+             MDCMenuFoundation.strings.SELECTED_EVENT,
+             {index: 0, item: submenu.items[0]});
+
+         expect(handler).toHaveBeenCalledWith(jasmine.objectContaining({
+           detail: {index: 0, item: submenu.items[0]},
+         }));
+
+         component.destroy();
+         document.body.removeChild(wrapper);
+       });
+
+    it('destroy destroys the submenus', () => {
+      const {wrapper, component} = getFixtureWithSubmenu();
+      const submenu = component.getSubmenuAtIndex(1) as MDCMenu;
+      const destroySpy = spyOn(submenu, 'destroy').and.callThrough();
+
+      component.destroy();
+      expect(destroySpy).toHaveBeenCalled();
+
+      document.body.removeChild(wrapper);
+    });
+  });
 });
@@ -55,6 +55,10 @@ describe('MDCMenuFoundation', () => {
       'getMenuItemCount',
       'focusItemAtIndex',
       'focusListRoot',
+      'hasSubmenuAtIndex',
+      'openSubmenuAtIndex',
+      'closeSubmenuAtIndex',
+      'isRtl',
     ]);
   });
 
@@ -146,6 +150,39 @@ describe('MDCMenuFoundation', () => {
     expect(mockAdapter.notifySelected).toHaveBeenCalledTimes(1);
   });
 
+  it('handleItemAction does not close the menu if ' +
+         'setCloseSurfaceOnSelection(false) is called',
+     () => {
+       const {foundation, mockAdapter} = setupTest();
+       const itemEl = document.createElement('li');
+
+       mockAdapter.getElementIndex.withArgs(itemEl).and.returnValue(0);
+
+       foundation.setCloseSurfaceOnSelection(false);
+       foundation.handleItemAction(itemEl);
+       jasmine.clock().tick(numbers.TRANSITION_CLOSE_DURATION);
+       expect(mockAdapter.notifySelected).toHaveBeenCalledWith({index: 0});
+       expect(mockAdapter.closeSurface).not.toHaveBeenCalled();
+     });
+
+  it('handleItemAction immediately selects an item in a selection group if ' +
+         'setCloseSurfaceOnSelection(false) is called',
+     () => {
+       const {foundation, mockAdapter} = setupTest();
+       const itemEl = document.createElement('li');
+       mockAdapter.getElementIndex.withArgs(itemEl).and.returnValue(0);
+       mockAdapter.isSelectableItemAtIndex.withArgs(0).and.returnValue(true);
+       mockAdapter.getSelectedSiblingOfItemAtIndex.withArgs(0).and.returnValue(
+           -1);
+       mockAdapter.getMenuItemCount.and.returnValue(5);
+
+       foundation.setCloseSurfaceOnSelection(false);
+       foundation.handleItemAction(itemEl);
+
+       expect(mockAdapter.addClassToElementAtIndex)
+           .toHaveBeenCalledWith(0, cssClasses.MENU_SELECTED_LIST_ITEM);
+     });
+
   it('handleKeydown space/enter key inside an input does not prevent default on the event',
      () => {
        const {foundation, mockAdapter} = setupTest();
@@ -485,4 +522,212 @@ describe('MDCMenuFoundation', () => {
 
     expect(mockAdapter.closeSurface).toHaveBeenCalledTimes(1);
   });
+
+  describe('submenus', () => {
+    const setupSubmenuTest = ({isRtl = false} = {}) => {
+      const {foundation, mockAdapter} = setupTest();
+      const items = [
+        document.createElement('li'),
+        document.createElement('li'),
+        document.createElement('li'),
+      ];
+      mockAdapter.getElementIndex.and.callFake(
+          (item: HTMLLIElement) => items.indexOf(item));
+      // Items 0 and 1 open submenus, item 2 doesn't.
+      mockAdapter.hasSubmenuAtIndex.and.callFake(
+          (index: number) => index === 0 || index === 1);
+      mockAdapter.isRtl.and.returnValue(isRtl);
+      return {foundation, mockAdapter, items};
+    };
+
+    const createKeydownEvent = (key: string, target?: Element) => {
+      return {key, target, preventDefault: jasmine.createSpy('preventDefault')};
+    };
+
+    it('handleItemAction opens the submenu of the item and focuses its first item',
+       () => {
+         const {foundation, mockAdapter, items} = setupSubmenuTest();
+         foundation.handleItemAction(items[1]);
+
+         expect(mockAdapter.openSubmenuAtIndex)
+             .toHaveBeenCalledWith(1, /** focusFirstItem */ true);
+         expect(mockAdapter.addAttributeToElementAtIndex)
+             .toHaveBeenCalledWith(1, strings.ARIA_EXPANDED_ATTR, 'true');
+         expect(foundation.getOpenSubmenuIndex()).toBe(1);
+         expect(mockAdapter.notifySelected).not.toHaveBeenCalled();
+         expect(mockAdapter.closeSurface).not.toHaveBeenCalled();
+       });
+
+    it('opening a submenu closes the submenu of another item', () => {
+      const {foundation, mockAdapter, items} = setupSubmenuTest();
+      foundation.handleItemAction(items[0]);
+      foundation.handleItemAction(items[1]);
+
+      expect(mockAdapter.closeSubmenuAtIndex).toHaveBeenCalledWith(0);
+      expect(mockAdapter.addAttributeToElementAtIndex)
+          .toHaveBeenCalledWith(0, strings.ARIA_EXPANDED_ATTR, 'false');
+      expect(mockAdapter.openSubmenuAtIndex)
+          .toHaveBeenCalledWith(1, /** focusFirstItem */ true);
+    });
+
+    it('handleItemAction on another item closes the submenu and the menu', () => {
+      const {foundation, mockAdapter, items} = setupSubmenuTest();
+      foundation.handleItemAction(items[0]);
+      foundation.handleItemAction(items[2]);
+
+      expect(mockAdapter.closeSubmenuAtIndex).toHaveBeenCalledWith(0);
+      expect(mockAdapter.notifySelected).toHaveBeenCalledWith({index: 2});
+      expect(mockAdapter.closeSurface).toHaveBeenCalled();
+    });
+
+    it('handleKeydown ArrowRight opens the submenu of the focused item', () => {
+      const {foundation, mockAdapter, items} = setupSubmenuTest();
+      const event = createKeydownEvent('ArrowRight', items[0]);
+      foundation.handleKeydown(event);
+
+      expect(event.preventDefault).toHaveBeenCalled();
+      expect(mockAdapter.openSubmenuAtIndex)
+          .toHaveBeenCalledWith(0, /** focusFirstItem */ true);
+    });
+
+    it('handleKeydown ArrowLeft opens the submenu of the focused item in RTL',
+       () => {
+         const {foundation, mockAdapter, items} =
+             setupSubmenuTest({isRtl: true});
+         foundation.handleKeydown(createKeydownEvent('ArrowRight', items[0]));
+         expect(mockAdapter.openSubmenuAtIndex).not.toHaveBeenCalled();
+
+         foundation.handleKeydown(createKeydownEvent('ArrowLeft', items[0]));
+         expect(mockAdapter.openSubmenuAtIndex)
+             .toHaveBeenCalledWith(0, /** focusFirstItem */ true);
+       });
+
+    it('handleKeydown ArrowRight does nothing on an item without a submenu',
+       () => {
+         const {foundation, mockAdapter, items} = setupSubmenuTest();
+         const event = createKeydownEvent('ArrowRight', items[2]);
+         foundation.handleKeydown(event);
+
+         expect(event.preventDefault).not.toHaveBeenCalled();
+         expect(mockAdapter.openSubmenuAtIndex).not.toHaveBeenCalled();
+       });
+
+    it('handleKeydown Escape closes the open submenu', () => {
+      const {foundation, mockAdapter, items} = setupSubmenuTest();
+      foundation.handleItemAction(items[0]);
+      foundation.handleKeydown(createKeydownEvent('Escape'));
+
+      expect(mockAdapter.closeSubmenuAtIndex).toHaveBeenCalledWith(0);
+      expect(foundation.getOpenSubmenuIndex()).toBe(-1);
+    });
+
+    it('handleSubmenuKeydown ArrowLeft closes the submenu and focuses its item',
+       () => {
+         const {foundation, mockAdapter, items} = setupSubmenuTest();
+         foundation.handleItemAction(items[1]);
+         const event = createKeydownEvent('ArrowLeft');
+         foundation.handleSubmenuKeydown(event, 1);
+
+         expect(event.preventDefault).toHaveBeenCalled();
+         expect(mockAdapter.closeSubmenuAtIndex).toHaveBeenCalledWith(1);
+         expect(mockAdapter.focusItemAtIndex).toHaveBeenCalledWith(1);
+         expect(mockAdapter.closeSurface).not.toHaveBeenCalled();
+       });
+
+    it('handleSubmenuKeydown ArrowRight closes the submenu in RTL', () => {
+      const {foundation, mockAdapter, items} = setupSubmenuTest({isRtl: true});
+      foundation.handleItemAction(items[1]);
+      foundation.handleSubmenuKeydown(createKeydownEvent('ArrowLeft'), 1);
+      expect(mockAdapter.closeSubmenuAtIndex).not.toHaveBeenCalled();
+
+      foundation.handleSubmenuKeydown(createKeydownEvent('ArrowRight'), 1);
+      expect(mockAdapter.closeSubmenuAtIndex).toHaveBeenCalledWith(1);
+    });
+
+    it('handleSubmenuKeydown Tab closes the whole menu', () => {
+      const {foundation, mockAdapter, items} = setupSubmenuTest();
+      foundation.handleItemAction(items[1]);
+      foundation.handleSubmenuKeydown(createKeydownEvent('Tab'), 1);
+
+      expect(mockAdapter.closeSubmenuAtIndex).toHaveBeenCalledWith(1);
+      expect(mockAdapter.closeSurface)
+          .toHaveBeenCalledWith(/** skipRestoreFocus */ true);
+    });
+
+    it('handleItemHover opens the submenu of the item after a delay', () => {
+      const {foundation, mockAdapter} = setupSubmenuTest();
+      foundation.handleItemHover(0);
+      jasmine.clock().tick(menuNumbers.SUBMENU_HOVER_DELAY_MS - 1);
+      expect(mockAdapter.openSubmenuAtIndex).not.toHaveBeenCalled();
+
+      jasmine.clock().tick(1);
+      expect(mockAdapter.openSubmenuAtIndex)
+          .toHaveBeenCalledWith(0, /** focusFirstItem */ false);
+    });
+
+    it('handleItemHover closes the open submenu after a delay when hovering another item',
+       () => {
+         const {foundation, mockAdapter, items} = setupSubmenuTest();
+         foundation.handleItemAction(items[0]);
+         foundation.handleItemHover(2);
+         jasmine.clock().tick(menuNumbers.SUBMENU_HOVER_DELAY_MS - 1);
+         expect(mockAdapter.closeSubmenuAtIndex).not.toHaveBeenCalled();
+
+         jasmine.clock().tick(1);
+         expect(mockAdapter.closeSubmenuAtIndex).toHaveBeenCalledWith(0);
+       });
+
+    it('handleSubmenuHover keeps the submenu open when the mouse moves across other items',
+       () => {
+         const {foundation, mockAdapter, items} = setupSubmenuTest();
+         foundation.handleItemAction(items[0]);
+         foundation.handleItemHover(1);
+         foundation.handleItemHover(2);
+         foundation.handleSubmenuHover(0);
+         jasmine.clock().tick(menuNumbers.SUBMENU_HOVER_DELAY_MS);
+
+         expect(mockAdapter.closeSubmenuAtIndex).not.toHaveBeenCalled();
+         expect(mockAdapter.openSubmenuAtIndex).toHaveBeenCalledTimes(1);
+       });
+
+    it('handleItemHover does nothing on items without submenus when no submenu is open',
+       () => {
+         const {foundation, mockAdapter} = setupSubmenuTest();
+         foundation.handleItemHover(2);
+         jasmine.clock().tick(menuNumbers.SUBMENU_HOVER_DELAY_MS);
+
+         expect(mockAdapter.openSubmenuAtIndex).not.toHaveBeenCalled();
+         expect(mockAdapter.closeSubmenuAtIndex).not.toHaveBeenCalled();
+       });
+
+    it('handleSubmenuItemSelected closes the submenu and the menu', () => {
+      const {foundation, mockAdapter, items} = setupSubmenuTest();
+      foundation.handleItemAction(items[0]);
+      foundation.handleSubmenuItemSelected();
+
+      expect(mockAdapter.closeSubmenuAtIndex).toHaveBeenCalledWith(0);
+      expect(mockAdapter.closeSurface).toHaveBeenCalledWith();
+    });
+
+    it('handleSubmenuClosed resets the expanded state of the item', () => {
+      const {foundation, mockAdapter, items} = setupSubmenuTest();
+      foundation.handleItemAction(items[0]);
+      foundation.handleSubmenuClosed(1);
+      expect(foundation.getOpenSubmenuIndex()).toBe(0);
+
+      foundation.handleSubmenuClosed(0);
+      expect(foundation.getOpenSubmenuIndex()).toBe(-1);
+      expect(mockAdapter.addAttributeToElementAtIndex)
+          .toHaveBeenCalledWith(0, strings.ARIA_EXPANDED_ATTR, 'false');
+      expect(mockAdapter.closeSubmenuAtIndex).not.toHaveBeenCalled();
+    });
+
+    it('handleMenuSurfaceClosed closes the open submenu', () => {
+      const {foundation, mockAdapter, items} = setupSubmenuTest();
+      foundation.handleItemAction(items[0]);
+      foundation.handleMenuSurfaceClosed();
+
+      expect(mockAdapter.closeSubmenuAtIndex).toHaveBeenCalledWith(0);
+    });
+  });
 });
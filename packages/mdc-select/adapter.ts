@@ -106,6 +106,12 @@ export interface MDCSelectAdapter {
    */
   setSelectedText(text: string): void;
 
+  /**
+   * Replaces the content of the selectedText element with a chip for each of
+   * the given strings. Only used by the multi-select chips variant.
+   */
+  setSelectedChips(texts: string[]): void;
+
   /**
    * Returns whether the select anchor is focused.
    */
@@ -197,6 +203,18 @@ export interface MDCSelectAdapter {
    */
   setSelectedIndex(index: number): void;
 
+  /**
+   * Returns the selected indices in the menu. Only used by the multi-select
+   * variant, whose menu is a checkbox list.
+   */
+  getSelectedIndices(): number[];
+
+  /**
+   * Sets the selected indices in the menu. Only used by the multi-select
+   * variant, whose menu is a checkbox list.
+   */
+  setSelectedIndices(indices: number[]): void;
+
   /**
    * Returns whether typeahead is in progress in the menu.
    */
@@ -207,4 +225,47 @@ export interface MDCSelectAdapter {
    * next item in the list matching the buffer.
    */
   typeaheadMatchItem(nextChar: string, startingIndex: number): number;
+
+  // Combobox-related methods ==================================================
+  /**
+   * Emits an input event when the user edits the text of the combobox input.
+   */
+  notifyInput(query: string): void;
+
+  /**
+   * Hides or shows the menu item element at the given index.
+   */
+  setMenuItemHidden(index: number, isHidden: boolean): void;
+
+  /**
+   * Highlights the text of the menu item at the given index from `start`
+   * (inclusive) to `end` (exclusive), where the offsets refer to the string
+   * returned by `getMenuItemTextAtIndex`. Removes the highlight if `start`
+   * equals `end`.
+   */
+  highlightMenuItemText(index: number, start: number, end: number): void;
+
+  /**
+   * Adds or removes the active (visually focused) state of the menu item
+   * element at the given index.
+   */
+  setMenuItemActive(index: number, isActive: boolean): void;
+
+  /**
+   * Returns the id of the menu item element at the given index.
+   */
+  getMenuItemId(index: number): string;
+
+  // Form-related methods ======================================================
+  /**
+   * Sets the `required` state of the native validation input, which makes an
+   * empty select invalid in native form validation.
+   */
+  setNativeRequired(isRequired: boolean): void;
+
+  /**
+   * Sets the custom validity message of the native validation input. An empty
+   * message makes it valid.
+   */
+  setCustomValidity(message: string): void;
 }
@@ -23,8 +23,10 @@
 
 import {MDCComponent} from '@material/base/component';
 import {CustomEventListener, SpecificEventListener} from '@material/base/types';
+import {closest} from '@material/dom/ponyfill';
 import {MDCFloatingLabel, MDCFloatingLabelFactory} from '@material/floating-label/component';
 import {MDCLineRipple, MDCLineRippleFactory} from '@material/line-ripple/component';
+import {cssClasses as listCssClasses} from '@material/list/constants';
 import * as menuSurfaceConstants from '@material/menu-surface/constants';
 import {MDCMenu, MDCMenuFactory} from '@material/menu/component';
 import * as menuConstants from '@material/menu/constants';
@@ -38,7 +40,7 @@ import {cssClasses, strings} from './constants';
 import {MDCSelectFoundation} from './foundation';
 import {MDCSelectHelperText, MDCSelectHelperTextFactory} from './helper-text/component';
 import {MDCSelectIcon, MDCSelectIconFactory} from './icon/component';
-import {MDCSelectEventDetail, MDCSelectFoundationMap} from './types';
+import {MDCSelectEventDetail, MDCSelectFoundationMap, MDCSelectInputEventDetail, MDCSelectValidator} from './types';
 
 export class MDCSelect extends MDCComponent<MDCSelectFoundation> {
   static attachTo(root: Element): MDCSelect {
@@ -51,7 +53,15 @@ export class MDCSelect extends MDCComponent<MDCSelectFoundation> {
 
   private selectAnchor!: HTMLElement;       // assigned in initialize()
   private selectedText!: HTMLElement;       // assigned in initialize()
+  private input!: HTMLInputElement|null;    // assigned in initialize()
+  // The combobox input if present, otherwise the select anchor.
+  private focusableElement!: HTMLElement;  // assigned in initialize()
   private hiddenInput!: HTMLInputElement|null;  // assigned in initialize()
+  private isMultiple!: boolean;                 // assigned in initialize()
+  // Nameless input that takes part in native form validation.
+  private validationInput!: HTMLInputElement;  // assigned in initialize()
+  private form!: HTMLFormElement|null;         // assigned in initialSyncWithDOM()
+  private defaultValues!: string[];  // assigned in initialSyncWithDOM()
 
   private menuElement!: Element;                  // assigned in menuSetup()
   private menuItemValues!: string[];              // assigned in menuSetup()
@@ -70,10 +80,15 @@ export class MDCSelect extends MDCComponent<MDCSelectFoundation> {
       SpecificEventListener<'click'>;  // assigned in initialize()
   private handleKeydown!:
       SpecificEventListener<'keydown'>;      // assigned in initialize()
+  private handleInput!: EventListener;       // assigned in initialize()
   private handleMenuOpened!: EventListener;  // assigned in initialize()
   private handleMenuClosed!: EventListener;  // assigned in initialize()
   private handleMenuItemAction!:
       CustomEventListener<MDCMenuItemEvent>;  // assigned in initialize()
+  private handleInvalid!: EventListener;        // assigned in initialize()
+  private handleFormReset!: EventListener;      // assigned in initialize()
+  private handleValidationInputFocus!:
+      EventListener;  // assigned in initialize()
 
   initialize(
       labelFactory: MDCFloatingLabelFactory = (el) => new MDCFloatingLabel(el),
@@ -89,8 +104,19 @@ export class MDCSelect extends MDCComponent<MDCSelectFoundation> {
         this.root.querySelector(strings.SELECTED_TEXT_SELECTOR) as HTMLElement;
     this.hiddenInput = this.root.querySelector(strings.HIDDEN_INPUT_SELECTOR) as
         HTMLInputElement;
-
-    if (!this.selectedText) {
+    const name = this.root.getAttribute(strings.NAME_ATTR);
+    if (!this.hiddenInput && name) {
+      this.hiddenInput = this.createHiddenInput(name);
+    }
+    this.validationInput = this.root.querySelector<HTMLInputElement>(
+                               strings.VALIDATION_INPUT_SELECTOR) ||
+        this.createValidationInput();
+    this.isMultiple = this.root.classList.contains(cssClasses.MULTIPLE);
+    this.input =
+        this.root.querySelector<HTMLInputElement>(strings.INPUT_SELECTOR);
+    this.focusableElement = this.input || this.selectAnchor;
+
+    if (!this.selectedText && !this.input) {
       throw new Error(
           'MDCSelect: Missing required element: The following selector must be present: ' +
           `'${strings.SELECTED_TEXT_SELECTOR}'`,
@@ -140,12 +166,15 @@ export class MDCSelect extends MDCComponent<MDCSelectFoundation> {
       this.foundation.handleBlur();
     };
     this.handleClick = (evt) => {
-      this.selectAnchor.focus();
+      this.focusableElement.focus();
       this.foundation.handleClick(this.getNormalizedXCoordinate(evt));
     };
     this.handleKeydown = (evt) => {
       this.foundation.handleKeydown(evt);
     };
+    this.handleInput = () => {
+      this.foundation.handleInput(this.input!.value);
+    };
     this.handleMenuItemAction = (evt) => {
       this.foundation.handleMenuItemAction(evt.detail.index);
     };
@@ -155,14 +184,31 @@ export class MDCSelect extends MDCComponent<MDCSelectFoundation> {
     this.handleMenuClosed = () => {
       this.foundation.handleMenuClosed();
     };
+    this.handleInvalid = () => {
+      this.foundation.handleInvalid();
+    };
+    this.handleFormReset = () => {
+      this.foundation.setValues(this.defaultValues, /** skipNotify */ true);
+      this.foundation.setValid(true);
+      this.foundation.layout();
+      this.syncFormInputs();
+    };
+    this.handleValidationInputFocus = () => {
+      // The validation input is focused when native form validation reports
+      // the select as invalid.
+      this.focusableElement.focus();
+    };
 
-    this.selectAnchor.addEventListener('focus', this.handleFocus);
-    this.selectAnchor.addEventListener('blur', this.handleBlur);
+    this.focusableElement.addEventListener('focus', this.handleFocus);
+    this.focusableElement.addEventListener('blur', this.handleBlur);
 
     this.selectAnchor.addEventListener(
         'click', this.handleClick as EventListener);
 
-    this.selectAnchor.addEventListener('keydown', this.handleKeydown);
+    this.focusableElement.addEventListener('keydown', this.handleKeydown);
+    if (this.input) {
+      this.input.addEventListener('input', this.handleInput);
+    }
     this.menu.listen(
         menuSurfaceConstants.strings.CLOSED_EVENT, this.handleMenuClosed);
     this.menu.listen(
@@ -170,25 +216,44 @@ export class MDCSelect extends MDCComponent<MDCSelectFoundation> {
     this.menu.listen(
         menuConstants.strings.SELECTED_EVENT, this.handleMenuItemAction);
 
-    if (this.hiddenInput) {
-      if (this.hiddenInput.value) {
-        // If the hidden input already has a value, use it to restore the
-        // select's value. This can happen e.g. if the user goes back or (in
-        // some browsers) refreshes the page.
+    this.validationInput.addEventListener('invalid', this.handleInvalid);
+    this.validationInput.addEventListener(
+        'focus', this.handleValidationInputFocus);
+    this.validationInput.disabled = this.disabled;
+    // Resetting the form restores the options selected on initialization.
+    this.defaultValues = this.values;
+    this.form = this.validationInput.form;
+    if (this.form) {
+      this.form.addEventListener('reset', this.handleFormReset);
+    }
+
+    const hiddenInputValues = this.getHiddenInputs()
+                                  .map((input) => input.value)
+                                  .filter((value) => value.length > 0);
+    if (hiddenInputValues.length) {
+      // If the hidden input already has a value, use it to restore the
+      // select's value. This can happen e.g. if the user goes back or (in
+      // some browsers) refreshes the page. The multi-select variant
+      // restores one value from each of its hidden inputs.
+      if (this.isMultiple) {
+        this.foundation.setValues(hiddenInputValues, /** skipNotify */ true);
+      } else {
         this.foundation.setValue(
-            this.hiddenInput.value, /** skipNotify */ true);
-        this.foundation.layout();
-        return;
+            hiddenInputValues[0], /** skipNotify */ true);
       }
-
-      this.hiddenInput.value = this.value;
+      this.foundation.layout();
     }
+
+    this.syncFormInputs();
   }
 
   destroy() {
-    this.selectAnchor.removeEventListener('focus', this.handleFocus);
-    this.selectAnchor.removeEventListener('blur', this.handleBlur);
-    this.selectAnchor.removeEventListener('keydown', this.handleKeydown);
+    this.focusableElement.removeEventListener('focus', this.handleFocus);
+    this.focusableElement.removeEventListener('blur', this.handleBlur);
+    this.focusableElement.removeEventListener('keydown', this.handleKeydown);
+    if (this.input) {
+      this.input.removeEventListener('input', this.handleInput);
+    }
     this.selectAnchor.removeEventListener(
         'click', this.handleClick as EventListener);
 
@@ -200,6 +265,13 @@ export class MDCSelect extends MDCComponent<MDCSelectFoundation> {
         menuConstants.strings.SELECTED_EVENT, this.handleMenuItemAction);
     this.menu.destroy();
 
+    this.validationInput.removeEventListener('invalid', this.handleInvalid);
+    this.validationInput.removeEventListener(
+        'focus', this.handleValidationInputFocus);
+    if (this.form) {
+      this.form.removeEventListener('reset', this.handleFormReset);
+    }
+
     if (this.ripple) {
       this.ripple.destroy();
     }
@@ -224,6 +296,18 @@ export class MDCSelect extends MDCComponent<MDCSelectFoundation> {
     this.foundation.setValue(value);
   }
 
+  /**
+   * The values of the currently selected options. Only the multi-select
+   * variant may have more than one value.
+   */
+  get values(): string[] {
+    return this.foundation.getValues();
+  }
+
+  set values(values: string[]) {
+    this.foundation.setValues(values);
+  }
+
   get selectedIndex(): number {
     return this.foundation.getSelectedIndex();
   }
@@ -238,9 +322,40 @@ export class MDCSelect extends MDCComponent<MDCSelectFoundation> {
 
   set disabled(disabled: boolean) {
     this.foundation.setDisabled(disabled);
-    if (this.hiddenInput) {
-      this.hiddenInput.disabled = disabled;
+    this.getHiddenInputs().forEach((input) => {
+      input.disabled = disabled;
+    });
+    this.validationInput.disabled = disabled;
+  }
+
+  /**
+   * The name under which the select's value(s) are submitted with a form.
+   * Setting this adds a hidden input for the value if there is none.
+   */
+  get name(): string {
+    return this.hiddenInput ? this.hiddenInput.name : '';
+  }
+
+  set name(name: string) {
+    if (!this.hiddenInput) {
+      this.hiddenInput = this.createHiddenInput(name);
+      this.syncFormInputs();
     }
+    this.getHiddenInputs().forEach((input) => {
+      input.name = name;
+    });
+  }
+
+  /**
+   * Whether the options of the combobox variant are being loaded. Set this
+   * while fetching options in response to an `MDCSelect:input` event.
+   */
+  get loading(): boolean {
+    return this.foundation.getLoading();
+  }
+
+  set loading(isLoading: boolean) {
+    this.foundation.setLoading(isLoading);
   }
 
   set leadingIconAriaLabel(label: string) {
@@ -285,6 +400,40 @@ export class MDCSelect extends MDCComponent<MDCSelectFoundation> {
     return this.foundation.isValid();
   }
 
+  /**
+   * Sets a custom validator, which is called with the select's value(s) and
+   * returns a validation message if they are invalid. The message is shown in
+   * the helper text and fails native form validation. Set to null to remove
+   * the validator.
+   */
+  set validator(validator: MDCSelectValidator|null) {
+    this.foundation.setValidator(validator);
+  }
+
+  /**
+   * The message describing why the select fails native form validation, or an
+   * empty string if it is valid.
+   */
+  get validationMessage(): string {
+    return this.validationInput.validationMessage;
+  }
+
+  /**
+   * Checks whether the select passes native form validation, like
+   * `HTMLSelectElement#checkValidity`. Marks the select as invalid if not.
+   */
+  checkValidity(): boolean {
+    return this.validationInput.checkValidity();
+  }
+
+  /**
+   * Like `checkValidity`, but also reports the validation message to the user,
+   * like `HTMLSelectElement#reportValidity`.
+   */
+  reportValidity(): boolean {
+    return this.validationInput.reportValidity();
+  }
+
   /**
    * Sets the control to the required state.
    */
@@ -312,15 +461,16 @@ export class MDCSelect extends MDCComponent<MDCSelectFoundation> {
    * this whenever menu options are dynamically updated.
    */
   layoutOptions() {
-    this.foundation.layoutOptions();
+    // Read the selected values before the cache is refreshed, so that the
+    // selection is kept by value rather than by index.
+    const values = this.foundation.getValues();
     this.menu.layout();
     // Update cached menuItemValues for adapter.
     this.menuItemValues =
         this.menu.items.map((el) => el.getAttribute(strings.VALUE_ATTR) || '');
+    this.foundation.layoutOptions(values);
 
-    if (this.hiddenInput) {
-      this.hiddenInput.value = this.value;
-    }
+    this.syncFormInputs();
   }
 
   getDefaultFoundation() {
@@ -331,6 +481,8 @@ export class MDCSelect extends MDCComponent<MDCSelectFoundation> {
       ...this.getCommonAdapterMethods(),
       ...this.getOutlineAdapterMethods(),
       ...this.getLabelAdapterMethods(),
+      ...this.getComboboxAdapterMethods(),
+      ...this.getFormAdapterMethods(),
     };
     return new MDCSelectFoundation(adapter, this.getFoundationMap());
   }
@@ -342,7 +494,23 @@ export class MDCSelect extends MDCComponent<MDCSelectFoundation> {
     this.menuElement = this.root.querySelector(strings.MENU_SELECTOR)!;
     this.menu = menuFactory(this.menuElement);
     this.menu.hasTypeahead = true;
-    this.menu.singleSelection = true;
+    if (this.input) {
+      // Focus stays on the combobox input while the menu is open.
+      this.menu.setDefaultFocusState(menuConstants.DefaultFocusState.NONE);
+    }
+    if (this.isMultiple) {
+      // The multi-select menu is a checkbox list that stays open while options
+      // are toggled.
+      this.menu.closeSurfaceOnSelection = false;
+      this.menu.selectedIndex =
+          this.menu.items
+              .map((el, index) => el.querySelector(strings.CHECKED_SELECTOR) ?
+                       index :
+                       -1)
+              .filter((index) => index >= 0);
+    } else {
+      this.menu.singleSelection = true;
+    }
     this.menuItemValues =
         this.menu.items.map((el) => el.getAttribute(strings.VALUE_ATTR) || '');
   }
@@ -370,16 +538,36 @@ export class MDCSelect extends MDCComponent<MDCSelectFoundation> {
       getMenuItemAttr: (menuItem: Element, attr: string) =>
           menuItem.getAttribute(attr),
       setSelectedText: (text: string) => {
-        this.selectedText.textContent = text;
+        if (this.input) {
+          this.input.value = text;
+        } else {
+          this.selectedText.textContent = text;
+        }
       },
-      isSelectAnchorFocused: () => document.activeElement === this.selectAnchor,
+      setSelectedChips: (texts: string[]) => {
+        if (this.input) {
+          // The combobox input can only show plain text.
+          this.input.value = texts.join(', ');
+          return;
+        }
+
+        this.selectedText.textContent = '';
+        texts.forEach((text) => {
+          const chip = document.createElement('span');
+          chip.classList.add(cssClasses.CHIP);
+          chip.textContent = text;
+          this.selectedText.appendChild(chip);
+        });
+      },
+      isSelectAnchorFocused: () =>
+          document.activeElement === this.focusableElement,
       getSelectAnchorAttr: (attr: string) =>
-          this.selectAnchor.getAttribute(attr),
+          this.focusableElement.getAttribute(attr),
       setSelectAnchorAttr: (attr: string, value: string) => {
-        this.selectAnchor.setAttribute(attr, value);
+        this.focusableElement.setAttribute(attr, value);
       },
       removeSelectAnchorAttr: (attr: string) => {
-        this.selectAnchor.removeAttribute(attr);
+        this.focusableElement.removeAttribute(attr);
       },
       addMenuClass: (className: string) => {
         this.menuElement.classList.add(className);
@@ -411,6 +599,13 @@ export class MDCSelect extends MDCComponent<MDCSelectFoundation> {
       setSelectedIndex: (index: number) => {
         this.menu.selectedIndex = index;
       },
+      getSelectedIndices: () => {
+        const index = this.menu.selectedIndex;
+        return index instanceof Array ? index : [];
+      },
+      setSelectedIndices: (indices: number[]) => {
+        this.menu.selectedIndex = indices;
+      },
       focusMenuItemAtIndex: (index: number) => {
         (this.menu.items[index] as HTMLElement).focus();
       },
@@ -449,6 +644,11 @@ export class MDCSelect extends MDCComponent<MDCSelectFoundation> {
         const index = this.selectedIndex;
         this.emit<MDCSelectEventDetail>(strings.CHANGE_EVENT, {value, index}, true /* shouldBubble  */);
 
+        if (this.isMultiple) {
+          this.syncFormInputs();
+          return;
+        }
+        this.validationInput.defaultValue = value;
         if (this.hiddenInput) {
           this.hiddenInput.value = value;
         }
@@ -486,6 +686,213 @@ export class MDCSelect extends MDCComponent<MDCSelectFoundation> {
     // tslint:enable:object-literal-sort-keys
   }
 
+  private getComboboxAdapterMethods() {
+    // tslint:disable:object-literal-sort-keys Methods should be in the same order as the adapter interface.
+    return {
+      notifyInput: (query: string) => {
+        this.emit<MDCSelectInputEventDetail>(
+            strings.INPUT_EVENT, {query}, true /* shouldBubble */);
+      },
+      setMenuItemHidden: (index: number, isHidden: boolean) => {
+        const menuItem = this.menu.items[index];
+        if (isHidden) {
+          menuItem.classList.add(cssClasses.OPTION_FILTERED);
+        } else {
+          menuItem.classList.remove(cssClasses.OPTION_FILTERED);
+        }
+
+        const group =
+            closest(menuItem, `.${listCssClasses.LIST_ITEM_GROUP_CLASS}`);
+        if (group) {
+          this.updateMenuGroupHidden(group);
+        }
+      },
+      highlightMenuItemText: (index: number, start: number, end: number) => {
+        const textElement = this.getMenuItemTextElement(index);
+        if (!textElement) {
+          return;
+        }
+
+        // Unwrap any previous highlight, keeping other child markup.
+        const matches = [].slice.call(
+                            textElement.querySelectorAll(
+                                `.${cssClasses.MATCH}`)) as Element[];
+        matches.forEach((match) => {
+          const parent = match.parentNode;
+          if (parent) {
+            parent.replaceChild(
+                document.createTextNode(match.textContent || ''), match);
+          }
+        });
+        textElement.normalize();
+        if (start === end) {
+          return;
+        }
+
+        this.wrapTextRange(textElement, start, end);
+      },
+      setMenuItemActive: (index: number, isActive: boolean) => {
+        const menuItem = this.menu.items[index];
+        if (isActive) {
+          menuItem.classList.add(cssClasses.OPTION_ACTIVE);
+        } else {
+          menuItem.classList.remove(cssClasses.OPTION_ACTIVE);
+        }
+      },
+      getMenuItemId: (index: number) => this.menu.items[index].id,
+    };
+    // tslint:enable:object-literal-sort-keys
+  }
+
+  private getFormAdapterMethods() {
+    // tslint:disable:object-literal-sort-keys Methods should be in the same order as the adapter interface.
+    return {
+      setNativeRequired: (isRequired: boolean) => {
+        this.validationInput.required = isRequired;
+      },
+      setCustomValidity: (message: string) => {
+        this.validationInput.setCustomValidity(message);
+      },
+    };
+    // tslint:enable:object-literal-sort-keys
+  }
+
+  /**
+   * Returns the element containing the text of the menu item at the given
+   * index, i.e. the element whose text `getMenuItemTextAtIndex` returns.
+   */
+  private getMenuItemTextElement(index: number): Element|null {
+    const menuItem = this.menu.items[index];
+    return menuItem.querySelector(
+               `.${listCssClasses.LIST_ITEM_PRIMARY_TEXT_CLASS}`) ||
+        menuItem.querySelector(`.${listCssClasses.LIST_ITEM_TEXT_CLASS}`);
+  }
+
+  /**
+   * Wraps the given range of the element's text content in match elements.
+   * Only text nodes are split, so that child markup (e.g. icons) is kept.
+   */
+  private wrapTextRange(element: Element, start: number, end: number) {
+    const textNodes: Text[] = [];
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      textNodes.push(walker.currentNode as Text);
+    }
+
+    let offset = 0;
+    for (const textNode of textNodes) {
+      const length = textNode.length;
+      const matchStart = Math.max(start - offset, 0);
+      const matchEnd = Math.min(end - offset, length);
+      offset += length;
+      if (matchStart >= matchEnd) {
+        continue;
+      }
+
+      const matchText =
+          matchStart > 0 ? textNode.splitText(matchStart) : textNode;
+      if (matchEnd < length) {
+        matchText.splitText(matchEnd - matchStart);
+      }
+      const match = document.createElement('span');
+      match.classList.add(cssClasses.MATCH);
+      const parent = matchText.parentNode;
+      if (parent) {
+        parent.replaceChild(match, matchText);
+      }
+      match.appendChild(matchText);
+    }
+  }
+
+  /**
+   * Hides the given option group, including its header, if all of its options
+   * are filtered out.
+   */
+  private updateMenuGroupHidden(group: Element) {
+    const options: Element[] = [].slice.call(
+        group.querySelectorAll(`.${listCssClasses.LIST_ITEM_CLASS}`));
+    const isHidden = options.every(
+        (option) => option.classList.contains(cssClasses.OPTION_FILTERED));
+    if (isHidden) {
+      group.classList.add(cssClasses.GROUP_FILTERED);
+    } else {
+      group.classList.remove(cssClasses.GROUP_FILTERED);
+    }
+  }
+
+  /**
+   * Returns the hidden inputs that hold the select's value(s). Only the
+   * multi-select variant may have more than one.
+   */
+  private getHiddenInputs(): HTMLInputElement[] {
+    if (!this.hiddenInput) {
+      return [];
+    }
+    return this.isMultiple ?
+        [].slice.call(
+            this.root.querySelectorAll(strings.HIDDEN_INPUT_SELECTOR)) :
+        [this.hiddenInput];
+  }
+
+  /**
+   * Adds a hidden input with the given name, which submits the select's value
+   * with a form.
+   */
+  private createHiddenInput(name: string): HTMLInputElement {
+    const input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = name;
+    this.root.insertBefore(input, this.root.firstChild);
+    return input;
+  }
+
+  /**
+   * Adds the nameless, visually hidden input that represents the select in
+   * native form validation.
+   */
+  private createValidationInput(): HTMLInputElement {
+    const input = document.createElement('input');
+    input.classList.add(cssClasses.VALIDATION_INPUT);
+    input.tabIndex = -1;
+    input.setAttribute('aria-hidden', 'true');
+    this.root.appendChild(input);
+    return input;
+  }
+
+  /**
+   * Synchronizes the validation input and the hidden input with the select's
+   * value. The multi-select variant adds a copy of the hidden input for each
+   * additional selected value, so that every value is submitted with the form.
+   */
+  private syncFormInputs() {
+    // Set the default value, which a form reset does not overwrite.
+    this.validationInput.defaultValue = this.value;
+
+    const hiddenInput = this.hiddenInput;
+    if (!hiddenInput) {
+      return;
+    }
+
+    if (!this.isMultiple) {
+      hiddenInput.value = this.value;
+      return;
+    }
+
+    this.getHiddenInputs().slice(1).forEach((input) => {
+      input.parentNode!.removeChild(input);
+    });
+
+    const values = this.values;
+    hiddenInput.value = values.length ? values[0] : '';
+    let previousInput = hiddenInput;
+    values.slice(1).forEach((value) => {
+      const input = hiddenInput.cloneNode() as HTMLInputElement;
+      input.value = value;
+      previousInput.parentNode!.insertBefore(input, previousInput.nextSibling);
+      previousInput = input;
+    });
+  }
+
   /**
    * Calculates where the line ripple should start based on the x coordinate within the component.
    */
@@ -23,29 +23,46 @@
 
 const cssClasses = {
   ACTIVATED: 'mdc-select--activated',
+  CHIP: 'mdc-select__chip',
+  CHIPS: 'mdc-select--chips',
+  COMBOBOX: 'mdc-select--combobox',
   DISABLED: 'mdc-select--disabled',
   FOCUSED: 'mdc-select--focused',
+  GROUP_FILTERED: 'mdc-select__group--filtered',
   INVALID: 'mdc-select--invalid',
+  LOADING: 'mdc-select--loading',
+  MATCH: 'mdc-select__match',
   MENU_INVALID: 'mdc-select__menu--invalid',
+  MULTIPLE: 'mdc-select--multiple',
+  OPTION_ACTIVE: 'mdc-select__option--active',
+  OPTION_FILTERED: 'mdc-select__option--filtered',
   OUTLINED: 'mdc-select--outlined',
   REQUIRED: 'mdc-select--required',
   ROOT: 'mdc-select',
+  VALIDATION_INPUT: 'mdc-select__validation-input',
   WITH_LEADING_ICON: 'mdc-select--with-leading-icon',
 };
 
 const strings = {
+  ARIA_ACTIVEDESCENDANT: 'aria-activedescendant',
+  ARIA_BUSY: 'aria-busy',
   ARIA_CONTROLS: 'aria-controls',
   ARIA_DESCRIBEDBY: 'aria-describedby',
   ARIA_SELECTED_ATTR: 'aria-selected',
   CHANGE_EVENT: 'MDCSelect:change',
+  CHECKED_SELECTOR: 'input[type="checkbox"]:checked',
   HIDDEN_INPUT_SELECTOR: 'input[type="hidden"]',
+  INPUT_EVENT: 'MDCSelect:input',
+  INPUT_SELECTOR: '.mdc-select__input',
   LABEL_SELECTOR: '.mdc-floating-label',
   LEADING_ICON_SELECTOR: '.mdc-select__icon',
   LINE_RIPPLE_SELECTOR: '.mdc-line-ripple',
   MENU_SELECTOR: '.mdc-select__menu',
+  NAME_ATTR: 'data-name',
   OUTLINE_SELECTOR: '.mdc-notched-outline',
   SELECTED_TEXT_SELECTOR: '.mdc-select__selected-text',
   SELECT_ANCHOR_SELECTOR: '.mdc-select__anchor',
+  VALIDATION_INPUT_SELECTOR: '.mdc-select__validation-input',
   VALUE_ATTR: 'data-value',
 };
 
@@ -29,7 +29,7 @@ import {MDCSelectAdapter} from './adapter';
 import {cssClasses, numbers, strings} from './constants';
 import {MDCSelectHelperTextFoundation} from './helper-text/foundation';
 import {MDCSelectIconFoundation} from './icon/foundation';
-import {MDCSelectFoundationMap} from './types';
+import {MDCSelectFoundationMap, MDCSelectValidator} from './types';
 
 export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
   static get cssClasses() {
@@ -57,6 +57,8 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
       deactivateBottomLine: () => undefined,
       getSelectedIndex: () => -1,
       setSelectedIndex: () => undefined,
+      getSelectedIndices: () => [],
+      setSelectedIndices: () => undefined,
       hasLabel: () => false,
       floatLabel: () => undefined,
       getLabelWidth: () => 0,
@@ -67,6 +69,7 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
       setRippleCenter: () => undefined,
       notifyChange: () => undefined,
       setSelectedText: () => undefined,
+      setSelectedChips: () => undefined,
       isSelectAnchorFocused: () => false,
       getSelectAnchorAttr: () => '',
       setSelectAnchorAttr: () => undefined,
@@ -85,6 +88,13 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
       getMenuItemTextAtIndex: () => '',
       isTypeaheadInProgress: () => false,
       typeaheadMatchItem: () => -1,
+      notifyInput: () => undefined,
+      setMenuItemHidden: () => undefined,
+      highlightMenuItemText: () => undefined,
+      setMenuItemActive: () => undefined,
+      getMenuItemId: () => '',
+      setNativeRequired: () => undefined,
+      setCustomValidity: () => undefined,
     };
     // tslint:enable:object-literal-sort-keys
   }
@@ -102,7 +112,28 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
   // By default, select is invalid if it is required but no value is selected.
   private useDefaultValidation = true;
   private customValidity = true;
+  private validator: MDCSelectValidator|null = null;
+  // Content of the helper text while it is replaced by a validation message.
+  private helperTextContent: string|null = null;
   private lastSelectedIndex = numbers.UNSET_INDEX;
+  // Multi-select state. isMultiple is initialized in init().
+  private isMultiple = false;
+  private lastSelectedIndices: number[] = [];
+  // Combobox state. isCombobox is initialized in init(). isFiltering is true
+  // from the first edit of the input until the menu closes, during which the
+  // input shows the query instead of the selected text.
+  private isCombobox = false;
+  private isFiltering = false;
+  private query = '';
+  private matchingIndices: number[] = [];
+  private activeIndex = numbers.UNSET_INDEX;
+  private loading = false;
+  // Selected values that are kept although their options are not rendered,
+  // because the options were updated while filtering or loading. Cleared when
+  // the selection changes.
+  private keptValues: string[] = [];
+  // Texts of the selected options by value, to show for kept values.
+  private selectedTexts: {[value: string]: string} = {};
 
   private clickDebounceTimeout = 0;
   private recentlyClicked = false;
@@ -119,8 +150,15 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
     this.helperText = foundationMap.helperText;
   }
 
-  /** Returns the index of the currently selected menu item, or -1 if none. */
+  /**
+   * Returns the index of the currently selected menu item, or -1 if none. For
+   * the multi-select variant, returns the first selected index.
+   */
   getSelectedIndex(): number {
+    if (this.isMultiple) {
+      const indices = this.getSelectedIndices();
+      return indices.length ? indices[0] : numbers.UNSET_INDEX;
+    }
     return this.adapter.getSelectedIndex();
   }
 
@@ -129,11 +167,16 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
       return;
     }
 
-    if (index === numbers.UNSET_INDEX) {
-      this.adapter.setSelectedText('');
-    } else {
-      this.adapter.setSelectedText(
-          this.adapter.getMenuItemTextAtIndex(index).trim());
+    this.keptValues = [];
+    if (this.isMultiple) {
+      const indices = index === numbers.UNSET_INDEX ? [] : [index];
+      this.setSelectedIndices(indices, closeMenu, skipNotify);
+      return;
+    }
+
+    // Don't replace the combobox query while the user is typing it.
+    if (!this.isFiltering) {
+      this.updateSelectedText(index === numbers.UNSET_INDEX ? [] : [index]);
     }
 
     this.adapter.setSelectedIndex(index);
@@ -146,6 +189,7 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
       this.handleChange();
     }
     this.lastSelectedIndex = index;
+    this.updateCustomValidity();
   }
 
   setValue(value: string, skipNotify = false) {
@@ -154,9 +198,77 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
   }
 
   getValue() {
-    const index = this.adapter.getSelectedIndex();
+    return this.getValues()[0] || '';
+  }
+
+  /**
+   * Returns the indices of the currently selected menu items, in ascending
+   * order. Without the multi-select variant, this contains at most one index.
+   */
+  getSelectedIndices(): number[] {
+    if (!this.isMultiple) {
+      const index = this.getSelectedIndex();
+      return index !== numbers.UNSET_INDEX ? [index] : [];
+    }
+    return this.adapter.getSelectedIndices().slice().sort((a, b) => a - b);
+  }
+
+  /**
+   * Selects the menu items at the given indices, deselecting all others.
+   * Without the multi-select variant, only the first index is selected.
+   */
+  setSelectedIndices(indices: number[], closeMenu = false, skipNotify = false) {
+    if (!this.isMultiple) {
+      const index = indices.length ? indices[0] : numbers.UNSET_INDEX;
+      this.setSelectedIndex(index, closeMenu, skipNotify);
+      return;
+    }
+
+    this.keptValues = [];
+    const menuItemCount = this.adapter.getMenuItemCount();
+    const selectedIndices =
+        indices.filter((index) => index >= 0 && index < menuItemCount)
+            .sort((a, b) => a - b);
+
+    this.updateSelectedText(selectedIndices);
+    this.adapter.setSelectedIndices(selectedIndices);
+
+    if (closeMenu) {
+      this.adapter.closeMenu();
+    }
+
+    const hasChanged =
+        selectedIndices.join() !== this.lastSelectedIndices.join();
+    if (!skipNotify && hasChanged) {
+      this.handleChange();
+    }
+    this.lastSelectedIndices = selectedIndices;
+    this.updateCustomValidity();
+  }
+
+  /**
+   * Returns the values of the currently selected menu items, followed by any
+   * selected values kept while their options are not rendered.
+   */
+  getValues(): string[] {
     const menuItemValues = this.adapter.getMenuItemValues();
-    return index !== numbers.UNSET_INDEX ? menuItemValues[index] : '';
+    return this.getSelectedIndices()
+        .map((index) => menuItemValues[index])
+        .concat(this.keptValues);
+  }
+
+  /**
+   * Selects the menu items with the given values, deselecting all others.
+   * Without the multi-select variant, only the first matching item is selected.
+   */
+  setValues(values: string[], skipNotify = false) {
+    const indices: number[] = [];
+    this.adapter.getMenuItemValues().forEach((value, index) => {
+      if (values.indexOf(value) >= 0) {
+        indices.push(index);
+      }
+    });
+    this.setSelectedIndices(indices, /** closeMenu */ false, skipNotify);
   }
 
   getDisabled() {
@@ -199,7 +311,10 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
    * @param content Sets the content of the helper text.
    */
   setHelperTextContent(content: string) {
-    if (this.helperText) {
+    if (this.helperTextContent !== null) {
+      // Shown once the validation message is hidden.
+      this.helperTextContent = content;
+    } else if (this.helperText) {
       this.helperText.setContent(content);
     }
   }
@@ -210,7 +325,9 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
    */
   layout() {
     if (this.adapter.hasLabel()) {
-      const optionHasValue = this.getValue().length > 0;
+      const optionHasValue = this.isMultiple ?
+          this.getSelectedIndices().length > 0 :
+          this.getValue().length > 0;
       const isFocused = this.adapter.hasClass(cssClasses.FOCUSED);
       const shouldFloatAndNotch = optionHasValue || isFocused;
       const isRequired = this.adapter.hasClass(cssClasses.REQUIRED);
@@ -223,13 +340,42 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
 
   /**
    * Synchronizes the list of options with the state of the foundation. Call
-   * this whenever menu options are dynamically updated.
+   * this whenever menu options are dynamically updated. Never emits a change
+   * event.
+   * @param previousValues The selected values before the options were
+   *     updated. The selection is kept by value. While filtering or loading,
+   *     values that are no longer options are kept as well; otherwise they are
+   *     deselected.
    */
-  layoutOptions() {
+  layoutOptions(previousValues = this.getValues()) {
+    if (this.isFiltering) {
+      // Apply the current query to the updated options.
+      this.filterMenuItems(this.query);
+    }
+
     const menuItemValues = this.adapter.getMenuItemValues();
-    const selectedIndex = menuItemValues.indexOf(this.getValue());
-    this.setSelectedIndex(
-        selectedIndex, /** closeMenu */ false, /** skipNotify */ true);
+    const previousTexts = this.selectedTexts;
+    if (this.isMultiple) {
+      this.setValues(previousValues, /** skipNotify */ true);
+    } else {
+      // Without a selection, the value is the empty string.
+      const value = previousValues.length ? previousValues[0] : '';
+      this.setSelectedIndex(
+          menuItemValues.indexOf(value), /** closeMenu */ false,
+          /** skipNotify */ true);
+    }
+
+    const selectedValues = this.getValues();
+    if ((this.isFiltering || this.loading) &&
+        selectedValues.length < previousValues.length) {
+      this.keptValues = previousValues.filter(
+          (previousValue) => selectedValues.indexOf(previousValue) < 0);
+      this.selectedTexts = previousTexts;
+      if (this.isMultiple || !this.isFiltering) {
+        this.updateSelectedText(this.getSelectedIndices());
+      }
+      this.updateCustomValidity();
+    }
   }
 
   handleMenuOpened() {
@@ -237,6 +383,14 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
       return;
     }
 
+    if (this.isCombobox) {
+      // Focus stays on the input, so only mark the option as active.
+      if (this.activeIndex === numbers.UNSET_INDEX) {
+        this.setActiveIndex(this.getSelectedIndex());
+      }
+      return;
+    }
+
     // Menu should open to the last selected element, should open to first menu item otherwise.
     const selectedIndex = this.getSelectedIndex();
     const focusItemIndex = selectedIndex >= 0 ? selectedIndex : 0;
@@ -248,6 +402,10 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
     this.isMenuOpen = false;
     this.adapter.setSelectAnchorAttr('aria-expanded', 'false');
 
+    if (this.isCombobox) {
+      this.resetFilter();
+    }
+
     // Unfocus the select if menu is closed without a selection
     if (!this.adapter.isSelectAnchorFocused()) {
       this.blur();
@@ -261,13 +419,23 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
     this.layout();
     this.adapter.notifyChange(this.getValue());
 
-    const isRequired = this.adapter.hasClass(cssClasses.REQUIRED);
-    if (isRequired && this.useDefaultValidation) {
-      this.setValid(this.isValid());
+    if (this.shouldValidate()) {
+      this.validate();
     }
   }
 
   handleMenuItemAction(index: number) {
+    if (this.isCombobox) {
+      this.resetFilter();
+    }
+
+    if (this.isMultiple) {
+      // The menu stays open and its checkbox list has already toggled the
+      // item, so sync the select with the menu's selection.
+      this.setSelectedIndices(this.adapter.getSelectedIndices());
+      return;
+    }
+
     this.setSelectedIndex(index, /** closeMenu */ true);
   }
 
@@ -313,6 +481,11 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
    * character typed, does typeahead matching or opens menu.
    */
   handleKeydown(event: KeyboardEvent) {
+    if (this.isCombobox) {
+      this.handleComboboxKeydown(event);
+      return;
+    }
+
     if (this.isMenuOpen || !this.adapter.hasClass(cssClasses.FOCUSED)) {
       return;
     }
@@ -328,7 +501,9 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
       const key = isSpace ? ' ' : event.key;
       const typeaheadNextIndex =
           this.adapter.typeaheadMatchItem(key, this.getSelectedIndex());
-      if (typeaheadNextIndex >= 0) {
+      // Typeahead only moves the selection of single selects, since a
+      // multi-select would otherwise lose all but the matched option.
+      if (typeaheadNextIndex >= 0 && !this.isMultiple) {
         this.setSelectedIndex(typeaheadNextIndex);
       }
       event.preventDefault();
@@ -339,19 +514,57 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
       return;
     }
 
-    // Increment/decrement index as necessary and open menu.
-    if (arrowUp && this.getSelectedIndex() > 0) {
-      this.setSelectedIndex(this.getSelectedIndex() - 1);
-    } else if (
-        arrowDown &&
-        this.getSelectedIndex() < this.adapter.getMenuItemCount() - 1) {
-      this.setSelectedIndex(this.getSelectedIndex() + 1);
+    // Increment/decrement index as necessary and open menu. Multi-select
+    // options are only toggled from within the menu.
+    if (!this.isMultiple) {
+      if (arrowUp && this.getSelectedIndex() > 0) {
+        this.setSelectedIndex(this.getSelectedIndex() - 1);
+      } else if (
+          arrowDown &&
+          this.getSelectedIndex() < this.adapter.getMenuItemCount() - 1) {
+        this.setSelectedIndex(this.getSelectedIndex() + 1);
+      }
     }
 
     this.openMenu();
     event.preventDefault();
   }
 
+  /**
+   * Handles input events from the combobox input. Filters the menu items by
+   * the given query, highlighting the matching text, and opens the menu.
+   */
+  handleInput(query: string) {
+    if (!this.isCombobox || this.disabled) {
+      return;
+    }
+
+    this.isFiltering = true;
+    this.filterMenuItems(query);
+    if (!this.isMenuOpen) {
+      this.openMenu();
+    }
+    this.adapter.notifyInput(query);
+  }
+
+  /**
+   * Sets whether the options are being loaded, e.g. asynchronously in response
+   * to an input event.
+   */
+  setLoading(isLoading: boolean) {
+    this.loading = isLoading;
+    if (isLoading) {
+      this.adapter.addClass(cssClasses.LOADING);
+    } else {
+      this.adapter.removeClass(cssClasses.LOADING);
+    }
+    this.adapter.setSelectAnchorAttr(strings.ARIA_BUSY, isLoading.toString());
+  }
+
+  getLoading(): boolean {
+    return this.loading;
+  }
+
   /**
    * Opens/closes the notched outline.
    */
@@ -399,6 +612,7 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
 
     this.adapter.setSelectAnchorAttr('aria-invalid', (!isValid).toString());
     if (isValid) {
+      this.restoreHelperTextContent();
       this.adapter.removeClass(cssClasses.INVALID);
       this.adapter.removeMenuClass(cssClasses.MENU_INVALID);
     } else {
@@ -410,11 +624,19 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
   }
 
   isValid() {
+    if (!this.adapter.hasClass(cssClasses.DISABLED) &&
+        this.getValidationMessage()) {
+      return false;
+    }
+
     if (this.useDefaultValidation &&
         this.adapter.hasClass(cssClasses.REQUIRED) &&
         !this.adapter.hasClass(cssClasses.DISABLED)) {
       // See notes for required attribute under https://www.w3.org/TR/html52/sec-forms.html#the-select-element
       // TL;DR: Invalid if no index is selected, or if the first index is selected and has an empty value.
+      if (this.keptValues.length) {
+        return Boolean(this.getValue());
+      }
       return this.getSelectedIndex() !== numbers.UNSET_INDEX &&
           (this.getSelectedIndex() !== 0 || Boolean(this.getValue()));
     }
@@ -429,13 +651,48 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
     }
     this.adapter.setSelectAnchorAttr('aria-required', isRequired.toString());
     this.adapter.setLabelRequired(isRequired);
+    this.adapter.setNativeRequired(isRequired);
   }
 
   getRequired() {
     return this.adapter.getSelectAnchorAttr('aria-required') === 'true';
   }
 
+  /**
+   * Sets a custom validator, which is called with the select's value(s) and
+   * returns a validation message if they are invalid. The message is shown in
+   * the helper text and used as the native validation message. Pass null to
+   * remove the validator.
+   */
+  setValidator(validator: MDCSelectValidator|null) {
+    this.validator = validator;
+    this.updateCustomValidity();
+  }
+
+  /**
+   * Returns the custom validator's message for the current value(s), or an
+   * empty string if they are valid or there is no validator.
+   */
+  getValidationMessage(): string {
+    if (!this.validator) {
+      return '';
+    }
+    return this.validator(this.getValue(), this.getValues());
+  }
+
+  /**
+   * Handles the native `invalid` event, fired when the select fails native
+   * form validation, e.g. on form submission or `checkValidity()`.
+   */
+  handleInvalid() {
+    this.showValidationMessage();
+    this.setValid(false);
+  }
+
   init() {
+    this.isMultiple = this.adapter.hasClass(cssClasses.MULTIPLE);
+    this.isCombobox = this.adapter.hasClass(cssClasses.COMBOBOX);
+
     const anchorEl = this.adapter.getAnchorElement();
     if (anchorEl) {
       this.adapter.setMenuAnchorElement(anchorEl);
@@ -444,6 +701,7 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
     this.adapter.setMenuWrapFocus(false);
 
     this.setDisabled(this.adapter.hasClass(cssClasses.DISABLED));
+    this.adapter.setNativeRequired(this.getRequired());
     this.syncHelperTextValidity(!this.adapter.hasClass(cssClasses.INVALID));
     this.layout();
     this.layoutOptions();
@@ -457,12 +715,195 @@ export class MDCSelectFoundation extends MDCFoundation<MDCSelectAdapter> {
     this.layout();
     this.adapter.deactivateBottomLine();
 
+    if (this.shouldValidate()) {
+      this.validate();
+    }
+  }
+
+  /**
+   * Handles keydown events on the combobox input, which keeps focus while the
+   * menu is open: arrow keys move the active option, Enter selects it and
+   * Escape closes the menu.
+   */
+  private handleComboboxKeydown(event: KeyboardEvent) {
+    const key = normalizeKey(event);
+
+    if (key === KEY.ARROW_DOWN || key === KEY.ARROW_UP) {
+      if (this.isMenuOpen) {
+        this.moveActiveIndex(key === KEY.ARROW_DOWN ? 1 : -1);
+      } else {
+        this.openMenu();
+      }
+      event.preventDefault();
+    } else if (key === KEY.ENTER && this.isMenuOpen) {
+      if (this.activeIndex !== numbers.UNSET_INDEX) {
+        this.handleMenuItemAction(this.activeIndex);
+      }
+      event.preventDefault();
+    } else if ((key === KEY.ESCAPE || key === KEY.TAB) && this.isMenuOpen) {
+      this.adapter.closeMenu();
+    }
+  }
+
+  /**
+   * Hides the menu items that don't contain the given query (ignoring case)
+   * and highlights the matching text of the others. The first match becomes
+   * the active option.
+   */
+  private filterMenuItems(query: string) {
+    this.query = query;
+    const normalizedQuery = query.trim().toLowerCase();
+    this.matchingIndices = [];
+
+    for (let i = 0; i < this.adapter.getMenuItemCount(); i++) {
+      const text = this.adapter.getMenuItemTextAtIndex(i).toLowerCase();
+      const start = text.indexOf(normalizedQuery);
+      const isMatch = start >= 0;
+      if (isMatch) {
+        this.matchingIndices.push(i);
+      }
+      this.adapter.setMenuItemHidden(i, !isMatch);
+      this.adapter.highlightMenuItemText(
+          i, Math.max(start, 0), isMatch ? start + normalizedQuery.length : 0);
+    }
+
+    this.setActiveIndex(
+        this.matchingIndices.length ? this.matchingIndices[0] :
+                                      numbers.UNSET_INDEX);
+  }
+
+  /**
+   * Shows all menu items and restores the selected text to the input.
+   */
+  private resetFilter() {
+    if (!this.isFiltering) {
+      this.setActiveIndex(numbers.UNSET_INDEX);
+      return;
+    }
+
+    this.isFiltering = false;
+    this.query = '';
+    for (let i = 0; i < this.adapter.getMenuItemCount(); i++) {
+      this.adapter.setMenuItemHidden(i, false);
+      this.adapter.highlightMenuItemText(i, 0, 0);
+    }
+    this.setActiveIndex(numbers.UNSET_INDEX);
+    this.updateSelectedText(this.getSelectedIndices());
+  }
+
+  /**
+   * Moves the active option by the given offset within the visible options.
+   */
+  private moveActiveIndex(offset: number) {
+    const indices: number[] = [];
+    for (let i = 0; i < this.adapter.getMenuItemCount(); i++) {
+      if (!this.isFiltering || this.matchingIndices.indexOf(i) >= 0) {
+        indices.push(i);
+      }
+    }
+    if (!indices.length) {
+      return;
+    }
+
+    const position = indices.indexOf(this.activeIndex);
+    const nextPosition = position === -1 ?
+        0 :
+        Math.min(Math.max(position + offset, 0), indices.length - 1);
+    this.setActiveIndex(indices[nextPosition]);
+  }
+
+  /**
+   * Marks the option at the given index as active and references it from the
+   * combobox input via `aria-activedescendant`.
+   */
+  private setActiveIndex(index: number) {
+    // The previously active option may have been removed by updated options.
+    if (this.activeIndex !== numbers.UNSET_INDEX &&
+        this.activeIndex < this.adapter.getMenuItemCount()) {
+      this.adapter.setMenuItemActive(this.activeIndex, false);
+    }
+
+    this.activeIndex = index;
+    if (index === numbers.UNSET_INDEX) {
+      this.adapter.removeSelectAnchorAttr(strings.ARIA_ACTIVEDESCENDANT);
+      return;
+    }
+
+    this.adapter.setMenuItemActive(index, true);
+    this.adapter.setSelectAnchorAttr(
+        strings.ARIA_ACTIVEDESCENDANT, this.adapter.getMenuItemId(index));
+  }
+
+  /**
+   * Updates the selected text with the text of the menu items at the given
+   * indices, either as a comma-separated summary or as chips.
+   */
+  private updateSelectedText(indices: number[]) {
+    const menuItemValues = this.adapter.getMenuItemValues();
+    const selectedTexts: {[value: string]: string} = {};
+    indices.forEach((index) => {
+      selectedTexts[menuItemValues[index]] =
+          this.adapter.getMenuItemTextAtIndex(index).trim();
+    });
+    this.keptValues.forEach((value) => {
+      selectedTexts[value] = this.selectedTexts[value] || value;
+    });
+    this.selectedTexts = selectedTexts;
+
+    const texts = indices.map((index) => selectedTexts[menuItemValues[index]])
+                      .concat(this.keptValues.map(
+                          (value) => selectedTexts[value]));
+    if (this.adapter.hasClass(cssClasses.CHIPS)) {
+      this.adapter.setSelectedChips(texts);
+    } else {
+      this.adapter.setSelectedText(texts.join(', '));
+    }
+  }
+
+  /**
+   * Returns whether the select should be validated when its value changes or
+   * it loses focus.
+   */
+  private shouldValidate(): boolean {
     const isRequired = this.adapter.hasClass(cssClasses.REQUIRED);
-    if (isRequired && this.useDefaultValidation) {
-      this.setValid(this.isValid());
+    return Boolean(this.validator) || (isRequired && this.useDefaultValidation);
+  }
+
+  private validate() {
+    this.showValidationMessage();
+    this.setValid(this.isValid());
+  }
+
+  /**
+   * Shows the custom validator's message, if any, in the helper text, or the
+   * original helper text if there is no message.
+   */
+  private showValidationMessage() {
+    const message = this.getValidationMessage();
+    if (!message) {
+      this.restoreHelperTextContent();
+    } else if (this.helperText) {
+      if (this.helperTextContent === null) {
+        this.helperTextContent = this.helperText.getContent();
+      }
+      this.helperText.setContent(message);
+    }
+  }
+
+  /**
+   * Restores the helper text content replaced by a validation message.
+   */
+  private restoreHelperTextContent() {
+    if (this.helperText && this.helperTextContent !== null) {
+      this.helperText.setContent(this.helperTextContent);
+      this.helperTextContent = null;
     }
   }
 
+  private updateCustomValidity() {
+    this.adapter.setCustomValidity(this.getValidationMessage());
+  }
+
   private syncHelperTextValidity(isValid: boolean) {
     if (!this.helperText) {
       return;
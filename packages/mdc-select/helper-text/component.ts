@@ -52,6 +52,7 @@ export class MDCSelectHelperText extends MDCComponent<MDCSelectHelperTextFoundat
       setContent: (content) => {
         this.root.textContent = content;
       },
+      getContent: () => this.root.textContent || '',
     };
     // tslint:enable:object-literal-sort-keys
     return new MDCSelectHelperTextFoundation(adapter);
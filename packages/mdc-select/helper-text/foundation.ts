@@ -47,6 +47,7 @@ export class MDCSelectHelperTextFoundation extends MDCFoundation<MDCSelectHelper
       getAttr: () => null,
       removeAttr: () => undefined,
       setContent: () => undefined,
+      getContent: () => '',
     };
     // tslint:enable:object-literal-sort-keys
   }
@@ -76,6 +77,13 @@ export class MDCSelectHelperTextFoundation extends MDCFoundation<MDCSelectHelper
     this.adapter.setContent(content);
   }
 
+  /**
+   * @return The content of the helper text field.
+   */
+  getContent(): string {
+    return this.adapter.getContent();
+  }
+
   /**
    * Sets the helper text to act as a validation message.
    * By default, validation messages are hidden when the select is valid and
@@ -84,4 +84,10 @@ describe('MDCSelectHelperText', () => {
     adapter.setContent('foo');
     expect(root.textContent).toEqual('foo');
   });
+
+  it('#adapter.getContent returns the text content of the element', () => {
+    const {root, adapter} = setupTest();
+    root.textContent = 'foo';
+    expect(adapter.getContent()).toEqual('foo');
+  });
 });
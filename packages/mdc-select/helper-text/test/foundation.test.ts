@@ -45,6 +45,7 @@ describe('MDCSelectHelperTextFoundation', () => {
       'setAttr',
       'removeAttr',
       'setContent',
+      'getContent',
     ]);
   });
 
@@ -61,6 +62,12 @@ describe('MDCSelectHelperTextFoundation', () => {
     expect(mockAdapter.setContent).toHaveBeenCalledWith('foo');
   });
 
+  it('#getContent returns the content of the helper text element', () => {
+    const {foundation, mockAdapter} = setupTest();
+    mockAdapter.getContent.and.returnValue('foo');
+    expect(foundation.getContent()).toEqual('foo');
+  });
+
   it('#setValidationMsgPersistent toggles the persistent validation class',
      () => {
        const {foundation, mockAdapter} = setupTest();
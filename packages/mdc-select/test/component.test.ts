@@ -390,6 +390,62 @@ describe('MDCSelect', () => {
     expect(component['menuItemValues']).toEqual(['', 'orange', 'apple']);
   });
 
+  it('#layoutOptions keeps the selected value when options are updated', () => {
+    const hasMockFoundation = false;
+    const hasMockMenu = false;
+    const {component, fixture} = setupTest(
+        /** hasOutline */ false, /** hasLabel */ true, hasMockFoundation,
+        hasMockMenu);
+    const handler = jasmine.createSpy('change handler');
+    component.value = 'orange';
+    component.listen(strings.CHANGE_EVENT, handler);
+
+    const list = fixture.querySelector('.mdc-list') as HTMLElement;
+    list.innerHTML = `
+      <li class="mdc-list-item" data-value=""></li>
+      <li class="mdc-list-item" data-value="banana">
+        <span class="mdc-list-item__text">Banana</span>
+      </li>
+      <li class="mdc-list-item" data-value="orange">
+        <span class="mdc-list-item__text">Orange</span>
+      </li>`;
+    component.layoutOptions();
+
+    expect(component.value).toEqual('orange');
+    expect(component.selectedIndex).toEqual(2);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('#layoutOptions clears the selection without a change event if the ' +
+         'selected option is removed',
+     () => {
+       const hasMockFoundation = false;
+       const hasMockMenu = false;
+       const {component, fixture} = setupTest(
+           /** hasOutline */ false, /** hasLabel */ true, hasMockFoundation,
+           hasMockMenu);
+       const handler = jasmine.createSpy('change handler');
+       component.value = 'apple';
+       component.listen(strings.CHANGE_EVENT, handler);
+
+       const list = fixture.querySelector('.mdc-list') as HTMLElement;
+       list.innerHTML = `
+         <li class="mdc-list-item" data-value="orange">
+           <span class="mdc-list-item__text">Orange</span>
+         </li>
+         <li class="mdc-list-item" data-value="kiwi">
+           <span class="mdc-list-item__text">Kiwi</span>
+         </li>
+         <li class="mdc-list-item" data-value="lime">
+           <span class="mdc-list-item__text">Lime</span>
+         </li>`;
+       component.layoutOptions();
+
+       expect(component.value).toEqual('');
+       expect(component.selectedIndex).toEqual(-1);
+       expect(handler).not.toHaveBeenCalled();
+     });
+
   it('#set useDefaultValidation forwards to foundation', () => {
     const hasMockFoundation = true;
     const hasMockMenu = false;
@@ -1487,4 +1543,553 @@ describe('MDCSelect', () => {
     expect(helperText.destroy).toHaveBeenCalledTimes(1);
     document.body.removeChild(container as HTMLElement);
   });
+
+  describe('multi-select', () => {
+    function getMultipleFixture(rootClass = '', hiddenInputs = '') {
+      return createFixture(`
+        <div class="mdc-select mdc-select--multiple ${rootClass}">
+          <input type="hidden" name="test-input">
+          ${hiddenInputs}
+          <div class="mdc-select__anchor">
+            <span class="mdc-select__selected-text"></span>
+            <span class="mdc-floating-label">Pick some fruit</span>
+          </div>
+
+          <div class="mdc-select__menu mdc-menu mdc-menu-surface">
+            <ul class="mdc-list" role="listbox" aria-multiselectable="true">
+              <li class="mdc-list-item" data-value="orange" role="option">
+                <input type="checkbox">
+                <span class="mdc-list-item__text">Orange</span>
+              </li>
+              <li class="mdc-list-item" data-value="apple" role="option">
+                <input type="checkbox" checked>
+                <span class="mdc-list-item__text">Apple</span>
+              </li>
+              <li class="mdc-list-item" data-value="pear" role="option">
+                <input type="checkbox">
+                <span class="mdc-list-item__text">Pear</span>
+              </li>
+            </ul>
+          </div>
+        </div>
+      `);
+    }
+
+    function getHiddenInputValues(root: Element) {
+      const inputs = [].slice.call(root.querySelectorAll('input[type=hidden]'));
+      return inputs.map((input: HTMLInputElement) => {
+        expect(input.name).toEqual('test-input');
+        return input.value;
+      });
+    }
+
+    it('#initialSyncWithDOM selects the items with checked checkboxes', () => {
+      const root = getMultipleFixture();
+      const component = new MDCSelect(root);
+
+      expect(component.values).toEqual(['apple']);
+      expect(component.value).toEqual('apple');
+      expect(getHiddenInputValues(root)).toEqual(['apple']);
+    });
+
+    it('#initialSyncWithDOM restores values from the hidden inputs', () => {
+      const root = getMultipleFixture(
+          '', '<input type="hidden" name="test-input" value="pear">');
+      (root.querySelector('input[type=hidden]') as HTMLInputElement).value =
+          'orange';
+      const component = new MDCSelect(root);
+
+      expect(component.values).toEqual(['orange', 'pear']);
+    });
+
+    it('#set values selects the items and adds a hidden input per value',
+       () => {
+         const root = getMultipleFixture();
+         const component = new MDCSelect(root);
+         const selectedText =
+             root.querySelector(strings.SELECTED_TEXT_SELECTOR)!;
+
+         component.values = ['pear', 'orange'];
+         expect(component.values).toEqual(['orange', 'pear']);
+         expect(selectedText.textContent).toEqual('Orange, Pear');
+         expect(getHiddenInputValues(root)).toEqual(['orange', 'pear']);
+         const checkboxes = root.querySelectorAll('input[type=checkbox]');
+         expect((checkboxes[0] as HTMLInputElement).checked).toBe(true);
+         expect((checkboxes[1] as HTMLInputElement).checked).toBe(false);
+
+         component.values = [];
+         expect(selectedText.textContent).toEqual('');
+         expect(getHiddenInputValues(root)).toEqual(['']);
+       });
+
+    it('clicking an item toggles it and emits a change event', () => {
+      const root = getMultipleFixture();
+      document.body.appendChild(root);
+      const component = new MDCSelect(root);
+      const handler = jasmine.createSpy('change handler');
+      component.listen(strings.CHANGE_EVENT, handler);
+
+      const items = root.querySelectorAll('.mdc-list-item');
+      emitEvent(items[2], 'click', {bubbles: true});
+      expect(component.values).toEqual(['apple', 'pear']);
+      emitEvent(items[1], 'click', {bubbles: true});
+      expect(component.values).toEqual(['pear']);
+      expect(getHiddenInputValues(root)).toEqual(['pear']);
+      expect(handler).toHaveBeenCalledTimes(2);
+
+      component.destroy();
+      document.body.removeChild(root);
+    });
+
+    it('renders selected items as chips for the chips variant', () => {
+      const root = getMultipleFixture(cssClasses.CHIPS);
+      const component = new MDCSelect(root);
+
+      component.values = ['orange', 'apple'];
+      const chips = root.querySelectorAll(`.${cssClasses.CHIP}`);
+      expect(chips.length).toEqual(2);
+      expect(chips[0].textContent).toEqual('Orange');
+      expect(chips[1].textContent).toEqual('Apple');
+    });
+  });
+
+  describe('combobox', () => {
+    function getComboboxFixture() {
+      return createFixture(`
+        <div class="mdc-select mdc-select--combobox">
+          <input type="hidden" name="test-input">
+          <div class="mdc-select__anchor">
+            <input class="mdc-select__input" type="text" role="combobox"
+                aria-autocomplete="list" aria-controls="test-listbox">
+            <span class="mdc-floating-label">Pick a fruit</span>
+          </div>
+
+          <div class="mdc-select__menu mdc-menu mdc-menu-surface">
+            <ul class="mdc-list" role="listbox" id="test-listbox">
+              <li class="mdc-list-item" data-value="apple" role="option"
+                  id="test-apple">
+                <span class="mdc-list-item__text">Apple</span>
+              </li>
+              <li class="mdc-list-item" data-value="pear" role="option"
+                  id="test-pear">
+                <span class="mdc-list-item__text">Pear</span>
+              </li>
+              <li class="mdc-list-item" data-value="pineapple" role="option"
+                  id="test-pineapple">
+                <span class="mdc-list-item__text">Pineapple</span>
+              </li>
+            </ul>
+          </div>
+        </div>
+      `);
+    }
+
+    function typeQuery(input: HTMLInputElement, query: string) {
+      input.value = query;
+      emitEvent(input, 'input');
+    }
+
+    it('typing filters the options and highlights the matching text', () => {
+      const root = getComboboxFixture();
+      const component = new MDCSelect(root);
+      const input = root.querySelector(strings.INPUT_SELECTOR) as
+          HTMLInputElement;
+      const items = root.querySelectorAll('.mdc-list-item');
+
+      typeQuery(input, 'app');
+      expect(items[0].classList.contains(cssClasses.OPTION_FILTERED))
+          .toBe(false);
+      expect(items[1].classList.contains(cssClasses.OPTION_FILTERED))
+          .toBe(true);
+      expect(items[2].classList.contains(cssClasses.OPTION_FILTERED))
+          .toBe(false);
+      const match = items[2].querySelector(`.${cssClasses.MATCH}`)!;
+      expect(match.textContent).toEqual('app');
+      expect(items[2].textContent!.trim()).toEqual('Pineapple');
+
+      typeQuery(input, '');
+      expect(items[2].querySelector(`.${cssClasses.MATCH}`)).toBe(null);
+      component.destroy();
+    });
+
+    it('keeps the selected value while options are loaded for a query', () => {
+      const root = getComboboxFixture();
+      const component = new MDCSelect(root);
+      const input = root.querySelector(strings.INPUT_SELECTOR) as
+          HTMLInputElement;
+      const hiddenInput =
+          root.querySelector('input[type="hidden"]') as HTMLInputElement;
+      const list = root.querySelector('.mdc-list') as HTMLElement;
+      component.value = 'pear';
+      const changeHandler = jasmine.createSpy('change handler');
+      component.listen(strings.CHANGE_EVENT, changeHandler);
+      component.listen(strings.INPUT_EVENT, () => {
+        component.loading = true;
+        list.innerHTML = `
+          <li class="mdc-list-item" data-value="pineapple" role="option"
+              id="test-pineapple">
+            <span class="mdc-list-item__text">Pineapple</span>
+          </li>`;
+        component.layoutOptions();
+        component.loading = false;
+      });
+
+      typeQuery(input, 'pi');
+      expect(component.value).toEqual('pear');
+      expect(hiddenInput.value).toEqual('pear');
+      expect(input.value).toEqual('pi');
+      expect(changeHandler).not.toHaveBeenCalled();
+
+      emitEvent(
+          root.querySelector(strings.MENU_SELECTOR) as HTMLElement,
+          MDCMenuSurfaceFoundation.strings.CLOSED_EVENT);
+      expect(component.value).toEqual('pear');
+      expect(input.value).toEqual('Pear');
+      expect(changeHandler).not.toHaveBeenCalled();
+      component.destroy();
+    });
+
+    it('highlighting keeps the child markup of the option text', () => {
+      const root = getComboboxFixture();
+      const items = root.querySelectorAll('.mdc-list-item');
+      const text = items[2].querySelector('.mdc-list-item__text')!;
+      text.innerHTML = 'Pine<b class="test-suffix">apple</b>';
+      const component = new MDCSelect(root);
+      const input = root.querySelector(strings.INPUT_SELECTOR) as
+          HTMLInputElement;
+
+      typeQuery(input, 'neap');
+      const matches = text.querySelectorAll(`.${cssClasses.MATCH}`);
+      expect(matches.length).toEqual(2);
+      expect(matches[0].textContent).toEqual('ne');
+      expect(matches[1].textContent).toEqual('ap');
+      expect(text.querySelector('.test-suffix')!.textContent).toEqual('apple');
+
+      typeQuery(input, '');
+      expect(text.querySelector(`.${cssClasses.MATCH}`)).toBe(null);
+      expect(text.innerHTML).toEqual('Pine<b class="test-suffix">apple</b>');
+      component.destroy();
+    });
+
+    it('shows the selected option text in the input with the chips variant',
+       () => {
+         const root = getComboboxFixture();
+         root.classList.add(cssClasses.CHIPS);
+         const component = new MDCSelect(root);
+         const input = root.querySelector(strings.INPUT_SELECTOR) as
+             HTMLInputElement;
+
+         component.value = 'pear';
+         expect(input.value).toEqual('Pear');
+         component.destroy();
+       });
+
+    it('references the active option from the input', () => {
+      const root = getComboboxFixture();
+      const component = new MDCSelect(root);
+      const input = root.querySelector(strings.INPUT_SELECTOR) as
+          HTMLInputElement;
+      const items = root.querySelectorAll('.mdc-list-item');
+
+      typeQuery(input, 'pe');
+      expect(input.getAttribute(strings.ARIA_ACTIVEDESCENDANT))
+          .toEqual('test-pear');
+      expect(items[1].classList.contains(cssClasses.OPTION_ACTIVE)).toBe(true);
+      expect(input.getAttribute('aria-expanded')).toEqual('true');
+      component.destroy();
+    });
+
+    it('emits an input event with the query', () => {
+      const root = getComboboxFixture();
+      const component = new MDCSelect(root);
+      const input = root.querySelector(strings.INPUT_SELECTOR) as
+          HTMLInputElement;
+      const handler = jasmine.createSpy('input handler');
+      component.listen(strings.INPUT_EVENT, handler);
+
+      typeQuery(input, 'pi');
+      expect(handler).toHaveBeenCalledWith(jasmine.objectContaining({
+        detail: {query: 'pi'},
+      }));
+      component.destroy();
+    });
+
+    it('shows the selected text in the input', () => {
+      const root = getComboboxFixture();
+      const component = new MDCSelect(root);
+      const input = root.querySelector(strings.INPUT_SELECTOR) as
+          HTMLInputElement;
+
+      component.value = 'pear';
+      expect(input.value).toEqual('Pear');
+      component.destroy();
+    });
+
+    it('#set loading toggles the loading class and aria-busy', () => {
+      const root = getComboboxFixture();
+      const component = new MDCSelect(root);
+      const input = root.querySelector(strings.INPUT_SELECTOR) as
+          HTMLInputElement;
+
+      component.loading = true;
+      expect(component.loading).toBe(true);
+      expect(root.classList.contains(cssClasses.LOADING)).toBe(true);
+      expect(input.getAttribute(strings.ARIA_BUSY)).toEqual('true');
+
+      component.loading = false;
+      expect(root.classList.contains(cssClasses.LOADING)).toBe(false);
+      expect(input.getAttribute(strings.ARIA_BUSY)).toEqual('false');
+      component.destroy();
+    });
+  });
+
+  describe('option groups', () => {
+    function getGroupedFixture(rootClass = '', anchorContent = '') {
+      return createFixture(`
+        <div class="mdc-select ${rootClass}">
+          <div class="mdc-select__anchor">
+            ${anchorContent}
+            <span class="mdc-floating-label">Pick a food</span>
+          </div>
+
+          <div class="mdc-select__menu mdc-menu mdc-menu-surface">
+            <ul class="mdc-list" role="listbox" id="test-listbox">
+              <li class="mdc-list-item-group" role="group"
+                  aria-labelledby="test-fruits">
+                <span class="mdc-list-item-group__header" id="test-fruits"
+                    role="presentation">Fruits</span>
+                <ul class="mdc-list-item-group__items" role="none">
+                  <li class="mdc-list-item" data-value="apple" role="option"
+                      id="test-apple">
+                    <span class="mdc-list-item__text">Apple</span>
+                  </li>
+                  <li class="mdc-list-item" data-value="pear" role="option"
+                      id="test-pear">
+                    <span class="mdc-list-item__text">Pear</span>
+                  </li>
+                </ul>
+              </li>
+              <li class="mdc-list-divider" role="separator"></li>
+              <li class="mdc-list-item-group" role="group"
+                  aria-labelledby="test-vegetables">
+                <span class="mdc-list-item-group__header" id="test-vegetables"
+                    role="presentation">Vegetables</span>
+                <ul class="mdc-list-item-group__items" role="none">
+                  <li class="mdc-list-item" data-value="carrot" role="option"
+                      id="test-carrot">
+                    <span class="mdc-list-item__text">Carrot</span>
+                  </li>
+                </ul>
+              </li>
+            </ul>
+          </div>
+        </div>
+      `);
+    }
+
+    it('only counts the options as menu items', () => {
+      const root = getGroupedFixture(
+          '', '<span class="mdc-select__selected-text"></span>');
+      const component = new MDCSelect(root);
+
+      component.selectedIndex = 2;
+      expect(component.value).toEqual('carrot');
+      expect(root.querySelector(strings.SELECTED_TEXT_SELECTOR)!.textContent)
+          .toEqual('Carrot');
+      component.destroy();
+    });
+
+    it('hides the groups whose options are all filtered out', () => {
+      const root = getGroupedFixture(
+          cssClasses.COMBOBOX,
+          '<input class="mdc-select__input" role="combobox">');
+      const component = new MDCSelect(root);
+      const input = root.querySelector(strings.INPUT_SELECTOR) as
+          HTMLInputElement;
+      const groups = root.querySelectorAll('.mdc-list-item-group');
+
+      input.value = 'carr';
+      emitEvent(input, 'input');
+      expect(groups[0].classList.contains(cssClasses.GROUP_FILTERED))
+          .toBe(true);
+      expect(groups[1].classList.contains(cssClasses.GROUP_FILTERED))
+          .toBe(false);
+
+      input.value = 'a';
+      emitEvent(input, 'input');
+      expect(groups[0].classList.contains(cssClasses.GROUP_FILTERED))
+          .toBe(false);
+      component.destroy();
+    });
+  });
+
+  describe('form participation', () => {
+    function setupFormTest(root = getFixture()) {
+      const form = document.createElement('form');
+      form.appendChild(root);
+      document.body.appendChild(form);
+      const component = new MDCSelect(root);
+      const validationInput =
+          root.querySelector(strings.VALIDATION_INPUT_SELECTOR) as
+          HTMLInputElement;
+      return {form, root, component, validationInput};
+    }
+
+    function teardown(form: HTMLFormElement, component: MDCSelect) {
+      component.destroy();
+      document.body.removeChild(form);
+    }
+
+    it('adds a nameless validation input that mirrors the value', () => {
+      const {form, component, validationInput} = setupFormTest();
+      expect(validationInput.name).toEqual('');
+      expect(validationInput.tabIndex).toEqual(-1);
+
+      component.value = 'orange';
+      expect(validationInput.value).toEqual('orange');
+      teardown(form, component);
+    });
+
+    it('a required select without a value fails native validation', () => {
+      const {form, root, component, validationInput} = setupFormTest();
+      component.required = true;
+      expect(validationInput.required).toBe(true);
+
+      expect(form.checkValidity()).toBe(false);
+      expect(validationInput.matches(':invalid')).toBe(true);
+      expect(root.classList.contains(cssClasses.INVALID)).toBe(true);
+
+      component.value = 'apple';
+      expect(component.checkValidity()).toBe(true);
+      expect(form.checkValidity()).toBe(true);
+      teardown(form, component);
+    });
+
+    it('a disabled select does not take part in native validation', () => {
+      const {form, component} = setupFormTest();
+      component.required = true;
+      component.disabled = true;
+
+      expect(component.checkValidity()).toBe(true);
+      teardown(form, component);
+    });
+
+    it('#set validator fails native validation with the validator\'s message',
+       () => {
+         const {form, root, component} = setupFormTest();
+         const validator = jasmine.createSpy('validator').and.callFake(
+             (value: string) => value === 'orange' ? 'No oranges' : '');
+         component.validator = validator;
+         expect(component.checkValidity()).toBe(true);
+
+         component.value = 'orange';
+         expect(validator).toHaveBeenCalledWith('orange', ['orange']);
+         expect(root.classList.contains(cssClasses.INVALID)).toBe(true);
+         expect(component.validationMessage).toEqual('No oranges');
+         expect(form.checkValidity()).toBe(false);
+
+         component.validator = null;
+         expect(component.checkValidity()).toBe(true);
+         teardown(form, component);
+       });
+
+    it('the validator\'s message is shown in the helper text', () => {
+      const container = getHelperTextFixture();
+      const form = document.createElement('form');
+      form.appendChild(container);
+      document.body.appendChild(form);
+      const root = container.querySelector('.mdc-select') as HTMLElement;
+      const component = new MDCSelect(root);
+      const helperText = container.querySelector('.mdc-select-helper-text')!;
+
+      component.validator = (value) => value ? '' : 'Pick a fruit';
+      component.value = 'apple';
+      component.value = '';
+      expect(helperText.textContent).toEqual('Pick a fruit');
+      teardown(form, component);
+    });
+
+    it('the helper text is restored once the value is valid or on reset',
+       () => {
+         const container = getHelperTextFixture();
+         const form = document.createElement('form');
+         form.appendChild(container);
+         document.body.appendChild(form);
+         const root = container.querySelector('.mdc-select') as HTMLElement;
+         const component = new MDCSelect(root);
+         const helperText =
+             container.querySelector('.mdc-select-helper-text')!;
+
+         component.validator = (value) =>
+             value === 'orange' ? 'No oranges' : '';
+         component.value = 'orange';
+         expect(helperText.textContent).toEqual('No oranges');
+         component.value = 'apple';
+         expect(helperText.textContent).toEqual('Hello World');
+
+         component.value = 'orange';
+         component.validator = () => 'Invalid';
+         component.value = 'apple';
+         expect(helperText.textContent).toEqual('Invalid');
+         form.reset();
+         expect(helperText.textContent).toEqual('Hello World');
+         teardown(form, component);
+       });
+
+    it('form reset restores the initial selection', () => {
+      const root = getFixture();
+      root.querySelectorAll('.mdc-list-item')[2].classList.add(
+          'mdc-list-item--selected');
+      const {form, component, validationInput} = setupFormTest(root);
+      const hiddenInput =
+          root.querySelector(strings.HIDDEN_INPUT_SELECTOR) as HTMLInputElement;
+      const handler = jasmine.createSpy('change handler');
+      expect(component.value).toEqual('apple');
+
+      component.value = 'orange';
+      component.listen(strings.CHANGE_EVENT, handler);
+      form.reset();
+
+      expect(component.value).toEqual('apple');
+      expect(hiddenInput.value).toEqual('apple');
+      expect(validationInput.value).toEqual('apple');
+      expect(root.querySelector(strings.SELECTED_TEXT_SELECTOR)!.textContent)
+          .toEqual('Apple');
+      expect(handler).not.toHaveBeenCalled();
+      teardown(form, component);
+    });
+
+    it('the data-name attribute adds a named hidden input', () => {
+      const root = getFixture();
+      root.removeChild(root.querySelector(strings.HIDDEN_INPUT_SELECTOR)!);
+      root.setAttribute(strings.NAME_ATTR, 'fruit');
+      const {form, component} = setupFormTest(root);
+
+      component.value = 'orange';
+      expect(component.name).toEqual('fruit');
+      const hiddenInput = root.querySelector(strings.HIDDEN_INPUT_SELECTOR) as
+          HTMLInputElement;
+      expect(hiddenInput.name).toEqual('fruit');
+      expect(hiddenInput.value).toEqual('orange');
+      teardown(form, component);
+    });
+
+    it('#set name adds or renames the hidden input', () => {
+      const root = getFixture();
+      root.removeChild(root.querySelector(strings.HIDDEN_INPUT_SELECTOR)!);
+      const {form, component} = setupFormTest(root);
+      component.value = 'apple';
+      expect(component.name).toEqual('');
+
+      component.name = 'fruit';
+      const hiddenInput = root.querySelector(strings.HIDDEN_INPUT_SELECTOR) as
+          HTMLInputElement;
+      expect(hiddenInput.value).toEqual('apple');
+      component.name = 'food';
+      expect(hiddenInput.name).toEqual('food');
+      expect(root.querySelectorAll(strings.HIDDEN_INPUT_SELECTOR).length)
+          .toEqual(1);
+      teardown(form, component);
+    });
+  });
 });
@@ -80,6 +80,16 @@ describe('MDCSelectFoundation', () => {
       'typeaheadMatchItem',
       'getSelectedIndex',
       'setSelectedIndex',
+      'setSelectedChips',
+      'getSelectedIndices',
+      'setSelectedIndices',
+      'notifyInput',
+      'setMenuItemHidden',
+      'highlightMenuItemText',
+      'setMenuItemActive',
+      'getMenuItemId',
+      'setNativeRequired',
+      'setCustomValidity',
     ]);
   });
 
@@ -93,6 +103,7 @@ describe('MDCSelectFoundation', () => {
       'getId',
       'isVisible',
       'setContent',
+      'getContent',
       'setValidationMsgPersistent',
       'setValidation',
       'setValidity',
@@ -726,6 +737,58 @@ describe('MDCSelectFoundation', () => {
     expect(mockAdapter.setSelectedIndex).toHaveBeenCalledWith(2);
   });
 
+  it('#layoutOptions keeps the given previous value at its new index', () => {
+    const {foundation, mockAdapter} = setupTest();
+    foundation.init();
+    mockAdapter.getMenuItemCount.and.returnValue(3);
+    mockAdapter.getMenuItemValues.and.returnValue(['zero', 'one', 'two']);
+    mockAdapter.notifyChange.calls.reset();
+
+    foundation.layoutOptions(['two']);
+    expect(mockAdapter.setSelectedIndex).toHaveBeenCalledWith(2);
+    expect(mockAdapter.notifyChange).not.toHaveBeenCalled();
+  });
+
+  it('#layoutOptions clears the selection without notifying if the previous ' +
+         'value is no longer an option',
+     () => {
+       const {foundation, mockAdapter} = setupTest();
+       foundation.init();
+       mockAdapter.getMenuItemCount.and.returnValue(3);
+       mockAdapter.getMenuItemValues.and.returnValue(['zero', 'one', 'two']);
+       mockAdapter.getSelectedIndex.and.returnValue(1);
+       foundation.setSelectedIndex(1, false, /** skipNotify */ true);
+       mockAdapter.getSelectedIndex.and.returnValue(-1);
+
+       foundation.layoutOptions(['removed']);
+       expect(mockAdapter.setSelectedIndex).toHaveBeenCalledWith(-1);
+       expect(foundation.getValue()).toEqual('');
+       expect(mockAdapter.notifyChange).not.toHaveBeenCalled();
+     });
+
+  it('#layoutOptions keeps a previous value that is no longer an option ' +
+         'while loading',
+     () => {
+       const {foundation, mockAdapter} = setupTest();
+       foundation.init();
+       mockAdapter.getMenuItemCount.and.returnValue(3);
+       mockAdapter.getMenuItemValues.and.returnValue(['zero', 'one', 'two']);
+       mockAdapter.getSelectedIndex.and.returnValue(-1);
+       mockAdapter.notifyChange.calls.reset();
+
+       foundation.setLoading(true);
+       foundation.layoutOptions(['removed']);
+       expect(foundation.getValue()).toEqual('removed');
+       expect(foundation.getValues()).toEqual(['removed']);
+       expect(mockAdapter.setSelectedText).toHaveBeenCalledWith('removed');
+       expect(mockAdapter.notifyChange).not.toHaveBeenCalled();
+
+       foundation.setSelectedIndex(1);
+       mockAdapter.getSelectedIndex.and.returnValue(1);
+       expect(foundation.getValue()).toEqual('one');
+       expect(mockAdapter.notifyChange).toHaveBeenCalled();
+     });
+
   it('#layoutOptions reinitializes selected empty value', () => {
     const {foundation, mockAdapter} = setupTest();
     foundation.init();
@@ -1020,4 +1083,384 @@ describe('MDCSelectFoundation', () => {
        foundation.init();
        expect(foundation.notchOutline).toHaveBeenCalledTimes(1);
      });
+
+  describe('multi-select', () => {
+    function setupMultipleTest() {
+      const {foundation, mockAdapter} = setupTest();
+      let selectedIndices: number[] = [];
+
+      mockAdapter.hasClass.withArgs(cssClasses.MULTIPLE).and.returnValue(true);
+      mockAdapter.getMenuItemValues.and.returnValue(['foo', 'bar', 'baz']);
+      mockAdapter.getMenuItemTextAtIndex.withArgs(2).and.returnValue('baz');
+      mockAdapter.getMenuItemCount.and.returnValue(3);
+      mockAdapter.getSelectedIndices.and.callFake(() => selectedIndices);
+      mockAdapter.setSelectedIndices.and.callFake((indices: number[]) => {
+        selectedIndices = indices;
+      });
+
+      foundation.init();
+      return {foundation, mockAdapter};
+    }
+
+    it('#setValues selects the items with the given values', () => {
+      const {foundation, mockAdapter} = setupMultipleTest();
+      foundation.setValues(['baz', 'foo']);
+
+      expect(mockAdapter.setSelectedIndices).toHaveBeenCalledWith([0, 2]);
+      expect(mockAdapter.setSelectedText).toHaveBeenCalledWith('foo, baz');
+      expect(foundation.getValues()).toEqual(['foo', 'baz']);
+      expect(foundation.getSelectedIndices()).toEqual([0, 2]);
+      expect(mockAdapter.notifyChange).toHaveBeenCalledWith('foo');
+      expect(mockAdapter.notifyChange).toHaveBeenCalledTimes(1);
+    });
+
+    it('#setValues only notifies when the selection changes', () => {
+      const {foundation, mockAdapter} = setupMultipleTest();
+      foundation.setValues(['bar']);
+      foundation.setValues(['bar']);
+      foundation.setValues(['bar', 'baz'], /** skipNotify */ true);
+
+      expect(mockAdapter.notifyChange).toHaveBeenCalledTimes(1);
+    });
+
+    it('#getValue and #getSelectedIndex return the first selected item', () => {
+      const {foundation} = setupMultipleTest();
+      expect(foundation.getValue()).toEqual('');
+      expect(foundation.getSelectedIndex()).toEqual(-1);
+
+      foundation.setValues(['baz', 'bar']);
+      expect(foundation.getValue()).toEqual('bar');
+      expect(foundation.getSelectedIndex()).toEqual(1);
+    });
+
+    it('#setSelectedIndex selects only the item at the given index', () => {
+      const {foundation, mockAdapter} = setupMultipleTest();
+      foundation.setValues(['foo', 'bar']);
+      foundation.setSelectedIndex(2);
+      expect(foundation.getValues()).toEqual(['baz']);
+
+      foundation.setSelectedIndex(-1);
+      expect(foundation.getValues()).toEqual([]);
+      expect(mockAdapter.setSelectedText).toHaveBeenCalledWith('');
+    });
+
+    it('#handleMenuItemAction syncs with the menu selection and keeps the ' +
+           'menu open',
+       () => {
+         const {foundation, mockAdapter} = setupMultipleTest();
+         // The menu's checkbox list toggles the item before the action.
+         mockAdapter.getSelectedIndices.and.returnValue([2, 1]);
+         foundation.handleMenuItemAction(1);
+
+         expect(mockAdapter.setSelectedText).toHaveBeenCalledWith('bar, baz');
+         expect(mockAdapter.notifyChange).toHaveBeenCalledWith('bar');
+         expect(mockAdapter.closeMenu).not.toHaveBeenCalled();
+       });
+
+    it('sets the selected chips for the chips variant', () => {
+      const {foundation, mockAdapter} = setupMultipleTest();
+      mockAdapter.hasClass.withArgs(cssClasses.CHIPS).and.returnValue(true);
+      foundation.setValues(['foo', 'baz']);
+
+      expect(mockAdapter.setSelectedChips).toHaveBeenCalledWith(['foo', 'baz']);
+      expect(mockAdapter.setSelectedText).not.toHaveBeenCalledWith('foo, baz');
+    });
+
+    it('#handleKeydown opens the menu without changing the selection', () => {
+      const {foundation, mockAdapter} = setupMultipleTest();
+      mockAdapter.hasClass.withArgs(cssClasses.FOCUSED).and.returnValue(true);
+      mockAdapter.typeaheadMatchItem.and.returnValue(2);
+      const event = {key: 'ArrowDown', preventDefault: () => undefined} as any;
+      foundation.handleKeydown(event);
+      foundation['isMenuOpen'] = false;
+      event.key = 'b';
+      foundation.handleKeydown(event);
+
+      expect(mockAdapter.openMenu).toHaveBeenCalledTimes(1);
+      expect(mockAdapter.setSelectedIndices).not.toHaveBeenCalledWith([1]);
+      expect(mockAdapter.setSelectedIndices).not.toHaveBeenCalledWith([2]);
+      expect(foundation.getValues()).toEqual([]);
+    });
+
+    it('#layout floats the label if any item is selected', () => {
+      const {foundation, mockAdapter} = setupMultipleTest();
+      foundation.setValues(['baz']);
+      mockAdapter.floatLabel.calls.reset();
+
+      foundation.layout();
+      expect(mockAdapter.floatLabel).toHaveBeenCalledWith(true);
+    });
+  });
+
+  it('#setRequired sets the required state of the native validation input',
+     () => {
+       const {foundation, mockAdapter} = setupTest();
+       foundation.setRequired(true);
+       expect(mockAdapter.setNativeRequired).toHaveBeenCalledWith(true);
+       foundation.setRequired(false);
+       expect(mockAdapter.setNativeRequired).toHaveBeenCalledWith(false);
+     });
+
+  it('#init sets the required state of the native validation input', () => {
+    const {foundation, mockAdapter} = setupTest();
+    mockAdapter.getSelectAnchorAttr.withArgs('aria-required')
+        .and.returnValue('true');
+    foundation.init();
+    expect(mockAdapter.setNativeRequired).toHaveBeenCalledWith(true);
+  });
+
+  it('#setValidator sets the custom validity to the validator\'s message',
+     () => {
+       const {foundation, mockAdapter} = setupTest();
+       mockAdapter.getSelectedIndex.and.returnValue(1);
+       foundation.setValidator(
+           (value, values) => `${value} ${values.join()} is invalid`);
+
+       expect(foundation.getValidationMessage()).toEqual('bar bar is invalid');
+       expect(mockAdapter.setCustomValidity)
+           .toHaveBeenCalledWith('bar bar is invalid');
+       expect(foundation.isValid()).toBe(false);
+
+       foundation.setValidator(null);
+       expect(mockAdapter.setCustomValidity).toHaveBeenCalledWith('');
+       expect(foundation.isValid()).toBe(true);
+     });
+
+  it('#setSelectedIndex updates the custom validity', () => {
+    const {foundation, mockAdapter} = setupTest();
+    foundation.setValidator((value) => value === 'foo' ? 'No foo' : '');
+    mockAdapter.getSelectedIndex.and.returnValue(0);
+    foundation.setSelectedIndex(0);
+
+    expect(mockAdapter.setCustomValidity.calls.mostRecent().args).toEqual([
+      'No foo'
+    ]);
+  });
+
+  it('#handleChange shows the validator\'s message in the helper text',
+     () => {
+       const {foundation, mockAdapter, helperText} = setupTest(true, true);
+       foundation.setValidator(() => 'Invalid');
+       foundation.handleChange();
+
+       expect(helperText.setContent).toHaveBeenCalledWith('Invalid');
+       expect(mockAdapter.addClass).toHaveBeenCalledWith(cssClasses.INVALID);
+       expect(helperText.setValidity).toHaveBeenCalledWith(false);
+     });
+
+  it('#handleChange restores the helper text content once the value is valid',
+     () => {
+       const {foundation, helperText} = setupTest(true, true);
+       helperText.getContent.and.returnValue('Pick a fruit');
+       let message = 'Invalid';
+       foundation.setValidator(() => message);
+       foundation.handleChange();
+       expect(helperText.setContent).toHaveBeenCalledWith('Invalid');
+
+       message = '';
+       foundation.handleChange();
+       expect(helperText.setContent).toHaveBeenCalledWith('Pick a fruit');
+     });
+
+  it('#setValid restores the helper text content when valid', () => {
+    const {foundation, helperText} = setupTest(true, true);
+    helperText.getContent.and.returnValue('Pick a fruit');
+    foundation.setValidator(() => 'Invalid');
+    foundation.handleInvalid();
+    helperText.setContent.calls.reset();
+
+    foundation.setValid(true);
+    expect(helperText.setContent).toHaveBeenCalledWith('Pick a fruit');
+  });
+
+  it('#handleChange validates a select with a validator even if it is not ' +
+         'required',
+     () => {
+       const {foundation, mockAdapter} = setupTest();
+       foundation.setValidator(() => '');
+       foundation.handleChange();
+
+       expect(mockAdapter.removeClass).toHaveBeenCalledWith(cssClasses.INVALID);
+     });
+
+  it('#isValid ignores the validator when disabled', () => {
+    const {foundation, mockAdapter} = setupTest();
+    foundation.setValidator(() => 'Invalid');
+    mockAdapter.hasClass.withArgs(cssClasses.DISABLED).and.returnValue(true);
+
+    expect(foundation.isValid()).toBe(true);
+  });
+
+  it('#handleInvalid marks the select as invalid', () => {
+    const {foundation, mockAdapter, helperText} = setupTest(true, true);
+    foundation.setValidator(() => 'Invalid');
+    foundation.handleInvalid();
+
+    expect(helperText.setContent).toHaveBeenCalledWith('Invalid');
+    expect(mockAdapter.addClass).toHaveBeenCalledWith(cssClasses.INVALID);
+    expect(mockAdapter.setSelectAnchorAttr)
+        .toHaveBeenCalledWith('aria-invalid', 'true');
+  });
+
+  describe('combobox', () => {
+    function setupComboboxTest() {
+      const {foundation, mockAdapter} = setupTest();
+      const texts = ['Apple', 'Pear', 'Pineapple'];
+
+      mockAdapter.hasClass.withArgs(cssClasses.COMBOBOX).and.returnValue(true);
+      mockAdapter.getMenuItemValues.and.returnValue(['apple', 'pear', 'pine']);
+      mockAdapter.getMenuItemCount.and.callFake(() => texts.length);
+      for (let i = 0; i < 4; i++) {
+        mockAdapter.getMenuItemTextAtIndex.withArgs(i).and.callFake(
+            () => texts[i]);
+      }
+      mockAdapter.getMenuItemId.and.callFake(
+          (index: number) => `option-${index}`);
+
+      foundation.init();
+      return {foundation, mockAdapter, texts};
+    }
+
+    function keydown(foundation: MDCSelectFoundation, key: string) {
+      const event = {key, preventDefault: jasmine.createSpy('preventDefault')};
+      foundation.handleKeydown(event as any);
+      return event;
+    }
+
+    it('#handleInput hides the items that do not match the query', () => {
+      const {foundation, mockAdapter} = setupComboboxTest();
+      foundation.handleInput('APP');
+
+      expect(mockAdapter.setMenuItemHidden).toHaveBeenCalledWith(0, false);
+      expect(mockAdapter.setMenuItemHidden).toHaveBeenCalledWith(1, true);
+      expect(mockAdapter.setMenuItemHidden).toHaveBeenCalledWith(2, false);
+      expect(mockAdapter.highlightMenuItemText).toHaveBeenCalledWith(0, 0, 3);
+      expect(mockAdapter.highlightMenuItemText).toHaveBeenCalledWith(1, 0, 0);
+      expect(mockAdapter.highlightMenuItemText).toHaveBeenCalledWith(2, 4, 7);
+    });
+
+    it('#handleInput opens the menu, activates the first match and notifies',
+       () => {
+         const {foundation, mockAdapter} = setupComboboxTest();
+         foundation.handleInput('pe');
+
+         expect(mockAdapter.openMenu).toHaveBeenCalledTimes(1);
+         expect(mockAdapter.setMenuItemActive).toHaveBeenCalledWith(1, true);
+         expect(mockAdapter.setSelectAnchorAttr)
+             .toHaveBeenCalledWith(strings.ARIA_ACTIVEDESCENDANT, 'option-1');
+         expect(mockAdapter.notifyInput).toHaveBeenCalledWith('pe');
+       });
+
+    it('#handleInput does nothing if the select is not a combobox', () => {
+      const {foundation, mockAdapter} = setupTest();
+      foundation.init();
+      foundation.handleInput('pe');
+
+      expect(mockAdapter.setMenuItemHidden).not.toHaveBeenCalled();
+      expect(mockAdapter.openMenu).not.toHaveBeenCalled();
+      expect(mockAdapter.notifyInput).not.toHaveBeenCalled();
+    });
+
+    it('#handleInput does not replace the query with the selected text', () => {
+      const {foundation, mockAdapter} = setupComboboxTest();
+      foundation.handleInput('pe');
+      mockAdapter.setSelectedText.calls.reset();
+      foundation.setSelectedIndex(2);
+
+      expect(mockAdapter.setSelectedText).not.toHaveBeenCalled();
+    });
+
+    it('#handleMenuOpened activates the selected item without focusing it',
+       () => {
+         const {foundation, mockAdapter} = setupComboboxTest();
+         mockAdapter.getSelectedIndex.and.returnValue(2);
+         foundation.handleMenuOpened();
+
+         expect(mockAdapter.setMenuItemActive).toHaveBeenCalledWith(2, true);
+         expect(mockAdapter.focusMenuItemAtIndex).not.toHaveBeenCalled();
+       });
+
+    it('arrow keys move the active item within the matching items', () => {
+      const {foundation, mockAdapter} = setupComboboxTest();
+      foundation.handleInput('p');
+      mockAdapter.setMenuItemActive.calls.reset();
+
+      const event = keydown(foundation, 'ArrowDown');
+      expect(mockAdapter.setMenuItemActive).toHaveBeenCalledWith(1, true);
+      expect(event.preventDefault).toHaveBeenCalled();
+      keydown(foundation, 'ArrowDown');
+      keydown(foundation, 'ArrowDown');
+      expect(mockAdapter.setMenuItemActive).toHaveBeenCalledWith(2, true);
+      keydown(foundation, 'ArrowUp');
+      expect(mockAdapter.setMenuItemActive.calls.mostRecent().args)
+          .toEqual([1, true]);
+    });
+
+    it('arrow keys open the menu if it is closed', () => {
+      const {foundation, mockAdapter} = setupComboboxTest();
+      keydown(foundation, 'ArrowDown');
+
+      expect(mockAdapter.openMenu).toHaveBeenCalledTimes(1);
+    });
+
+    it('Enter selects the active item and resets the filter', () => {
+      const {foundation, mockAdapter} = setupComboboxTest();
+      foundation.handleInput('pine');
+      const event = keydown(foundation, 'Enter');
+
+      expect(event.preventDefault).toHaveBeenCalled();
+      expect(mockAdapter.setSelectedIndex).toHaveBeenCalledWith(2);
+      expect(mockAdapter.closeMenu).toHaveBeenCalled();
+      expect(mockAdapter.setMenuItemHidden).toHaveBeenCalledWith(0, false);
+      expect(mockAdapter.removeSelectAnchorAttr)
+          .toHaveBeenCalledWith(strings.ARIA_ACTIVEDESCENDANT);
+    });
+
+    it('Escape closes the menu', () => {
+      const {foundation, mockAdapter} = setupComboboxTest();
+      foundation.handleInput('pe');
+      keydown(foundation, 'Escape');
+
+      expect(mockAdapter.closeMenu).toHaveBeenCalled();
+    });
+
+    it('#handleMenuClosed restores the selected text', () => {
+      const {foundation, mockAdapter} = setupComboboxTest();
+      mockAdapter.getSelectedIndex.and.returnValue(1);
+      foundation.handleInput('xyz');
+      mockAdapter.setMenuItemHidden.calls.reset();
+      foundation.handleMenuClosed();
+
+      expect(mockAdapter.setMenuItemHidden).toHaveBeenCalledWith(0, false);
+      expect(mockAdapter.setMenuItemHidden).toHaveBeenCalledWith(1, false);
+      expect(mockAdapter.setMenuItemHidden).toHaveBeenCalledWith(2, false);
+      expect(mockAdapter.setSelectedText).toHaveBeenCalledWith('Pear');
+    });
+
+    it('#layoutOptions applies the query to the updated items', () => {
+      const {foundation, mockAdapter, texts} = setupComboboxTest();
+      foundation.handleInput('an');
+      texts.push('Banana');
+      mockAdapter.setMenuItemHidden.calls.reset();
+      foundation.layoutOptions();
+
+      expect(mockAdapter.setMenuItemHidden).toHaveBeenCalledWith(3, false);
+      expect(mockAdapter.setMenuItemHidden).toHaveBeenCalledWith(0, true);
+    });
+
+    it('#setLoading toggles the loading class and aria-busy', () => {
+      const {foundation, mockAdapter} = setupComboboxTest();
+      foundation.setLoading(true);
+      expect(foundation.getLoading()).toBe(true);
+      expect(mockAdapter.addClass).toHaveBeenCalledWith(cssClasses.LOADING);
+      expect(mockAdapter.setSelectAnchorAttr)
+          .toHaveBeenCalledWith(strings.ARIA_BUSY, 'true');
+
+      foundation.setLoading(false);
+      expect(foundation.getLoading()).toBe(false);
+      expect(mockAdapter.removeClass).toHaveBeenCalledWith(cssClasses.LOADING);
+      expect(mockAdapter.setSelectAnchorAttr)
+          .toHaveBeenCalledWith(strings.ARIA_BUSY, 'false');
+    });
+  });
 });
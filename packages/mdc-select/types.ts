@@ -34,8 +34,23 @@ export interface MDCSelectEventDetail {
   index: number;
 }
 
+export interface MDCSelectInputEventDetail {
+  query: string;
+}
+
+/**
+ * Validates the select's value(s), returning a validation message if they are
+ * invalid or an empty string if they are valid. `values` only differs from
+ * `[value]` for the multi-select variant.
+ */
+export type MDCSelectValidator = (value: string, values: string[]) => string;
+
 // Note: CustomEvent<T> is not supported by Closure Compiler.
 
 export interface MDCSelectEvent extends Event {
   readonly detail: MDCSelectEventDetail;
 }
+
+export interface MDCSelectInputEvent extends Event {
+  readonly detail: MDCSelectInputEventDetail;
+}
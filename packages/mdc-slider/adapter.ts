@@ -115,6 +115,12 @@ export interface MDCSliderAdapter {
    */
   isInputFocused(thumb: Thumb): boolean;
 
+  /**
+   * @return Returns the number of thumbs, i.e. the number of thumb elements
+   *     (and inputs) within the slider.
+   */
+  getThumbCount(): number;
+
   /**
    * @return Returns the width of the given thumb knob.
    */
@@ -165,13 +171,14 @@ export interface MDCSliderAdapter {
   removeTrackActiveStyleProperty(propertyName: string): void;
 
   /**
-   * Sets value indicator text based on the given value.
+   * Sets value indicator text based on the given value, which is formatted
+   * by the value formatter if one is set.
    * - If thumb is `Thumb.START`, updates value indicator on start thumb
    *   (for range slider variant).
    * - If thumb is `Thumb.END`, updates value indicator on end thumb (or
    *   only thumb for single point slider).
    */
-  setValueIndicatorText(value: number, thumb: Thumb): void;
+  setValueIndicatorText(value: number|string, thumb: Thumb): void;
 
   /**
    * Returns a function that maps the slider value to the value of the
@@ -188,6 +195,19 @@ export interface MDCSliderAdapter {
    */
   updateTickMarks(tickMarks: TickMark[]): void;
 
+  /**
+   * Updates tick labels container element with a tick label element for each
+   * of the given labels, in order. If there are no labels, removes the tick
+   * label elements.
+   */
+  updateTickLabels(tickLabels: string[]): void;
+
+  /**
+   * Sets a style property of the tick label element at the given index.
+   */
+  setTickLabelStyleProperty(propertyName: string, value: string, index: number):
+      void;
+
   /**
    * Sets pointer capture on the slider root.
    * https://developer.mozilla.org/en-US/docs/Web/API/Element/setPointerCapture
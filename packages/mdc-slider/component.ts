@@ -31,7 +31,7 @@ import {MDCRippleFoundation} from '@material/ripple/foundation';
 import {MDCSliderAdapter} from './adapter';
 import {cssClasses, events} from './constants';
 import {MDCSliderFoundation} from './foundation';
-import {MDCSliderChangeEventDetail, Thumb, TickMark} from './types';
+import {MDCSliderChangeEventDetail, MDCSliderScale, MDCSliderTickLabel, MDCSliderValueFormatter, Thumb, TickMark} from './types';
 
 /** Vanilla JS implementation of slider component. */
 export class MDCSlider extends MDCComponent<MDCSliderFoundation> {
@@ -86,6 +86,7 @@ export class MDCSlider extends MDCComponent<MDCSliderFoundation> {
       },
       isInputFocused: (thumb: Thumb) =>
           this.getInput(thumb) === document.activeElement,
+      getThumbCount: () => this.thumbs.length,
       getThumbKnobWidth: (thumb: Thumb) => {
         return this.getThumbEl(thumb)
             .querySelector<HTMLElement>(`.${cssClasses.THUMB_KNOB}`)!
@@ -108,7 +109,7 @@ export class MDCSlider extends MDCComponent<MDCSliderFoundation> {
       removeTrackActiveStyleProperty: (propertyName) => {
         this.trackActive.style.removeProperty(propertyName);
       },
-      setValueIndicatorText: (value: number, thumb: Thumb) => {
+      setValueIndicatorText: (value: number|string, thumb: Thumb) => {
         const valueIndicatorEl =
             this.getThumbEl(thumb).querySelector<HTMLElement>(
                 `.${cssClasses.VALUE_INDICATOR_TEXT}`);
@@ -133,14 +134,46 @@ export class MDCSlider extends MDCComponent<MDCSliderFoundation> {
           this.updateTickMarks(tickMarksContainer, tickMarks);
         }
       },
+      updateTickLabels: (tickLabels: string[]) => {
+        let tickLabelsContainer = this.root.querySelector<HTMLElement>(
+            `.${cssClasses.TICK_LABELS_CONTAINER}`);
+        if (!tickLabelsContainer) {
+          if (!tickLabels.length) return;
+
+          tickLabelsContainer = document.createElement('div');
+          tickLabelsContainer.classList.add(cssClasses.TICK_LABELS_CONTAINER);
+          // Tick labels are presentational, since values are announced via the
+          // inputs.
+          tickLabelsContainer.setAttribute('aria-hidden', 'true');
+          this.root.appendChild(tickLabelsContainer);
+        }
+
+        tickLabelsContainer.innerHTML = '';
+        const fragment = document.createDocumentFragment();
+        for (const tickLabel of tickLabels) {
+          const div = document.createElement('div');
+          div.classList.add(cssClasses.TICK_LABEL);
+          div.textContent = tickLabel;
+          fragment.appendChild(div);
+        }
+        tickLabelsContainer.appendChild(fragment);
+      },
+      setTickLabelStyleProperty: (propertyName, value, index) => {
+        const tickLabelsContainer = this.root.querySelector<HTMLElement>(
+            `.${cssClasses.TICK_LABELS_CONTAINER}`)!;
+        const tickLabel = tickLabelsContainer.children[index] as HTMLElement;
+        tickLabel.style.setProperty(propertyName, value);
+      },
       setPointerCapture: (pointerId) => {
         this.root.setPointerCapture(pointerId);
       },
       emitChangeEvent: (value, thumb: Thumb) => {
-        this.emit<MDCSliderChangeEventDetail>(events.CHANGE, {value, thumb});
+        this.emit<MDCSliderChangeEventDetail>(
+            events.CHANGE, {value, thumb, index: this.getThumbIndex(thumb)});
       },
       emitInputEvent: (value, thumb: Thumb) => {
-        this.emit<MDCSliderChangeEventDetail>(events.INPUT, {value, thumb});
+        this.emit<MDCSliderChangeEventDetail>(
+            events.INPUT, {value, thumb, index: this.getThumbIndex(thumb)});
       },
       emitDragStartEvent: (_, thumb: Thumb) => {
         // Emitting event is not yet implemented. See issue:
@@ -236,6 +269,46 @@ export class MDCSlider extends MDCComponent<MDCSliderFoundation> {
     this.foundation.setValue(value);
   }
 
+  /** @return The values of all thumbs, in ascending order. */
+  getValues(): number[] {
+    return this.foundation.getValues();
+  }
+
+  /**
+   * @return The value of the given thumb of a slider with one or two thumbs.
+   */
+  getThumbValue(thumb: Thumb): number {
+    return this.foundation.getThumbValue(thumb);
+  }
+
+  /** Sets the value of the given thumb of a slider with one or two thumbs. */
+  setThumbValue(thumb: Thumb, value: number) {
+    this.foundation.setThumbValue(thumb, value);
+  }
+
+  /** @return The value of the thumb at the given zero-based index. */
+  getThumbValueAt(index: number): number {
+    return this.foundation.getThumbValueAt(index);
+  }
+
+  /** Sets the value of the thumb at the given zero-based index. */
+  setThumbValueAt(index: number, value: number) {
+    this.foundation.setThumbValueAt(index, value);
+  }
+
+  /** @return The minimum distance between neighbouring thumbs' values. */
+  getMinThumbDistance(): number {
+    return this.foundation.getMinThumbDistance();
+  }
+
+  /**
+   * Sets the minimum distance between neighbouring thumbs' values (range
+   * sliders only).
+   */
+  setMinThumbDistance(minThumbDistance: number) {
+    this.foundation.setMinThumbDistance(minThumbDistance);
+  }
+
   /** @return Slider disabled state. */
   getDisabled(): boolean {
     return this.foundation.getDisabled();
@@ -254,19 +327,59 @@ export class MDCSlider extends MDCComponent<MDCSliderFoundation> {
     this.valueToAriaValueTextFn = mapFn;
   }
 
+  /** @return The scale that maps values to positions on the track. */
+  getScale(): MDCSliderScale {
+    return this.foundation.getScale();
+  }
+
+  /**
+   * Sets the scale that maps values to positions on the track, e.g.
+   * `logarithmicScale` or a scale from `createValueListScale`.
+   */
+  setScale(scale: MDCSliderScale) {
+    this.foundation.setScale(scale);
+  }
+
+  /**
+   * Sets a function that formats values for the value indicator, and for the
+   * `aria-valuetext` attribute if no `valueToAriaValueTextFn` is set.
+   */
+  setValueFormatter(valueFormatter: MDCSliderValueFormatter|null) {
+    this.foundation.setValueFormatter(valueFormatter);
+  }
+
+  /** @return The labels rendered under the track. */
+  getTickLabels(): number|MDCSliderTickLabel[]|null {
+    return this.foundation.getTickLabels();
+  }
+
+  /**
+   * Sets the labels rendered under the track: either a number N, to label
+   * every Nth tick mark with its value, or labels at custom values.
+   */
+  setTickLabels(tickLabels: number|MDCSliderTickLabel[]|null) {
+    this.foundation.setTickLabels(tickLabels);
+  }
+
   private getThumbEl(thumb: Thumb) {
-    return thumb === Thumb.END ? this.thumbs[this.thumbs.length - 1] :
-                                 this.thumbs[0];
+    return this.thumbs[this.getThumbIndex(thumb)];
   }
 
   private getInput(thumb: Thumb) {
-    return thumb === Thumb.END ? this.inputs[this.inputs.length - 1] :
-                                 this.inputs[0];
+    return this.inputs[this.getThumbIndex(thumb)];
   }
 
   private getRipple(thumb: Thumb) {
-    return thumb === Thumb.END ? this.ripples[this.ripples.length - 1] :
-                                 this.ripples[0];
+    return this.ripples[this.getThumbIndex(thumb)];
+  }
+
+  /**
+   * @return The index of the given thumb's element, input, and ripple. Thumbs
+   *     are numbered from `Thumb.START` (1), except for the only thumb of a
+   *     single point slider (`Thumb.END`).
+   */
+  private getThumbIndex(thumb: Thumb) {
+    return this.thumbs.length === 1 ? 0 : thumb - 1;
   }
 
   /** Adds tick mark elements to the given container. */
@@ -32,6 +32,10 @@ export const cssClasses = {
   // Class added to the top thumb (for overlapping thumbs in range slider).
   THUMB_TOP: 'mdc-slider__thumb--top',
   THUMB_WITH_INDICATOR: 'mdc-slider__thumb--with-indicator',
+  TICK_LABEL: 'mdc-slider__tick-label',
+  // Class added to the root if tick labels are rendered.
+  TICK_LABELS: 'mdc-slider--tick-labels',
+  TICK_LABELS_CONTAINER: 'mdc-slider__tick-labels',
   TICK_MARKS: 'mdc-slider--tick-marks',
   TICK_MARKS_CONTAINER: 'mdc-slider__tick-marks',
   TICK_MARK_ACTIVE: 'mdc-slider__tick-mark--active',
@@ -40,14 +44,16 @@ export const cssClasses = {
   // The active track fill element that will be scaled as the value changes.
   TRACK_ACTIVE: 'mdc-slider__track--active_fill',
   VALUE_INDICATOR_TEXT: 'mdc-slider__value-indicator-text',
+  VERTICAL: 'mdc-slider--vertical',
 };
 
 /** Slider numbers. */
 export const numbers = {
   // Default step size.
   STEP_SIZE: 1,
-  // Minimum absolute difference between clientX of move event / down event
-  // for which to update thumb, in the case of overlapping thumbs.
+  // Minimum absolute difference between clientX (or clientY for vertical
+  // sliders) of move event / down event for which to update thumb, in the
+  // case of overlapping thumbs.
   // This is needed to reduce chances of choosing the thumb based on
   // pointer jitter.
   THUMB_UPDATE_MIN_PX: 5,
@@ -27,7 +27,8 @@ import {SpecificEventListener} from '@material/base/types';
 
 import {MDCSliderAdapter} from './adapter';
 import {attributes, cssClasses, numbers} from './constants';
-import {Thumb, TickMark} from './types';
+import {linearScale} from './scales';
+import {MDCSliderScale, MDCSliderScaleRange, MDCSliderTickLabel, MDCSliderValueFormatter, Thumb, TickMark} from './types';
 
 // Accessing `window` without a `typeof` check will throw on Node environments.
 const HAS_WINDOW = typeof window !== 'undefined';
@@ -35,7 +36,7 @@ const HAS_WINDOW = typeof window !== 'undefined';
 /**
  * Foundation class for slider. Responsibilities include:
  * - Updating slider values (internal state and DOM updates) based on client
- *   'x' position.
+ *   'x' position (or client 'y' position for vertical sliders).
  * - Updating DOM after slider property updates (e.g. min, max).
  */
 export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
@@ -47,11 +48,9 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
 
   private min!: number;       // Assigned in init()
   private max!: number;       // Assigned in init()
-  // If `isRange`, this is the value of Thumb.START. Otherwise, defaults to min.
-  private valueStart!: number;  // Assigned in init()
-  // If `isRange`, this it the value of Thumb.END. Otherwise, it is the
-  // value of the single thumb.
-  private value!: number;     // Assigned in init()
+  // Values of the thumbs, in ascending order. For single point sliders, this
+  // only contains the value of the single thumb.
+  private values!: number[];  // Assigned in init()
   private rect!: ClientRect;  // Assigned in layout() via init()
 
   private isDisabled = false;
@@ -59,26 +58,38 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
   private isDiscrete = false;
   private step = numbers.STEP_SIZE;
   private hasTickMarks = false;
+  // Maps values to positions on the track, and determines allowed values.
+  private scale: MDCSliderScale = linearScale;
+  // Formats values for the value indicator and `aria-valuetext`.
+  private valueFormatter: MDCSliderValueFormatter|null = null;
+  // Labels rendered under the track: either a label for every Nth tick mark,
+  // or labels at custom values.
+  private tickLabels: number|MDCSliderTickLabel[]|null = null;
+  // Whether the slider is vertical, i.e. values grow from bottom to top.
+  private isVertical = false;
 
   // The following properties are only set for range sliders.
   private isRange = false;
+  // Number of thumbs: at least two for range sliders.
+  private thumbCount = 1;
+  // Minimum distance between the values of neighbouring thumbs.
+  private minThumbDistance = 0;
   // Tracks the thumb being moved across a slider pointer interaction (down,
   // move event).
   private thumb: Thumb|null = null;
-  // `clientX` from the most recent down event. Used in subsequent move
-  // events to determine which thumb to move (in the case of
-  // overlapping thumbs).
-  private downEventClientX: number|null = null;
-  // `valueStart` before the most recent down event. Used in subsequent up
+  // `clientX` (or `clientY` for vertical sliders) from the most recent down
+  // event. Used in subsequent move events to determine which thumb to move
+  // (in the case of overlapping thumbs).
+  private downEventClientPosition: number|null = null;
+  // Indices of the thumbs that may be moved after the most recent down event,
+  // if it could not be determined yet: the first one is moved if the pointer
+  // is dragged towards lower values, and the second one otherwise.
+  private downEventThumbIndices: [number, number] = [0, 0];
+  // `values` before the most recent down event. Used in subsequent up
   // events to determine whether to fire the `change` event.
-  private valueStartBeforeDownEvent!: number;  // Assigned in init()
-  // `value` before the most recent down event. Used in subsequent up
-  // events to determine whether to fire the `change` event.
-  private valueBeforeDownEvent!: number;  // Assigned in init()
-  // Width of the start thumb knob.
-  private startThumbKnobWidth = 0;
-  // Width of the end thumb knob.
-  private endThumbKnobWidth = 0;
+  private valuesBeforeDownEvent!: number[];  // Assigned in init()
+  // Widths of the thumb knobs.
+  private thumbKnobWidths: number[] = [];
 
   // Assigned in #initialize.
   private mousedownOrTouchstartListener!:
@@ -94,18 +105,10 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
       SpecificEventListener<'mouseenter'>;  // Assigned in #initialize.
   private thumbMouseleaveListener!:
       SpecificEventListener<'mouseleave'>;  // Assigned in #initialize.
-  private inputStartChangeListener!:
-      SpecificEventListener<'change'>;  // Assigned in #initialize.
-  private inputEndChangeListener!:
-      SpecificEventListener<'change'>;  // Assigned in #initialize.
-  private inputStartFocusListener!:
-      SpecificEventListener<'focus'>;  // Assigned in #initialize.
-  private inputEndFocusListener!:
-      SpecificEventListener<'focus'>;  // Assigned in #initialize.
-  private inputStartBlurListener!:
-      SpecificEventListener<'blur'>;  // Assigned in #initialize.
-  private inputEndBlurListener!:
-      SpecificEventListener<'blur'>;  // Assigned in #initialize.
+  // Listeners for each thumb's input, ordered by thumb.
+  private inputChangeListeners: Array<SpecificEventListener<'change'>> = [];
+  private inputFocusListeners: Array<SpecificEventListener<'focus'>> = [];
+  private inputBlurListeners: Array<SpecificEventListener<'blur'>> = [];
   private resizeListener!:
       SpecificEventListener<'resize'>;  // Assigned in #initialize.
 
@@ -130,6 +133,7 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
       removeInputAttribute: () => null,
       focusInput: () => undefined,
       isInputFocused: () => false,
+      getThumbCount: () => 1,
       getThumbKnobWidth: () => 0,
       getThumbBoundingClientRect: () =>
           ({top: 0, right: 0, bottom: 0, left: 0, width: 0, height: 0}),
@@ -143,6 +147,8 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
       setValueIndicatorText: () => undefined,
       getValueToAriaValueTextFn: () => null,
       updateTickMarks: () => undefined,
+      updateTickLabels: () => undefined,
+      setTickLabelStyleProperty: () => undefined,
       setPointerCapture: () => undefined,
       emitChangeEvent: () => undefined,
       emitInputEvent: () => undefined,
@@ -167,35 +173,35 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
     this.isDiscrete = this.adapter.hasClass(cssClasses.DISCRETE);
     this.hasTickMarks = this.adapter.hasClass(cssClasses.TICK_MARKS);
     this.isRange = this.adapter.hasClass(cssClasses.RANGE);
+    this.isVertical = this.adapter.hasClass(cssClasses.VERTICAL);
+    this.thumbCount =
+        this.isRange ? Math.max(2, this.adapter.getThumbCount()) : 1;
 
+    const firstThumb = this.getThumbAt(0);
+    const lastThumb = this.getThumbAt(this.thumbCount - 1);
     const min = this.convertAttributeValueToNumber(
-        this.adapter.getInputAttribute(
-            attributes.INPUT_MIN, this.isRange ? Thumb.START : Thumb.END),
+        this.adapter.getInputAttribute(attributes.INPUT_MIN, firstThumb),
         attributes.INPUT_MIN);
     const max = this.convertAttributeValueToNumber(
-        this.adapter.getInputAttribute(attributes.INPUT_MAX, Thumb.END),
+        this.adapter.getInputAttribute(attributes.INPUT_MAX, lastThumb),
         attributes.INPUT_MAX);
-    const value = this.convertAttributeValueToNumber(
-        this.adapter.getInputAttribute(attributes.INPUT_VALUE, Thumb.END),
-        attributes.INPUT_VALUE);
-    const valueStart = this.isRange ?
-        this.convertAttributeValueToNumber(
-            this.adapter.getInputAttribute(attributes.INPUT_VALUE, Thumb.START),
-            attributes.INPUT_VALUE) :
-        min;
+    const values = [];
+    for (let i = 0; i < this.thumbCount; i++) {
+      values.push(this.convertAttributeValueToNumber(
+          this.adapter.getInputAttribute(
+              attributes.INPUT_VALUE, this.getThumbAt(i)),
+          attributes.INPUT_VALUE));
+    }
 
-    this.validateProperties({min, max, value, valueStart});
+    this.validateProperties({min, max, values});
 
     this.min = min;
     this.max = max;
-    this.value = value;
-    this.valueStart = valueStart;
-
-    this.valueBeforeDownEvent = value;
-    this.valueStartBeforeDownEvent = valueStart;
+    this.values = values;
+    this.valuesBeforeDownEvent = values.slice();
 
     const stepAttr =
-        this.adapter.getInputAttribute(attributes.INPUT_STEP, Thumb.END);
+        this.adapter.getInputAttribute(attributes.INPUT_STEP, lastThumb);
     if (stepAttr) {
       this.step =
           this.convertAttributeValueToNumber(stepAttr, attributes.INPUT_STEP);
@@ -213,24 +219,21 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
     this.pointerupListener = this.handlePointerup.bind(this);
     this.thumbMouseenterListener = this.handleThumbMouseenter.bind(this);
     this.thumbMouseleaveListener = this.handleThumbMouseleave.bind(this);
-    this.inputStartChangeListener = () => {
-      this.handleInputChange(Thumb.START);
-    };
-    this.inputEndChangeListener = () => {
-      this.handleInputChange(Thumb.END);
-    };
-    this.inputStartFocusListener = () => {
-      this.handleInputFocus(Thumb.START);
-    };
-    this.inputEndFocusListener = () => {
-      this.handleInputFocus(Thumb.END);
-    };
-    this.inputStartBlurListener = () => {
-      this.handleInputBlur(Thumb.START);
-    };
-    this.inputEndBlurListener = () => {
-      this.handleInputBlur(Thumb.END);
-    };
+    this.inputChangeListeners = [];
+    this.inputFocusListeners = [];
+    this.inputBlurListeners = [];
+    for (let i = 0; i < this.thumbCount; i++) {
+      const thumb = this.getThumbAt(i);
+      this.inputChangeListeners.push(() => {
+        this.handleInputChange(thumb);
+      });
+      this.inputFocusListeners.push(() => {
+        this.handleInputFocus(thumb);
+      });
+      this.inputBlurListeners.push(() => {
+        this.handleInputBlur(thumb);
+      });
+    }
     this.resizeListener = this.handleResize.bind(this);
     this.registerEventHandlers();
   }
@@ -249,7 +252,7 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
 
   /**
    * - For single point sliders, returns the thumb value.
-   * - For range (two-thumb) sliders, returns the end thumb's value.
+   * - For range sliders, returns the last thumb's value.
    */
   getValue() {
     return this.value;
@@ -257,21 +260,15 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
 
   /**
    * - For single point sliders, sets the thumb value.
-   * - For range (two-thumb) sliders, sets the end thumb's value.
+   * - For range sliders, sets the last thumb's value.
    */
   setValue(value: number) {
-    if (this.isRange && value < this.valueStart) {
-      throw new Error(
-          `end thumb value (${value}) must be >= start thumb ` +
-          `value (${this.valueStart})`);
-    }
-
-    this.updateValue(value, Thumb.END);
+    this.setThumbValue(this.getThumbAt(this.thumbCount - 1), value);
   }
 
   /**
    * Only applicable for range sliders.
-   * @return The start thumb's value.
+   * @return The first thumb's value.
    */
   getValueStart() {
     if (!this.isRange) {
@@ -282,25 +279,174 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
   }
 
   /**
-   * Only applicable for range sliders. Sets the start thumb's value.
+   * Only applicable for range sliders. Sets the first thumb's value.
    */
   setValueStart(valueStart: number) {
     if (!this.isRange) {
       throw new Error('`valueStart` is only applicable for range sliders.');
     }
-    if (this.isRange && valueStart > this.value) {
+
+    this.setThumbValue(Thumb.START, valueStart);
+  }
+
+  /**
+   * @return The number of thumbs: 1 for single point sliders, and at least 2
+   *     for range sliders.
+   */
+  getThumbCount() {
+    return this.thumbCount;
+  }
+
+  /** @return The values of all thumbs, in ascending order. */
+  getValues() {
+    return this.values.slice();
+  }
+
+  /**
+   * @param thumb `Thumb.END` for single point sliders, and `Thumb.START` or
+   *     `Thumb.END` for range sliders with two thumbs. Use `#getThumbValueAt`
+   *     for range sliders with more than two thumbs.
+   * @return The given thumb's value.
+   */
+  getThumbValue(thumb: Thumb) {
+    return this.getThumbValueAt(this.getThumbIndex(thumb));
+  }
+
+  /**
+   * Sets the given thumb's value. See `#getThumbValue` for the given thumb, and
+   * `#setThumbValueAt` for errors thrown.
+   */
+  setThumbValue(thumb: Thumb, value: number) {
+    this.setThumbValueAt(this.getThumbIndex(thumb), value);
+  }
+
+  /**
+   * @param index Zero-based index of the thumb, in ascending order of values.
+   * @return The value of the thumb at the given index.
+   */
+  getThumbValueAt(index: number) {
+    return this.values[index];
+  }
+
+  /**
+   * Sets the value of the thumb at the given zero-based index. Throws an error
+   * if the value is closer than the minimum thumb distance to (or past) the
+   * value of a neighbouring thumb, where the thumb is the end thumb of the pair
+   * with its previous thumb, and the start thumb of the pair with its next
+   * thumb.
+   */
+  setThumbValueAt(index: number, value: number) {
+    if (index > 0 && value < this.values[index - 1] + this.minThumbDistance) {
+      throw new Error(
+          `end thumb value (${value}) must be >= start thumb ` +
+          `value (${this.values[index - 1]}) + min thumb distance ` +
+          `(${this.minThumbDistance})`);
+    }
+    if (index < this.thumbCount - 1 &&
+        value > this.values[index + 1] - this.minThumbDistance) {
+      throw new Error(
+          `start thumb value (${value}) must be <= end thumb ` +
+          `value (${this.values[index + 1]}) - min thumb distance ` +
+          `(${this.minThumbDistance})`);
+    }
+
+    this.updateValue(value, this.getThumbAt(index));
+  }
+
+  getMinThumbDistance() {
+    return this.minThumbDistance;
+  }
+
+  /**
+   * Only applicable for range sliders. Sets the minimum distance between the
+   * values of neighbouring thumbs, which thumbs are kept apart by when moved.
+   * Throws an error if the current values are closer than the given distance.
+   */
+  setMinThumbDistance(minThumbDistance: number) {
+    if (!this.isRange) {
       throw new Error(
-          `start thumb value (${valueStart}) must be <= end thumb ` +
-          `value (${this.value})`);
+          '`minThumbDistance` is only applicable for range sliders.');
+    }
+    if (minThumbDistance < 0) {
+      throw new Error(
+          `min thumb distance must be >= 0. ` +
+          `Current distance: ${minThumbDistance}`);
+    }
+    for (let i = 1; i < this.thumbCount; i++) {
+      if (this.values[i] - this.values[i - 1] < minThumbDistance) {
+        throw new Error(
+            `thumb values must be at least ${minThumbDistance} apart. ` +
+            `Current values: [${this.values.join(', ')}]`);
+      }
     }
 
-    this.updateValue(valueStart, Thumb.START);
+    this.minThumbDistance = minThumbDistance;
+    for (let i = 0; i < this.thumbCount; i++) {
+      this.updateThumbAndInputAttributes(this.getThumbAt(i));
+    }
   }
 
   getStep() {
     return this.step;
   }
 
+  getScale() {
+    return this.scale;
+  }
+
+  /**
+   * Sets the scale that maps values to positions on the track (e.g.
+   * `logarithmicScale`), and updates the UI accordingly.
+   */
+  setScale(scale: MDCSliderScale) {
+    this.scale = scale;
+    this.updateUI();
+    this.updateTickLabelsUI();
+  }
+
+  getValueFormatter() {
+    return this.valueFormatter;
+  }
+
+  /**
+   * Sets a function that formats values for the value indicator, and for the
+   * `aria-valuetext` attribute if `Adapter#getValueToAriaValueTextFn` returns
+   * null. Updates the UI accordingly.
+   */
+  setValueFormatter(valueFormatter: MDCSliderValueFormatter|null) {
+    this.valueFormatter = valueFormatter;
+    this.updateValueIndicatorUI();
+    for (let i = 0; i < this.thumbCount; i++) {
+      this.updateAriaValueText(this.getThumbAt(i));
+    }
+    this.updateTickLabelsUI();
+  }
+
+  getTickLabels() {
+    return this.tickLabels;
+  }
+
+  /**
+   * Sets the labels rendered under the track, and updates the UI accordingly:
+   * - If a number N, every Nth tick mark (starting with the tick mark at
+   *   `min`) is labelled with its value, formatted by the value formatter.
+   *   Tick marks are at every step, or at the values of the scale's tick marks
+   *   if it defines them.
+   * - If an array of labels, each label is rendered at its value.
+   * - If null, no labels are rendered.
+   */
+  setTickLabels(tickLabels: number|MDCSliderTickLabel[]|null) {
+    if (typeof tickLabels === 'number' &&
+        (tickLabels < 1 || Math.floor(tickLabels) !== tickLabels)) {
+      throw new Error(
+          `MDCSliderFoundation: tick label interval must be a positive ` +
+          `integer. Current interval: ${tickLabels}`);
+    }
+
+    this.tickLabels = tickLabels;
+    this.updateTickLabelsUI();
+  }
+
   getDisabled() {
     return this.isDisabled;
   }
@@ -313,20 +459,18 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
 
     if (disabled) {
       this.adapter.addClass(cssClasses.DISABLED);
-
-      if (this.isRange) {
-        this.adapter.setInputAttribute(
-            attributes.INPUT_DISABLED, '', Thumb.START);
-      }
-      this.adapter.setInputAttribute(attributes.INPUT_DISABLED, '', Thumb.END);
     } else {
       this.adapter.removeClass(cssClasses.DISABLED);
+    }
 
-      if (this.isRange) {
+    for (let i = 0; i < this.thumbCount; i++) {
+      if (disabled) {
+        this.adapter.setInputAttribute(
+            attributes.INPUT_DISABLED, '', this.getThumbAt(i));
+      } else {
         this.adapter.removeInputAttribute(
-            attributes.INPUT_DISABLED, Thumb.START);
+            attributes.INPUT_DISABLED, this.getThumbAt(i));
       }
-      this.adapter.removeInputAttribute(attributes.INPUT_DISABLED, Thumb.END);
     }
   }
 
@@ -335,6 +479,11 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
     return this.isRange;
   }
 
+  /** @return Whether the slider is a vertical slider. */
+  getIsVertical() {
+    return this.isVertical;
+  }
+
   /**
    * - Syncs slider boundingClientRect with the current DOM.
    * - Updates UI based on internal state.
@@ -342,12 +491,18 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
   layout({skipUpdateUI}: {skipUpdateUI?: boolean} = {}) {
     this.rect = this.adapter.getBoundingClientRect();
     if (this.isRange) {
-      this.startThumbKnobWidth = this.adapter.getThumbKnobWidth(Thumb.START);
-      this.endThumbKnobWidth = this.adapter.getThumbKnobWidth(Thumb.END);
+      this.thumbKnobWidths = [];
+      for (let i = 0; i < this.thumbCount; i++) {
+        this.thumbKnobWidths.push(
+            this.adapter.getThumbKnobWidth(this.getThumbAt(i)));
+      }
     }
 
     if (!skipUpdateUI) {
       this.updateUI();
+      if (this.tickLabels !== null) {
+        this.updateTickLabelsUI();
+      }
     }
   }
 
@@ -362,15 +517,12 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
   handleDown(event: PointerEvent|MouseEvent|TouchEvent) {
     if (this.isDisabled) return;
 
-    this.valueStartBeforeDownEvent = this.valueStart;
-    this.valueBeforeDownEvent = this.value;
+    this.valuesBeforeDownEvent = this.values.slice();
 
-    const clientX = (event as MouseEvent).clientX != null ?
-        (event as MouseEvent).clientX :
-        (event as TouchEvent).targetTouches[0].clientX;
-    this.downEventClientX = clientX;
-    const value = this.mapClientXOnSliderScale(clientX);
-    this.thumb = this.getThumbFromDownEvent(clientX, value);
+    const clientPosition = this.getClientPosition(event);
+    this.downEventClientPosition = clientPosition;
+    const value = this.mapClientPositionOnSliderScale(clientPosition);
+    this.thumb = this.getThumbFromDownEvent(clientPosition, value);
     if (this.thumb === null) return;
 
     this.handleDragStart(event, value, this.thumb);
@@ -392,14 +544,12 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
     // Prevent scrolling.
     event.preventDefault();
 
-    const clientX = (event as MouseEvent).clientX != null ?
-        (event as MouseEvent).clientX :
-        (event as TouchEvent).targetTouches[0].clientX;
+    const clientPosition = this.getClientPosition(event);
     const dragAlreadyStarted = this.thumb != null;
-    this.thumb = this.getThumbFromMoveEvent(clientX);
+    this.thumb = this.getThumbFromMoveEvent(clientPosition);
     if (this.thumb === null) return;
 
-    const value = this.mapClientXOnSliderScale(clientX);
+    const value = this.mapClientPositionOnSliderScale(clientPosition);
     if (!dragAlreadyStarted) {
       this.handleDragStart(event, value, this.thumb);
       this.adapter.emitDragStartEvent(value, this.thumb);
@@ -413,10 +563,9 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
   handleUp() {
     if (this.isDisabled || this.thumb === null) return;
 
-    const oldValue = this.thumb === Thumb.START ?
-        this.valueStartBeforeDownEvent :
-        this.valueBeforeDownEvent;
-    const newValue = this.thumb === Thumb.START ? this.valueStart : this.value;
+    const index = this.getThumbIndex(this.thumb);
+    const oldValue = this.valuesBeforeDownEvent[index];
+    const newValue = this.values[index];
     if (oldValue !== newValue) {
       this.adapter.emitChangeEvent(newValue, this.thumb);
     }
@@ -426,28 +575,33 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
   }
 
   /**
-   * For range, discrete slider, shows the value indicator on both thumbs.
+   * For range, discrete slider, shows the value indicator on all thumbs.
    */
   handleThumbMouseenter() {
     if (!this.isDiscrete || !this.isRange) return;
 
-    this.adapter.addThumbClass(cssClasses.THUMB_WITH_INDICATOR, Thumb.START);
-    this.adapter.addThumbClass(cssClasses.THUMB_WITH_INDICATOR, Thumb.END);
+    for (let i = 0; i < this.thumbCount; i++) {
+      this.adapter.addThumbClass(
+          cssClasses.THUMB_WITH_INDICATOR, this.getThumbAt(i));
+    }
   }
 
   /**
-   * For range, discrete slider, hides the value indicator on both thumbs.
+   * For range, discrete slider, hides the value indicator on all thumbs.
    */
   handleThumbMouseleave() {
     if (!this.isDiscrete || !this.isRange) return;
-    if (this.adapter.isInputFocused(Thumb.START) ||
-        this.adapter.isInputFocused(Thumb.END)) {
-      // Leave value indicator shown if either input is focused.
-      return;
+    for (let i = 0; i < this.thumbCount; i++) {
+      if (this.adapter.isInputFocused(this.getThumbAt(i))) {
+        // Leave value indicator shown if any input is focused.
+        return;
+      }
     }
 
-    this.adapter.removeThumbClass(cssClasses.THUMB_WITH_INDICATOR, Thumb.START);
-    this.adapter.removeThumbClass(cssClasses.THUMB_WITH_INDICATOR, Thumb.END);
+    for (let i = 0; i < this.thumbCount; i++) {
+      this.adapter.removeThumbClass(
+          cssClasses.THUMB_WITH_INDICATOR, this.getThumbAt(i));
+    }
   }
 
   handleMousedownOrTouchstart(event: MouseEvent|TouchEvent) {
@@ -488,12 +642,16 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
    * input's new value.
    */
   handleInputChange(thumb: Thumb) {
-    const value = Number(this.adapter.getInputValue(thumb));
-    if (thumb === Thumb.START) {
-      this.setValueStart(value);
-    } else {
-      this.setValue(value);
+    let value = Number(this.adapter.getInputValue(thumb));
+    if (this.scale !== linearScale) {
+      // The input's `step` only reflects linear scales, so snap to the next
+      // allowed value in the direction of the change.
+      const oldValue = this.getThumbValue(thumb);
+      value = this.scale.quantize(
+          value, this.getScaleRange(), value - oldValue);
     }
+
+    this.setThumbValue(thumb, value);
   }
 
   /** Shows value indicator on thumb(s). */
@@ -501,9 +659,12 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
     if (!this.isDiscrete) return;
 
     this.adapter.addThumbClass(cssClasses.THUMB_WITH_INDICATOR, thumb);
-    if (this.isRange) {
-      const otherThumb = thumb === Thumb.START ? Thumb.END : Thumb.START;
-      this.adapter.addThumbClass(cssClasses.THUMB_WITH_INDICATOR, otherThumb);
+    for (let i = 0; i < this.thumbCount; i++) {
+      const otherThumb = this.getThumbAt(i);
+      if (otherThumb !== thumb) {
+        this.adapter.addThumbClass(
+            cssClasses.THUMB_WITH_INDICATOR, otherThumb);
+      }
     }
   }
 
@@ -512,10 +673,12 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
     if (!this.isDiscrete) return;
 
     this.adapter.removeThumbClass(cssClasses.THUMB_WITH_INDICATOR, thumb);
-    if (this.isRange) {
-      const otherThumb = thumb === Thumb.START ? Thumb.END : Thumb.START;
-      this.adapter.removeThumbClass(
-          cssClasses.THUMB_WITH_INDICATOR, otherThumb);
+    for (let i = 0; i < this.thumbCount; i++) {
+      const otherThumb = this.getThumbAt(i);
+      if (otherThumb !== thumb) {
+        this.adapter.removeThumbClass(
+            cssClasses.THUMB_WITH_INDICATOR, otherThumb);
+      }
     }
   }
 
@@ -531,45 +694,67 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
     this.adapter.emitDragStartEvent(value, thumb);
   }
 
+  /**
+   * @return The client position of the given event along the slider axis,
+   *     i.e. `clientY` for vertical sliders and `clientX` otherwise.
+   */
+  private getClientPosition(event: PointerEvent|MouseEvent|TouchEvent) {
+    const point = (event as MouseEvent).clientX != null ?
+        (event as MouseEvent) :
+        (event as TouchEvent).targetTouches[0];
+    return this.isVertical ? point.clientY : point.clientX;
+  }
+
   /**
    * @return The thumb to be moved based on initial down event.
    */
-  private getThumbFromDownEvent(clientX: number, value: number): Thumb|null {
+  private getThumbFromDownEvent(clientPosition: number, value: number):
+      Thumb|null {
     // For single point slider, thumb to be moved is always the END (only)
     // thumb.
     if (!this.isRange) return Thumb.END;
 
     // Check if event press point is in the bounds of any thumb.
-    const thumbStartRect = this.adapter.getThumbBoundingClientRect(Thumb.START);
-    const thumbEndRect = this.adapter.getThumbBoundingClientRect(Thumb.END);
-    const inThumbStartBounds =
-        clientX >= thumbStartRect.left && clientX <= thumbStartRect.right;
-    const inThumbEndBounds =
-        clientX >= thumbEndRect.left && clientX <= thumbEndRect.right;
-
-    if (inThumbStartBounds && inThumbEndBounds) {
+    const indicesInBounds = [];
+    for (let i = 0; i < this.thumbCount; i++) {
+      const thumbRect =
+          this.adapter.getThumbBoundingClientRect(this.getThumbAt(i));
+      if (this.isInRectBounds(clientPosition, thumbRect)) {
+        indicesInBounds.push(i);
+      }
+    }
+
+    if (indicesInBounds.length > 1) {
       // Thumbs overlapping. Thumb to be moved cannot be determined yet.
+      this.downEventThumbIndices =
+          [indicesInBounds[0], indicesInBounds[indicesInBounds.length - 1]];
       return null;
     }
 
-    // If press is in bounds for either thumb on down event, that's the thumb
-    // to be moved.
-    if (inThumbStartBounds) {
-      return Thumb.START;
-    }
-    if (inThumbEndBounds) {
-      return Thumb.END;
+    // If press is in bounds for a thumb on down event, that's the thumb to be
+    // moved.
+    if (indicesInBounds.length === 1) {
+      return this.getThumbAt(indicesInBounds[0]);
     }
 
-    // Otherwise, if press occurred outside of the range, return either start
-    // or end thumb based on which the press is closer to.
+    // Otherwise, if press occurred outside of the range, return either the
+    // first or last thumb based on which the press is closer to.
     if (value < this.valueStart) {
-      return Thumb.START;
+      return this.getThumbAt(0);
     }
     if (value > this.value) {
-      return Thumb.END;
+      return this.getThumbAt(this.thumbCount - 1);
     }
 
+    // Press occurred within the range: the thumb to be moved is one of the
+    // thumbs surrounding the press point.
+    let upperIndex = 0;
+    while (this.values[upperIndex] < value) {
+      upperIndex++;
+    }
+    const lowerIndex =
+        this.values[upperIndex] === value ? upperIndex : upperIndex - 1;
+    this.downEventThumbIndices = [lowerIndex, upperIndex];
     return null;
   }
 
@@ -578,30 +763,35 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
    *     direction from original down event). Only applicable if thumbs
    *     were overlapping in the down event.
    */
-  private getThumbFromMoveEvent(clientX: number): Thumb|null {
+  private getThumbFromMoveEvent(clientPosition: number): Thumb|null {
     // Thumb has already been chosen.
     if (this.thumb !== null) return this.thumb;
 
-    if (this.downEventClientX === null) {
-      throw new Error('`downEventClientX` is null after move event.');
+    if (this.downEventClientPosition === null) {
+      throw new Error('`downEventClientPosition` is null after move event.');
     }
 
     const moveDistanceUnderThreshold =
-        Math.abs(this.downEventClientX - clientX) < numbers.THUMB_UPDATE_MIN_PX;
+        Math.abs(this.downEventClientPosition - clientPosition) <
+        numbers.THUMB_UPDATE_MIN_PX;
     if (moveDistanceUnderThreshold) return this.thumb;
 
-    const draggedThumbToLeft = clientX < this.downEventClientX;
-    if (draggedThumbToLeft) {
-      return this.adapter.isRTL() ? Thumb.END : Thumb.START;
-    } else {
-      return this.adapter.isRTL() ? Thumb.START : Thumb.END;
+    // Values grow from left to right, except in RTL where they grow from
+    // right to left, and in vertical sliders where they grow from bottom to
+    // top.
+    let draggedToLowerValues = clientPosition < this.downEventClientPosition;
+    if (this.isVertical || this.adapter.isRTL()) {
+      draggedToLowerValues = !draggedToLowerValues;
     }
+
+    const [lowerIndex, upperIndex] = this.downEventThumbIndices;
+    return this.getThumbAt(draggedToLowerValues ? lowerIndex : upperIndex);
   }
 
   /**
    * Updates UI based on internal state.
    * @param thumb Thumb whose value is being updated. If undefined, UI is
-   *     updated for both thumbs based on current internal state.
+   *     updated for all thumbs based on current internal state.
    */
   private updateUI(thumb?: Thumb) {
     this.updateThumbAndInputAttributes(thumb);
@@ -617,15 +807,21 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
   private updateThumbAndInputAttributes(thumb?: Thumb) {
     if (!thumb) return;
 
-    const value =
-        this.isRange && thumb === Thumb.START ? this.valueStart : this.value;
+    const index = this.getThumbIndex(thumb);
+    const value = this.values[index];
     const valueStr = String(value);
     this.adapter.setInputAttribute(attributes.INPUT_VALUE, valueStr, thumb);
-    if (this.isRange && thumb === Thumb.START) {
-      this.adapter.setInputAttribute(attributes.INPUT_MIN, valueStr, Thumb.END);
-    } else if (this.isRange && thumb === Thumb.END) {
+    // Restrict the neighbouring thumbs' inputs, such that thumbs are kept
+    // apart when changed via keyboard.
+    if (index > 0) {
       this.adapter.setInputAttribute(
-          attributes.INPUT_MAX, valueStr, Thumb.START);
+          attributes.INPUT_MAX, String(value - this.minThumbDistance),
+          this.getThumbAt(index - 1));
+    }
+    if (index < this.thumbCount - 1) {
+      this.adapter.setInputAttribute(
+          attributes.INPUT_MIN, String(value + this.minThumbDistance),
+          this.getThumbAt(index + 1));
     }
 
     // Sync attribute with property.
@@ -633,11 +829,22 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
       this.adapter.setInputValue(valueStr, thumb);
     }
 
-    const valueToAriaValueTextFn = this.adapter.getValueToAriaValueTextFn();
-    if (valueToAriaValueTextFn) {
-      this.adapter.setInputAttribute(
-          attributes.ARIA_VALUETEXT, valueToAriaValueTextFn(value), thumb);
-    }
+    this.updateAriaValueText(thumb);
+  }
+
+  /**
+   * Updates `aria-valuetext` attribute of the given thumb's input based on
+   * `Adapter#getValueToAriaValueTextFn`, falling back to the value formatter.
+   * If neither is set, the attribute is unchanged.
+   */
+  private updateAriaValueText(thumb: Thumb) {
+    const valueToAriaValueTextFn =
+        this.adapter.getValueToAriaValueTextFn() || this.valueFormatter;
+    if (!valueToAriaValueTextFn) return;
+
+    this.adapter.setInputAttribute(
+        attributes.ARIA_VALUETEXT,
+        valueToAriaValueTextFn(this.getThumbValue(thumb)), thumb);
   }
 
   /**
@@ -648,22 +855,38 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
   private updateValueIndicatorUI(thumb?: Thumb) {
     if (!this.isDiscrete) return;
 
-    const value =
-        this.isRange && thumb === Thumb.START ? this.valueStart : this.value;
-    this.adapter.setValueIndicatorText(
-        value, thumb === Thumb.START ? Thumb.START : Thumb.END);
-
-    if (!thumb && this.isRange) {
-      this.adapter.setValueIndicatorText(this.valueStart, Thumb.START);
+    for (let i = 0; i < this.thumbCount; i++) {
+      const indicatorThumb = this.getThumbAt(i);
+      if (!thumb || thumb === indicatorThumb) {
+        this.adapter.setValueIndicatorText(
+            this.formatValue(this.values[i]), indicatorThumb);
+      }
     }
   }
 
+  /**
+   * @return The given value formatted by the value formatter, or the value
+   *     itself if no value formatter is set.
+   */
+  private formatValue(value: number): number|string {
+    return this.valueFormatter ? this.valueFormatter(value) : value;
+  }
+
   /**
    * Updates tick marks UI within slider, based on current min, max, and step.
    */
   private updateTickMarksUI() {
     if (!this.isDiscrete || !this.hasTickMarks) return;
 
+    if (this.scale.getTickMarkValues) {
+      const tickMarkValues = this.scale.getTickMarkValues(this.getScaleRange());
+      this.adapter.updateTickMarks(tickMarkValues.map(
+          (value) => value >= this.valueStart && value <= this.value ?
+              TickMark.ACTIVE :
+              TickMark.INACTIVE));
+      return;
+    }
+
     const numTickMarksInactiveStart = (this.valueStart - this.min) / this.step;
     const numTickMarksActive = (this.value - this.valueStart) / this.step + 1;
     const numTickMarksInactiveEnd = (this.max - this.value) / this.step;
@@ -680,21 +903,132 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
                                      .concat(tickMarksInactiveEnd));
   }
 
-  /** Maps clientX to a value on the slider scale. */
-  private mapClientXOnSliderScale(clientX: number) {
-    const xPos = clientX - this.rect.left;
-    let pctComplete = xPos / this.rect.width;
-    if (this.adapter.isRTL()) {
-      pctComplete = 1 - pctComplete;
+  /**
+   * Updates tick labels UI based on the tick labels, and current min, max,
+   * step, and scale. Labels are positioned as percentages of the track length,
+   * so that they do not need to be updated on resize.
+   */
+  private updateTickLabelsUI() {
+    if (this.tickLabels === null) {
+      this.adapter.removeClass(cssClasses.TICK_LABELS);
+      this.adapter.updateTickLabels([]);
+      return;
+    }
+
+    let tickLabels: MDCSliderTickLabel[];
+    if (typeof this.tickLabels === 'number') {
+      const interval = this.tickLabels;
+      const values =
+          this.getTickMarkValues().filter((_, i) => i % interval === 0);
+      tickLabels = values.map(
+          (value) => ({label: String(this.formatValue(value)), value}));
+    } else {
+      tickLabels = this.tickLabels.filter(
+          ({value}) => value >= this.min && value <= this.max);
     }
 
-    // Fit the percentage complete between the range [min,max]
-    // by remapping from [0, 1] to [min, min+(max-min)].
-    const value = this.min + pctComplete * (this.max - this.min);
+    this.adapter.addClass(cssClasses.TICK_LABELS);
+    this.adapter.updateTickLabels(tickLabels.map(({label}) => label));
+
+    let position = this.adapter.isRTL() ? 'right' : 'left';
+    if (this.isVertical) {
+      position = 'bottom';
+    }
+    const range = this.getScaleRange();
+    for (let i = 0; i < tickLabels.length; i++) {
+      const fraction = this.scale.valueToFraction(tickLabels[i].value, range);
+      this.adapter.setTickLabelStyleProperty(
+          position, `${fraction * 100}%`, i);
+    }
+  }
+
+  /**
+   * @return The values of the tick marks: the scale's tick mark values if it
+   *     defines them, otherwise a value for each step in [min, max].
+   */
+  private getTickMarkValues() {
+    if (this.scale.getTickMarkValues) {
+      return this.scale.getTickMarkValues(this.getScaleRange());
+    }
+
+    // Round to the precision of min and step, to avoid floating point errors
+    // such as 0.1 + 0.2 = 0.30000000000000004.
+    const numDecimalPlaces =
+        Math.max(getNumDecimalPlaces(this.min), getNumDecimalPlaces(this.step));
+    const values = [];
+    const numSteps = Math.floor((this.max - this.min) / this.step);
+    for (let i = 0; i <= numSteps; i++) {
+      values.push(Number((this.min + i * this.step).toFixed(numDecimalPlaces)));
+    }
+    return values;
+  }
+
+  /**
+   * @return Whether the given client position is within the bounds of the
+   *     given rect along the slider axis.
+   */
+  private isInRectBounds(clientPosition: number, rect: ClientRect) {
+    return this.isVertical ?
+        clientPosition >= rect.top && clientPosition <= rect.bottom :
+        clientPosition >= rect.left && clientPosition <= rect.right;
+  }
+
+  /**
+   * Maps clientX (or clientY for vertical sliders) to a value on the slider
+   * scale.
+   */
+  private mapClientPositionOnSliderScale(clientPosition: number) {
+    let pctComplete;
+    if (this.isVertical) {
+      // Vertical slider values grow from bottom to top.
+      pctComplete = (this.rect.bottom - clientPosition) / this.rect.height;
+    } else {
+      pctComplete = (clientPosition - this.rect.left) / this.rect.width;
+      if (this.adapter.isRTL()) {
+        pctComplete = 1 - pctComplete;
+      }
+    }
+
+    // Fit the percentage complete between the range [min,max] based on the
+    // scale, e.g. by remapping from [0, 1] to [min, min+(max-min)] for the
+    // linear scale.
+    const range = this.getScaleRange();
+    const value = this.scale.fractionToValue(pctComplete, range);
     if (value === this.max || value === this.min) {
       return value;
     }
-    return this.quantize(value);
+    return this.scale.quantize(value, range);
+  }
+
+  /**
+   * If `isRange`, this is the value of the first thumb (Thumb.START).
+   * Otherwise, defaults to min.
+   */
+  private get valueStart() {
+    return this.isRange ? this.values[0] : this.min;
+  }
+
+  /**
+   * If `isRange`, this is the value of the last thumb. Otherwise, it is the
+   * value of the single thumb.
+   */
+  private get value() {
+    return this.values[this.values.length - 1];
+  }
+
+  /** @return The index of the given thumb's value in `values`. */
+  private getThumbIndex(thumb: Thumb) {
+    return this.isRange ? thumb - 1 : 0;
+  }
+
+  /** @return The thumb whose value is at the given index in `values`. */
+  private getThumbAt(index: number): Thumb {
+    return this.isRange ? index + 1 : Thumb.END;
+  }
+
+  /** @return The range of values that the scale is applied to. */
+  private getScaleRange(): MDCSliderScaleRange {
+    return {min: this.min, max: this.max, step: this.step};
   }
 
   /**
@@ -706,55 +1040,39 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
   }: {emitInputEvent?: boolean, emitChangeEvent?: boolean} = {}) {
     value = this.clampValue(value, thumb);
 
-    if (this.isRange && thumb === Thumb.START) {
-      // Exit early if current value is the same as the new value.
-      if (this.valueStart === value) return;
-
-      this.valueStart = value;
-    } else {
-      // Exit early if current value is the same as the new value.
-      if (this.value === value) return;
-
-      this.value = value;
-    }
+    const index = this.getThumbIndex(thumb);
+    // Exit early if current value is the same as the new value.
+    if (this.values[index] === value) return;
 
+    this.values[index] = value;
     this.updateUI(thumb);
 
     if (emitInputEvent) {
-      this.adapter.emitInputEvent(
-          thumb === Thumb.START ? this.valueStart : this.value, thumb);
+      this.adapter.emitInputEvent(value, thumb);
     }
     if (emitChangeEvent) {
-      this.adapter.emitChangeEvent(
-          thumb === Thumb.START ? this.valueStart : this.value, thumb);
+      this.adapter.emitChangeEvent(value, thumb);
     }
   }
 
-  /** Calculates the quantized value based on step value. */
-  private quantize(value: number): number {
-    const numSteps = Math.round(value / this.step);
-    return numSteps * this.step;
-  }
-
   /**
    * Clamps the given value for the given thumb based on slider properties:
    * - Restricts value within [min, max].
-   * - If range slider, clamp start value <= end value, and
-   *   end value >= start value.
+   * - If range slider, restricts value such that the thumb stays at least
+   *   `minThumbDistance` away from its neighbouring thumbs, i.e. thumbs
+   *   cannot move past each other.
    */
   private clampValue(value: number, thumb: Thumb): number {
     // Clamp value to [min, max] range.
     value = Math.min(Math.max(value, this.min), this.max);
+    if (!this.isRange) return value;
 
-    const thumbStartMovedPastThumbEnd =
-        this.isRange && thumb === Thumb.START && value > this.value;
-    if (thumbStartMovedPastThumbEnd) {
-      return this.value;
+    const index = this.getThumbIndex(thumb);
+    if (index > 0) {
+      value = Math.max(value, this.values[index - 1] + this.minThumbDistance);
     }
-    const thumbEndMovedPastThumbStart =
-        this.isRange && thumb === Thumb.END && value < this.valueStart;
-    if (thumbEndMovedPastThumbStart) {
-      return this.valueStart;
+    if (index < this.thumbCount - 1) {
+      value = Math.min(value, this.values[index + 1] - this.minThumbDistance);
     }
 
     return value;
@@ -765,8 +1083,15 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
    * value.
    */
   private updateThumbAndTrackUI(thumb?: Thumb) {
-    const {max, min} = this;
-    const pctComplete = (this.value - this.valueStart) / (max - min);
+    if (this.isVertical) {
+      this.updateVerticalThumbAndTrackUI(thumb);
+      return;
+    }
+
+    const thumbFractions = this.getThumbFractions();
+    const startFraction = this.isRange ? thumbFractions[0] : 0;
+    const endFraction = thumbFractions[thumbFractions.length - 1];
+    const pctComplete = endFraction - startFraction;
     const rangePx = pctComplete * this.rect.width;
     const isRtl = this.adapter.isRTL();
 
@@ -774,9 +1099,11 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
         HAS_WINDOW ? getCorrectPropertyName(window, 'transform') : 'transform';
     if (this.isRange) {
       const thumbLeftPos = this.adapter.isRTL() ?
-          (max - this.value) / (max - min) * this.rect.width :
-          (this.valueStart - min) / (max - min) * this.rect.width;
+          (1 - endFraction) * this.rect.width :
+          startFraction * this.rect.width;
       const thumbRightPos = thumbLeftPos + rangePx;
+      const thumbPositions = thumbFractions.map(
+          (fraction) => (isRtl ? 1 - fraction : fraction) * this.rect.width);
 
       requestAnimationFrame(() => {
         // Set active track styles, accounting for animation direction by
@@ -797,19 +1124,17 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
             transformProp, `scaleX(${pctComplete})`);
 
         // Set thumb styles.
-        const thumbStartPos = isRtl ? thumbRightPos : thumbLeftPos;
-        const thumbEndPos = this.adapter.isRTL() ? thumbLeftPos : thumbRightPos;
-        if (thumb === Thumb.START || !thumb || !this.initialStylesRemoved) {
-          this.adapter.setThumbStyleProperty(
-              transformProp, `translateX(${thumbStartPos}px)`, Thumb.START);
-        }
-        if (thumb === Thumb.END || !thumb || !this.initialStylesRemoved) {
-          this.adapter.setThumbStyleProperty(
-              transformProp, `translateX(${thumbEndPos}px)`, Thumb.END);
+        for (let i = 0; i < this.thumbCount; i++) {
+          const styledThumb = this.getThumbAt(i);
+          if (thumb === styledThumb || !thumb || !this.initialStylesRemoved) {
+            this.adapter.setThumbStyleProperty(
+                transformProp, `translateX(${thumbPositions[i]}px)`,
+                styledThumb);
+          }
         }
 
         this.removeInitialStyles(isRtl);
-        this.updateOverlappingThumbsUI(thumbStartPos, thumbEndPos, thumb);
+        this.updateOverlappingThumbsUI(thumbPositions, thumb);
       });
     } else {
       requestAnimationFrame(() => {
@@ -824,6 +1149,78 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
     }
   }
 
+  /**
+   * Updates the active track and thumb style properties of a vertical slider
+   * to reflect current value. Thumb positions are measured from the bottom of
+   * the slider, since values grow from bottom to top.
+   */
+  private updateVerticalThumbAndTrackUI(thumb?: Thumb) {
+    const thumbFractions = this.getThumbFractions();
+    const startFraction = this.isRange ? thumbFractions[0] : 0;
+    const endFraction = thumbFractions[thumbFractions.length - 1];
+    const pctComplete = endFraction - startFraction;
+    const rangePx = pctComplete * this.rect.height;
+
+    const transformProp =
+        HAS_WINDOW ? getCorrectPropertyName(window, 'transform') : 'transform';
+    if (this.isRange) {
+      const thumbStartPos = startFraction * this.rect.height;
+      const thumbEndPos = thumbStartPos + rangePx;
+      const thumbPositions =
+          thumbFractions.map((fraction) => fraction * this.rect.height);
+
+      requestAnimationFrame(() => {
+        // Set active track styles, accounting for animation direction by
+        // setting `transform-origin`.
+        if (thumb === Thumb.START) {
+          this.adapter.setTrackActiveStyleProperty('transform-origin', 'top');
+          this.adapter.setTrackActiveStyleProperty('bottom', 'unset');
+          this.adapter.setTrackActiveStyleProperty(
+              'top', `${this.rect.height - thumbEndPos}px`);
+        } else {
+          this.adapter.setTrackActiveStyleProperty(
+              'transform-origin', 'bottom');
+          this.adapter.setTrackActiveStyleProperty('top', 'unset');
+          this.adapter.setTrackActiveStyleProperty(
+              'bottom', `${thumbStartPos}px`);
+        }
+        this.adapter.setTrackActiveStyleProperty(
+            transformProp, `scaleY(${pctComplete})`);
+
+        // Set thumb styles.
+        for (let i = 0; i < this.thumbCount; i++) {
+          const styledThumb = this.getThumbAt(i);
+          if (thumb === styledThumb || !thumb || !this.initialStylesRemoved) {
+            this.adapter.setThumbStyleProperty(
+                transformProp, `translateY(${-thumbPositions[i]}px)`,
+                styledThumb);
+          }
+        }
+
+        this.removeInitialStyles(false);
+        this.updateOverlappingThumbsUI(thumbPositions, thumb);
+      });
+    } else {
+      requestAnimationFrame(() => {
+        this.adapter.setThumbStyleProperty(
+            transformProp, `translateY(${-rangePx}px)`, Thumb.END);
+        this.adapter.setTrackActiveStyleProperty(
+            transformProp, `scaleY(${pctComplete})`);
+
+        this.removeInitialStyles(false);
+      });
+    }
+  }
+
+  /**
+   * @return Positions of the thumbs on the track based on the scale, as
+   *     fractions of the track length.
+   */
+  private getThumbFractions() {
+    const range = this.getScaleRange();
+    return this.values.map((value) => this.scale.valueToFraction(value, range));
+  }
+
   /**
    * Removes initial inline styles if not already removed. `left:<...>%`
    * inline styles can be added to position the thumb correctly before JS
@@ -831,16 +1228,19 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
    * positioning the thumb. This is because the JS uses
    * `transform:translateX(<...>)px` (for performance reasons) to position
    * the thumb (which is not possible for initial styles since we need the
-   * bounding rect measurements).
+   * bounding rect measurements). Vertical sliders use `bottom:<...>%` and
+   * `transform:translateY(<...>)px` instead.
    */
   private removeInitialStyles(isRtl: boolean) {
     if (this.initialStylesRemoved) return;
 
     // Remove thumb position properties that were added for initial render.
-    const position = isRtl ? 'right' : 'left';
-    this.adapter.removeThumbStyleProperty(position, Thumb.END);
-    if (this.isRange) {
-      this.adapter.removeThumbStyleProperty(position, Thumb.START);
+    let position = isRtl ? 'right' : 'left';
+    if (this.isVertical) {
+      position = 'bottom';
+    }
+    for (let i = 0; i < this.thumbCount; i++) {
+      this.adapter.removeThumbStyleProperty(position, this.getThumbAt(i));
     }
 
     this.initialStylesRemoved = true;
@@ -862,55 +1262,59 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
         getCorrectPropertyName(window, 'transition') :
         'transition';
     const transitionDefault = 'all 0s ease 0s';
-    this.adapter.setThumbStyleProperty(
-        transitionProp, transitionDefault, Thumb.END);
-    if (this.isRange) {
+    for (let i = 0; i < this.thumbCount; i++) {
       this.adapter.setThumbStyleProperty(
-          transitionProp, transitionDefault, Thumb.START);
+          transitionProp, transitionDefault, this.getThumbAt(i));
     }
     this.adapter.setTrackActiveStyleProperty(transitionProp, transitionDefault);
 
     // In the next frame, remove the transition inline styles we just
     // added, such that any animations added in the CSS can now take effect.
     requestAnimationFrame(() => {
-      this.adapter.removeThumbStyleProperty(transitionProp, Thumb.END);
-      this.adapter.removeTrackActiveStyleProperty(transitionProp);
-      if (this.isRange) {
-        this.adapter.removeThumbStyleProperty(transitionProp, Thumb.START);
+      for (let i = 0; i < this.thumbCount; i++) {
+        this.adapter.removeThumbStyleProperty(
+            transitionProp, this.getThumbAt(i));
       }
+      this.adapter.removeTrackActiveStyleProperty(transitionProp);
     });
   }
 
   /**
-   * Adds THUMB_TOP class to active thumb if thumb knobs overlap; otherwise
-   * removes THUMB_TOP class from both thumbs.
+   * Adds THUMB_TOP class to active thumb if its knob overlaps with the knob of
+   * a neighbouring thumb, and removes THUMB_TOP class from all other thumbs.
+   * If no thumb is active, adds THUMB_TOP class to each thumb whose knob
+   * overlaps with the knob of the previous thumb.
+   * @param thumbPositions Positions of the thumbs on the track, in pixels.
    * @param thumb Thumb that is active (being moved).
    */
-  private updateOverlappingThumbsUI(
-      thumbStartPos: number, thumbEndPos: number, thumb?: Thumb) {
-    let thumbsOverlap = false;
-    if (this.adapter.isRTL()) {
-      const startThumbLeftEdge = thumbStartPos - this.startThumbKnobWidth / 2;
-      const endThumbRightEdge = thumbEndPos + this.endThumbKnobWidth / 2;
-      thumbsOverlap = endThumbRightEdge >= startThumbLeftEdge;
-    } else {
-      const startThumbRightEdge = thumbStartPos + this.startThumbKnobWidth / 2;
-      const endThumbLeftEdge = thumbEndPos - this.endThumbKnobWidth / 2;
-      thumbsOverlap = startThumbRightEdge >= endThumbLeftEdge;
-    }
+  private updateOverlappingThumbsUI(thumbPositions: number[], thumb?: Thumb) {
+    // Vertical slider thumb positions grow from bottom to top regardless of
+    // direction, like LTR positions grow from left to right.
+    const positionsDecrease = this.adapter.isRTL() && !this.isVertical;
+    // Whether each thumb's knob overlaps with the previous thumb's knob.
+    const overlapsPrevious = thumbPositions.map((position, i) => {
+      if (i === 0) return false;
+
+      const previousPosition = thumbPositions[i - 1];
+      const previousHalfWidth = this.thumbKnobWidths[i - 1] / 2;
+      const halfWidth = this.thumbKnobWidths[i] / 2;
+      return positionsDecrease ?
+          position + halfWidth >= previousPosition - previousHalfWidth :
+          previousPosition + previousHalfWidth >= position - halfWidth;
+    });
 
-    if (thumbsOverlap) {
-      this.adapter.addThumbClass(
-          cssClasses.THUMB_TOP,
-          // If no thumb was dragged (in the case of initial layout), end
-          // thumb is on top by default.
-          thumb || Thumb.END);
-      this.adapter.removeThumbClass(
-          cssClasses.THUMB_TOP,
-          thumb === Thumb.START ? Thumb.END : Thumb.START);
-    } else {
-      this.adapter.removeThumbClass(cssClasses.THUMB_TOP, Thumb.START);
-      this.adapter.removeThumbClass(cssClasses.THUMB_TOP, Thumb.END);
+    const activeIndex = thumb ? this.getThumbIndex(thumb) : null;
+    for (let i = 0; i < this.thumbCount; i++) {
+      const isOnTop = activeIndex === null ?
+          overlapsPrevious[i] :
+          i === activeIndex &&
+              (overlapsPrevious[i] || Boolean(overlapsPrevious[i + 1]));
+      if (isOnTop) {
+        this.adapter.addThumbClass(cssClasses.THUMB_TOP, this.getThumbAt(i));
+      } else {
+        this.adapter.removeThumbClass(
+            cssClasses.THUMB_TOP, this.getThumbAt(i));
+      }
     }
   }
 
@@ -939,8 +1343,7 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
 
   /** Checks that the given properties are valid slider values. */
   private validateProperties(
-      {min, max, value, valueStart}:
-          {min: number, max: number, value: number, valueStart: number}) {
+      {min, max, values}: {min: number, max: number, values: number[]}) {
     if (min >= max) {
       throw new Error(
           `MDCSliderFoundation: min must be strictly less than max. ` +
@@ -948,20 +1351,25 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
     }
 
     if (this.isRange) {
-      if (value < min || value > max || valueStart < min || valueStart > max) {
+      if (values.some((value) => value < min || value > max)) {
         throw new Error(
             `MDCSliderFoundation: values must be in [min, max] range. ` +
-            `Current values: [start value: ${valueStart}, end value: ${
-                value}]`);
+            `Current values: [${values.join(', ')}]`);
       }
 
-      if (valueStart > value) {
-        throw new Error(
-            `MDCSliderFoundation: start value must be <= end value. ` +
-            `Current values: [start value: ${valueStart}, end value: ${
-                value}]`);
+      // Each pair of neighbouring thumbs is a start and end thumb.
+      for (let i = 1; i < values.length; i++) {
+        const valueStart = values[i - 1];
+        const value = values[i];
+        if (valueStart > value) {
+          throw new Error(
+              `MDCSliderFoundation: start value must be <= end value. ` +
+              `Current values: [start value: ${valueStart}, end value: ${
+                  value}]`);
+        }
       }
     } else {  // Single point slider.
+      const value = values[0];
       if (value < min || value > max) {
         throw new Error(
             `MDCSliderFoundation: value must be in [min, max] range. ` +
@@ -986,31 +1394,20 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
           'touchstart', this.mousedownOrTouchstartListener);
     }
 
-    if (this.isRange) {
+    for (let i = 0; i < this.thumbCount; i++) {
+      const thumb = this.getThumbAt(i);
       this.adapter.registerThumbEventHandler(
-          Thumb.START, 'mouseenter', this.thumbMouseenterListener);
+          thumb, 'mouseenter', this.thumbMouseenterListener);
       this.adapter.registerThumbEventHandler(
-          Thumb.START, 'mouseleave', this.thumbMouseleaveListener);
+          thumb, 'mouseleave', this.thumbMouseleaveListener);
 
       this.adapter.registerInputEventHandler(
-          Thumb.START, 'change', this.inputStartChangeListener);
+          thumb, 'change', this.inputChangeListeners[i]);
       this.adapter.registerInputEventHandler(
-          Thumb.START, 'focus', this.inputStartFocusListener);
+          thumb, 'focus', this.inputFocusListeners[i]);
       this.adapter.registerInputEventHandler(
-          Thumb.START, 'blur', this.inputStartBlurListener);
+          thumb, 'blur', this.inputBlurListeners[i]);
     }
-
-    this.adapter.registerThumbEventHandler(
-        Thumb.END, 'mouseenter', this.thumbMouseenterListener);
-    this.adapter.registerThumbEventHandler(
-        Thumb.END, 'mouseleave', this.thumbMouseleaveListener);
-
-    this.adapter.registerInputEventHandler(
-        Thumb.END, 'change', this.inputEndChangeListener);
-    this.adapter.registerInputEventHandler(
-        Thumb.END, 'focus', this.inputEndFocusListener);
-    this.adapter.registerInputEventHandler(
-        Thumb.END, 'blur', this.inputEndBlurListener);
   }
 
   private deregisterEventHandlers() {
@@ -1027,31 +1424,20 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
           'touchstart', this.mousedownOrTouchstartListener);
     }
 
-    if (this.isRange) {
+    for (let i = 0; i < this.thumbCount; i++) {
+      const thumb = this.getThumbAt(i);
       this.adapter.deregisterThumbEventHandler(
-          Thumb.START, 'mouseenter', this.thumbMouseenterListener);
+          thumb, 'mouseenter', this.thumbMouseenterListener);
       this.adapter.deregisterThumbEventHandler(
-          Thumb.START, 'mouseleave', this.thumbMouseleaveListener);
+          thumb, 'mouseleave', this.thumbMouseleaveListener);
 
       this.adapter.deregisterInputEventHandler(
-          Thumb.START, 'change', this.inputStartChangeListener);
+          thumb, 'change', this.inputChangeListeners[i]);
       this.adapter.deregisterInputEventHandler(
-          Thumb.START, 'focus', this.inputStartFocusListener);
+          thumb, 'focus', this.inputFocusListeners[i]);
       this.adapter.deregisterInputEventHandler(
-          Thumb.START, 'blur', this.inputStartBlurListener);
+          thumb, 'blur', this.inputBlurListeners[i]);
     }
-
-    this.adapter.deregisterThumbEventHandler(
-        Thumb.END, 'mouseenter', this.thumbMouseenterListener);
-    this.adapter.deregisterThumbEventHandler(
-        Thumb.END, 'mouseleave', this.thumbMouseleaveListener);
-
-    this.adapter.deregisterInputEventHandler(
-        Thumb.END, 'change', this.inputEndChangeListener);
-    this.adapter.deregisterInputEventHandler(
-        Thumb.END, 'focus', this.inputEndFocusListener);
-    this.adapter.deregisterInputEventHandler(
-        Thumb.END, 'blur', this.inputEndBlurListener);
   }
 
   private handlePointerup() {
@@ -1060,3 +1446,16 @@ export class MDCSliderFoundation extends MDCFoundation<MDCSliderAdapter> {
     this.adapter.deregisterEventHandler('pointermove', this.moveListener);
   }
 }
+
+/**
+ * @return The number of digits after the decimal point of the given number,
+ *     e.g. 2 for 0.25 and 3 for 1.5e-2.
+ */
+function getNumDecimalPlaces(value: number) {
+  const match = /(?:\.(\d+))?(?:[eE]([+-]?\d+))?$/.exec(String(value));
+  if (!match) return 0;
+
+  const fraction = match[1] || '';
+  const exponent = Number(match[2] || 0);
+  return Math.max(0, fraction.length - exponent);
+}
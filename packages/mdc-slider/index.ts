@@ -25,4 +25,5 @@ export * from './adapter';
 export * from './component';
 export * from './constants';
 export * from './foundation';
+export * from './scales';
 export * from './types';
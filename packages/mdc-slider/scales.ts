@@ -0,0 +1,139 @@
+/**
+ * @license
+ * Copyright 2020 Google Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+import {MDCSliderScale, MDCSliderScaleRange} from './types';
+
+/**
+ * Linear scale (default): values are evenly distributed along the track, and
+ * allowed values are multiples of `step`.
+ */
+export const linearScale: MDCSliderScale = {
+  valueToFraction: (value, {min, max}) => (value - min) / (max - min),
+  fractionToValue: (fraction, {min, max}) => min + fraction * (max - min),
+  quantize: (value, {step}, direction) =>
+      quantizeToStep(value, step, direction),
+};
+
+/**
+ * Logarithmic scale, e.g. for price or frequency ranges spanning several
+ * orders of magnitude. Requires `min` to be greater than 0. Allowed values are
+ * multiples of `step`. No tick marks are rendered, since steps are not evenly
+ * spaced along the track.
+ */
+export const logarithmicScale: MDCSliderScale = {
+  valueToFraction: (value, range) => {
+    validateLogarithmicRange(range);
+    return Math.log(value / range.min) / Math.log(range.max / range.min);
+  },
+  fractionToValue: (fraction, range) => {
+    validateLogarithmicRange(range);
+    return range.min * Math.pow(range.max / range.min, fraction);
+  },
+  quantize: (value, {step}, direction) =>
+      quantizeToStep(value, step, direction),
+  getTickMarkValues: () => [],
+};
+
+/**
+ * Creates a scale that only allows the given values (e.g. `[0, 5, 10, 50,
+ * 100]`), which are evenly spaced along the track regardless of the distance
+ * between them. Values must be in ascending order; the first and last values
+ * should match the slider's `min` and `max`. A tick mark is rendered for each
+ * value.
+ */
+export function createValueListScale(values: number[]): MDCSliderScale {
+  if (values.length < 2) {
+    throw new Error(
+        'MDCSlider: value list scale requires at least two values.');
+  }
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] <= values[i - 1]) {
+      throw new Error(
+          `MDCSlider: value list scale values must be in ascending order. ` +
+          `Current values: [${values.join(', ')}]`);
+    }
+  }
+
+  const lastIndex = values.length - 1;
+  return {
+    valueToFraction: (value) => {
+      if (value <= values[0]) return 0;
+      if (value >= values[lastIndex]) return 1;
+
+      // Interpolate between the neighbouring allowed values.
+      let index = 1;
+      while (values[index] < value) index++;
+      const segmentFraction =
+          (value - values[index - 1]) / (values[index] - values[index - 1]);
+      return (index - 1 + segmentFraction) / lastIndex;
+    },
+    fractionToValue: (fraction) => {
+      const position = Math.min(Math.max(fraction, 0), 1) * lastIndex;
+      const index = Math.floor(position);
+      if (index === lastIndex) return values[lastIndex];
+
+      return values[index] +
+          (position - index) * (values[index + 1] - values[index]);
+    },
+    quantize: (value, _, direction) => {
+      if (direction && direction > 0) {
+        const nextValues = values.filter((allowed) => allowed >= value);
+        return nextValues.length ? nextValues[0] : values[lastIndex];
+      }
+      if (direction && direction < 0) {
+        const previousValues = values.filter((allowed) => allowed <= value);
+        return previousValues.length ?
+            previousValues[previousValues.length - 1] :
+            values[0];
+      }
+
+      return values.reduce(
+          (closest, allowed) =>
+              Math.abs(allowed - value) < Math.abs(closest - value) ? allowed :
+                                                                      closest);
+    },
+    getTickMarkValues: () => values.slice(),
+  };
+}
+
+/**
+ * Calculates the quantized value based on step value, rounded in the given
+ * direction (or to the closest step if no direction is given).
+ */
+function quantizeToStep(value: number, step: number, direction?: number) {
+  let numSteps = Math.round(value / step);
+  if (direction && direction > 0) {
+    numSteps = Math.ceil(value / step);
+  } else if (direction && direction < 0) {
+    numSteps = Math.floor(value / step);
+  }
+  return numSteps * step;
+}
+
+function validateLogarithmicRange({min}: MDCSliderScaleRange) {
+  if (min <= 0) {
+    throw new Error(
+        `MDCSlider: min must be greater than 0 for logarithmic scale. ` +
+        `Current min: ${min}`);
+  }
+}
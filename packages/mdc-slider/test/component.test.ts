@@ -25,7 +25,7 @@ import {getFixture} from '../../../testing/dom';
 import {html} from '../../../testing/dom';
 import {createMouseEvent, emitEvent} from '../../../testing/dom/events';
 import {setUpMdcTestEnvironment} from '../../../testing/helpers/setup';
-import {attributes, cssClasses, events, MDCSlider, MDCSliderFoundation, Thumb} from '../index';
+import {attributes, createValueListScale, cssClasses, events, MDCSlider, MDCSliderFoundation, Thumb} from '../index';
 
 describe('MDCSlider', () => {
   setUpMdcTestEnvironment();
@@ -242,6 +242,130 @@ describe('MDCSlider', () => {
     });
   });
 
+  describe('vertical slider', () => {
+    beforeEach(() => {
+      MDCSliderFoundation.SUPPORTS_POINTER_EVENTS = false;
+    });
+
+    afterEach(() => {
+      // Reset to actual value.
+      MDCSliderFoundation.SUPPORTS_POINTER_EVENTS =
+          Boolean(window.PointerEvent);
+    });
+
+    it('down + move events set the slider value based on y coordinate, ' +
+           'growing from bottom to top',
+       () => {
+         let endThumb: HTMLElement;
+         let trackActive: HTMLElement;
+         ({root, component, endThumb, trackActive} =
+              setUpTest({isVertical: true}));
+         root.dispatchEvent(
+             createEventFrom('mouse', 'down', {clientX: 0, clientY: 70}));
+         jasmine.clock().tick(1);  // Tick for RAF.
+         expect(component.getValue()).toBe(30);
+         expect(endThumb.style.transform).toBe('translateY(-30px)');
+         expect(trackActive.style.transform).toBe('scaleY(0.3)');
+
+         document.body.dispatchEvent(
+             createEventFrom('mouse', 'move', {clientX: 0, clientY: 20}));
+         jasmine.clock().tick(1);  // Tick for RAF.
+         expect(component.getValue()).toBe(80);
+         expect(endThumb.style.transform).toBe('translateY(-80px)');
+         expect(trackActive.style.transform).toBe('scaleY(0.8)');
+       });
+  });
+
+  describe('range slider: more than two thumbs', () => {
+    let inputs: HTMLInputElement[];
+    let thumbs: HTMLElement[];
+
+    beforeEach(() => {
+      root = getFixture(html`
+        <div class="mdc-slider mdc-slider--range">
+          <input class="mdc-slider__input" type="range" min="0" max="40"
+                 value="10">
+          <input class="mdc-slider__input" type="range" min="10" max="70"
+                 value="40">
+          <input class="mdc-slider__input" type="range" min="40" max="100"
+                 value="70">
+          <div class="mdc-slider__track">
+            <div class="mdc-slider__track--active">
+              <div class="mdc-slider__track--active_fill"></div>
+            </div>
+            <div class="mdc-slider__track--inactive"></div>
+          </div>
+          <div class="mdc-slider__thumb">
+            <div class="mdc-slider__thumb-knob"></div>
+          </div>
+          <div class="mdc-slider__thumb">
+            <div class="mdc-slider__thumb-knob"></div>
+          </div>
+          <div class="mdc-slider__thumb">
+            <div class="mdc-slider__thumb-knob"></div>
+          </div>
+        </div>`);
+      inputs = [].slice.call(root.querySelectorAll(`.${cssClasses.INPUT}`));
+      thumbs = [].slice.call(root.querySelectorAll(`.${cssClasses.THUMB}`));
+      spyOn(root, 'getBoundingClientRect').and.returnValue({
+        bottom: 100,
+        height: 100,
+        left: 0,
+        right: 100,
+        top: 0,
+        width: 100,
+      } as DOMRect);
+
+      document.body.appendChild(root);  // Removed in #afterEach.
+      component = MDCSlider.attachTo(root);
+      jasmine.clock().tick(1);  // Tick for RAF.
+    });
+
+    it('initializes values and thumb positions from all inputs', () => {
+      expect(component.getValues()).toEqual([10, 40, 70]);
+      expect(component.getValueStart()).toBe(10);
+      expect(component.getValue()).toBe(70);
+      expect(thumbs[1].style.transform).toBe('translateX(40px)');
+      expect(thumbs[2].style.transform).toBe('translateX(70px)');
+    });
+
+    it('#setThumbValue moves the given thumb and syncs inputs', () => {
+      component.setThumbValue(2, 60);
+      jasmine.clock().tick(1);  // Tick for RAF.
+      expect(component.getThumbValue(2)).toBe(60);
+      expect(thumbs[1].style.transform).toBe('translateX(60px)');
+      expect(inputs[1].value).toBe('60');
+      expect(inputs[0].getAttribute(attributes.INPUT_MAX)).toBe('60');
+      expect(inputs[2].getAttribute(attributes.INPUT_MIN)).toBe('60');
+    });
+
+    it('input `change` event on a thumb\'s input updates its value', () => {
+      inputs[2].value = '85';
+      emitEvent(inputs[2], 'change');
+      jasmine.clock().tick(1);  // Tick for RAF.
+      expect(component.getValues()).toEqual([10, 40, 85]);
+      expect(thumbs[2].style.transform).toBe('translateX(85px)');
+    });
+
+    it('#setThumbValueAt moves the thumb at the given zero-based index', () => {
+      component.setThumbValueAt(0, 5);
+      jasmine.clock().tick(1);  // Tick for RAF.
+      expect(component.getThumbValueAt(0)).toBe(5);
+      expect(component.getValues()).toEqual([5, 40, 70]);
+      expect(thumbs[0].style.transform).toBe('translateX(5px)');
+      expect(inputs[0].value).toBe('5');
+    });
+
+    it('`input` event details include the zero-based index of the thumb',
+       () => {
+         spyOn(component, 'emit');
+         root.dispatchEvent(createEventFrom('mouse', 'down', {clientX: 90}));
+         expect(component.emit)
+             .toHaveBeenCalledWith(
+                 events.INPUT, jasmine.objectContaining({value: 90, index: 2}));
+       });
+  });
+
   describe('value indicator', () => {
     it('single point slider: updates value indicator after value update',
        () => {
@@ -285,6 +409,34 @@ describe('MDCSlider', () => {
       root.dispatchEvent(downEventEnd);
       expect(endThumb.textContent!.trim()).toBe('90');
     });
+
+    it('#setValueFormatter formats value indicator text and aria-valuetext',
+       () => {
+         let thumb, input;
+         ({root, component, endThumb: thumb, endInput: input} =
+              setUpTest({isDiscrete: true, value: 30}));
+
+         component.setValueFormatter((value) => `${value}%`);
+         expect(thumb.textContent!.trim()).toBe('30%');
+         expect(input.getAttribute(attributes.ARIA_VALUETEXT)).toBe('30%');
+
+         component.setValue(40);
+         expect(thumb.textContent!.trim()).toBe('40%');
+         expect(input.getAttribute(attributes.ARIA_VALUETEXT)).toBe('40%');
+       });
+  });
+
+  describe('scales', () => {
+    it('#setScale positions thumb based on the given scale', () => {
+      let thumb;
+      ({root, component, endThumb: thumb} = setUpTest({value: 10}));
+
+      const scale = createValueListScale([0, 5, 10, 50, 100]);
+      component.setScale(scale);
+      jasmine.clock().tick(1);  // Tick for RAF.
+      expect(component.getScale()).toBe(scale);
+      expect(thumb.style.transform).toBe('translateX(50px)');
+    });
   });
 
   describe('tick marks', () => {
@@ -330,6 +482,32 @@ describe('MDCSlider', () => {
     });
   });
 
+  describe('tick labels', () => {
+    it('renders tick label elements positioned along the track', () => {
+      ({root, component} = setUpTest({isDiscrete: true, step: 10}));
+      component.setTickLabels(5);
+
+      expect(root.classList.contains(cssClasses.TICK_LABELS)).toBe(true);
+      const tickLabels = root.querySelectorAll<HTMLElement>(
+          `.${cssClasses.TICK_LABELS_CONTAINER} .${cssClasses.TICK_LABEL}`);
+      expect(tickLabels.length).toBe(3);
+      expect(tickLabels[1].textContent).toBe('50');
+      expect(tickLabels[1].style.left).toBe('50%');
+      expect(tickLabels[2].textContent).toBe('100');
+      expect(tickLabels[2].style.left).toBe('100%');
+    });
+
+    it('#setTickLabels with null removes tick label elements', () => {
+      ({root, component} = setUpTest());
+      component.setTickLabels([{value: 20, label: 'Low'}]);
+      component.setTickLabels(null);
+
+      expect(root.classList.contains(cssClasses.TICK_LABELS)).toBe(false);
+      expect(root.querySelectorAll(`.${cssClasses.TICK_LABEL}`).length)
+          .toBe(0);
+    });
+  });
+
   describe('a11y support', () => {
     let endInput: HTMLInputElement;
 
@@ -429,20 +607,23 @@ describe('MDCSlider', () => {
       const downEvent = createEventFrom('pointer', 'down', {clientX: 28});
       root.dispatchEvent(downEvent);
       expect(component.emit)
-          .toHaveBeenCalledWith(events.INPUT, {value: 28, thumb: Thumb.END});
+          .toHaveBeenCalledWith(
+              events.INPUT, {value: 28, thumb: Thumb.END, index: 0});
       expect(component.emit)
           .not.toHaveBeenCalledWith(events.CHANGE, jasmine.any(Object));
 
       const moveEvent = createEventFrom('pointer', 'move', {clientX: 48});
       root.dispatchEvent(moveEvent);
       expect(component.emit)
-          .toHaveBeenCalledWith(events.INPUT, {value: 48, thumb: Thumb.END});
+          .toHaveBeenCalledWith(
+              events.INPUT, {value: 48, thumb: Thumb.END, index: 0});
       expect(component.emit)
           .not.toHaveBeenCalledWith(events.CHANGE, jasmine.any(Object));
 
       root.dispatchEvent(createEventFrom('pointer', 'up', {clientX: 48}));
       expect(component.emit)
-          .toHaveBeenCalledWith(events.CHANGE, {value: 48, thumb: Thumb.END});
+          .toHaveBeenCalledWith(
+              events.CHANGE, {value: 48, thumb: Thumb.END, index: 0});
     });
   });
 
@@ -600,10 +781,11 @@ describe('MDCSlider', () => {
 });
 
 function setUpTest(
-    {isDiscrete, hasTickMarks, isRange, valueStart, value, step}: {
+    {isDiscrete, hasTickMarks, isRange, isVertical, valueStart, value, step}: {
       isDiscrete?: boolean,
       isRange?: boolean,
       hasTickMarks?: boolean,
+      isVertical?: boolean,
       valueStart?: number,
       value?: number,
       step?: number,
@@ -619,6 +801,7 @@ function setUpTest(
   const discreteClass = isDiscrete ? cssClasses.DISCRETE : '';
   const rangeClass = isRange ? cssClasses.RANGE : '';
   const tickMarksClass = hasTickMarks ? cssClasses.TICK_MARKS : '';
+  const verticalClass = isVertical ? cssClasses.VERTICAL : '';
 
   const input =
       ({min, max, value, step}:
@@ -651,7 +834,8 @@ function setUpTest(
                                    '';
 
   const root = getFixture(html`
-    <div class="mdc-slider ${discreteClass} ${rangeClass} ${tickMarksClass}">
+    <div class="mdc-slider ${discreteClass} ${rangeClass} ${tickMarksClass} ${
+      verticalClass}">
       ${inputStart}
       ${inputEnd}
       <div class="mdc-slider__track">
@@ -677,8 +861,11 @@ function setUpTest(
       root.querySelector(`.${cssClasses.TRACK_ACTIVE}`) as HTMLElement;
 
   spyOn(root, 'getBoundingClientRect').and.returnValue({
+    bottom: 100,
+    height: 100,
     left: 0,
     right: 100,
+    top: 0,
     width: 100,
   } as DOMRect);
 
@@ -703,7 +890,8 @@ function setUpTest(
  */
 function createEventFrom(
     eventType: 'pointer'|'mouse'|'touch', phase: 'down'|'move'|'up',
-    {clientX}: {clientX: number}): PointerEvent|MouseEvent|TouchEvent {
+    {clientX, clientY = 0}: {clientX: number, clientY?: number}):
+    PointerEvent|MouseEvent|TouchEvent {
   let event;
   let type;
   switch (eventType) {
@@ -716,15 +904,15 @@ function createEventFrom(
       // IE, since PointerEvent inherits from MouseEvent.
       const isIe = navigator.userAgent.indexOf('MSIE') !== -1 ||
           navigator.userAgent.indexOf('Trident') !== -1;
-      event = isIe ? createMouseEvent(type, {clientX}) :
-                     new PointerEvent(type, {clientX, pointerId: 1});
+      event = isIe ? createMouseEvent(type, {clientX, clientY}) :
+                     new PointerEvent(type, {clientX, clientY, pointerId: 1});
       break;
     case 'mouse':
       type = 'mousedown';
       if (phase !== 'down') {
         type = phase === 'move' ? 'mousemove' : 'mouseup';
       }
-      event = createMouseEvent(type, {clientX});
+      event = createMouseEvent(type, {clientX, clientY});
       break;
     default:
       type = 'touchstart';
@@ -732,7 +920,7 @@ function createEventFrom(
         type = phase === 'move' ? 'touchmove' : 'touchend';
       }
       event = new TouchEvent(type, {
-        touches: [{clientX}] as Touch[],
+        touches: [{clientX, clientY}] as Touch[],
       });
   }
   return event;
@@ -25,6 +25,7 @@ import {createMouseEvent} from '../../../testing/dom/events';
 import {setUpFoundationTest, setUpMdcTestEnvironment} from '../../../testing/helpers/setup';
 import {attributes, cssClasses, numbers} from '../constants';
 import {MDCSliderFoundation} from '../foundation';
+import {createValueListScale, logarithmicScale} from '../scales';
 import {Thumb, TickMark} from '../types';
 
 describe('MDCSliderFoundation', () => {
@@ -632,6 +633,27 @@ describe('MDCSliderFoundation', () => {
          }).toThrowError(/must be >= start thumb value/);
        });
 
+    it('range slider: keeps start and end thumbs apart by the min thumb ' +
+           'distance',
+       () => {
+         const {foundation} =
+             setUpAndInit({isRange: true, valueStart: 20, value: 50});
+         foundation.setMinThumbDistance(10);
+
+         // Drag start thumb towards end thumb.
+         foundation.handleDown(createMouseEvent('mousedown', {
+           clientX: 20,
+         }));
+         foundation.handleMove(createMouseEvent('mousemove', {
+           clientX: 48,
+         }));
+         expect(foundation.getValueStart()).toBe(40);
+
+         expect(() => {
+           foundation.setValue(45);
+         }).toThrowError(/min thumb distance \(10\)/);
+       });
+
     it('single point slider: #setValue updates value and UI', () => {
       const {foundation, mockAdapter} =
           setUpAndInit({isDiscrete: true, value: 33});
@@ -901,6 +923,82 @@ describe('MDCSliderFoundation', () => {
        });
   });
 
+  describe('tick labels', () => {
+    it('labels every Nth tick mark with its formatted value', () => {
+      const {foundation, mockAdapter} =
+          setUpAndInit({value: 50, isDiscrete: true, step: 10});
+      foundation.setValueFormatter((value: number) => `${value}%`);
+      foundation.setTickLabels(5);
+
+      expect(mockAdapter.addClass).toHaveBeenCalledWith(cssClasses.TICK_LABELS);
+      expect(mockAdapter.updateTickLabels)
+          .toHaveBeenCalledWith(['0%', '50%', '100%']);
+      expect(mockAdapter.setTickLabelStyleProperty)
+          .toHaveBeenCalledWith('left', '0%', 0);
+      expect(mockAdapter.setTickLabelStyleProperty)
+          .toHaveBeenCalledWith('left', '50%', 1);
+      expect(mockAdapter.setTickLabelStyleProperty)
+          .toHaveBeenCalledWith('left', '100%', 2);
+    });
+
+    it('rounds interval labels to the precision of min and step', () => {
+      const {foundation, mockAdapter} = setUpAndInit(
+          {value: 0.5, max: 1, isDiscrete: true, step: 0.1});
+      foundation.setTickLabels(3);
+
+      expect(mockAdapter.updateTickLabels)
+          .toHaveBeenCalledWith(['0', '0.3', '0.6', '0.9']);
+    });
+
+    it('renders custom labels at their values, based on the scale', () => {
+      const {foundation, mockAdapter} = setUpAndInit({value: 50});
+      foundation.setScale(createValueListScale([0, 5, 10, 50, 100]));
+      foundation.setTickLabels(
+          [{value: 0, label: 'Free'}, {value: 50, label: 'Pro'}]);
+
+      expect(mockAdapter.updateTickLabels).toHaveBeenCalledWith([
+        'Free', 'Pro'
+      ]);
+      expect(mockAdapter.setTickLabelStyleProperty)
+          .toHaveBeenCalledWith('left', '0%', 0);
+      expect(mockAdapter.setTickLabelStyleProperty)
+          .toHaveBeenCalledWith('left', '75%', 1);
+    });
+
+    it('RTL/vertical: positions labels from the start of the track', () => {
+      const {foundation, mockAdapter} = setUpAndInit({isRTL: true});
+      foundation.setTickLabels([{value: 20, label: 'Low'}]);
+      expect(mockAdapter.setTickLabelStyleProperty)
+          .toHaveBeenCalledWith('right', '20%', 0);
+
+      const {foundation: verticalFoundation, mockAdapter: verticalAdapter} =
+          setUpAndInit({isVertical: true});
+      verticalFoundation.setTickLabels([{value: 20, label: 'Low'}]);
+      expect(verticalAdapter.setTickLabelStyleProperty)
+          .toHaveBeenCalledWith('bottom', '20%', 0);
+    });
+
+    it('null removes the labels', () => {
+      const {foundation, mockAdapter} = setUpAndInit();
+      foundation.setTickLabels(2);
+      foundation.setTickLabels(null);
+
+      expect(mockAdapter.removeClass)
+          .toHaveBeenCalledWith(cssClasses.TICK_LABELS);
+      expect(mockAdapter.updateTickLabels).toHaveBeenCalledWith([]);
+    });
+
+    it('throws error if interval is not a positive integer', () => {
+      const {foundation} = setUpAndInit();
+      expect(() => {
+        foundation.setTickLabels(0);
+      }).toThrowError(/must be a positive integer/);
+      expect(() => {
+        foundation.setTickLabels(2.5);
+      }).toThrowError(/must be a positive integer/);
+    });
+  });
+
   describe('range slider: overlapping thumbs', () => {
     it('when thumbs overlap, adds THUMB_TOP class to active thumb', () => {
       const {foundation, mockAdapter} = setUpAndInit({
@@ -1051,6 +1149,400 @@ describe('MDCSliderFoundation', () => {
        });
   });
 
+  describe('range slider: more than two thumbs', () => {
+    it('#init sets values based on all inputs', () => {
+      const {foundation} = setUpAndInitMultiThumb({values: [10, 40, 70]});
+      expect(foundation.getThumbCount()).toBe(3);
+      expect(foundation.getValues()).toEqual([10, 40, 70]);
+      expect(foundation.getValueStart()).toBe(10);
+      expect(foundation.getThumbValue(2)).toBe(40);
+      expect(foundation.getValue()).toBe(70);
+    });
+
+    it('#init throws error if values are not in ascending order', () => {
+      expect(() => setUpAndInitMultiThumb({values: [10, 50, 40]}))
+          .toThrowError(/start value must be <= end value/);
+    });
+
+    it('#layout positions all thumbs and the active track', () => {
+      const {mockAdapter} = setUpAndInitMultiThumb({values: [10, 40, 70]});
+      expect(mockAdapter.setThumbStyleProperty)
+          .toHaveBeenCalledWith('transform', 'translateX(10px)', 1);
+      expect(mockAdapter.setThumbStyleProperty)
+          .toHaveBeenCalledWith('transform', 'translateX(40px)', 2);
+      expect(mockAdapter.setThumbStyleProperty)
+          .toHaveBeenCalledWith('transform', 'translateX(70px)', 3);
+      expect(mockAdapter.setTrackActiveStyleProperty)
+          .toHaveBeenCalledWith('left', '10px');
+      expect(mockAdapter.setTrackActiveStyleProperty)
+          .toHaveBeenCalledWith('transform', 'scaleX(0.6)');
+    });
+
+    it('down + move on middle thumb updates its value, without moving past ' +
+           'neighbouring thumbs',
+       () => {
+         const {foundation, mockAdapter} =
+             setUpAndInitMultiThumb({values: [10, 40, 70]});
+
+         foundation.handleDown(createMouseEvent('mousedown', {
+           clientX: 40,
+         }));
+         foundation.handleMove(createMouseEvent('mousemove', {
+           clientX: 55,
+         }));
+         expect(foundation.getValues()).toEqual([10, 55, 70]);
+         expect(mockAdapter.emitInputEvent).toHaveBeenCalledWith(55, 2);
+
+         foundation.handleMove(createMouseEvent('mousemove', {
+           clientX: 90,
+         }));
+         expect(foundation.getValues()).toEqual([10, 70, 70]);
+
+         foundation.handleUp(createMouseEvent('mouseup'));
+         expect(mockAdapter.emitChangeEvent).toHaveBeenCalledWith(70, 2);
+         expect(mockAdapter.emitDragEndEvent).toHaveBeenCalledWith(70, 2);
+       });
+
+    it('down event outside of the range updates the first or last thumb',
+       () => {
+         const {foundation, mockAdapter} =
+             setUpAndInitMultiThumb({values: [10, 40, 70]});
+
+         foundation.handleDown(createMouseEvent('mousedown', {
+           clientX: 90,
+         }));
+         expect(foundation.getValues()).toEqual([10, 40, 90]);
+         expect(mockAdapter.emitInputEvent).toHaveBeenCalledWith(90, 3);
+
+         foundation.handleDown(createMouseEvent('mousedown', {
+           clientX: 2,
+         }));
+         expect(foundation.getValues()).toEqual([2, 40, 90]);
+         expect(mockAdapter.emitInputEvent).toHaveBeenCalledWith(2, 1);
+       });
+
+    it('down event between thumbs moves the thumb in the drag direction',
+       () => {
+         const {foundation} = setUpAndInitMultiThumb({values: [10, 40, 70]});
+
+         foundation.handleDown(createMouseEvent('mousedown', {
+           clientX: 55,
+         }));
+         expect(foundation.getValues()).toEqual([10, 40, 70]);
+
+         // Drag towards lower values, i.e. towards the middle thumb.
+         foundation.handleMove(createMouseEvent('mousemove', {
+           clientX: 48,
+         }));
+         expect(foundation.getValues()).toEqual([10, 48, 70]);
+       });
+
+    it('RTL: down event between thumbs moves the thumb in the drag direction',
+       () => {
+         const {foundation} =
+             setUpAndInitMultiThumb({values: [10, 40, 70], isRTL: true});
+
+         // Value 55.
+         foundation.handleDown(createMouseEvent('mousedown', {
+           clientX: 45,
+         }));
+
+         // Dragging to the left in RTL mode drags towards higher values.
+         foundation.handleMove(createMouseEvent('mousemove', {
+           clientX: 38,
+         }));
+         expect(foundation.getValues()).toEqual([10, 40, 62]);
+       });
+
+    it('adds THUMB_TOP class to the active thumb if it overlaps a neighbour',
+       () => {
+         const {foundation, mockAdapter} =
+             setUpAndInitMultiThumb({values: [10, 40, 70]});
+
+         foundation.handleDown(createMouseEvent('mousedown', {
+           clientX: 40,
+         }));
+         foundation.handleMove(createMouseEvent('mousemove', {
+           clientX: 65,
+         }));
+         jasmine.clock().tick(1);  // Tick for RAF.
+         expect(mockAdapter.addThumbClass)
+             .toHaveBeenCalledWith(cssClasses.THUMB_TOP, 2);
+         expect(mockAdapter.removeThumbClass)
+             .toHaveBeenCalledWith(cssClasses.THUMB_TOP, 1);
+         expect(mockAdapter.removeThumbClass)
+             .toHaveBeenCalledWith(cssClasses.THUMB_TOP, 3);
+       });
+
+    it('#setThumbValue updates value and neighbouring inputs\' min/max',
+       () => {
+         const {foundation, mockAdapter} =
+             setUpAndInitMultiThumb({values: [10, 40, 70]});
+
+         foundation.setThumbValue(2, 30);
+         expect(foundation.getValues()).toEqual([10, 30, 70]);
+         expect(mockAdapter.setInputAttribute)
+             .toHaveBeenCalledWith(attributes.INPUT_VALUE, '30', 2);
+         expect(mockAdapter.setInputAttribute)
+             .toHaveBeenCalledWith(attributes.INPUT_MAX, '30', 1);
+         expect(mockAdapter.setInputAttribute)
+             .toHaveBeenCalledWith(attributes.INPUT_MIN, '30', 3);
+       });
+
+    it('#getThumbValueAt and #setThumbValueAt use zero-based indexes', () => {
+      const {foundation, mockAdapter} =
+          setUpAndInitMultiThumb({values: [10, 40, 70]});
+      expect(foundation.getThumbValueAt(0)).toBe(10);
+      expect(foundation.getThumbValueAt(2)).toBe(70);
+
+      foundation.setThumbValueAt(1, 30);
+      expect(foundation.getValues()).toEqual([10, 30, 70]);
+      expect(mockAdapter.setInputAttribute)
+          .toHaveBeenCalledWith(attributes.INPUT_VALUE, '30', 2);
+      expect(() => {
+        foundation.setThumbValueAt(0, 35);
+      }).toThrowError(/must be <= end thumb value/);
+    });
+
+    it('#setThumbValue throws error if value is past a neighbouring thumb',
+       () => {
+         const {foundation} = setUpAndInitMultiThumb({values: [10, 40, 70]});
+
+         expect(() => {
+           foundation.setThumbValue(2, 75);
+         }).toThrowError(/must be <= end thumb value/);
+         expect(() => {
+           foundation.setThumbValue(2, 5);
+         }).toThrowError(/must be >= start thumb value/);
+       });
+
+    it('#setMinThumbDistance keeps thumbs apart by the given distance', () => {
+      const {foundation, mockAdapter} =
+          setUpAndInitMultiThumb({values: [10, 40, 70]});
+
+      foundation.setMinThumbDistance(10);
+      expect(foundation.getMinThumbDistance()).toBe(10);
+      expect(mockAdapter.setInputAttribute)
+          .toHaveBeenCalledWith(attributes.INPUT_MAX, '30', 1);
+      expect(mockAdapter.setInputAttribute)
+          .toHaveBeenCalledWith(attributes.INPUT_MIN, '50', 3);
+
+      foundation.handleDown(createMouseEvent('mousedown', {
+        clientX: 40,
+      }));
+      foundation.handleMove(createMouseEvent('mousemove', {
+        clientX: 68,
+      }));
+      expect(foundation.getValues()).toEqual([10, 60, 70]);
+      expect(() => {
+        foundation.setThumbValue(1, 55);
+      }).toThrowError(/min thumb distance \(10\)/);
+    });
+
+    it('#setMinThumbDistance throws error if values are too close', () => {
+      const {foundation} = setUpAndInitMultiThumb({values: [10, 15, 70]});
+
+      expect(() => {
+        foundation.setMinThumbDistance(10);
+      }).toThrowError(/must be at least 10 apart/);
+    });
+  });
+
+  describe('vertical slider', () => {
+    it('initial layout removes thumb `bottom` styles', () => {
+      const {mockAdapter} = setUpAndInit({isRange: true, isVertical: true});
+      expect(mockAdapter.removeThumbStyleProperty)
+          .toHaveBeenCalledWith('bottom', Thumb.END);
+      expect(mockAdapter.removeThumbStyleProperty)
+          .toHaveBeenCalledWith('bottom', Thumb.START);
+      expect(mockAdapter.removeThumbStyleProperty)
+          .not.toHaveBeenCalledWith('left', jasmine.any(Number));
+    });
+
+    it('maps clientY to values growing from bottom to top', () => {
+      const {foundation, mockAdapter} =
+          setUpAndInit({value: 50, isVertical: true});
+
+      foundation.handleDown(createMouseEvent('mousedown', {
+        clientX: 90,  // Ignored for vertical sliders.
+        clientY: 20,
+      }));
+      jasmine.clock().tick(1);  // Tick for RAF.
+
+      expect(foundation.getValue()).toBe(80);
+      expect(mockAdapter.setThumbStyleProperty)
+          .toHaveBeenCalledWith('transform', 'translateY(-80px)', Thumb.END);
+      expect(mockAdapter.setTrackActiveStyleProperty)
+          .toHaveBeenCalledWith('transform', 'scaleY(0.8)');
+
+      foundation.handleMove(createMouseEvent('mousemove', {
+        clientY: 110,
+      }));
+      jasmine.clock().tick(1);  // Tick for RAF.
+      expect(foundation.getValue()).toBe(0);
+    });
+
+    it('range slider: updates track/thumb position from the bottom', () => {
+      const {foundation, mockAdapter} = setUpAndInit({
+        valueStart: 20,  // Start thumb is at clientY == 80.
+        value: 50,       // End thumb is at clientY == 50.
+        isRange: true,
+        isVertical: true,
+      });
+
+      // Down event below start thumb moves start thumb.
+      foundation.handleDown(createMouseEvent('mousedown', {
+        clientY: 90,
+      }));
+      jasmine.clock().tick(1);  // Tick for RAF.
+
+      expect(foundation.getValueStart()).toBe(10);
+      expect(mockAdapter.setTrackActiveStyleProperty)
+          .toHaveBeenCalledWith('transform-origin', 'top');
+      expect(mockAdapter.setTrackActiveStyleProperty)
+          .toHaveBeenCalledWith('top', '50px');
+      expect(mockAdapter.setTrackActiveStyleProperty)
+          .toHaveBeenCalledWith('transform', 'scaleY(0.4)');
+      expect(mockAdapter.setThumbStyleProperty)
+          .toHaveBeenCalledWith('transform', 'translateY(-10px)', Thumb.START);
+
+      // Down event above end thumb moves end thumb.
+      foundation.handleDown(createMouseEvent('mousedown', {
+        clientY: 25,
+      }));
+      jasmine.clock().tick(1);  // Tick for RAF.
+
+      expect(foundation.getValue()).toBe(75);
+      expect(mockAdapter.setTrackActiveStyleProperty)
+          .toHaveBeenCalledWith('transform-origin', 'bottom');
+      expect(mockAdapter.setTrackActiveStyleProperty)
+          .toHaveBeenCalledWith('bottom', '10px');
+      expect(mockAdapter.setThumbStyleProperty)
+          .toHaveBeenCalledWith('transform', 'translateY(-75px)', Thumb.END);
+    });
+
+    it('when thumbs overlap, dragging up moves the end thumb', () => {
+      const {foundation, mockAdapter} = setUpAndInit({
+        valueStart: 10,  // clientY of 90.
+        value: 12,       // clientY of 88.
+        isRange: true,
+        isVertical: true,
+      });
+      // Reset calls from initial layout.
+      mockAdapter.setThumbStyleProperty.calls.reset();
+
+      // Down event on overlapping thumbs.
+      foundation.handleDown(createMouseEvent('mousedown', {
+        clientY: 89,
+      }));
+      jasmine.clock().tick(1);  // Tick for RAF.
+      expect(mockAdapter.setThumbStyleProperty).not.toHaveBeenCalled();
+
+      // Move up by more than THUMB_UPDATE_MIN_PX.
+      foundation.handleMove(createMouseEvent('mousemove', {
+        clientY: 80,
+      }));
+      jasmine.clock().tick(1);  // Tick for RAF.
+      expect(foundation.getValue()).toBe(20);
+      expect(foundation.getValueStart()).toBe(10);
+      expect(mockAdapter.setThumbStyleProperty)
+          .toHaveBeenCalledWith('transform', 'translateY(-20px)', Thumb.END);
+    });
+  });
+
+  describe('scales', () => {
+    it('logarithmic scale: maps client position to value', () => {
+      const {foundation, mockAdapter} =
+          setUpAndInit({min: 1, max: 10000, value: 100});
+      foundation.setScale(logarithmicScale);
+      jasmine.clock().tick(1);  // Tick for RAF.
+      expect(mockAdapter.setThumbStyleProperty)
+          .toHaveBeenCalledWith('transform', 'translateX(50px)', Thumb.END);
+
+      foundation.handleDown(createMouseEvent('mousedown', {
+        clientX: 75,
+      }));
+      expect(foundation.getValue()).toBe(1000);
+    });
+
+    it('value list scale: snaps to allowed values, and updates tick marks',
+       () => {
+         const {foundation, mockAdapter} = setUpAndInit(
+             {value: 10, isDiscrete: true, hasTickMarks: true});
+         foundation.setScale(createValueListScale([0, 5, 10, 50, 100]));
+         expect(mockAdapter.updateTickMarks).toHaveBeenCalledWith([
+           TickMark.ACTIVE, TickMark.ACTIVE, TickMark.ACTIVE,
+           TickMark.INACTIVE, TickMark.INACTIVE
+         ]);
+
+         foundation.handleDown(createMouseEvent('mousedown', {
+           clientX: 70,  // Between 50 (at 75px) and 10 (at 50px).
+         }));
+         expect(foundation.getValue()).toBe(50);
+         jasmine.clock().tick(1);  // Tick for RAF.
+         expect(mockAdapter.setThumbStyleProperty)
+             .toHaveBeenCalledWith('transform', 'translateX(75px)', Thumb.END);
+         expect(mockAdapter.updateTickMarks).toHaveBeenCalledWith([
+           TickMark.ACTIVE, TickMark.ACTIVE, TickMark.ACTIVE, TickMark.ACTIVE,
+           TickMark.INACTIVE
+         ]);
+       });
+
+    it('value list scale: input change snaps to next allowed value in the ' +
+           'direction of change',
+       () => {
+         const {foundation, mockAdapter} = setUpAndInit({value: 10});
+         foundation.setScale(createValueListScale([0, 5, 10, 50, 100]));
+
+         mockAdapter.getInputValue.withArgs(Thumb.END).and.returnValue('11');
+         foundation.handleInputChange(Thumb.END);
+         expect(foundation.getValue()).toBe(50);
+
+         mockAdapter.getInputValue.withArgs(Thumb.END).and.returnValue('49');
+         foundation.handleInputChange(Thumb.END);
+         expect(foundation.getValue()).toBe(10);
+       });
+  });
+
+  describe('value formatter', () => {
+    it('formats value indicator text', () => {
+      const {foundation, mockAdapter} = setUpAndInit({
+        valueStart: 10,
+        value: 20,
+        isRange: true,
+        isDiscrete: true,
+      });
+      foundation.setValueFormatter((value: number) => `$${value}`);
+      expect(mockAdapter.setValueIndicatorText)
+          .toHaveBeenCalledWith('$10', Thumb.START);
+      expect(mockAdapter.setValueIndicatorText)
+          .toHaveBeenCalledWith('$20', Thumb.END);
+
+      foundation.setValue(30);
+      expect(mockAdapter.setValueIndicatorText)
+          .toHaveBeenCalledWith('$30', Thumb.END);
+    });
+
+    it('sets aria-valuetext if `Adapter#getValueToAriaValueTextFn` returns ' +
+           'null',
+       () => {
+         const {foundation, mockAdapter} = setUpAndInit({value: 20});
+         foundation.setValueFormatter((value: number) => `$${value}`);
+         expect(mockAdapter.setInputAttribute)
+             .toHaveBeenCalledWith(attributes.ARIA_VALUETEXT, '$20', Thumb.END);
+
+         mockAdapter.getValueToAriaValueTextFn.and.returnValue(
+             (value: number) => `${value} dollars`);
+         foundation.setValue(30);
+         expect(mockAdapter.setInputAttribute)
+             .toHaveBeenCalledWith(
+                 attributes.ARIA_VALUETEXT, '30 dollars', Thumb.END);
+         expect(mockAdapter.setInputAttribute)
+             .not.toHaveBeenCalledWith(
+                 attributes.ARIA_VALUETEXT, '$30', Thumb.END);
+       });
+  });
+
   describe('a11y support', () => {
     it('updates aria-valuetext on value update according to ' +
            '`Adapter#getValueToAriaValueTextFn`',
@@ -1242,7 +1734,7 @@ function setUpTest() {
  * By default, sets up a continuous slider with the following properties:
  * - min: 0
  * - max: 100
- * - rect: {left: 0, right: 100, width: 100}
+ * - rect: {bottom: 100, height: 100, left: 0, right: 100, top: 0, width: 100}
  */
 function setUpAndInit({
   value,
@@ -1256,6 +1748,7 @@ function setUpAndInit({
   hasTickMarks,
   isRange,
   isRTL,
+  isVertical,
 }: {
   value?: number,
   valueStart?: number,
@@ -1268,6 +1761,7 @@ function setUpAndInit({
   hasTickMarks?: boolean,
   isRange?: boolean,
   isRTL?: boolean,
+  isVertical?: boolean,
 } = {}) {
   const {foundation, mockAdapter} = setUpFoundationTest(MDCSliderFoundation);
   mockAdapter.hasClass.withArgs(cssClasses.DISCRETE)
@@ -1278,6 +1772,8 @@ function setUpAndInit({
       .and.returnValue(Boolean(hasTickMarks));
   mockAdapter.hasClass.withArgs(cssClasses.RANGE)
       .and.returnValue(Boolean(isRange));
+  mockAdapter.hasClass.withArgs(cssClasses.VERTICAL)
+      .and.returnValue(Boolean(isVertical));
 
   mockAdapter.getInputAttribute
       .withArgs(attributes.INPUT_MIN, isRange ? Thumb.START : Thumb.END)
@@ -1308,11 +1804,21 @@ function setUpAndInit({
     mockAdapter.isRTL.and.returnValue(true);
   }
   mockAdapter.getBoundingClientRect.and.returnValue(rect || {
+    bottom: 100,
+    height: 100,
     left: 0,
     right: 100,
+    top: 0,
     width: 100,
   });
-  if (isRTL) {
+  if (isVertical) {
+    // Vertical slider values grow from bottom to top.
+    mockAdapter.getThumbBoundingClientRect.withArgs(Thumb.END).and.returnValue(
+        {top: 100 - value - 5, bottom: 100 - value + 5});
+    mockAdapter.getThumbBoundingClientRect.withArgs(Thumb.START)
+        .and.returnValue(
+            {top: 100 - valueStart - 5, bottom: 100 - valueStart + 5});
+  } else if (isRTL) {
     mockAdapter.getThumbBoundingClientRect.withArgs(Thumb.END).and.returnValue(
         {left: 100 - value - 5, right: 100 - value + 5});
   } else {
@@ -1337,3 +1843,48 @@ function setUpAndInit({
 
   return {foundation, mockAdapter};
 }
+
+/**
+ * Sets up foundation, mock adapter, and calls Foundation#init for a continuous
+ * range slider with a thumb for each of the given values.
+ * - min: 0
+ * - max: 100
+ * - rect: {bottom: 100, height: 100, left: 0, right: 100, top: 0, width: 100}
+ */
+function setUpAndInitMultiThumb(
+    {values, isRTL}: {values: number[], isRTL?: boolean}) {
+  const {foundation, mockAdapter} = setUpFoundationTest(MDCSliderFoundation);
+  mockAdapter.hasClass.withArgs(cssClasses.RANGE).and.returnValue(true);
+  mockAdapter.getThumbCount.and.returnValue(values.length);
+
+  mockAdapter.getInputAttribute.withArgs(attributes.INPUT_MIN, Thumb.START)
+      .and.returnValue('0');
+  mockAdapter.getInputAttribute.withArgs(attributes.INPUT_MAX, values.length)
+      .and.returnValue('100');
+  values.forEach((value, i) => {
+    const thumb = i + 1;
+    mockAdapter.getInputAttribute.withArgs(attributes.INPUT_VALUE, thumb)
+        .and.returnValue(String(value));
+    const position = isRTL ? 100 - value : value;
+    mockAdapter.getThumbBoundingClientRect.withArgs(thumb).and.returnValue(
+        {left: position - 5, right: position + 5});
+    mockAdapter.getThumbKnobWidth.withArgs(thumb).and.returnValue(10);
+  });
+
+  foundation.init();
+
+  mockAdapter.isRTL.and.returnValue(Boolean(isRTL));
+  mockAdapter.getBoundingClientRect.and.returnValue({
+    bottom: 100,
+    height: 100,
+    left: 0,
+    right: 100,
+    top: 0,
+    width: 100,
+  });
+
+  foundation.layout();
+  jasmine.clock().tick(1);  // Tick for RAF from UI update.
+
+  return {foundation, mockAdapter};
+}
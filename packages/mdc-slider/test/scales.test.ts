@@ -0,0 +1,99 @@
+/**
+ * @license
+ * Copyright 2020 Google Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+import {createValueListScale, linearScale, logarithmicScale} from '../scales';
+
+describe('MDCSlider scales', () => {
+  const range = {min: 10, max: 1000, step: 1};
+
+  describe('linearScale', () => {
+    it('maps values to fractions of the track, and vice versa', () => {
+      expect(linearScale.valueToFraction(505, range)).toBe(0.5);
+      expect(linearScale.fractionToValue(0.5, range)).toBe(505);
+    });
+
+    it('quantizes values to the closest step, or in the given direction',
+       () => {
+         const stepRange = {min: 0, max: 100, step: 5};
+         expect(linearScale.quantize(12, stepRange)).toBe(10);
+         expect(linearScale.quantize(12, stepRange, 1)).toBe(15);
+         expect(linearScale.quantize(13, stepRange, -1)).toBe(10);
+       });
+  });
+
+  describe('logarithmicScale', () => {
+    it('maps values to fractions of the track, and vice versa', () => {
+      expect(logarithmicScale.valueToFraction(100, range)).toBeCloseTo(0.5);
+      expect(logarithmicScale.fractionToValue(0.5, range)).toBeCloseTo(100);
+      expect(logarithmicScale.fractionToValue(0, range)).toBe(10);
+    });
+
+    it('does not render tick marks', () => {
+      expect(logarithmicScale.getTickMarkValues!(range)).toEqual([]);
+    });
+
+    it('throws error if min <= 0', () => {
+      expect(
+          () => logarithmicScale.valueToFraction(5, {min: 0, max: 10, step: 1}))
+          .toThrowError(/min must be greater than 0/);
+    });
+  });
+
+  describe('createValueListScale', () => {
+    const scale = createValueListScale([0, 5, 10, 50, 100]);
+
+    it('evenly spaces values along the track', () => {
+      expect(scale.valueToFraction(0, range)).toBe(0);
+      expect(scale.valueToFraction(10, range)).toBe(0.5);
+      expect(scale.valueToFraction(30, range)).toBe(0.625);
+      expect(scale.valueToFraction(100, range)).toBe(1);
+      expect(scale.fractionToValue(0.25, range)).toBe(5);
+      expect(scale.fractionToValue(0.625, range)).toBe(30);
+      expect(scale.fractionToValue(1.5, range)).toBe(100);
+    });
+
+    it('quantizes values to the closest allowed value, or in the given ' +
+           'direction',
+       () => {
+         expect(scale.quantize(28, range)).toBe(10);
+         expect(scale.quantize(31, range)).toBe(50);
+         expect(scale.quantize(11, range, 1)).toBe(50);
+         expect(scale.quantize(49, range, -1)).toBe(10);
+         expect(scale.quantize(101, range, 1)).toBe(100);
+       });
+
+    it('renders a tick mark for each value', () => {
+      expect(scale.getTickMarkValues!(range)).toEqual([0, 5, 10, 50, 100]);
+    });
+
+    it('throws error if values are not in ascending order', () => {
+      expect(() => createValueListScale([0, 10, 5]))
+          .toThrowError(/must be in ascending order/);
+    });
+
+    it('throws error if there are less than two values', () => {
+      expect(() => createValueListScale([0]))
+          .toThrowError(/at least two values/);
+    });
+  });
+});
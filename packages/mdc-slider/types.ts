@@ -29,7 +29,9 @@ export enum TickMark {
 
 /**
  * Thumb types: range slider has two thumbs (START, END) whereas single point
- * slider only has one thumb (END).
+ * slider only has one thumb (END). Range sliders with more than two thumbs are
+ * addressed by zero-based thumb index instead, e.g. with
+ * `MDCSlider#getThumbValueAt`.
  */
 export enum Thumb {
   // Thumb at start of slider (e.g. in LTR mode, left thumb on range slider).
@@ -47,5 +49,56 @@ export interface MDCSliderChangeEventDetail {
   // The thumb for which the value has changed:
   // - For single point slider, this will always be Thumb.END.
   // - For range slider, either Thumb.START or Thumb.END.
+  // For range slider with more than two thumbs, use `index` instead.
   thumb: Thumb;
+
+  // The zero-based index of the thumb for which the value has changed, in
+  // ascending order of values.
+  index: number;
+}
+
+/** Label rendered under the track at the given value. */
+export interface MDCSliderTickLabel {
+  // Value on the track at which the label is rendered.
+  value: number;
+
+  // Text of the label.
+  label: string;
 }
+
+/** Range of slider values that a scale is applied to. */
+export interface MDCSliderScaleRange {
+  min: number;
+  max: number;
+  step: number;
+}
+
+/**
+ * Scale of slider, which maps slider values to positions on the track and
+ * determines the allowed values. See `scales.ts` for the built-in scales.
+ */
+export interface MDCSliderScale {
+  // Maps the given value to its position on the track, as a fraction of the
+  // track length in [0, 1].
+  valueToFraction(value: number, range: MDCSliderScaleRange): number;
+
+  // Maps the given position on the track, as a fraction of the track length,
+  // to a value in [min, max].
+  fractionToValue(fraction: number, range: MDCSliderScaleRange): number;
+
+  // Snaps the given value to the closest allowed value. If `direction` is
+  // positive (or negative), snaps to the closest allowed value that is
+  // greater (or less) than or equal to the given value.
+  quantize(value: number, range: MDCSliderScaleRange, direction?: number):
+      number;
+
+  // Returns the values of tick marks, which are rendered evenly spaced along
+  // the track. If not implemented, a tick mark is rendered for each step.
+  getTickMarkValues?(range: MDCSliderScaleRange): number[];
+}
+
+/**
+ * Formats a slider value for display, i.e. in the value indicator and in the
+ * `aria-valuetext` attribute.
+ */
+export type MDCSliderValueFormatter = (value: number) => string;
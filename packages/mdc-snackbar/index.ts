@@ -28,4 +28,5 @@ export * from './adapter';
 export * from './component';
 export * from './constants';
 export * from './foundation';
+export * from './queue';
 export * from './types';
@@ -0,0 +1,242 @@
+/**
+ * @license
+ * Copyright 2020 Google Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+
+import {CustomEventListener} from '@material/base/types';
+import {MDCSnackbar} from './component';
+import {numbers, strings} from './constants';
+import {MDCSnackbarCloseEvent, MDCSnackbarMessage} from './types';
+
+const {CLOSED_EVENT, CLOSING_EVENT, OPENED_EVENT, REASON_TIMEOUT} = strings;
+
+interface MDCSnackbarQueueEntry {
+  message: MDCSnackbarMessage;
+  priority: number;
+  reason: Promise<string>;
+  resolve: (reason: string) => void;
+}
+
+/**
+ * Shows messages in a snackbar one at a time, in order of priority. The queue
+ * takes over the auto-dismiss timeout of the snackbar while it shows a message.
+ */
+export class MDCSnackbarQueue {
+  private readonly snackbar_: MDCSnackbar;
+  private readonly defaultActionButtonText_: string;
+  private readonly entries_: MDCSnackbarQueueEntry[] = [];
+  private current_: MDCSnackbarQueueEntry|null = null;
+  private isClosing_ = false;
+  private isPreempted_ = false;
+  private snackbarTimeoutMs_: number;
+  private timeoutMs_ = 0;
+  private timeoutTimer_ = 0;
+
+  private readonly handleOpened_: EventListener;
+  private readonly handleClosing_: EventListener;
+  private readonly handleClosed_: CustomEventListener<MDCSnackbarCloseEvent>;
+
+  constructor(snackbar: MDCSnackbar) {
+    this.snackbar_ = snackbar;
+    this.snackbarTimeoutMs_ = snackbar.timeoutMs;
+    // Messages without action button text show the snackbar's own text, rather
+    // than that of the previous message.
+    this.defaultActionButtonText_ = snackbar.actionButtonText;
+
+    this.handleOpened_ = () => {
+      this.startTimeout_();
+    };
+    this.handleClosing_ = () => {
+      this.isClosing_ = true;
+      this.clearTimeout_();
+    };
+    this.handleClosed_ = (evt) => {
+      this.handleCurrentClosed_(evt.detail.reason || '');
+    };
+    snackbar.listen(OPENED_EVENT, this.handleOpened_);
+    snackbar.listen(CLOSING_EVENT, this.handleClosing_);
+    snackbar.listen(CLOSED_EVENT, this.handleClosed_);
+  }
+
+  destroy() {
+    this.clearTimeout_();
+    this.snackbar_.unlisten(OPENED_EVENT, this.handleOpened_);
+    this.snackbar_.unlisten(CLOSING_EVENT, this.handleClosing_);
+    this.snackbar_.unlisten(CLOSED_EVENT, this.handleClosed_);
+
+    if (this.current_) {
+      this.current_.resolve('');
+      this.current_ = null;
+      this.snackbar_.timeoutMs = this.snackbarTimeoutMs_;
+      this.snackbar_.close();
+    }
+    this.entries_.splice(0).forEach((entry) => {
+      entry.resolve('');
+    });
+  }
+
+  /**
+   * Queues the message, or coalesces it with an identical message that is
+   * already shown or queued.
+   * @return Resolves with the reason the snackbar closed the message:
+   *     REASON_ACTION, REASON_DISMISS, REASON_TIMEOUT, or an empty string if
+   *     it was closed without a reason or the queue was destroyed.
+   */
+  show(message: MDCSnackbarMessage): Promise<string> {
+    this.validateTimeoutMs_(message.timeoutMs);
+    const priority = message.priority || 0;
+
+    const duplicate = this.findDuplicate_(message);
+    if (duplicate) {
+      if (duplicate !== this.current_ && priority > duplicate.priority) {
+        this.entries_.splice(this.entries_.indexOf(duplicate), 1);
+        duplicate.priority = priority;
+        this.enqueue_(duplicate);
+        this.maybePreempt_();
+      }
+      return duplicate.reason;
+    }
+
+    let resolve!: (reason: string) => void;
+    const reason = new Promise<string>((resolveFn) => {
+      resolve = resolveFn;
+    });
+    this.enqueue_({message, priority, reason, resolve});
+
+    if (this.current_) {
+      this.maybePreempt_();
+    } else {
+      this.showNext_();
+    }
+    return reason;
+  }
+
+  /** @return The number of messages waiting to be shown. */
+  get size(): number {
+    return this.entries_.length;
+  }
+
+  private enqueue_(entry: MDCSnackbarQueueEntry, isPreempted = false) {
+    // Keep messages of the same priority in order. A preempted message goes
+    // before the ones that have been waiting for it.
+    let index = 0;
+    while (index < this.entries_.length &&
+           (isPreempted ? this.entries_[index].priority > entry.priority :
+                          this.entries_[index].priority >= entry.priority)) {
+      index++;
+    }
+    this.entries_.splice(index, 0, entry);
+  }
+
+  /** Closes the current message if a message with a higher priority waits. */
+  private maybePreempt_() {
+    const next = this.entries_[0];
+    if (!this.current_ || this.isClosing_ || !next ||
+        next.priority <= this.current_.priority) {
+      return;
+    }
+
+    this.isPreempted_ = true;
+    this.snackbar_.close();
+  }
+
+  private showNext_() {
+    const entry = this.entries_.shift();
+    if (!entry) {
+      return;
+    }
+
+    const {labelText, actionButtonText, timeoutMs} = entry.message;
+    this.current_ = entry;
+    this.timeoutMs_ =
+        timeoutMs === undefined ? this.snackbar_.timeoutMs : timeoutMs;
+    this.snackbar_.labelText = labelText;
+    this.snackbar_.actionButtonText = actionButtonText === undefined ?
+        this.defaultActionButtonText_ :
+        actionButtonText;
+    // The queue closes the message itself, so that timeouts can be told apart
+    // from dismissals.
+    this.snackbarTimeoutMs_ = this.snackbar_.timeoutMs;
+    this.snackbar_.timeoutMs = numbers.INDETERMINATE;
+    this.snackbar_.open();
+  }
+
+  private handleCurrentClosed_(reason: string) {
+    const entry = this.current_;
+    if (!entry) {
+      return;
+    }
+
+    this.current_ = null;
+    this.isClosing_ = false;
+    this.snackbar_.timeoutMs = this.snackbarTimeoutMs_;
+    if (this.isPreempted_) {
+      this.isPreempted_ = false;
+      this.enqueue_(entry, /** isPreempted */ true);
+    } else {
+      entry.resolve(reason);
+    }
+    this.showNext_();
+  }
+
+  private startTimeout_() {
+    this.clearTimeout_();
+    if (!this.current_ || this.timeoutMs_ === numbers.INDETERMINATE) {
+      return;
+    }
+
+    this.timeoutTimer_ = setTimeout(() => {
+      this.timeoutTimer_ = 0;
+      this.snackbar_.close(REASON_TIMEOUT);
+    }, this.timeoutMs_);
+  }
+
+  private clearTimeout_() {
+    clearTimeout(this.timeoutTimer_);
+    this.timeoutTimer_ = 0;
+  }
+
+  private findDuplicate_(message: MDCSnackbarMessage):
+      MDCSnackbarQueueEntry|null {
+    const isDuplicate = (entry: MDCSnackbarQueueEntry) =>
+        entry.message.labelText === message.labelText &&
+        entry.message.actionButtonText === message.actionButtonText;
+
+    if (this.current_ && !this.isClosing_ && isDuplicate(this.current_)) {
+      return this.current_;
+    }
+    return this.entries_.filter(isDuplicate)[0] || null;
+  }
+
+  private validateTimeoutMs_(timeoutMs?: number) {
+    const minValue = numbers.MIN_AUTO_DISMISS_TIMEOUT_MS;
+    const maxValue = numbers.MAX_AUTO_DISMISS_TIMEOUT_MS;
+    if (timeoutMs === undefined || timeoutMs === numbers.INDETERMINATE ||
+        (timeoutMs <= maxValue && timeoutMs >= minValue)) {
+      return;
+    }
+
+    throw new Error(`
+      timeoutMs must be an integer in the range ${minValue}–${maxValue}
+      (or ${numbers.INDETERMINATE} to disable), but got '${timeoutMs}'`);
+  }
+}
@@ -0,0 +1,264 @@
+/**
+ * @license
+ * Copyright 2020 Google Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+
+import {setUpMdcTestEnvironment} from '../../../testing/helpers/setup';
+import {numbers, strings} from '../constants';
+import {MDCSnackbar, MDCSnackbarQueue} from '../index';
+
+function getFixture() {
+  const wrapper = document.createElement('div');
+  wrapper.innerHTML = `
+    <div class="mdc-snackbar">
+      <div class="mdc-snackbar__surface">
+        <div class="mdc-snackbar__label" role="status" aria-live="polite"></div>
+        <div class="mdc-snackbar__actions">
+          <button type="button" class="mdc-button mdc-snackbar__action">Undo</button>
+          <button class="mdc-icon-button mdc-snackbar__dismiss material-icons" title="Dismiss">close</button>
+        </div>
+      </div>
+    </div>`;
+  const el = wrapper.firstElementChild as HTMLElement;
+  wrapper.removeChild(el);
+  return el;
+}
+
+function setupTest() {
+  const root = getFixture();
+  const snackbar = new MDCSnackbar(root, undefined, () => () => undefined);
+  const queue = new MDCSnackbarQueue(snackbar);
+  return {root, snackbar, queue};
+}
+
+function finishOpening() {
+  // #open uses a combination of rAF and setTimeout before animating.
+  jasmine.clock().tick(2);
+  jasmine.clock().tick(numbers.SNACKBAR_ANIMATION_OPEN_TIME_MS);
+}
+
+function finishClosing() {
+  jasmine.clock().tick(numbers.SNACKBAR_ANIMATION_CLOSE_TIME_MS);
+}
+
+describe('MDCSnackbarQueue', () => {
+  setUpMdcTestEnvironment();
+
+  it('#show opens the snackbar with the message', () => {
+    const {snackbar, queue} = setupTest();
+    queue.show({labelText: 'Message sent', actionButtonText: 'Undo'});
+
+    expect(snackbar.isOpen).toBe(true);
+    expect(snackbar.labelText).toBe('Message sent');
+    expect(snackbar.actionButtonText).toBe('Undo');
+  });
+
+  it('#show keeps the action button text of the snackbar if the message has none',
+     () => {
+       const {snackbar, queue} = setupTest();
+       queue.show({labelText: 'Message sent'});
+
+       expect(snackbar.actionButtonText).toBe('Undo');
+     });
+
+  it('#show restores the snackbar\'s action button text after a message ' +
+         'with its own text',
+     () => {
+       const {snackbar, queue} = setupTest();
+       queue.show({labelText: 'Photo deleted', actionButtonText: 'Restore'});
+       queue.show({labelText: 'Message sent'});
+       finishOpening();
+       expect(snackbar.actionButtonText).toBe('Restore');
+
+       snackbar.close();
+       finishClosing();
+       expect(snackbar.labelText).toBe('Message sent');
+       expect(snackbar.actionButtonText).toBe('Undo');
+     });
+
+  it('#show resolves with REASON_TIMEOUT after the timeout of the snackbar',
+     async () => {
+       const {snackbar, queue} = setupTest();
+       snackbar.timeoutMs = 4000;
+       const reason = queue.show({labelText: 'Message sent'});
+       finishOpening();
+       jasmine.clock().tick(3000);
+       expect(snackbar.isOpen).toBe(true);
+
+       jasmine.clock().tick(1000);
+       expect(snackbar.isOpen).toBe(false);
+       finishClosing();
+
+       expect(await reason).toBe(strings.REASON_TIMEOUT);
+       expect(snackbar.timeoutMs).toBe(4000);
+     });
+
+  it('#show uses the timeout of the message', async () => {
+    const {snackbar, queue} = setupTest();
+    const reason = queue.show({labelText: 'Message sent', timeoutMs: 10000});
+    finishOpening();
+    jasmine.clock().tick(numbers.DEFAULT_AUTO_DISMISS_TIMEOUT_MS);
+    expect(snackbar.isOpen).toBe(true);
+
+    jasmine.clock().tick(10000 - numbers.DEFAULT_AUTO_DISMISS_TIMEOUT_MS);
+    finishClosing();
+    expect(await reason).toBe(strings.REASON_TIMEOUT);
+  });
+
+  it('#show does not close messages with an indeterminate timeout', () => {
+    const {snackbar, queue} = setupTest();
+    queue.show({labelText: 'Message sent', timeoutMs: numbers.INDETERMINATE});
+    finishOpening();
+    jasmine.clock().tick(numbers.MAX_AUTO_DISMISS_TIMEOUT_MS);
+
+    expect(snackbar.isOpen).toBe(true);
+  });
+
+  it('#show throws an error for an invalid timeout', () => {
+    const {queue} = setupTest();
+    expect(() => queue.show({labelText: 'Message sent', timeoutMs: 10}))
+        .toThrow();
+  });
+
+  it('#show resolves with REASON_ACTION when the action button is clicked',
+     async () => {
+       const {root, queue} = setupTest();
+       const reason = queue.show({labelText: 'Message sent'});
+       finishOpening();
+       (root.querySelector(strings.ACTION_SELECTOR) as HTMLElement).click();
+       finishClosing();
+
+       expect(await reason).toBe(strings.REASON_ACTION);
+     });
+
+  it('#show resolves with REASON_DISMISS when the dismiss icon is clicked',
+     async () => {
+       const {root, queue} = setupTest();
+       const reason = queue.show({labelText: 'Message sent'});
+       finishOpening();
+       (root.querySelector(strings.DISMISS_SELECTOR) as HTMLElement).click();
+       finishClosing();
+
+       expect(await reason).toBe(strings.REASON_DISMISS);
+     });
+
+  it('#show shows messages one at a time', () => {
+    const {snackbar, queue} = setupTest();
+    queue.show({labelText: 'First'});
+    queue.show({labelText: 'Second'});
+    finishOpening();
+    expect(snackbar.labelText).toBe('First');
+    expect(queue.size).toBe(1);
+
+    snackbar.close(strings.REASON_DISMISS);
+    finishClosing();
+    expect(snackbar.isOpen).toBe(true);
+    expect(snackbar.labelText).toBe('Second');
+    expect(queue.size).toBe(0);
+  });
+
+  it('#show shows messages with a higher priority first', () => {
+    const {snackbar, queue} = setupTest();
+    queue.show({labelText: 'First', priority: 1});
+    queue.show({labelText: 'Low'});
+    queue.show({labelText: 'High', priority: 1});
+    finishOpening();
+
+    snackbar.close();
+    finishClosing();
+    expect(snackbar.labelText).toBe('High');
+
+    snackbar.close();
+    finishClosing();
+    expect(snackbar.labelText).toBe('Low');
+  });
+
+  it('#show closes the current message for a message with a higher priority and shows it again afterwards',
+     async () => {
+       const {snackbar, queue} = setupTest();
+       const lowReason = queue.show({labelText: 'Low'});
+       finishOpening();
+       const highReason = queue.show({labelText: 'High', priority: 1});
+       expect(snackbar.isOpen).toBe(false);
+
+       finishClosing();
+       expect(snackbar.labelText).toBe('High');
+       finishOpening();
+       snackbar.close(strings.REASON_ACTION);
+       finishClosing();
+       expect(await highReason).toBe(strings.REASON_ACTION);
+
+       expect(snackbar.labelText).toBe('Low');
+       finishOpening();
+       snackbar.close(strings.REASON_DISMISS);
+       finishClosing();
+       expect(await lowReason).toBe(strings.REASON_DISMISS);
+     });
+
+  it('#show coalesces a message with the shown message', () => {
+    const {snackbar, queue} = setupTest();
+    const reason = queue.show({labelText: 'Message sent'});
+    expect(queue.show({labelText: 'Message sent'})).toBe(reason);
+    expect(queue.size).toBe(0);
+
+    finishOpening();
+    snackbar.close();
+    finishClosing();
+    expect(snackbar.isOpen).toBe(false);
+  });
+
+  it('#show coalesces a message with a queued message', () => {
+    const {queue} = setupTest();
+    queue.show({labelText: 'First'});
+    const reason = queue.show({labelText: 'Second', actionButtonText: 'Undo'});
+
+    expect(queue.show({labelText: 'Second', actionButtonText: 'Undo'}))
+        .toBe(reason);
+    expect(queue.show({labelText: 'Second'})).not.toBe(reason);
+    expect(queue.size).toBe(2);
+  });
+
+  it('#show raises the priority of a coalesced message', () => {
+    const {snackbar, queue} = setupTest();
+    queue.show({labelText: 'First'});
+    finishOpening();
+    queue.show({labelText: 'Second'});
+    queue.show({labelText: 'Second', priority: 1});
+    finishClosing();
+
+    expect(snackbar.labelText).toBe('Second');
+  });
+
+  it('#destroy resolves pending messages with an empty reason', async () => {
+    const {snackbar, queue} = setupTest();
+    const firstReason = queue.show({labelText: 'First'});
+    const secondReason = queue.show({labelText: 'Second'});
+    finishOpening();
+    queue.destroy();
+    finishClosing();
+
+    expect(await firstReason).toBe('');
+    expect(await secondReason).toBe('');
+    expect(snackbar.isOpen).toBe(false);
+    expect(snackbar.timeoutMs).toBe(numbers.DEFAULT_AUTO_DISMISS_TIMEOUT_MS);
+  });
+});
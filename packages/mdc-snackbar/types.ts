@@ -28,6 +28,22 @@ export interface MDCSnackbarCloseEventDetail {
   reason?: string;
 }
 
+export interface MDCSnackbarMessage {
+  labelText: string;
+
+  /** Defaults to the action button text of the snackbar. */
+  actionButtonText?: string;
+
+  /** Defaults to the `timeoutMs` of the snackbar. */
+  timeoutMs?: number;
+
+  /**
+   * Messages with a higher priority are shown first, and close the current
+   * message if it has a lower priority. Defaults to 0.
+   */
+  priority?: number;
+}
+
 // Note: CustomEvent<T> is not supported by Closure Compiler.
 
 export interface MDCSnackbarCloseEvent extends Event {
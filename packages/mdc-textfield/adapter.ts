@@ -22,7 +22,7 @@
  */
 
 import {EventType, SpecificEventListener} from '@material/base/types';
-import {MDCTextFieldNativeInputElement} from './types';
+import {MDCTextFieldNativeInputElement, MDCTextFieldValidityChangedEventDetail} from './types';
 
 /**
  * Defines the shape of the adapter expected by the foundation.
@@ -74,6 +74,12 @@ export interface MDCTextFieldRootAdapter {
    * Disconnects a validation attribute observer on the input element.
    */
   deregisterValidationAttributeChangeHandler(observer: MutationObserver): void;
+
+  /**
+   * Emits a custom event "MDCTextField:validityChanged" denoting that the
+   * validity or the pending validation state of the text field has changed.
+   */
+  notifyValidityChanged(detail: MDCTextFieldValidityChangedEventDetail): void;
 }
 
 export interface MDCTextFieldInputAdapter {
@@ -40,7 +40,8 @@ import {MDCTextFieldFoundation} from './foundation';
 import {MDCTextFieldHelperText, MDCTextFieldHelperTextFactory,} from './helper-text/component';
 import {MDCTextFieldHelperTextFoundation} from './helper-text/foundation';
 import {MDCTextFieldIcon, MDCTextFieldIconFactory} from './icon/component';
-import {MDCTextFieldFoundationMap} from './types';
+import {createPatternMask} from './mask';
+import {MDCTextFieldFoundationMap, MDCTextFieldMask, MDCTextFieldValidator, MDCTextFieldValidityChangedEventDetail} from './types';
 
 export class MDCTextField extends MDCComponent<MDCTextFieldFoundation> implements MDCRippleCapableSurface {
   static attachTo(root: Element): MDCTextField {
@@ -151,6 +152,11 @@ export class MDCTextField extends MDCComponent<MDCTextFieldFoundation> implement
    */
   initialSyncWithDOM() {
     this.disabled = this.input_.disabled;
+
+    const maskPattern = this.input_.getAttribute(strings.MASK_ATTR);
+    if (maskPattern) {
+      this.mask = createPatternMask(maskPattern);
+    }
   }
 
   get value(): string {
@@ -164,6 +170,26 @@ export class MDCTextField extends MDCComponent<MDCTextFieldFoundation> implement
     this.foundation.setValue(value);
   }
 
+  /**
+   * The value without the formatting of the mask. Same as `value` if no mask
+   * is set.
+   */
+  get rawValue(): string {
+    return this.foundation.getValue(/** raw */ true);
+  }
+
+  get mask(): MDCTextFieldMask|null {
+    return this.foundation.getMask();
+  }
+
+  /**
+   * @param mask Sets the mask that formats the value as the user types, or
+   *     null to stop formatting the value.
+   */
+  set mask(mask: MDCTextFieldMask|null) {
+    this.foundation.setMask(mask);
+  }
+
   get disabled(): boolean {
     return this.foundation.isDisabled();
   }
@@ -311,6 +337,29 @@ export class MDCTextField extends MDCComponent<MDCTextFieldFoundation> implement
     this.foundation.setUseNativeValidation(useNativeValidation);
   }
 
+  /**
+   * The message of the first failing validator, or an empty string if all
+   * validators passed.
+   */
+  get validationMessage(): string {
+    return this.foundation.getValidationMessage();
+  }
+
+  /**
+   * Whether asynchronous validators are still running.
+   */
+  get validationPending(): boolean {
+    return this.foundation.isValidationPending();
+  }
+
+  /**
+   * @param debounceMs Sets the delay after the user stops typing before
+   *     running the validators.
+   */
+  set validationDebounceMs(debounceMs: number) {
+    this.foundation.setValidationDebounceMs(debounceMs);
+  }
+
   /**
    * Gets the text content of the prefix, or null if it does not exist.
    */
@@ -343,6 +392,30 @@ export class MDCTextField extends MDCComponent<MDCTextFieldFoundation> implement
     }
   }
 
+  /**
+   * Adds a validator, run when the value changes in addition to native
+   * validation.
+   */
+  addValidator(validator: MDCTextFieldValidator) {
+    this.foundation.addValidator(validator);
+  }
+
+  /**
+   * Removes a validator added with `addValidator`.
+   */
+  removeValidator(validator: MDCTextFieldValidator) {
+    this.foundation.removeValidator(validator);
+  }
+
+  /**
+   * Runs the validators against the current value right away.
+   * @return A promise resolving with the validity of the Text Field once all
+   *     validators have completed.
+   */
+  validate(): Promise<boolean> {
+    return this.foundation.validate();
+  }
+
   /**
    * Focuses the input element.
    */
@@ -399,6 +472,10 @@ export class MDCTextField extends MDCComponent<MDCTextFieldFoundation> implement
       deregisterValidationAttributeChangeHandler: (observer) => {
         observer.disconnect();
       },
+      notifyValidityChanged: (detail) => {
+        this.emit<MDCTextFieldValidityChangedEventDetail>(
+            strings.VALIDITY_CHANGED_EVENT, detail);
+      },
     };
     // tslint:enable:object-literal-sort-keys
   }
@@ -28,10 +28,12 @@ const strings = {
   LABEL_SELECTOR: '.mdc-floating-label',
   LEADING_ICON_SELECTOR: '.mdc-text-field__icon--leading',
   LINE_RIPPLE_SELECTOR: '.mdc-line-ripple',
+  MASK_ATTR: 'data-mask',
   OUTLINE_SELECTOR: '.mdc-notched-outline',
   PREFIX_SELECTOR: '.mdc-text-field__affix--prefix',
   SUFFIX_SELECTOR: '.mdc-text-field__affix--suffix',
-  TRAILING_ICON_SELECTOR: '.mdc-text-field__icon--trailing'
+  TRAILING_ICON_SELECTOR: '.mdc-text-field__icon--trailing',
+  VALIDITY_CHANGED_EVENT: 'MDCTextField:validityChanged',
 };
 
 const cssClasses = {
@@ -44,12 +46,14 @@ const cssClasses = {
   OUTLINED: 'mdc-text-field--outlined',
   ROOT: 'mdc-text-field',
   TEXTAREA: 'mdc-text-field--textarea',
+  VALIDATING: 'mdc-text-field--validating',
   WITH_LEADING_ICON: 'mdc-text-field--with-leading-icon',
   WITH_TRAILING_ICON: 'mdc-text-field--with-trailing-icon',
 };
 
 const numbers = {
   LABEL_SCALE: 0.75,
+  VALIDATION_DEBOUNCE_MS: 300,
 };
 
 /**
@@ -28,7 +28,7 @@ import {MDCTextFieldCharacterCounterFoundation} from './character-counter/founda
 import {ALWAYS_FLOAT_TYPES, cssClasses, numbers, strings, VALIDATION_ATTR_WHITELIST} from './constants';
 import {MDCTextFieldHelperTextFoundation} from './helper-text/foundation';
 import {MDCTextFieldIconFoundation} from './icon/foundation';
-import {MDCTextFieldFoundationMap, MDCTextFieldNativeInputElement} from './types';
+import {MDCTextFieldFoundationMap, MDCTextFieldMask, MDCTextFieldNativeInputElement, MDCTextFieldValidator, MDCTextFieldValidityChangedEventDetail} from './types';
 
 type PointerDownEventType = 'mousedown'|'touchstart';
 type InteractionEventType = 'click'|'keydown';
@@ -82,6 +82,7 @@ export class MDCTextFieldFoundation extends MDCFoundation<MDCTextFieldAdapter> {
       registerValidationAttributeChangeHandler: () =>
           new MutationObserver(() => undefined),
       deregisterValidationAttributeChangeHandler: () => undefined,
+      notifyValidityChanged: () => undefined,
       getNativeInput: () => null,
       isFocused: () => false,
       activateLineRipple: () => undefined,
@@ -103,7 +104,23 @@ export class MDCTextFieldFoundation extends MDCFoundation<MDCTextFieldAdapter> {
   private receivedUserInput_ = false;
   private isValid_ = true;
   private useNativeValidation_ = true;
+  private mask_: MDCTextFieldMask|null = null;
   private validateOnValueChange_ = true;
+  private validators_: MDCTextFieldValidator[] = [];
+  private validationMessage_ = '';
+  // Content of the helper text while it is replaced by a validation message.
+  private helperTextContent_: string|null = null;
+  private isValidationPending_ = false;
+  private validationDebounceMs_ = numbers.VALIDATION_DEBOUNCE_MS;
+  private validationTimeout_ = 0;
+  // Incremented on each validators run, so that stale results are ignored.
+  private validationRunId_ = 0;
+  private validationRun_: Promise<void>|null = null;
+  private notifiedValidity_: MDCTextFieldValidityChangedEventDetail = {
+    pending: false,
+    valid: true,
+    validationMessage: '',
+  };
 
   private readonly inputFocusHandler_: () => void;
   private readonly inputBlurHandler_: SpecificEventListener<'blur'>;
@@ -194,6 +211,8 @@ export class MDCTextFieldFoundation extends MDCFoundation<MDCTextFieldAdapter> {
     });
     this.adapter.deregisterValidationAttributeChangeHandler(
         this.validationObserver_);
+    clearTimeout(this.validationTimeout_);
+    this.validationRunId_++;
   }
 
   /**
@@ -283,8 +302,14 @@ export class MDCTextFieldFoundation extends MDCFoundation<MDCTextFieldAdapter> {
    * Handles input change of text input and text area.
    */
   handleInput() {
+    if (this.mask_) {
+      this.applyMask_();
+    }
     this.autoCompleteFocus();
     this.setCharacterCounter_(this.getValue().length);
+    if (this.validators_.length) {
+      this.scheduleValidation_();
+    }
   }
 
   /**
@@ -301,6 +326,9 @@ export class MDCTextFieldFoundation extends MDCFoundation<MDCTextFieldAdapter> {
    * Deactivates the Text Field's focus state.
    */
   deactivateFocus() {
+    if (this.validationTimeout_) {
+      this.runValidators_();
+    }
     this.isFocused_ = false;
     this.adapter.deactivateLineRipple();
     const isValid = this.isValid();
@@ -317,20 +345,33 @@ export class MDCTextFieldFoundation extends MDCFoundation<MDCTextFieldAdapter> {
     }
   }
 
-  getValue(): string {
-    return this.getNativeInput_().value;
+  /**
+   * @param raw Whether to return the raw value, i.e. the value without the
+   *     formatting of the mask, if one is set.
+   * @return The value of the input Element.
+   */
+  getValue(raw = false): string {
+    const value = this.getNativeInput_().value;
+    return raw && this.mask_ ? this.mask_.unformat(value) : value;
   }
 
   /**
-   * @param value The value to set on the input Element.
+   * @param value The value to set on the input Element. If a mask is set, the
+   *     value may be raw or formatted, and is formatted by the mask.
    */
   setValue(value: string): void {
+    if (this.mask_) {
+      value = this.formatValue_(value);
+    }
     // Prevent Safari from moving the caret to the end of the input when the
     // value has not changed.
     if (this.getValue() !== value) {
       this.getNativeInput_().value = value;
     }
     this.setCharacterCounter_(value.length);
+    if (this.validateOnValueChange_ && this.validators_.length) {
+      this.runValidators_();
+    }
     if (this.validateOnValueChange_) {
       const isValid = this.isValid();
       this.styleValidity_(isValid);
@@ -350,6 +391,9 @@ export class MDCTextFieldFoundation extends MDCFoundation<MDCTextFieldAdapter> {
    *     native validity check.
    */
   isValid(): boolean {
+    if (this.validationMessage_) {
+      return false;
+    }
     return this.useNativeValidation_ ? this.isNativeInputValid_() :
                                        this.isValid_;
   }
@@ -393,6 +437,88 @@ export class MDCTextFieldFoundation extends MDCFoundation<MDCTextFieldAdapter> {
     this.useNativeValidation_ = useNativeValidation;
   }
 
+  /**
+   * Adds a validator, run when the value changes (debounced while the user
+   * types) in addition to native validation.
+   */
+  addValidator(validator: MDCTextFieldValidator): void {
+    this.validators_.push(validator);
+  }
+
+  /**
+   * Removes a validator added with `addValidator`.
+   */
+  removeValidator(validator: MDCTextFieldValidator): void {
+    const index = this.validators_.indexOf(validator);
+    if (index === -1) {
+      return;
+    }
+
+    this.validators_.splice(index, 1);
+    if (this.validationMessage_ || this.isValidationPending_) {
+      this.runValidators_();
+    }
+  }
+
+  /**
+   * Runs the validators against the current value right away.
+   * @return A promise resolving with the validity of the Text Field once all
+   *     validators have completed.
+   */
+  validate(): Promise<boolean> {
+    this.runValidators_();
+    return this.whenValidated_();
+  }
+
+  /**
+   * @return The message of the first failing validator, or an empty string if
+   *     all validators passed.
+   */
+  getValidationMessage(): string {
+    return this.validationMessage_;
+  }
+
+  /**
+   * @return Whether asynchronous validators are still running.
+   */
+  isValidationPending(): boolean {
+    return this.isValidationPending_;
+  }
+
+  /**
+   * @param debounceMs The delay after the user stops typing before running the
+   *     validators. Defaults to `numbers.VALIDATION_DEBOUNCE_MS`.
+   */
+  setValidationDebounceMs(debounceMs: number): void {
+    this.validationDebounceMs_ = debounceMs;
+  }
+
+  /**
+   * @return The mask that formats the value as the user types, if set.
+   */
+  getMask(): MDCTextFieldMask|null {
+    return this.mask_;
+  }
+
+  /**
+   * Sets the mask that formats the value as the user types, and formats the
+   * current value with it.
+   * @param mask The mask to use, or null to stop formatting the value.
+   */
+  setMask(mask: MDCTextFieldMask|null): void {
+    this.mask_ = mask;
+    const value = this.getValue();
+    if (!mask || !value) {
+      return;
+    }
+
+    const formattedValue = this.formatValue_(value);
+    if (formattedValue !== value) {
+      this.getNativeInput_().value = formattedValue;
+      this.setCharacterCounter_(formattedValue.length);
+    }
+  }
+
   isDisabled(): boolean {
     return this.getNativeInput_().disabled;
   }
@@ -409,7 +535,10 @@ export class MDCTextFieldFoundation extends MDCFoundation<MDCTextFieldAdapter> {
    * @param content Sets the content of the helper text.
    */
   setHelperTextContent(content: string): void {
-    if (this.helperText_) {
+    if (this.helperTextContent_ !== null) {
+      // Shown once the validation message clears.
+      this.helperTextContent_ = content;
+    } else if (this.helperText_) {
       this.helperText_.setContent(content);
     }
   }
@@ -468,6 +597,166 @@ export class MDCTextFieldFoundation extends MDCFoundation<MDCTextFieldAdapter> {
     this.characterCounter_.setCounterValue(currentLength, maxLength);
   }
 
+  /**
+   * Formats the value the user typed with the mask, keeping the caret after
+   * the same raw character as before formatting.
+   */
+  private applyMask_(): void {
+    const nativeInput = this.getNativeInput_();
+    const value = nativeInput.value;
+    const formattedValue = this.formatValue_(value);
+    if (formattedValue === value) {
+      return;
+    }
+
+    const caret = nativeInput.selectionStart;
+    nativeInput.value = formattedValue;
+    if (caret === null || caret === undefined ||
+        !nativeInput.setSelectionRange) {
+      return;
+    }
+
+    const mask = this.mask_!;
+    const rawCaret = mask.unformat(value.slice(0, caret)).length;
+    let formattedCaret = 0;
+    while (formattedCaret < formattedValue.length &&
+           mask.unformat(formattedValue.slice(0, formattedCaret)).length <
+               rawCaret) {
+      formattedCaret++;
+    }
+    nativeInput.setSelectionRange(formattedCaret, formattedCaret);
+  }
+
+  /**
+   * @return The given value formatted with the mask. Trailing raw characters
+   *     are dropped if the formatted value would exceed the input's maxlength,
+   *     so that it stays in sync with the character counter and native
+   *     validation.
+   */
+  private formatValue_(value: string): string {
+    const mask = this.mask_!;
+    const maxLength = this.getNativeInput_().maxLength;
+    let rawValue = mask.unformat(value);
+    let formattedValue = mask.format(rawValue);
+    while (maxLength >= 0 && formattedValue.length > maxLength) {
+      rawValue = rawValue.slice(0, -1);
+      formattedValue = mask.format(rawValue);
+    }
+    return formattedValue;
+  }
+
+  private scheduleValidation_(): void {
+    clearTimeout(this.validationTimeout_);
+    this.validationTimeout_ = setTimeout(() => {
+      this.runValidators_();
+    }, this.validationDebounceMs_);
+  }
+
+  /**
+   * Runs the validators against the current value. Synchronous validation
+   * messages are applied right away; otherwise the Text Field is pending until
+   * the asynchronous validators complete. A rejected promise counts as valid.
+   */
+  private runValidators_(): void {
+    clearTimeout(this.validationTimeout_);
+    this.validationTimeout_ = 0;
+    const runId = ++this.validationRunId_;
+    const value = this.getValue();
+    // Handle rejections right away, so that promises of validators that are
+    // ignored because of a synchronous message do not reject unhandled.
+    const results = this.validators_.map((validator) => {
+      const result = validator(value);
+      return typeof result === 'string' ?
+          result :
+          Promise.resolve(result).catch(() => '');
+    });
+    const syncMessage = results.filter(
+        (result) => typeof result === 'string' && result)[0] as string;
+    const hasPendingResults =
+        results.some((result) => typeof result !== 'string');
+    if (syncMessage || !hasPendingResults) {
+      this.validationRun_ = null;
+      this.setValidationState_(syncMessage || '', /** isPending */ false);
+      return;
+    }
+
+    this.setValidationState_(this.validationMessage_, /** isPending */ true);
+    this.validationRun_ = Promise.all(results).then((messages) => {
+      if (runId !== this.validationRunId_) {
+        return;
+      }
+      this.validationRun_ = null;
+      this.setValidationState_(
+          messages.filter((message) => message)[0] || '',
+          /** isPending */ false);
+    });
+  }
+
+  /**
+   * @return A promise resolving with the validity of the Text Field once the
+   *     latest validators run has completed.
+   */
+  private whenValidated_(): Promise<boolean> {
+    const run = this.validationRun_;
+    return run ? run.then(() => this.whenValidated_()) :
+                 Promise.resolve(this.isValid());
+  }
+
+  private setValidationState_(message: string, isPending: boolean): void {
+    this.validationMessage_ = message;
+    this.isValidationPending_ = isPending;
+
+    // Report the message to constraint validation, so that the form can't be
+    // submitted while the value is invalid.
+    const nativeInput = this.getNativeInput_();
+    if (nativeInput.setCustomValidity) {
+      nativeInput.setCustomValidity(message);
+    }
+
+    const {VALIDATING} = MDCTextFieldFoundation.cssClasses;
+    if (isPending) {
+      this.adapter.addClass(VALIDATING);
+    } else {
+      this.adapter.removeClass(VALIDATING);
+    }
+
+    if (this.helperText_) {
+      if (message) {
+        if (this.helperTextContent_ === null) {
+          this.helperTextContent_ = this.helperText_.getContent();
+        }
+        this.helperText_.setContent(message);
+      } else if (this.helperTextContent_ !== null) {
+        this.helperText_.setContent(this.helperTextContent_);
+        this.helperTextContent_ = null;
+      }
+    }
+    this.styleValidity_(this.isValid());
+    if (this.adapter.hasLabel()) {
+      this.adapter.shakeLabel(this.shouldShake);
+    }
+  }
+
+  /**
+   * Emits the validity changed event if the validity, the pending validation
+   * state or the validation message changed since it was last emitted.
+   */
+  private notifyValidityChanged_(isValid: boolean): void {
+    const detail = {
+      pending: this.isValidationPending_,
+      valid: isValid,
+      validationMessage: this.validationMessage_,
+    };
+    const previous = this.notifiedValidity_;
+    if (detail.pending === previous.pending && detail.valid === previous.valid &&
+        detail.validationMessage === previous.validationMessage) {
+      return;
+    }
+
+    this.notifiedValidity_ = detail;
+    this.adapter.notifyValidityChanged(detail);
+  }
+
   /**
    * @return True if the Text Field input fails in converting the user-supplied
    *     value.
@@ -494,6 +783,7 @@ export class MDCTextFieldFoundation extends MDCFoundation<MDCTextFieldAdapter> {
     } else {
       this.adapter.addClass(INVALID);
     }
+    this.notifyValidityChanged_(isValid);
     if (this.helperText_) {
       this.helperText_.setValidity(isValid);
 
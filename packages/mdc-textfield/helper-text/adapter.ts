@@ -63,4 +63,9 @@ export interface MDCTextFieldHelperTextAdapter {
    * Sets the text content for the helper text element.
    */
   setContent(content: string): void;
+
+  /**
+   * Returns the text content of the helper text element.
+   */
+  getContent(): string;
 }
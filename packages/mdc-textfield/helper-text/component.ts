@@ -52,6 +52,7 @@ export class MDCTextFieldHelperText extends MDCComponent<MDCTextFieldHelperTextF
       setContent: (content) => {
         this.root.textContent = content;
       },
+      getContent: () => this.root.textContent || '',
     };
     // tslint:enable:object-literal-sort-keys
     return new MDCTextFieldHelperTextFoundation(adapter);
@@ -47,6 +47,7 @@ export class MDCTextFieldHelperTextFoundation extends MDCFoundation<MDCTextField
       setAttr: () => undefined,
       removeAttr: () => undefined,
       setContent: () => undefined,
+      getContent: () => '',
     };
     // tslint:enable:object-literal-sort-keys
   }
@@ -71,6 +72,13 @@ export class MDCTextFieldHelperTextFoundation extends MDCFoundation<MDCTextField
     this.adapter.setContent(content);
   }
 
+  /**
+   * Returns the content of the helper text field.
+   */
+  getContent(): string {
+    return this.adapter.getContent();
+  }
+
   isPersistent(): boolean {
     return this.adapter.hasClass(cssClasses.HELPER_TEXT_PERSISTENT);
   }
@@ -102,4 +102,11 @@ describe('MDCTextFieldHelperText', () => {
     (component.getDefaultFoundation() as any).adapter.setContent('foo');
     expect(root.textContent).toEqual('foo');
   });
+
+  it('#adapter.getContent returns the text content of the element', () => {
+    const {root, component} = setupTest();
+    root.textContent = 'foo';
+    expect((component.getDefaultFoundation() as any).adapter.getContent())
+        .toEqual('foo');
+  });
 });
@@ -46,6 +46,7 @@ describe('MDCTextFieldHelperTextFoundation', () => {
       'setAttr',
       'removeAttr',
       'setContent',
+      'getContent',
     ]);
   });
 
@@ -109,6 +110,12 @@ describe('MDCTextFieldHelperTextFoundation', () => {
     expect(mockAdapter.setContent).toHaveBeenCalledWith('foo');
   });
 
+  it('#getContent returns the content of the helper text element', () => {
+    const {foundation, mockAdapter} = setupTest();
+    mockAdapter.getContent.and.returnValue('foo');
+    expect(foundation.getContent()).toEqual('foo');
+  });
+
   it('#setPersistent toggles the persistent class', () => {
     const {foundation, mockAdapter} = setupTest();
     foundation.setPersistent(true);
@@ -25,6 +25,7 @@ export * from './adapter';
 export * from './component';
 export * from './constants';
 export * from './foundation';
+export * from './mask';
 export * from './types';
 export * from './character-counter/index';
 export * from './helper-text/index';
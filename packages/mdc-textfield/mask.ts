@@ -0,0 +1,179 @@
+/**
+ * @license
+ * Copyright 2019 Google Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+import {MDCTextFieldMask} from './types';
+
+/**
+ * Characters matched by each placeholder of a pattern mask. Any other
+ * character in the pattern is a literal, inserted by the mask as the user
+ * types.
+ */
+const PATTERN_PLACEHOLDERS: {[placeholder: string]: RegExp} = {
+  '*': /[a-z\d]/i,
+  '9': /\d/,
+  'a': /[a-z]/i,
+};
+
+interface PatternToken {
+  literal?: string;
+  placeholder?: RegExp;
+}
+
+/**
+ * Creates a mask from the given pattern, in which `9` accepts a digit, `a` a
+ * letter and `*` a letter or a digit. Other characters are literals, and a
+ * placeholder character can be used as a literal by escaping it with a
+ * backslash. For example, `(999) 999-9999` formats `5551234567` as
+ * `(555) 123-4567`.
+ */
+export function createPatternMask(pattern: string): MDCTextFieldMask {
+  const tokens = parsePattern(pattern);
+
+  return {
+    format: (rawValue) => {
+      let value = '';
+      let pendingLiterals = '';
+      let rawIndex = 0;
+      for (const token of tokens) {
+        if (token.literal !== undefined) {
+          pendingLiterals += token.literal;
+          continue;
+        }
+
+        while (rawIndex < rawValue.length &&
+               !token.placeholder!.test(rawValue[rawIndex])) {
+          rawIndex++;
+        }
+        if (rawIndex >= rawValue.length) {
+          break;
+        }
+        // Literals are only inserted once they are followed by a character
+        // the user typed, so that they can still be deleted.
+        value += pendingLiterals + rawValue[rawIndex++];
+        pendingLiterals = '';
+      }
+      return value;
+    },
+    unformat: (value) => {
+      let rawValue = '';
+      let tokenIndex = 0;
+      for (const char of value) {
+        if (tokens[tokenIndex] && tokens[tokenIndex].literal === char) {
+          tokenIndex++;
+          continue;
+        }
+
+        while (tokens[tokenIndex] && tokens[tokenIndex].literal !== undefined) {
+          tokenIndex++;
+        }
+        if (!tokens[tokenIndex]) {
+          break;
+        }
+        if (tokens[tokenIndex].placeholder!.test(char)) {
+          rawValue += char;
+          tokenIndex++;
+        }
+      }
+      return rawValue;
+    },
+  };
+}
+
+/**
+ * Options for `createNumberMask`.
+ */
+export interface MDCTextFieldNumberMaskOptions {
+  /**
+   * The maximum number of digits after the decimal point. Defaults to 0.
+   */
+  decimalPlaces?: number;
+  /**
+   * The separator inserted between groups of thousands. Defaults to `,`.
+   */
+  groupSeparator?: string;
+  /**
+   * Text shown before the number, e.g. a currency symbol. Defaults to none.
+   */
+  prefix?: string;
+}
+
+/**
+ * Creates a mask for numbers, which groups the integer digits by thousands.
+ * The raw value holds the digits and, if `decimalPlaces` is set, a `.` decimal
+ * point. For example, with a `$` prefix and 2 decimal places, `1234.5` is
+ * formatted as `$1,234.5`.
+ */
+export function createNumberMask({
+  decimalPlaces = 0,
+  groupSeparator = ',',
+  prefix = '',
+}: MDCTextFieldNumberMaskOptions = {}): MDCTextFieldMask {
+  return {
+    format: (rawValue) => {
+      if (!rawValue) {
+        return '';
+      }
+
+      const [integer, fraction] = rawValue.split('.');
+      const groupedInteger =
+          integer.replace(/\B(?=(\d{3})+$)/g, groupSeparator);
+      return prefix + groupedInteger +
+          (fraction === undefined ? '' : `.${fraction}`);
+    },
+    unformat: (value) => {
+      if (prefix && value.indexOf(prefix) === 0) {
+        value = value.slice(prefix.length);
+      }
+
+      let integer = '';
+      let fraction: string|undefined;
+      for (const char of value) {
+        if (char === '.' && fraction === undefined && decimalPlaces > 0) {
+          fraction = '';
+        } else if (!/\d/.test(char)) {
+          continue;
+        } else if (fraction === undefined) {
+          integer += char;
+        } else if (fraction.length < decimalPlaces) {
+          fraction += char;
+        }
+      }
+      return fraction === undefined ? integer : `${integer}.${fraction}`;
+    },
+  };
+}
+
+function parsePattern(pattern: string): PatternToken[] {
+  const tokens: PatternToken[] = [];
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      tokens.push({literal: pattern[++i]});
+    } else if (PATTERN_PLACEHOLDERS[char]) {
+      tokens.push({placeholder: PATTERN_PLACEHOLDERS[char]});
+    } else {
+      tokens.push({literal: char});
+    }
+  }
+  return tokens;
+}
@@ -29,7 +29,7 @@ import {emitEvent} from '../../../testing/dom/events';
 import {createMockFoundation} from '../../../testing/helpers/foundation';
 import {cssClasses as characterCounterCssClasses} from '../../mdc-textfield/character-counter/constants';
 import {cssClasses as helperTextCssClasses} from '../../mdc-textfield/helper-text/constants';
-import {MDCTextField, MDCTextFieldCharacterCounter, MDCTextFieldFoundation, MDCTextFieldHelperText, MDCTextFieldIcon,} from '../../mdc-textfield/index';
+import {createPatternMask, MDCTextField, MDCTextFieldCharacterCounter, MDCTextFieldFoundation, MDCTextFieldHelperText, MDCTextFieldIcon,} from '../../mdc-textfield/index';
 
 const {cssClasses, strings} = MDCTextFieldFoundation;
 
@@ -899,4 +899,80 @@ describe('MDCTextField', () => {
     const suffixEl = suffixRoot.querySelector(strings.SUFFIX_SELECTOR)!;
     expect(suffixEl.textContent).toEqual('foo');
   });
+
+  it('#initialSyncWithDOM sets a pattern mask from the data-mask attribute',
+     () => {
+       const root = getFixture();
+       const input = root.querySelector('input')!;
+       input.setAttribute(strings.MASK_ATTR, '99/99/9999');
+       input.value = '12252020';
+       const component = new MDCTextField(root);
+       expect(component.mask).not.toBe(null);
+       expect(component.value).toEqual('12/25/2020');
+       expect(component.rawValue).toEqual('12252020');
+     });
+
+  it('#mask formats the value on input and keeps the caret in place', () => {
+    const root = getFixture();
+    const input = root.querySelector('input')!;
+    const component = new MDCTextField(root);
+    component.mask = createPatternMask('99/99/9999');
+    component.value = '1225';
+    document.body.appendChild(root);
+    input.value = '12/325';
+    input.focus();
+    input.setSelectionRange(4, 4);
+    emitEvent(input, 'input');
+    expect(input.value).toEqual('12/32/5');
+    expect(input.selectionStart).toEqual(4);
+    document.body.removeChild(root);
+  });
+
+  it('#rawValue returns the value when no mask is set', () => {
+    const component = new MDCTextField(getFixture());
+    component.value = '12/25';
+    expect(component.mask).toBe(null);
+    expect(component.rawValue).toEqual('12/25');
+  });
+
+  it('#addValidator validates the value and emits MDCTextField:validityChanged',
+     () => {
+       const root = getFixture();
+       const component = new MDCTextField(root);
+       const handler = jasmine.createSpy('validityChangedHandler');
+       component.listen(strings.VALIDITY_CHANGED_EVENT, handler);
+       component.addValidator((value) => value === 'jane' ? 'Taken' : '');
+       component.value = 'jane';
+       expect(component.valid).toBe(false);
+       expect(component.validationMessage).toEqual('Taken');
+       expect(root.classList.contains(cssClasses.INVALID)).toBe(true);
+       expect(root.querySelector('input')!.validationMessage).toEqual('Taken');
+       expect(handler).toHaveBeenCalledWith(jasmine.objectContaining({
+         detail: {pending: false, valid: false, validationMessage: 'Taken'},
+       }));
+     });
+
+  it('#validate resolves with the validity once async validators complete',
+     async () => {
+       const root = getFixture();
+       const component = new MDCTextField(root);
+       component.addValidator(() => Promise.resolve(''));
+       const validity = component.validate();
+       expect(component.validationPending).toBe(true);
+       expect(root.classList.contains(cssClasses.VALIDATING)).toBe(true);
+       expect(await validity).toBe(true);
+       expect(component.validationPending).toBe(false);
+       expect(root.classList.contains(cssClasses.VALIDATING)).toBe(false);
+     });
+
+  it('#removeValidator clears the validation message of the removed validator',
+     () => {
+       const component = new MDCTextField(getFixture());
+       const validator = () => 'Invalid';
+       component.addValidator(validator);
+       component.value = 'jane';
+       component.removeValidator(validator);
+       expect(component.valid).toBe(true);
+       expect(component.validationMessage).toEqual('');
+     });
 });
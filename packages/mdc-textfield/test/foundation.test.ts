@@ -23,8 +23,9 @@
 
 
 import {verifyDefaultAdapter} from '../../../testing/helpers/foundation';
-import {setUpFoundationTest} from '../../../testing/helpers/setup';
+import {setUpFoundationTest, setUpMdcTestEnvironment} from '../../../testing/helpers/setup';
 import {MDCTextFieldFoundation} from '../../mdc-textfield/foundation';
+import {createNumberMask, createPatternMask} from '../../mdc-textfield/mask';
 
 const LABEL_WIDTH = 100;
 const {cssClasses, numbers, strings} = MDCTextFieldFoundation;
@@ -65,6 +66,7 @@ describe('MDCTextFieldFoundation', () => {
       'getLabelWidth',
       'registerValidationAttributeChangeHandler',
       'deregisterValidationAttributeChangeHandler',
+      'notifyValidityChanged',
       'hasOutline',
       'notchOutline',
       'closeOutline',
@@ -84,7 +86,7 @@ describe('MDCTextFieldFoundation', () => {
             'helperText',
             [
               'getId', 'isVisible', 'isPersistent', 'isValidation',
-              'setContent', 'showToScreenReader', 'setValidity'
+              'setContent', 'getContent', 'showToScreenReader', 'setValidity'
             ]) :
         undefined;
 
@@ -1367,4 +1369,366 @@ describe('MDCTextFieldFoundation', () => {
     foundation.init();
     expect(mockAdapter.setLabelRequired).toHaveBeenCalledWith(true);
   });
+
+  describe('masks', () => {
+    const setupMaskTest = ({value = ''} = {}) => {
+      const {foundation, mockAdapter, characterCounter} =
+          setupTest({useCharacterCounter: true});
+      const nativeInput = {
+        maxLength: 14,
+        selectionStart: value.length,
+        setSelectionRange: jasmine.createSpy('setSelectionRange'),
+        type: 'tel',
+        validity: {
+          valid: true,
+        },
+        value,
+      };
+      mockAdapter.getNativeInput.and.returnValue(nativeInput);
+      return {foundation, mockAdapter, characterCounter, nativeInput};
+    };
+
+    it('#setMask formats the current value', () => {
+      const {foundation, nativeInput, characterCounter} =
+          setupMaskTest({value: '5551234'});
+      const mask = createPatternMask('(999) 999-9999');
+      foundation.setMask(mask);
+      expect(foundation.getMask()).toBe(mask);
+      expect(nativeInput.value).toEqual('(555) 123-4');
+      expect(characterCounter.setCounterValue).toHaveBeenCalledWith(11, 14);
+    });
+
+    it('#setMask with null stops formatting the value', () => {
+      const {foundation, nativeInput} = setupMaskTest();
+      foundation.setMask(createPatternMask('(999) 999-9999'));
+      foundation.setMask(null);
+      foundation.setValue('5551234');
+      expect(nativeInput.value).toEqual('5551234');
+    });
+
+    it('#handleInput formats the value and keeps the caret after the typed character',
+       () => {
+         const {foundation, nativeInput, characterCounter} = setupMaskTest();
+         foundation.setMask(createPatternMask('(999) 999-9999'));
+         nativeInput.value = '(555) 1234';
+         nativeInput.selectionStart = 10;
+         foundation.handleInput();
+         expect(nativeInput.value).toEqual('(555) 123-4');
+         expect(nativeInput.setSelectionRange).toHaveBeenCalledWith(11, 11);
+         expect(characterCounter.setCounterValue).toHaveBeenCalledWith(11, 14);
+       });
+
+    it('#handleInput keeps the caret in place when editing in the middle of the value',
+       () => {
+         const {foundation, nativeInput} = setupMaskTest();
+         foundation.setMask(createPatternMask('(999) 999-9999'));
+         nativeInput.value = '(59555) 123-4567';
+         nativeInput.selectionStart = 3;
+         foundation.handleInput();
+         expect(nativeInput.value).toEqual('(595) 551-2345');
+         expect(nativeInput.setSelectionRange).toHaveBeenCalledWith(3, 3);
+       });
+
+    it('#handleInput moves the caret before a deleted literal', () => {
+      const {foundation, nativeInput} = setupMaskTest();
+      foundation.setMask(createPatternMask('(999) 999-9999'));
+      nativeInput.value = '(555)123';
+      nativeInput.selectionStart = 5;
+      foundation.handleInput();
+      expect(nativeInput.value).toEqual('(555) 123');
+      expect(nativeInput.setSelectionRange).toHaveBeenCalledWith(4, 4);
+    });
+
+    it('#handleInput does not move the caret when the value is already formatted',
+       () => {
+         const {foundation, nativeInput} = setupMaskTest({value: '(555) 123'});
+         foundation.setMask(createPatternMask('(999) 999-9999'));
+         foundation.handleInput();
+         expect(nativeInput.value).toEqual('(555) 123');
+         expect(nativeInput.setSelectionRange).not.toHaveBeenCalled();
+       });
+
+    it('#setValue formats a raw value and #getValue returns the formatted or raw value',
+       () => {
+         const {foundation, nativeInput} = setupMaskTest();
+         foundation.setMask(createPatternMask('(999) 999-9999'));
+         foundation.setValue('5551234567');
+         expect(nativeInput.value).toEqual('(555) 123-4567');
+         expect(foundation.getValue()).toEqual('(555) 123-4567');
+         expect(foundation.getValue(/** raw */ true)).toEqual('5551234567');
+       });
+
+    it('#getValue with raw returns the value when no mask is set', () => {
+      const {foundation} = setupMaskTest({value: '(555) 123'});
+      expect(foundation.getValue(/** raw */ true)).toEqual('(555) 123');
+    });
+
+    it('#setValue drops characters that would exceed maxlength once formatted',
+       () => {
+         const {foundation, nativeInput, characterCounter} = setupMaskTest();
+         foundation.setMask(createNumberMask());
+         foundation.setValue('12345678901234');
+         expect(nativeInput.value).toEqual('12,345,678,901');
+         expect(characterCounter.setCounterValue).toHaveBeenCalledWith(14, 14);
+       });
+
+    it('createPatternMask formats and unformats values', () => {
+      const mask = createPatternMask('aa-99\\9*');
+      expect(mask.format('ab12c')).toEqual('ab-129c');
+      expect(mask.format('ab1')).toEqual('ab-1');
+      expect(mask.format('ab')).toEqual('ab');
+      expect(mask.format('a1b2')).toEqual('ab-2');
+      expect(mask.unformat('ab-129c')).toEqual('ab12c');
+      expect(mask.unformat('ab12c')).toEqual('ab12c');
+      expect(mask.unformat('a-b?12')).toEqual('ab12');
+    });
+
+    it('createNumberMask formats and unformats values', () => {
+      const mask = createNumberMask(
+          {decimalPlaces: 2, groupSeparator: ' ', prefix: '$'});
+      expect(mask.format('1234567.5')).toEqual('$1 234 567.5');
+      expect(mask.format('123')).toEqual('$123');
+      expect(mask.format('')).toEqual('');
+      expect(mask.unformat('$1 234 567.5')).toEqual('1234567.5');
+      expect(mask.unformat('1,234.567')).toEqual('1234.56');
+      expect(mask.unformat('12.3.4')).toEqual('12.34');
+      expect(createNumberMask().unformat('1,234.5')).toEqual('12345');
+    });
+  });
+
+  describe('validators', () => {
+    setUpMdcTestEnvironment();
+
+    const setupValidatorTest = () => {
+      const {foundation, mockAdapter, helperText} =
+          setupTest({useHelperText: true});
+      const nativeInput = {
+        setCustomValidity: jasmine.createSpy('setCustomValidity'),
+        type: 'text',
+        validity: {
+          valid: true,
+        },
+        value: 'jane',
+      };
+      mockAdapter.getNativeInput.and.returnValue(nativeInput);
+      return {foundation, mockAdapter, helperText, nativeInput};
+    };
+
+    const createDeferredValidator = () => {
+      const resolvers: Array<(message: string) => void> = [];
+      const validator = jasmine.createSpy('validator').and.callFake(
+          () => new Promise<string>((resolve) => {
+            resolvers.push(resolve);
+          }));
+      return {validator, resolvers};
+    };
+
+    it('#handleInput runs validators once the user stops typing', () => {
+      const {foundation, mockAdapter, helperText, nativeInput} =
+          setupValidatorTest();
+      const validator =
+          jasmine.createSpy('validator').and.returnValue('Too short');
+      foundation.addValidator(validator);
+      foundation.handleInput();
+      jasmine.clock().tick(numbers.VALIDATION_DEBOUNCE_MS - 1);
+      foundation.handleInput();
+      jasmine.clock().tick(numbers.VALIDATION_DEBOUNCE_MS - 1);
+      expect(validator).not.toHaveBeenCalled();
+
+      jasmine.clock().tick(1);
+      expect(validator).toHaveBeenCalledTimes(1);
+      expect(validator).toHaveBeenCalledWith('jane');
+      expect(foundation.isValid()).toBe(false);
+      expect(foundation.getValidationMessage()).toEqual('Too short');
+      expect(mockAdapter.addClass).toHaveBeenCalledWith(cssClasses.INVALID);
+      expect(helperText.setContent).toHaveBeenCalledWith('Too short');
+      expect(nativeInput.setCustomValidity).toHaveBeenCalledWith('Too short');
+      expect(mockAdapter.notifyValidityChanged).toHaveBeenCalledWith({
+        pending: false,
+        valid: false,
+        validationMessage: 'Too short',
+      });
+    });
+
+    it('restores the helper text content once the value is valid', () => {
+      const {foundation, helperText} = setupValidatorTest();
+      helperText.getContent.and.returnValue('Pick a username');
+      let message = 'Too short';
+      foundation.addValidator(() => message);
+      foundation.setValue('ja');
+      expect(helperText.setContent).toHaveBeenCalledWith('Too short');
+
+      message = 'Taken';
+      foundation.setValue('jane');
+      expect(helperText.setContent).toHaveBeenCalledWith('Taken');
+      expect(helperText.getContent).toHaveBeenCalledTimes(1);
+
+      helperText.setContent.calls.reset();
+      message = '';
+      foundation.setValue('janedoe');
+      expect(foundation.isValid()).toBe(true);
+      expect(helperText.setContent).toHaveBeenCalledWith('Pick a username');
+    });
+
+    it('#setHelperTextContent sets the content shown once the value is valid',
+       () => {
+         const {foundation, helperText} = setupValidatorTest();
+         let message = 'Too short';
+         foundation.addValidator(() => message);
+         foundation.setValue('ja');
+         foundation.setHelperTextContent('Pick a username');
+         expect(helperText.setContent)
+             .not.toHaveBeenCalledWith('Pick a username');
+
+         message = '';
+         foundation.setValue('jane');
+         expect(helperText.setContent).toHaveBeenCalledWith('Pick a username');
+       });
+
+    it('#handleInput does not run validators if there are none', () => {
+      const {foundation, nativeInput} = setupValidatorTest();
+      foundation.handleInput();
+      jasmine.clock().tick(numbers.VALIDATION_DEBOUNCE_MS);
+      expect(nativeInput.setCustomValidity).not.toHaveBeenCalled();
+    });
+
+    it('#setValidationDebounceMs sets the delay before running validators',
+       () => {
+         const {foundation} = setupValidatorTest();
+         const validator = jasmine.createSpy('validator').and.returnValue('');
+         foundation.addValidator(validator);
+         foundation.setValidationDebounceMs(1000);
+         foundation.handleInput();
+         jasmine.clock().tick(999);
+         expect(validator).not.toHaveBeenCalled();
+         jasmine.clock().tick(1);
+         expect(validator).toHaveBeenCalled();
+       });
+
+    it('#deactivateFocus runs scheduled validators right away', () => {
+      const {foundation} = setupValidatorTest();
+      const validator = jasmine.createSpy('validator').and.returnValue('');
+      foundation.addValidator(validator);
+      foundation.handleInput();
+      foundation.deactivateFocus();
+      expect(validator).toHaveBeenCalledTimes(1);
+
+      jasmine.clock().tick(numbers.VALIDATION_DEBOUNCE_MS);
+      expect(validator).toHaveBeenCalledTimes(1);
+    });
+
+    it('#setValue runs validators when validating on value change', () => {
+      const {foundation, mockAdapter} = setupValidatorTest();
+      foundation.addValidator(() => 'Invalid');
+      foundation.setValue('jane');
+      expect(foundation.isValid()).toBe(false);
+      expect(mockAdapter.addClass).toHaveBeenCalledWith(cssClasses.INVALID);
+    });
+
+    it('#setValue does not run validators when not validating on value change',
+       () => {
+         const {foundation} = setupValidatorTest();
+         const validator = jasmine.createSpy('validator').and.returnValue('');
+         foundation.addValidator(validator);
+         foundation.setValidateOnValueChange(false);
+         foundation.setValue('jane');
+         expect(validator).not.toHaveBeenCalled();
+       });
+
+    it('async validators set the pending state until they resolve', async () => {
+      const {foundation, mockAdapter} = setupValidatorTest();
+      const {validator, resolvers} = createDeferredValidator();
+      foundation.addValidator(validator);
+      const validity = foundation.validate();
+      expect(foundation.isValidationPending()).toBe(true);
+      expect(mockAdapter.addClass).toHaveBeenCalledWith(cssClasses.VALIDATING);
+      expect(mockAdapter.notifyValidityChanged).toHaveBeenCalledWith({
+        pending: true,
+        valid: true,
+        validationMessage: '',
+      });
+
+      resolvers[0]('Username is taken');
+      expect(await validity).toBe(false);
+      expect(foundation.isValidationPending()).toBe(false);
+      expect(foundation.getValidationMessage()).toEqual('Username is taken');
+      expect(mockAdapter.removeClass)
+          .toHaveBeenCalledWith(cssClasses.VALIDATING);
+      expect(mockAdapter.notifyValidityChanged).toHaveBeenCalledWith({
+        pending: false,
+        valid: false,
+        validationMessage: 'Username is taken',
+      });
+    });
+
+    it('ignores results of stale async validator runs', async () => {
+      const {foundation} = setupValidatorTest();
+      const {validator, resolvers} = createDeferredValidator();
+      foundation.addValidator(validator);
+      const firstValidity = foundation.validate();
+      const secondValidity = foundation.validate();
+      resolvers[0]('Username is taken');
+      await Promise.resolve();
+      expect(foundation.isValidationPending()).toBe(true);
+      expect(foundation.getValidationMessage()).toEqual('');
+
+      resolvers[1]('');
+      expect(await firstValidity).toBe(true);
+      expect(await secondValidity).toBe(true);
+      expect(foundation.isValidationPending()).toBe(false);
+    });
+
+    it('synchronous validation messages are applied without waiting for async validators',
+       () => {
+         const {foundation} = setupValidatorTest();
+         const {validator} = createDeferredValidator();
+         foundation.addValidator(validator);
+         foundation.addValidator(() => 'Required');
+         foundation.validate();
+         expect(foundation.isValidationPending()).toBe(false);
+         expect(foundation.getValidationMessage()).toEqual('Required');
+       });
+
+    it('rejected async validators count as valid', async () => {
+      const {foundation} = setupValidatorTest();
+      foundation.addValidator(() => Promise.reject(new Error('Offline')));
+      expect(await foundation.validate()).toBe(true);
+    });
+
+    it('handles rejected async validators ignored because of a synchronous ' +
+           'validation message',
+       async () => {
+         const {foundation} = setupValidatorTest();
+         const rejection = Promise.reject(new Error('Offline'));
+         spyOn(rejection, 'catch').and.callThrough();
+         foundation.addValidator(() => rejection);
+         foundation.addValidator(() => 'Required');
+         expect(await foundation.validate()).toBe(false);
+         expect(rejection.catch).toHaveBeenCalled();
+         expect(foundation.getValidationMessage()).toEqual('Required');
+       });
+
+    it('#removeValidator runs the remaining validators if the value was invalid',
+       () => {
+         const {foundation, mockAdapter, nativeInput} = setupValidatorTest();
+         const validator = () => 'Invalid';
+         foundation.addValidator(validator);
+         foundation.validate();
+         foundation.removeValidator(validator);
+         expect(foundation.isValid()).toBe(true);
+         expect(foundation.getValidationMessage()).toEqual('');
+         expect(nativeInput.setCustomValidity).toHaveBeenCalledWith('');
+         expect(mockAdapter.removeClass).toHaveBeenCalledWith(cssClasses.INVALID);
+       });
+
+    it('#destroy cancels scheduled validators', () => {
+      const {foundation} = setupValidatorTest();
+      const validator = jasmine.createSpy('validator').and.returnValue('');
+      foundation.addValidator(validator);
+      foundation.handleInput();
+      foundation.destroy();
+      jasmine.clock().tick(numbers.VALIDATION_DEBOUNCE_MS);
+      expect(validator).not.toHaveBeenCalled();
+    });
+  });
 });
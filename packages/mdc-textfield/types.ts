@@ -27,7 +27,46 @@ import {MDCTextFieldIconFoundation} from './icon/foundation';
 
 export type MDCTextFieldNativeInputElement = Pick<HTMLInputElement, 'disabled' | 'maxLength' | 'type' | 'value' | 'required'> & {
   validity: Pick<ValidityState, 'badInput' | 'valid'>;
-};
+} & Partial<Pick<HTMLInputElement, 'selectionStart' | 'setCustomValidity' | 'setSelectionRange'>>;
+
+/**
+ * Formats the value of a text field as the user types, e.g. to insert the
+ * separators of a phone number. See `createPatternMask` and `createNumberMask`
+ * for the built-in masks.
+ */
+export interface MDCTextFieldMask {
+  /**
+   * @return The formatted value for the given raw value.
+   */
+  format(rawValue: string): string;
+
+  /**
+   * @return The raw value for the given value, which may be formatted,
+   *     partially formatted (e.g. while the user edits it) or already raw.
+   *     Characters the mask doesn't accept are dropped.
+   */
+  unformat(value: string): string;
+}
+
+/**
+ * Validates the value of a text field, returning a validation message if it is
+ * invalid or an empty string if it is valid. Asynchronous validators (e.g.
+ * checking that a username is available) return a promise resolving with the
+ * validation message instead.
+ */
+export type MDCTextFieldValidator = (value: string) => string|Promise<string>;
+
+export interface MDCTextFieldValidityChangedEventDetail {
+  valid: boolean;
+  pending: boolean;
+  validationMessage: string;
+}
+
+// Note: CustomEvent<T> is not supported by Closure Compiler.
+
+export interface MDCTextFieldValidityChangedEvent extends Event {
+  readonly detail: MDCTextFieldValidityChangedEventDetail;
+}
 
 export interface MDCTextFieldFoundationMap {
   helperText: MDCTextFieldHelperTextFoundation;